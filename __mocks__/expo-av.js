@@ -0,0 +1,67 @@
+// expo-av for tests: sounds and recordings are fakes whose calls can be inspected
+
+/**
+ * A loaded sound that records its calls
+ * emitStatus(status) reports a playback status the way the native player would
+ * @returns {Object} Fake sound
+ */
+export const createFakeSound = () => {
+  const sound = {
+    playAsync: jest.fn(() => Promise.resolve()),
+    pauseAsync: jest.fn(() => Promise.resolve()),
+    setPositionAsync: jest.fn(() => Promise.resolve()),
+    setRateAsync: jest.fn(() => Promise.resolve()),
+    unloadAsync: jest.fn(() => Promise.resolve()),
+    setOnPlaybackStatusUpdate: jest.fn(callback => {
+      sound.onPlaybackStatusUpdate = callback;
+    }),
+    onPlaybackStatusUpdate: null,
+    emitStatus: (status) => {
+      if (sound.onPlaybackStatusUpdate) sound.onPlaybackStatusUpdate(status);
+    },
+  };
+  return sound;
+};
+
+/**
+ * A recording that records its calls
+ * emitStatus(status) reports a recording status the way the native recorder would
+ * @returns {Object} Fake recording
+ */
+export const createFakeRecording = () => {
+  const recording = {
+    prepareToRecordAsync: jest.fn(() => Promise.resolve()),
+    startAsync: jest.fn(() => Promise.resolve()),
+    pauseAsync: jest.fn(() => Promise.resolve()),
+    stopAndUnloadAsync: jest.fn(() => Promise.resolve()),
+    getURI: jest.fn(() => 'file:///cache/recording.wav'),
+    setProgressUpdateInterval: jest.fn(),
+    setOnRecordingStatusUpdate: jest.fn(callback => {
+      recording.onRecordingStatusUpdate = callback;
+    }),
+    onRecordingStatusUpdate: null,
+    emitStatus: (status) => {
+      if (recording.onRecordingStatusUpdate) recording.onRecordingStatusUpdate(status);
+    },
+  };
+  return recording;
+};
+
+export const Audio = {
+  setAudioModeAsync: jest.fn(() => Promise.resolve()),
+  getPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted', granted: true })),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted', granted: true })),
+  PitchCorrectionQuality: { Low: 'Low', Medium: 'Medium', High: 'High' },
+  IOSOutputFormat: { LINEARPCM: 'lpcm' },
+  RECORDING_OPTION_IOS_AUDIO_QUALITY_HIGH: 96,
+  RECORDING_OPTION_ANDROID_OUTPUT_FORMAT_MPEG_4: 2,
+  RECORDING_OPTION_ANDROID_AUDIO_ENCODER_AAC: 3,
+  Recording: jest.fn(() => createFakeRecording()),
+  Sound: {
+    createAsync: jest.fn(async (source, initialStatus = {}, onPlaybackStatusUpdate = null) => {
+      const sound = createFakeSound();
+      sound.onPlaybackStatusUpdate = onPlaybackStatusUpdate;
+      return { sound, status: { isLoaded: true, durationMillis: 0, ...initialStatus } };
+    }),
+  },
+};
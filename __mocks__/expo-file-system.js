@@ -0,0 +1,50 @@
+// An in-memory file system behind the expo-file-system calls the app makes
+// jest-expo stubs expo-file-system for every test, so test files swap this in with
+// jest.mock('expo-file-system', () => jest.requireActual('<path to>/__mocks__/expo-file-system')).
+// Files are kept as base64 or text, as written; every call is a jest.fn so tests can inspect or override it
+const files = new Map();
+
+export const documentDirectory = 'file:///documents/';
+export const cacheDirectory = 'file:///cache/';
+
+export const EncodingType = { UTF8: 'utf8', Base64: 'base64' };
+
+const byteLength = ({ content, encoding }) => (
+  encoding === EncodingType.Base64
+    ? Math.floor((content.length * 3) / 4) - (content.match(/=*$/)[0].length)
+    : content.length
+);
+
+export const getInfoAsync = jest.fn(async (uri) => {
+  const file = files.get(uri);
+  return file ? { exists: true, isDirectory: false, uri, size: byteLength(file) } : { exists: false, uri };
+});
+
+export const readAsStringAsync = jest.fn(async (uri) => {
+  const file = files.get(uri);
+  if (!file) throw new Error(`File not found: ${uri}`);
+  return file.content;
+});
+
+export const writeAsStringAsync = jest.fn(async (uri, content, { encoding = EncodingType.UTF8 } = {}) => {
+  files.set(uri, { content, encoding });
+});
+
+export const copyAsync = jest.fn(async ({ from, to }) => {
+  if (!files.has(from)) throw new Error(`File not found: ${from}`);
+  files.set(to, files.get(from));
+});
+
+export const moveAsync = jest.fn(async ({ from, to }) => {
+  await copyAsync({ from, to });
+  files.delete(from);
+});
+
+export const deleteAsync = jest.fn(async (uri, { idempotent = false } = {}) => {
+  if (!files.delete(uri) && !idempotent) throw new Error(`File not found: ${uri}`);
+});
+
+export const makeDirectoryAsync = jest.fn(async () => {});
+
+// Test helper: forget every file
+export const clearFiles = () => files.clear();
@@ -0,0 +1,46 @@
+import initSqlJs from 'sql.js/dist/sql-asm';
+
+// An in-memory database behind the promise API of react-native-sqlite-storage
+// Statements run synchronously; db.run(sql, params) returns rows directly for test assertions
+export const openDatabase = jest.fn(async () => {
+  const SQL = await initSqlJs();
+  const database = new SQL.Database();
+
+  const run = (sql, params = []) => {
+    const statement = database.prepare(sql);
+    const rows = [];
+    try {
+      statement.bind(params);
+      while (statement.step()) rows.push(statement.getAsObject());
+    } finally {
+      statement.free();
+    }
+    return rows;
+  };
+
+  const toResultSet = rows => ({
+    rows: { length: rows.length, item: index => rows[index] },
+    rowsAffected: database.getRowsModified(),
+  });
+
+  return {
+    run,
+    close: async () => database.close(),
+    executeSql: async (sql, params) => [toResultSet(run(sql, params))],
+    transaction: async (callback) => {
+      run('BEGIN');
+      try {
+        callback({ executeSql: (sql, params) => run(sql, params) });
+        run('COMMIT');
+      } catch (error) {
+        run('ROLLBACK');
+        throw error;
+      }
+    },
+  };
+});
+
+export default {
+  enablePromise: jest.fn(),
+  openDatabase,
+};
@@ -1,5 +1,10 @@
+import { useEffect } from "react";
 import { Stack } from "expo-router";
+import { connectMediaControls } from "../services/mediaControls";
 
 export default function RootLayout() {
+  // Lock screen and Control Center controls follow whatever voice message is playing
+  useEffect(() => connectMediaControls(), []);
+
   return <Stack />;
 }
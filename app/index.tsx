@@ -7,12 +7,27 @@ import { StatusBar } from 'react-native';
 import HomeScreen from '../screens/HomeScreen';
 import ConversationDetailScreen from '../screens/ConversationDetailScreen';
 import NewConversationScreen from '../screens/NewConversationScreen';
+import SearchScreen from '../screens/SearchScreen';
+import TagManagerScreen from '../screens/TagManagerScreen';
+import ThreadScreen from '../screens/ThreadScreen';
 
 // Define the stack navigator param list types
 export type RootStackParamList = {
   Home: undefined;
-  ConversationDetail: { conversationId: string; participantName: string };
+  ConversationDetail: {
+    conversationId: string;
+    participantName: string;
+    focusMessageId?: string;
+    focusTimestamp?: number | null;
+    replyTo?: { messageId: string; timestamp: number | null };
+  };
   NewConversation: undefined;
+  Search: undefined;
+  TagManager: undefined;
+  Thread: {
+    conversationId: string;
+    messageId: string;
+  };
 };
 
 const Stack = createStackNavigator<RootStackParamList>();
@@ -49,6 +64,18 @@ const App: React.FC = () => {
             title: 'New Conversation'
           }}
         />
+        <Stack.Screen 
+          name="Search" 
+          component={SearchScreen}
+        />
+        <Stack.Screen 
+          name="TagManager" 
+          component={TagManagerScreen}
+        />
+        <Stack.Screen 
+          name="Thread" 
+          component={ThreadScreen}
+        />
       </Stack.Navigator>
     </SafeAreaProvider>
   );
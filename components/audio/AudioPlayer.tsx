@@ -9,20 +9,26 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import WaveformVisualizer from './WaveformVisualizer';
+import PlaybackRateButton from './PlaybackRateButton';
 import { formatTime } from '../../utils/timeUtils';
 import useAudioPlayer from '../../hooks/useAudioPlayer';
+import { onPlaybackFinished } from '../../services/playbackController';
+import { toListeningTime } from '../../utils/playbackRate';
 
 interface AudioMessage {
   id: string;
   audioUri: string;
   audioDuration: number;
   waveform?: number[];
+  resumePosition?: number | null;
 }
 
 interface AudioPlayerProps {
   message: AudioMessage;
   isUserMessage?: boolean;
   onPlaybackComplete?: () => void;
+  startPosition?: number | null;
+  showRateControl?: boolean;
   style?: ViewStyle;
 }
 
@@ -30,21 +36,31 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
   message, 
   isUserMessage = false,
   onPlaybackComplete,
+  startPosition = null,
+  showRateControl = false,
   style,
 }) => {
-  // Use the audio player hook
+  // Use the audio player hook, following only this message
   const { 
-    currentAudioId,
     isPlaying,
     playbackPosition,
+    positionMillis,
+    rate,
     isLoading,
     playbackError,
     togglePlayback
-  } = useAudioPlayer();
+  } = useAudioPlayer(message.id);
   
-  // Detect if this is the currently playing audio
-  const isCurrentAudio = currentAudioId === message.id;
-  const isThisPlaying = isCurrentAudio && isPlaying;
+  // Time left to listen at the current speed (the whole message until it is started)
+  const remainingSeconds = Math.max(0, message.audioDuration - positionMillis / 1000);
+  
+  // Where playback starts: an explicit start position, else where it was last left off
+  const resumeAt = startPosition ?? message.resumePosition ?? 0;
+  
+  // Share already heard, shown on the waveform while the message isn't playing
+  const resumeProgress = playbackPosition > 0
+    ? playbackPosition
+    : message.audioDuration > 0 ? (message.resumePosition ?? 0) / message.audioDuration : 0;
   
   // Local loading state for this specific message
   const [localLoading, setLocalLoading] = useState(false);
@@ -54,9 +70,9 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
     if (isLoading || localLoading) return;
     
     setLocalLoading(true);
-    await togglePlayback(message.audioUri, message.id);
+    await togglePlayback(message.audioUri, message.id, resumeAt * 1000);
     setLocalLoading(false);
-  }, [message, togglePlayback, isLoading, localLoading]);
+  }, [message, togglePlayback, isLoading, localLoading, resumeAt]);
   
   // Reset local loading state if there's an error
   useEffect(() => {
@@ -67,10 +83,17 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
   
   // Handle playback completion
   useEffect(() => {
-    if (isCurrentAudio && playbackPosition === 0 && !isPlaying && !isLoading && onPlaybackComplete) {
-      onPlaybackComplete();
-    }
-  }, [isCurrentAudio, playbackPosition, isPlaying, isLoading, onPlaybackComplete]);
+    if (!onPlaybackComplete) return;
+    
+    const unsubscribe = onPlaybackFinished((audioId: string) => {
+      if (audioId === message.id) {
+        onPlaybackComplete();
+      }
+    });
+    return () => {
+      unsubscribe();
+    };
+  }, [message.id, onPlaybackComplete]);
   
   return (
     <View style={[styles.container, style]}>
@@ -81,7 +104,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
           isUserMessage ? styles.userMessageText : styles.otherMessageText
         ]}
       >
-        {formatTime(message.audioDuration)}
+        {formatTime(toListeningTime(remainingSeconds, rate))}
       </Text>
       
       {/* Play/Pause Button */}
@@ -97,7 +120,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
           <ActivityIndicator color="#FFFFFF" size="small" />
         ) : (
           <Ionicons 
-            name={isThisPlaying ? "pause" : "play"} 
+            name={isPlaying ? "pause" : "play"} 
             size={20} 
             color="#FFFFFF" 
           />
@@ -108,11 +131,17 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
       <View style={styles.waveformContainer}>
         <WaveformVisualizer
           waveform={message.waveform || []}
-          isPlaying={isThisPlaying}
-          playbackPosition={isCurrentAudio ? playbackPosition : 0}
+          isPlaying={isPlaying}
+          playbackPosition={playbackPosition}
+          resumePosition={resumeProgress}
           isUserMessage={isUserMessage}
         />
       </View>
+      
+      {/* Playback speed */}
+      {showRateControl && (
+        <PlaybackRateButton isDark={isUserMessage} style={styles.rateButton} />
+      )}
     </View>
   );
 };
@@ -146,6 +175,9 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginRight: 8,
   },
+  rateButton: {
+    marginLeft: 8,
+  },
   userMessageText: {
     color: 'rgba(255, 255, 255, 0.8)',
   },
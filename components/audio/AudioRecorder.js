@@ -3,7 +3,9 @@ import {
   View,
   Text,
   StyleSheet,
+  Alert,
   Pressable,
+  TouchableOpacity,
   Animated,
   Easing,
   ActivityIndicator,
@@ -12,6 +14,35 @@ import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
 import { formatTime } from '../../utils/timeUtils';
 import useAudioRecorder from '../../hooks/useAudioRecorder';
+import {
+  getReviewBeforeSend,
+  saveReviewBeforeSend,
+  getShortenPauses,
+  saveShortenPauses,
+} from '../../services/databaseService';
+import {
+  MAX_EDITABLE_DURATION,
+  isEditableAudio,
+  isUncompressedAudio,
+} from '../../utils/audioProcessing';
+import WaveformVisualizer from './WaveformVisualizer';
+import RecordingReview from './RecordingReview';
+
+// Bars shown in the live waveform; new levels scroll in from the right
+const LIVE_WAVEFORM_BARS = 40;
+
+// How far the finger has to slide from the record button to lock or cancel
+const LOCK_DISTANCE = 70;
+const CANCEL_DISTANCE = 100;
+
+// Why a recording can't be trimmed or added to, shown in its review; null when it can
+const editUnavailableReason = (recording) => {
+  if (isEditableAudio(recording.uri, recording.duration)) return null;
+  
+  return isUncompressedAudio(recording.uri)
+    ? `Recordings over ${MAX_EDITABLE_DURATION / 60} minutes can't be trimmed or added to`
+    : "Trimming and adding to recordings isn't available on this device";
+};
 
 /**
  * AudioRecorder component
@@ -19,20 +50,54 @@ import useAudioRecorder from '../../hooks/useAudioRecorder';
  * @param {Object} props
  * @param {Function} props.onRecordingComplete - Callback when recording is complete
  * @param {Function} props.onRecordingCancel - Callback when recording is canceled
+ * @param {Object} [props.draft] - Saved draft to pick up again; it opens for review
+ * @param {Function} [props.onDraftChange] - Called with the recording to keep as a draft ({ inProgress } while recording), or null when it's thrown away
+ * @param {Function} [props.onActiveChange] - Called with whether a recording is being made or reviewed
  */
-const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
+const AudioRecorder = ({
+  onRecordingComplete,
+  onRecordingCancel,
+  draft = null,
+  onDraftChange,
+  onActiveChange,
+}) => {
+  // Leaving mid-recording keeps the audio as a draft, added to the draft being extended if there is one
+  const handleInterrupted = async (recordingData) => {
+    const kept = appendTarget ? await joinDraft(appendTarget, recordingData) : recordingData;
+    updateDraft(kept);
+  };
+  
   const {
     isRecording,
+    isPaused,
     recordingTime,
+    liveWaveform,
+    recordingUri,
     recordingError,
     isProcessingRecording,
     startRecording,
+    pauseRecording,
+    resumeRecording,
     stopRecording,
     cancelRecording,
-  } = useAudioRecorder();
+    trimRecording,
+    appendRecording,
+  } = useAudioRecorder({ onInterrupted: handleInterrupted });
   
   // UI State
   const [isDragCanceling, setIsDragCanceling] = useState(false);
+  // Hands-free mode: recording continues after the finger is lifted
+  const [isLocked, setIsLocked] = useState(false);
+  // Finished recording being reviewed before sending
+  const [draftRecording, setDraftRecording] = useState(null);
+  // Draft that the recording in progress will be added to
+  const [appendTarget, setAppendTarget] = useState(null);
+  const [isEditingDraft, setIsEditingDraft] = useState(false);
+  const [reviewBeforeSend, setReviewBeforeSend] = useState(false);
+  const [shortenPauses, setShortenPauses] = useState(false);
+  
+  // Where the finger went down on the record button
+  const touchStartRef = useRef({ x: 0, y: 0 });
   
   // Animation values
   const pulseAnim = useRef(new Animated.Value(0)).current;
@@ -41,7 +106,7 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
   
   // Start pulse animation when recording
   useEffect(() => {
-    if (isRecording) {
+    if (isRecording && !isPaused) {
       Animated.loop(
         Animated.sequence([
           Animated.timing(pulseAnim, {
@@ -66,7 +131,7 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
         useNativeDriver: true,
       }).start();
     } else {
-      // Stop animation and scale back down when recording stops
+      // Stop animation and scale back down when recording stops or pauses
       pulseAnim.stopAnimation();
       pulseAnim.setValue(0);
       
@@ -76,7 +141,40 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
         useNativeDriver: true,
       }).start();
     }
-  }, [isRecording, pulseAnim, scaleAnim]);
+  }, [isRecording, isPaused, pulseAnim, scaleAnim]);
+  
+  // Save a new recording as a draft as soon as it starts, so it survives the app closing
+  // Audio being added to a draft isn't saved until it's joined; the draft itself already is
+  useEffect(() => {
+    if (recordingUri && !appendTarget) {
+      updateDraft({ uri: recordingUri, duration: 0, waveform: [] }, { inProgress: true });
+    }
+  }, [recordingUri]);
+  
+  // Open a saved draft for review when asked to pick it up
+  useEffect(() => {
+    if (draft && !isRecording) {
+      setDraftRecording(draft);
+    }
+  }, [draft]);
+  
+  // Let the screen make room while a recording is being made or reviewed
+  const isActive = isRecording || isProcessingRecording || isEditingDraft || !!draftRecording;
+  useEffect(() => {
+    if (onActiveChange) {
+      onActiveChange(isActive);
+    }
+  }, [isActive]);
+  
+  // Load whether recordings are reviewed before sending and have long pauses shortened
+  useEffect(() => {
+    getReviewBeforeSend()
+      .then(setReviewBeforeSend)
+      .catch(() => {});
+    getShortenPauses()
+      .then(setShortenPauses)
+      .catch(() => {});
+  }, []);
   
   // Show error alert if recording fails
   useEffect(() => {
@@ -86,50 +184,126 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
     }
   }, [recordingError]);
   
+  // Report the recording to keep as a draft, or null to throw the draft away
+  const updateDraft = (recordingData, options = {}) => {
+    if (onDraftChange) {
+      onDraftChange(recordingData, options);
+    }
+  };
+  
   // Handle recording start
-  const handlePressIn = async () => {
+  const handlePressIn = async (event) => {
+    touchStartRef.current = { x: event.nativeEvent.pageX, y: event.nativeEvent.pageY };
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
     await startRecording();
   };
   
+  // Start recording from a button, straight into hands-free mode
+  const startHandsFree = async () => {
+    const started = await startRecording();
+    if (started) {
+      setIsLocked(true);
+    }
+    return started;
+  };
+  
+  // Discard the recording in progress
+  const discardRecording = async () => {
+    setIsDragCanceling(false);
+    setIsLocked(false);
+    
+    await cancelRecording();
+    
+    // Only the added part is thrown away; go back to the draft
+    if (appendTarget) {
+      setDraftRecording(appendTarget);
+      setAppendTarget(null);
+      return;
+    }
+    
+    updateDraft(null);
+    
+    if (onRecordingCancel) {
+      onRecordingCancel();
+    }
+  };
+  
+  // Add newly recorded audio onto the end of a draft
+  // If they can't be joined the new take is kept on its own, so what was just recorded isn't lost
+  const joinDraft = async (draft, recordingData) => {
+    setIsEditingDraft(true);
+    try {
+      const joined = await appendRecording(draft, recordingData);
+      if (joined) return joined;
+    } catch (error) {
+      console.error('Failed to add to recording:', error);
+    } finally {
+      setIsEditingDraft(false);
+    }
+    
+    Alert.alert(
+      'Could not add to recording',
+      'The new part was kept as a recording of its own, so it can still be sent.'
+    );
+    return recordingData;
+  };
+  
+  // Finish the recording in progress and send it, or open it for review
+  const finishRecording = async (review) => {
+    setIsLocked(false);
+    
+    const recordingData = await stopRecording();
+    if (!recordingData) return;
+    
+    // Audio recorded to add to a draft goes back to its review
+    if (appendTarget) {
+      const target = appendTarget;
+      setAppendTarget(null);
+      const joined = await joinDraft(target, recordingData);
+      setDraftRecording(joined);
+      updateDraft(joined);
+      return;
+    }
+    
+    // Kept until the message has been sent
+    updateDraft(recordingData);
+    
+    if (review) {
+      setDraftRecording(recordingData);
+    } else if (onRecordingComplete) {
+      onRecordingComplete(recordingData);
+    }
+  };
+  
+  const sendRecording = () => finishRecording(false);
+  
   // Handle recording stop
   const handlePressOut = async () => {
-    if (!isRecording) return;
+    // A locked recording carries on until one of its buttons is used
+    if (!isRecording || isLocked) return;
     
     if (isDragCanceling) {
-      // User dragged up to cancel
-      setIsDragCanceling(false);
-      dragPositionY.setValue(0);
-      
-      // Cancel recording
-      await cancelRecording();
-      
-      if (onRecordingCancel) {
-        onRecordingCancel();
-      }
-      
-      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+      // User slid left to cancel
+      await discardRecording();
     } else {
       // Normal recording completion
-      const recordingData = await stopRecording();
-      
-      if (recordingData && onRecordingComplete) {
-        onRecordingComplete(recordingData);
-      }
+      await finishRecording(reviewBeforeSend);
     }
   };
   
-  // Handle touch movement for cancel gesture
+  // Handle touch movement: slide up to lock, slide left to cancel
   const handleTouchMove = (event) => {
-    if (!isRecording) return;
+    if (!isRecording || isLocked) return;
     
-    // Get the vertical movement distance
-    const { locationY } = event.nativeEvent;
-    const startY = event.nativeEvent.pageY - locationY;
-    const moveDistance = startY - 100; // Adjust based on your UI
+    const { pageX, pageY } = event.nativeEvent;
+    const moveX = pageX - touchStartRef.current.x;
+    const moveY = pageY - touchStartRef.current.y;
     
-    // If user dragged up more than threshold, activate cancel mode
-    if (moveDistance < -70) {
+    if (moveY < -LOCK_DISTANCE) {
+      setIsLocked(true);
+      setIsDragCanceling(false);
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    } else if (moveX < -CANCEL_DISTANCE) {
       if (!isDragCanceling) {
         setIsDragCanceling(true);
         Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
@@ -139,12 +313,128 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
     }
   };
   
+  // Pause or resume a locked recording
+  const handlePauseResume = () => {
+    if (isPaused) {
+      resumeRecording();
+    } else {
+      pauseRecording();
+    }
+  };
+  
+  // Finish a locked recording and review it before deciding to send
+  const handlePreview = () => finishRecording(true);
+  
+  // Remember whether recordings are reviewed before sending
+  const toggleReviewBeforeSend = () => {
+    const enabled = !reviewBeforeSend;
+    setReviewBeforeSend(enabled);
+    saveReviewBeforeSend(enabled).catch(() => {});
+  };
+  
+  // Remember whether long pauses are cut down when recordings are sent
+  const toggleShortenPauses = () => {
+    const enabled = !shortenPauses;
+    setShortenPauses(enabled);
+    saveShortenPauses(enabled).catch(() => {});
+  };
+  
+  // Apply the trim chosen in the review, writing the kept part as a new file
+  const keepRange = async (range) => {
+    if (!range) return draftRecording;
+    
+    setIsEditingDraft(true);
+    try {
+      return await trimRecording(draftRecording, range.start, range.end);
+    } finally {
+      setIsEditingDraft(false);
+    }
+  };
+  
+  // Send the reviewed recording
+  const handleSendDraft = async (range) => {
+    try {
+      const recordingData = await keepRange(range);
+      setDraftRecording(null);
+      
+      if (onRecordingComplete) {
+        onRecordingComplete(recordingData);
+      }
+    } catch (error) {
+      console.error('Failed to send reviewed recording:', error);
+    }
+  };
+  
+  // Record more audio to add to the end of the reviewed recording
+  const handleAppendDraft = async (range) => {
+    try {
+      const kept = await keepRange(range);
+      setDraftRecording(null);
+      setAppendTarget(kept);
+      
+      if (!(await startHandsFree())) {
+        setAppendTarget(null);
+        setDraftRecording(kept);
+      }
+    } catch (error) {
+      console.error('Failed to add to recording:', error);
+    }
+  };
+  
+  // Throw the reviewed recording away and record a new one
+  const handleRerecord = async () => {
+    setDraftRecording(null);
+    updateDraft(null);
+    
+    if (onRecordingCancel) {
+      onRecordingCancel();
+    }
+    
+    await startHandsFree();
+  };
+  
+  // Throw away the reviewed recording
+  const handleDiscardDraft = () => {
+    setDraftRecording(null);
+    updateDraft(null);
+    
+    if (onRecordingCancel) {
+      onRecordingCancel();
+    }
+    
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+  };
+  
   // Interpolate animation values
   const pulseOpacity = pulseAnim.interpolate({
     inputRange: [0, 1],
     outputRange: [1, 0.6],
   });
   
+  // Pad the live levels so the waveform fills its width and scrolls from the right
+  const liveWaveformBars = [
+    ...Array(Math.max(LIVE_WAVEFORM_BARS - liveWaveform.length, 0)).fill(0),
+    ...liveWaveform.slice(-LIVE_WAVEFORM_BARS),
+  ];
+  
+  // Reviewing a finished recording
+  if (draftRecording) {
+    return (
+      <View style={styles.container}>
+        <RecordingReview
+          recording={draftRecording}
+          canEdit={isEditableAudio(draftRecording.uri, draftRecording.duration)}
+          editNote={editUnavailableReason(draftRecording)}
+          busy={isEditingDraft}
+          onSend={handleSendDraft}
+          onAppend={handleAppendDraft}
+          onRerecord={handleRerecord}
+          onDiscard={handleDiscardDraft}
+        />
+      </View>
+    );
+  }
+  
   // Button color based on state
   const buttonColor = isDragCanceling 
     ? '#FF3B30' // Red for cancel
@@ -154,7 +444,7 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
   
   return (
     <View style={styles.container} className="audio-recorder-component">
-      {isRecording && (
+      {isRecording && !isLocked && (
         <Animated.View 
           style={[
             styles.cancelHint,
@@ -164,45 +454,95 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
             }
           ]}
         >
-          <Ionicons name="arrow-up" size={20} color="#FF3B30" />
-          <Text style={styles.cancelHintText}>
-            {isDragCanceling ? "Release to cancel" : "Slide up to cancel"}
-          </Text>
+          {isDragCanceling ? (
+            <>
+              <Ionicons name="close" size={20} color="#FF3B30" />
+              <Text style={styles.cancelHintText}>Release to cancel</Text>
+            </>
+          ) : (
+            <>
+              <Ionicons name="lock-closed-outline" size={18} color="#5A67F2" />
+              <Text style={styles.lockHintText}>Slide up to lock</Text>
+              <Ionicons name="arrow-back" size={18} color="#FF3B30" style={styles.cancelHintIcon} />
+              <Text style={styles.cancelHintText}>Slide left to cancel</Text>
+            </>
+          )}
         </Animated.View>
       )}
       
-      <Animated.View
-        style={[
-          styles.recordButtonContainer,
-          {
-            transform: [{ scale: scaleAnim }]
-          }
-        ]}
-      >
-        <Pressable
-          onPressIn={handlePressIn}
-          onPressOut={handlePressOut}
-          onTouchMove={handleTouchMove}
-          style={({ pressed }) => [
-            styles.recordButton,
+      {isLocked ? (
+        <View style={styles.lockedControls}>
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={discardRecording}
+            disabled={isProcessingRecording}
+            accessibilityLabel="Discard recording"
+          >
+            <Ionicons name="trash-outline" size={22} color="#FF3B30" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={handlePauseResume}
+            disabled={isProcessingRecording}
+            accessibilityLabel={isPaused ? 'Resume recording' : 'Pause recording'}
+          >
+            <Ionicons name={isPaused ? 'mic' : 'pause'} size={22} color="#FF9500" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={handlePreview}
+            disabled={isProcessingRecording}
+            accessibilityLabel="Stop and preview recording"
+          >
+            <Ionicons name="play" size={22} color="#5A67F2" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.controlButton, styles.sendButton]}
+            onPress={sendRecording}
+            disabled={isProcessingRecording}
+            accessibilityLabel="Send recording"
+          >
+            {isProcessingRecording ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : (
+              <Ionicons name="send" size={20} color="#FFFFFF" />
+            )}
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <Animated.View
+          style={[
+            styles.recordButtonContainer,
             {
-              backgroundColor: buttonColor,
-              opacity: pressed && !isRecording ? 0.9 : 1,
+              transform: [{ scale: scaleAnim }]
             }
           ]}
-          disabled={isProcessingRecording}
         >
-          {isProcessingRecording ? (
-            <ActivityIndicator color="#FFFFFF" size="small" />
-          ) : isRecording ? (
-            <Animated.View style={{ opacity: pulseOpacity }}>
-              <MaterialCommunityIcons name="stop" size={24} color="#FFFFFF" />
-            </Animated.View>
-          ) : (
-            <Ionicons name="mic" size={24} color="#FFFFFF" />
-          )}
-        </Pressable>
-      </Animated.View>
+          <Pressable
+            onPressIn={handlePressIn}
+            onPressOut={handlePressOut}
+            onTouchMove={handleTouchMove}
+            style={({ pressed }) => [
+              styles.recordButton,
+              {
+                backgroundColor: buttonColor,
+                opacity: pressed && !isRecording ? 0.9 : 1,
+              }
+            ]}
+            disabled={isProcessingRecording}
+          >
+            {isProcessingRecording ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : isRecording ? (
+              <Animated.View style={{ opacity: pulseOpacity }}>
+                <MaterialCommunityIcons name="stop" size={24} color="#FFFFFF" />
+              </Animated.View>
+            ) : (
+              <Ionicons name="mic" size={24} color="#FFFFFF" />
+            )}
+          </Pressable>
+        </Animated.View>
+      )}
       
       {isRecording ? (
         <View style={styles.recordingInfo}>
@@ -210,17 +550,56 @@ const AudioRecorder = ({ onRecordingComplete, onRecordingCancel }) => {
             <Animated.View
               style={[
                 styles.recordingIndicator,
+                isPaused && styles.pausedIndicator,
                 { opacity: pulseOpacity }
               ]}
             />
-            <Text style={styles.recordingText}>Recording</Text>
+            <Text style={[styles.recordingText, isPaused && styles.pausedText]}>
+              {isPaused ? 'Paused' : appendTarget ? 'Adding' : 'Recording'}
+            </Text>
           </View>
+          <WaveformVisualizer
+            waveform={liveWaveformBars}
+            isPlaying={true}
+            playbackPosition={1}
+            isUserMessage={false}
+            style={styles.liveWaveform}
+            maxBarHeight={24}
+          />
           <Text style={styles.timerText}>{formatTime(recordingTime)}</Text>
         </View>
       ) : (
-        <Text style={styles.hintText}>
-          Hold to record voice message
-        </Text>
+        <>
+          <Text style={styles.hintText}>
+            {isEditingDraft ? 'Adding to recording…' : 'Hold to record voice message'}
+          </Text>
+          <TouchableOpacity
+            style={styles.reviewToggle}
+            onPress={toggleReviewBeforeSend}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: reviewBeforeSend }}
+          >
+            <Ionicons
+              name={reviewBeforeSend ? 'checkbox' : 'square-outline'}
+              size={16}
+              color="#5A67F2"
+            />
+            <Text style={styles.reviewToggleText}>Review before sending</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.reviewToggle}
+            onPress={toggleShortenPauses}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: shortenPauses }}
+          >
+            <Ionicons
+              name={shortenPauses ? 'checkbox' : 'square-outline'}
+              size={16}
+              color="#5A67F2"
+            />
+            <Text style={styles.reviewToggleText}>Shorten long pauses</Text>
+          </TouchableOpacity>
+        </>
       )}
     </View>
   );
@@ -252,9 +631,15 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'space-between',
     width: '100%',
-    maxWidth: 200,
+    maxWidth: 300,
     marginTop: 8,
   },
+  liveWaveform: {
+    flex: 1,
+    height: 28,
+    justifyContent: 'center',
+    marginHorizontal: 8,
+  },
   recordingStatusContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -297,6 +682,49 @@ const styles = StyleSheet.create({
     marginLeft: 4,
     fontWeight: '500',
   },
+  cancelHintIcon: {
+    marginLeft: 12,
+  },
+  lockHintText: {
+    fontSize: 14,
+    color: '#5A67F2',
+    marginLeft: 4,
+    fontWeight: '500',
+  },
+  pausedIndicator: {
+    backgroundColor: '#FF9500',
+  },
+  pausedText: {
+    color: '#FF9500',
+  },
+  lockedControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    width: '100%',
+    maxWidth: 300,
+  },
+  controlButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F2F2F7',
+  },
+  sendButton: {
+    backgroundColor: '#5A67F2',
+  },
+  reviewToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  reviewToggleText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 4,
+  },
 });
 
 export default React.memo(AudioRecorder);
\ No newline at end of file
@@ -1,3 +1,27 @@
+interface WaveformMarker {
+  kind: string;
+  label: string;
+  timestamp: number;
+  endTime?: number | null;
+}
+
+interface TrimRange {
+  start: number;
+  end: number;
+}
+
+interface WaveformHighlight {
+  id: string;
+  start: number;
+  end: number;
+  color: string;
+}
+
+interface EngagementHeatmap {
+  bins: number[];
+  hottest: number | null;
+}
+
 interface DetailedWaveformProps {
   waveform: number[];
   playbackPosition: number;
@@ -7,6 +31,13 @@ interface DetailedWaveformProps {
   duration: number;
   showTimestamps: boolean;
   showSelectedMarker: boolean;
+  markers?: WaveformMarker[];
+  onMarkerPress?: (marker: WaveformMarker) => void;
+  trimRange?: TrimRange | null;
+  onTrimChange?: (range: TrimRange) => void;
+  highlights?: WaveformHighlight[];
+  heatmap?: EngagementHeatmap | null;
+  onJumpToHottest?: (timestamp: number) => void;
 }
 
 declare const DetailedWaveform: React.FC<DetailedWaveformProps>;
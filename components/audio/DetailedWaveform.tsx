@@ -1,4 +1,4 @@
-import React, { useRef, useCallback } from 'react';
+import React, { useRef, useCallback, useMemo } from 'react';
 import { 
   View, 
   StyleSheet, 
@@ -6,13 +6,48 @@ import {
   PanResponder,
   Dimensions,
   Text,
+  TouchableOpacity,
   GestureResponderEvent
 } from 'react-native';
 import * as Haptics from 'expo-haptics';
+import { Ionicons } from '@expo/vector-icons';
 import { formatTime } from '../../utils/timeUtils';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
+interface WaveformMarker {
+  kind: string;
+  label: string;
+  timestamp: number;
+  endTime?: number | null;
+}
+
+interface TrimRange {
+  start: number;
+  end: number;
+}
+
+interface WaveformHighlight {
+  id: string;
+  start: number;
+  end: number;
+  color: string;
+}
+
+interface EngagementHeatmap {
+  bins: number[];
+  hottest: number | null;
+}
+
+// Shortest part of the audio the trim handles can be squeezed to, in seconds
+const MIN_TRIM_DURATION = 1;
+
+// Marker colors by kind (see utils/speechMarkers)
+const MARKER_COLORS: Record<string, string> = {
+  section: '#6B7280',
+  keyword: '#FF9500',
+};
+
 interface DetailedWaveformProps {
   waveform: number[];
   playbackPosition: number;
@@ -22,6 +57,13 @@ interface DetailedWaveformProps {
   duration: number;
   showTimestamps?: boolean;
   showSelectedMarker?: boolean;
+  markers?: WaveformMarker[];
+  onMarkerPress?: (marker: WaveformMarker) => void;
+  trimRange?: TrimRange | null;
+  onTrimChange?: (range: TrimRange) => void;
+  highlights?: WaveformHighlight[];
+  heatmap?: EngagementHeatmap | null;
+  onJumpToHottest?: (timestamp: number) => void;
 }
 
 const DetailedWaveform: React.FC<DetailedWaveformProps> = ({ 
@@ -33,9 +75,24 @@ const DetailedWaveform: React.FC<DetailedWaveformProps> = ({
   duration = 0,
   showTimestamps = true,
   showSelectedMarker = true,
+  markers = [],
+  onMarkerPress,
+  trimRange = null,
+  onTrimChange,
+  highlights = [],
+  heatmap = null,
+  onJumpToHottest,
 }) => {
   const containerRef = useRef<View>(null);
   const layoutWidth = useRef<number>(0);
+  
+  // Latest trim props, read by the handle gestures
+  const trimRangeRef = useRef<TrimRange | null>(trimRange);
+  const onTrimChangeRef = useRef(onTrimChange);
+  const durationRef = useRef(duration);
+  trimRangeRef.current = trimRange;
+  onTrimChangeRef.current = onTrimChange;
+  durationRef.current = duration;
 
   // Calculate selected position as a percentage
   const selectedPosition = selectedTimestamp !== null && duration > 0
@@ -67,6 +124,34 @@ const DetailedWaveform: React.FC<DetailedWaveformProps> = ({
     })
   ).current;
 
+  // Dragging a trim handle moves that edge of the kept range (positions are fractions of the audio)
+  const createTrimResponder = (edge: keyof TrimRange) => {
+    let dragStart = 0;
+    
+    return PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: () => {
+        dragStart = trimRangeRef.current ? trimRangeRef.current[edge] : 0;
+        Haptics.selectionAsync();
+      },
+      onPanResponderMove: (_evt, gestureState) => {
+        const range = trimRangeRef.current;
+        if (!range || !layoutWidth.current || !onTrimChangeRef.current) return;
+        
+        const minGap = durationRef.current > 0 ? Math.min(1, MIN_TRIM_DURATION / durationRef.current) : 0;
+        const position = dragStart + gestureState.dx / layoutWidth.current;
+        
+        onTrimChangeRef.current(edge === 'start'
+          ? { start: Math.max(0, Math.min(position, range.end - minGap)), end: range.end }
+          : { start: range.start, end: Math.min(1, Math.max(position, range.start + minGap)) });
+      },
+    });
+  };
+  const startHandleResponder = useMemo(() => createTrimResponder('start'), []);
+  const endHandleResponder = useMemo(() => createTrimResponder('end'), []);
+
   // Handle touch/press on waveform
   const handleTouch = useCallback((locationX: number) => {
     if (!layoutWidth.current) return;
@@ -130,8 +215,47 @@ const DetailedWaveform: React.FC<DetailedWaveformProps> = ({
     return markers;
   }, [duration, showTimestamps]);
   
+  // Markers that fall inside the audio, with their position as a fraction.
+  // Markers at the same moment share one pill so their labels don't overlap.
+  const visibleMarkers = duration > 0
+    ? markers
+      .filter(marker => marker.timestamp >= 0 && marker.timestamp <= duration)
+      .reduce<{ marker: WaveformMarker; label: string; position: number }[]>((result, marker) => {
+        const existing = result.find(item => item.marker.timestamp === marker.timestamp);
+        if (existing) {
+          existing.label = `${existing.label} · ${marker.label}`;
+        } else {
+          result.push({ marker, label: marker.label, position: marker.timestamp / duration });
+        }
+        return result;
+      }, [])
+    : [];
+  
   return (
     <View style={styles.outerContainer}>
+      {/* Detected markers; tapping one seeks to it */}
+      {visibleMarkers.length > 0 && (
+        <View style={styles.markerTrack}>
+          {visibleMarkers.map(({ marker, label, position }, index) => (
+            <TouchableOpacity
+              key={`marker-${index}`}
+              style={[
+                styles.markerPill,
+                {
+                  left: `${position * 100}%`,
+                  backgroundColor: MARKER_COLORS[marker.kind] || MARKER_COLORS.section,
+                },
+              ]}
+              onPress={() => onMarkerPress && onMarkerPress(marker)}
+              accessibilityLabel={`${label} at ${formatTime(marker.timestamp)}`}
+              accessibilityRole="button"
+            >
+              <Text style={styles.markerText} numberOfLines={1}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      
       <TouchableWithoutFeedback 
         onLongPress={handleLongPress}
         delayLongPress={300}
@@ -142,6 +266,22 @@ const DetailedWaveform: React.FC<DetailedWaveformProps> = ({
           onLayout={onLayout}
           {...panResponder.panHandlers}
         >
+          {/* Highlighted ranges (seconds) shaded in their color behind the bars */}
+          {duration > 0 && highlights.map(highlight => (
+            <View
+              key={`highlight-${highlight.id}`}
+              pointerEvents="none"
+              style={[
+                styles.highlightRange,
+                {
+                  left: `${Math.max(0, highlight.start / duration) * 100}%`,
+                  width: `${Math.max(0, Math.min(highlight.end, duration) - highlight.start) / duration * 100}%`,
+                  backgroundColor: highlight.color,
+                },
+              ]}
+            />
+          ))}
+          
           {/* Waveform bars */}
           {waveform.map((amplitude, index) => {
             // Normalize amplitude to a reasonable height
@@ -197,10 +337,78 @@ const DetailedWaveform: React.FC<DetailedWaveformProps> = ({
             </View>
           )}
           
+          {/* Trim: dim what will be cut and show a handle at each edge */}
+          {trimRange && (
+            <>
+              <View
+                pointerEvents="none"
+                style={[styles.trimmedOut, { left: 0, width: `${trimRange.start * 100}%` }]}
+              />
+              <View
+                pointerEvents="none"
+                style={[styles.trimmedOut, { left: `${trimRange.end * 100}%`, right: 0 }]}
+              />
+              <View
+                style={[styles.trimHandle, { left: `${trimRange.start * 100}%` }]}
+                accessibilityLabel={`Trim start ${formatTime(trimRange.start * duration)}`}
+                {...startHandleResponder.panHandlers}
+              >
+                <View style={styles.trimHandleBar} />
+              </View>
+              <View
+                style={[styles.trimHandle, { left: `${trimRange.end * 100}%` }]}
+                accessibilityLabel={`Trim end ${formatTime(trimRange.end * duration)}`}
+                {...endHandleResponder.panHandlers}
+              >
+                <View style={styles.trimHandleBar} />
+              </View>
+            </>
+          )}
+          
+          {/* Detected marker lines */}
+          {visibleMarkers.map(({ marker, position }, index) => (
+            <View
+              key={`marker-line-${index}`}
+              pointerEvents="none"
+              style={[
+                styles.markerLine,
+                {
+                  left: `${position * 100}%`,
+                  backgroundColor: MARKER_COLORS[marker.kind] || MARKER_COLORS.section,
+                },
+              ]}
+            />
+          ))}
+          
           {/* Time markers */}
           {generateTimeMarkers()}
         </View>
       </TouchableWithoutFeedback>
+      
+      {/* Where reactions and replies cluster, hotter stretches in a stronger color */}
+      {heatmap && heatmap.bins.length > 0 && (
+        <>
+          <View style={styles.heatmap} accessibilityLabel="Reactions and replies over the message">
+            {heatmap.bins.map((intensity, index) => (
+              <View
+                key={`heat-${index}`}
+                style={[styles.heatmapBin, { opacity: intensity }]}
+              />
+            ))}
+          </View>
+          {heatmap.hottest !== null && onJumpToHottest && (
+            <TouchableOpacity
+              style={styles.hottestButton}
+              onPress={() => onJumpToHottest(heatmap.hottest as number)}
+              accessibilityLabel={`Jump to the hottest moment at ${formatTime(heatmap.hottest)}`}
+              accessibilityRole="button"
+            >
+              <Ionicons name="flame" size={14} color="#FF9500" />
+              <Text style={styles.hottestText}>Hottest moment · {formatTime(heatmap.hottest)}</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
     </View>
   );
 };
@@ -261,6 +469,88 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  highlightRange: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    opacity: 0.25,
+  },
+  trimmedOut: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(255, 255, 255, 0.7)',
+    zIndex: 15,
+  },
+  trimHandle: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 24,
+    marginLeft: -12,
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 25,
+  },
+  trimHandleBar: {
+    width: 6,
+    height: '100%',
+    borderRadius: 3,
+    backgroundColor: '#FF9500',
+  },
+  markerTrack: {
+    height: 22,
+    position: 'relative',
+  },
+  markerPill: {
+    position: 'absolute',
+    top: 0,
+    maxWidth: 90,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+    borderBottomLeftRadius: 0,
+  },
+  markerText: {
+    color: '#FFFFFF',
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  markerLine: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 1,
+    opacity: 0.6,
+  },
+  heatmap: {
+    flexDirection: 'row',
+    height: 8,
+    marginTop: 4,
+    borderRadius: 4,
+    overflow: 'hidden',
+    backgroundColor: '#F2F2F7',
+  },
+  heatmapBin: {
+    flex: 1,
+    backgroundColor: '#FF9500',
+  },
+  hottestButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 149, 0, 0.12)',
+  },
+  hottestText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FF9500',
+    marginLeft: 4,
+  },
   timeMarker: {
     position: 'absolute',
     bottom: 0,
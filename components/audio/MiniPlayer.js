@@ -0,0 +1,130 @@
+import React, { useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useAudioPlayer from '../../hooks/useAudioPlayer';
+import { formatTime } from '../../utils/timeUtils';
+import { toListeningTime } from '../../utils/playbackRate';
+
+/**
+ * Compact player for the autoplay queue, shown above the recorder
+ *
+ * @param {Object} props
+ * @param {Object} props.message - Audio message currently queued
+ * @param {number} props.position - 1-based position of the message in the queue
+ * @param {number} props.total - Number of messages in the queue
+ * @param {boolean} props.chiming - Whether the chime between messages is playing
+ * @param {Function} props.onSkip - Callback to skip to the next message
+ * @param {Function} props.onClose - Callback to stop the queue
+ */
+const MiniPlayer = ({ message, position, total, chiming = false, onSkip, onClose }) => {
+  const {
+    isPlaying,
+    playbackPosition,
+    positionMillis,
+    rate,
+    play,
+    pause,
+  } = useAudioPlayer(message.id);
+
+  const hasNext = position < total;
+  const remainingSeconds = Math.max(0, message.audioDuration - positionMillis / 1000);
+
+  const handlePlayPause = useCallback(() => {
+    const action = isPlaying ? pause() : play(message.audioUri, message.id);
+    action.catch(error => {
+      console.error('Audio playback error:', error);
+    });
+  }, [isPlaying, pause, play, message.audioUri, message.id]);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${playbackPosition * 100}%` }]} />
+      </View>
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={styles.playButton}
+          onPress={handlePlayPause}
+          accessibilityLabel={isPlaying ? 'Pause' : 'Play'}
+        >
+          <Ionicons name={isPlaying ? 'pause' : 'play'} size={20} color="#FFFFFF" />
+        </TouchableOpacity>
+
+        <View style={styles.info}>
+          <Text style={styles.title} numberOfLines={1}>
+            {chiming ? 'Up next…' : message.senderName || 'Voice message'}
+          </Text>
+          <Text style={styles.subtitle}>
+            {position} of {total} · {formatTime(toListeningTime(remainingSeconds, rate))} left
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={onSkip}
+          disabled={!hasNext}
+          accessibilityLabel="Skip to next message"
+        >
+          <Ionicons name="play-skip-forward" size={22} color={hasNext ? '#5A67F2' : '#CCCCCC'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={onClose}
+          accessibilityLabel="Stop playing queue"
+        >
+          <Ionicons name="close" size={22} color="#666" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 1,
+    borderTopColor: '#EAEAEA',
+  },
+  progressTrack: {
+    height: 2,
+    backgroundColor: 'rgba(90, 103, 242, 0.15)',
+  },
+  progressFill: {
+    height: 2,
+    backgroundColor: '#5A67F2',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  playButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#5A67F2',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
+
+export default React.memo(MiniPlayer);
@@ -0,0 +1,9 @@
+import { ViewStyle } from 'react-native';
+
+interface PlaybackRateButtonProps {
+  isDark?: boolean;
+  style?: ViewStyle;
+}
+
+declare const PlaybackRateButton: React.FC<PlaybackRateButtonProps>;
+export default PlaybackRateButton;
@@ -0,0 +1,66 @@
+import React, { useCallback } from 'react';
+import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { usePlayerRate } from '../../hooks/useAudioPlayer';
+import { setRate } from '../../services/playbackController';
+import { formatPlaybackRate, nextPlaybackRate } from '../../utils/playbackRate';
+
+/**
+ * Pill showing the listening speed; tapping steps to the next speed
+ *
+ * @param {Object} props
+ * @param {boolean} props.isDark - Whether the button sits on a dark (user message) background
+ * @param {Object} props.style - Additional styles for the button
+ */
+const PlaybackRateButton = ({ isDark = false, style }) => {
+  const rate = usePlayerRate();
+
+  const handlePress = useCallback(() => {
+    Haptics.selectionAsync();
+    setRate(nextPlaybackRate(rate)).catch(error => {
+      console.error('Error changing playback rate:', error);
+    });
+  }, [rate]);
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, isDark ? styles.darkButton : styles.lightButton, style]}
+      onPress={handlePress}
+      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+      accessibilityLabel={`Playback speed ${formatPlaybackRate(rate)}`}
+      accessibilityHint="Changes the playback speed"
+    >
+      <Text style={[styles.text, isDark ? styles.darkText : styles.lightText]}>
+        {formatPlaybackRate(rate)}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  button: {
+    minWidth: 40,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  lightButton: {
+    backgroundColor: 'rgba(90, 103, 242, 0.12)',
+  },
+  darkButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+  },
+  text: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  lightText: {
+    color: '#5A67F2',
+  },
+  darkText: {
+    color: '#FFFFFF',
+  },
+});
+
+export default React.memo(PlaybackRateButton);
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DetailedWaveform from './DetailedWaveform';
+import useAudioPlayer from '../../hooks/useAudioPlayer';
+import { formatTime } from '../../utils/timeUtils';
+
+// Trim range covering the whole recording (fractions of its duration)
+const FULL_RANGE = { start: 0, end: 1 };
+
+/**
+ * Review step for a finished recording: listen back, trim, re-record, add more, or send
+ *
+ * @param {Object} props
+ * @param {Object} props.recording - Recording info ({ uri, duration, waveform })
+ * @param {boolean} props.canEdit - Whether the recording can be trimmed and appended to
+ * @param {string} [props.editNote] - Why the recording can't be edited, shown instead of the trim hint
+ * @param {boolean} props.busy - Whether an edit is being written
+ * @param {Function} props.onSend - Called with the range to keep ({ start, end } in seconds), or null for all of it
+ * @param {Function} props.onAppend - Called with the range to keep before recording more
+ * @param {Function} props.onRerecord - Callback to throw the recording away and record again
+ * @param {Function} props.onDiscard - Callback to throw the recording away
+ */
+const RecordingReview = ({
+  recording,
+  canEdit = false,
+  editNote = null,
+  busy = false,
+  onSend,
+  onAppend,
+  onRerecord,
+  onDiscard,
+}) => {
+  // Each version of the draft is its own file, so it gets its own player ID
+  const audioId = `recording-preview:${recording.uri}`;
+  const {
+    isPlaying,
+    positionMillis,
+    durationMillis,
+    load,
+    play,
+    pause,
+    seek,
+    stop,
+  } = useAudioPlayer(audioId);
+
+  const [trimRange, setTrimRange] = useState(FULL_RANGE);
+
+  // The recorder only counts whole seconds; prefer the length of the file once it's loaded
+  const duration = durationMillis > 0 ? durationMillis / 1000 : recording.duration;
+  const trimStart = trimRange.start * duration;
+  const trimEnd = trimRange.end * duration;
+  const isTrimmed = trimRange.start > 0 || trimRange.end < 1;
+  const playbackPosition = duration > 0 ? positionMillis / 1000 / duration : 0;
+
+  // Load the draft for playback, and let go of it when the review closes
+  useEffect(() => {
+    setTrimRange(FULL_RANGE);
+    load(recording.uri, audioId).catch(error => {
+      console.error('Failed to load recording', error);
+    });
+    return () => {
+      stop(audioId);
+    };
+  }, [audioId]);
+
+  // Only play what will be kept
+  useEffect(() => {
+    if (isPlaying && positionMillis / 1000 >= trimEnd) {
+      pause()
+        .then(() => seek(trimStart * 1000))
+        .catch(error => console.error('Audio playback error:', error));
+    }
+  }, [isPlaying, positionMillis, trimStart, trimEnd, pause, seek]);
+
+  const handlePlayPause = useCallback(() => {
+    if (isPlaying) {
+      pause().catch(error => console.error('Audio playback error:', error));
+      return;
+    }
+
+    // Start from the trim start unless paused inside the kept range
+    const position = positionMillis / 1000;
+    const from = position < trimStart || position >= trimEnd ? trimStart : position;
+    play(recording.uri, audioId, { positionMillis: from * 1000 })
+      .catch(error => console.error('Audio playback error:', error));
+  }, [isPlaying, positionMillis, trimStart, trimEnd, pause, play, recording.uri, audioId]);
+
+  // Tapping the waveform seeks inside the kept range
+  const handleWaveformPress = useCallback((position) => {
+    const clamped = Math.max(trimRange.start, Math.min(trimRange.end, position));
+    seek(clamped * duration * 1000);
+  }, [trimRange, duration, seek]);
+
+  const keptRange = () => (isTrimmed ? { start: trimStart, end: trimEnd } : null);
+
+  return (
+    <View style={styles.container}>
+      <DetailedWaveform
+        waveform={recording.waveform || []}
+        playbackPosition={playbackPosition}
+        onPress={handleWaveformPress}
+        onLongPress={() => {}}
+        selectedTimestamp={null}
+        duration={duration}
+        showTimestamps={false}
+        showSelectedMarker={false}
+        trimRange={canEdit ? trimRange : null}
+        onTrimChange={setTrimRange}
+      />
+
+      <View style={styles.timeRow}>
+        <TouchableOpacity
+          style={styles.playButton}
+          onPress={handlePlayPause}
+          accessibilityLabel={isPlaying ? 'Pause recording' : 'Play recording'}
+        >
+          <Ionicons name={isPlaying ? 'pause' : 'play'} size={18} color="#FFFFFF" />
+        </TouchableOpacity>
+        <Text style={styles.timeText}>
+          {isTrimmed
+            ? `${formatTime(trimStart)} – ${formatTime(trimEnd)} · ${formatTime(trimEnd - trimStart)}`
+            : formatTime(duration)}
+        </Text>
+        {canEdit && (
+          <Text style={styles.trimHint}>Drag the handles to trim</Text>
+        )}
+        {!canEdit && !!editNote && (
+          <Text style={styles.trimHint}>{editNote}</Text>
+        )}
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={onDiscard}
+          disabled={busy}
+          accessibilityLabel="Discard recording"
+        >
+          <Ionicons name="trash-outline" size={22} color="#FF3B30" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={onRerecord}
+          disabled={busy}
+          accessibilityLabel="Discard and record again"
+        >
+          <Ionicons name="refresh" size={22} color="#666" />
+        </TouchableOpacity>
+        {canEdit && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => onAppend(keptRange())}
+            disabled={busy}
+            accessibilityLabel="Record more"
+          >
+            <Ionicons name="add" size={24} color="#5A67F2" />
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.actionButton, styles.sendButton]}
+          onPress={() => onSend(keptRange())}
+          disabled={busy}
+          accessibilityLabel="Send recording"
+        >
+          {busy ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <Ionicons name="send" size={20} color="#FFFFFF" />
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  playButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#5A67F2',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 8,
+  },
+  timeText: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500',
+  },
+  trimHint: {
+    flex: 1,
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'right',
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  actionButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F2F2F7',
+  },
+  sendButton: {
+    backgroundColor: '#5A67F2',
+  },
+});
+
+export default React.memo(RecordingReview);
@@ -12,6 +12,7 @@ interface WaveformVisualizerProps {
   waveform: number[];
   isPlaying: boolean;
   playbackPosition: number;
+  resumePosition?: number;
   isUserMessage: boolean;
   style?: ViewStyle;
   barWidth?: number;
@@ -24,6 +25,7 @@ const WaveformVisualizer: React.FC<WaveformVisualizerProps> = ({
   waveform = [], 
   isPlaying = false,
   playbackPosition = 0,
+  resumePosition = 0,
   isUserMessage = true,
   style,
   barWidth = 2,
@@ -34,6 +36,8 @@ const WaveformVisualizer: React.FC<WaveformVisualizerProps> = ({
   // Define colors based on message sender and playback state
   const activeColor = isUserMessage ? '#FFFFFF' : '#5A67F2';
   const inactiveColor = isUserMessage ? 'rgba(255, 255, 255, 0.5)' : 'rgba(90, 103, 242, 0.4)';
+  // Part already listened to, shown while the message isn't playing
+  const partialColor = isUserMessage ? 'rgba(255, 255, 255, 0.75)' : 'rgba(90, 103, 242, 0.7)';
   
   // Calculate which bars should be highlighted based on playback position
   const highlightedBars = Math.floor(waveform.length * playbackPosition);
@@ -77,6 +81,9 @@ const WaveformVisualizer: React.FC<WaveformVisualizerProps> = ({
     return sampledWaveform;
   }, [waveform, barWidth, barGap]);
   
+  // Bars covered by the partial-progress overlay, in terms of the displayed bars
+  const resumedBars = resumePosition > 0 ? Math.floor(optimizedWaveform.length * resumePosition) : -1;
+  
   return (
     <View style={[styles.container, style]}>
       {optimizedWaveform.map((amplitude, index) => {
@@ -85,6 +92,7 @@ const WaveformVisualizer: React.FC<WaveformVisualizerProps> = ({
         
         // Determine if this bar should be highlighted
         const isHighlighted = isPlaying && index <= highlightedBars;
+        const isResumed = !isPlaying && index <= resumedBars;
         
         return (
           <Animated.View
@@ -94,7 +102,7 @@ const WaveformVisualizer: React.FC<WaveformVisualizerProps> = ({
               {
                 height,
                 width: barWidth,
-                backgroundColor: isHighlighted ? activeColor : inactiveColor,
+                backgroundColor: isHighlighted ? activeColor : isResumed ? partialColor : inactiveColor,
                 marginHorizontal: barGap / 2,
               },
             ]}
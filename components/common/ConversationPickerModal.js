@@ -0,0 +1,145 @@
+import React from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  FlatList,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Sheet listing conversations to pick one to send something to
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is visible
+ * @param {string} props.title - Heading describing what is being sent
+ * @param {Array} props.conversations - Conversations to choose from (null while loading)
+ * @param {boolean} props.sending - Whether the pick is being sent, which disables the list
+ * @param {Function} props.onSelect - Callback with the chosen conversation
+ * @param {Function} props.onClose - Callback when the sheet is closed
+ */
+const ConversationPickerModal = ({
+  visible,
+  title,
+  conversations,
+  sending = false,
+  onSelect,
+  onClose,
+}) => {
+  const renderConversation = ({ item }) => (
+    <TouchableOpacity
+      style={styles.row}
+      onPress={() => onSelect(item)}
+      disabled={sending}
+      accessibilityLabel={`Send to ${item.participantName}`}
+    >
+      <View style={styles.avatar}>
+        <Text style={styles.avatarText}>{item.participantName.charAt(0).toUpperCase()}</Text>
+      </View>
+      <Text style={styles.name} numberOfLines={1}>{item.participantName}</Text>
+      <Ionicons name="send" size={16} color="#5A67F2" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      transparent
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+      <View style={styles.sheet}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{title}</Text>
+          {sending && <ActivityIndicator size="small" color="#5A67F2" style={styles.spinner} />}
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color="#333" />
+          </TouchableOpacity>
+        </View>
+
+        {conversations ? (
+          <FlatList
+            data={conversations}
+            renderItem={renderConversation}
+            keyExtractor={item => item.id}
+          />
+        ) : (
+          <ActivityIndicator style={styles.loading} size="large" color="#5A67F2" />
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    maxHeight: 480,
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  title: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  spinner: {
+    marginRight: 8,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  avatar: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#5A67F2',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  avatarText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  name: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  loading: {
+    marginVertical: 40,
+  },
+});
+
+export default React.memo(ConversationPickerModal);
@@ -6,6 +6,8 @@ interface TagBubbleProps {
   style?: ViewStyle;
   textStyle?: TextStyle;
   selected?: boolean;
+  color?: string;
+  icon?: string;
 }
 
 declare const TagBubble: React.FC<TagBubbleProps>;
@@ -1,5 +1,8 @@
 import React, { memo } from 'react';
 import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useTags from '../../hooks/useTags';
+import { getDefaultTagColor } from '../../utils/tagUtils';
 
 /**
  * TagBubble component for message tags
@@ -8,40 +11,27 @@ import { Text, StyleSheet, TouchableOpacity } from 'react-native';
  * @param {string} props.label - Tag text
  * @param {Function} props.onPress - Callback when tag is pressed
  * @param {boolean} props.isDark - Whether to use dark mode styling
+ * @param {boolean} props.selected - Whether the tag is selected (e.g. in a filter)
+ * @param {string} props.color - Color override (defaults to the registered tag color)
+ * @param {string} props.icon - Ionicons name override (defaults to the registered tag icon)
  * @param {object} props.style - Additional styles
  */
-const TagBubble = ({ label, onPress, isDark = false, style }) => {
-  // Generate a consistent but semi-random color based on the tag text
-  const getTagColor = (text) => {
-    const colors = [
-      '#FF9500', // Orange
-      '#34C759', // Green
-      '#AF52DE', // Purple
-      '#FF2D55', // Pink
-      '#5856D6', // Indigo
-      '#007AFF', // Blue
-      '#00C7BE', // Teal
-      '#FF3B30', // Red
-    ];
-    
-    // Simple hash function to generate consistent index
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      hash = text.charCodeAt(i) + ((hash << 5) - hash);
-    }
-    
-    const index = Math.abs(hash) % colors.length;
-    return colors[index];
-  };
+const TagBubble = ({ label, onPress, isDark = false, selected = false, color, icon, style }) => {
+  // Use the color and icon chosen in the tag registry, falling back to a color based on the name
+  const { findTag } = useTags();
+  const registeredTag = findTag(label);
   
-  const tagColor = getTagColor(label);
+  const tagColor = color || (registeredTag && registeredTag.color) || getDefaultTagColor(label);
+  const tagIcon = icon || (registeredTag && registeredTag.icon);
   
-  // Adjust colors for dark mode
-  const backgroundColor = isDark 
-    ? `${tagColor}50` // Add 50% transparency
-    : `${tagColor}20`; // Add 20% transparency
+  // Adjust colors for dark mode; selected tags use the solid color
+  const backgroundColor = selected
+    ? tagColor
+    : isDark 
+      ? `${tagColor}50` // Add 50% transparency
+      : `${tagColor}20`; // Add 20% transparency
   
-  const textColor = isDark ? '#FFFFFF' : tagColor;
+  const textColor = isDark || selected ? '#FFFFFF' : tagColor;
   
   return (
     <TouchableOpacity
@@ -54,7 +44,11 @@ const TagBubble = ({ label, onPress, isDark = false, style }) => {
       activeOpacity={0.7}
       accessibilityLabel={`Tag: ${label}`}
       accessibilityRole="button"
+      accessibilityState={{ selected }}
     >
+      {tagIcon && (
+        <Ionicons name={tagIcon} size={12} color={textColor} style={styles.icon} />
+      )}
       <Text style={[styles.label, { color: textColor }]}>
         {label}
       </Text>
@@ -68,6 +62,11 @@ const styles = StyleSheet.create({
     paddingVertical: 4,
     borderRadius: 12,
     margin: 2,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  icon: {
+    marginRight: 4,
   },
   label: {
     fontSize: 12,
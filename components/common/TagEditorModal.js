@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  TextInput,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import TagBubble from './TagBubble';
+import { TAG_COLORS, TAG_ICONS, getDefaultTagColor, normalizeTagName } from '../../utils/tagUtils';
+
+/**
+ * Sheet for editing a registered tag: rename, color, icon, merge and delete
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is visible
+ * @param {Object} props.tag - Tag being edited ({ id, name, color, icon, messageCount })
+ * @param {Array} props.otherTags - Tags this one can be merged into
+ * @param {Function} props.onRename - Callback with the new name
+ * @param {Function} props.onChangeStyle - Callback with { color, icon }
+ * @param {Function} props.onMerge - Callback with the tag to merge into
+ * @param {Function} props.onDelete - Callback to delete the tag
+ * @param {Function} props.onClose - Callback when the sheet is closed
+ */
+const TagEditorModal = ({
+  visible,
+  tag,
+  otherTags = [],
+  onRename,
+  onChangeStyle,
+  onMerge,
+  onDelete,
+  onClose,
+}) => {
+  const [name, setName] = useState('');
+
+  // Start from the current name whenever another tag is opened
+  useEffect(() => {
+    setName(tag ? tag.name : '');
+  }, [tag && tag.id, tag && tag.name]);
+
+  if (!tag) return null;
+
+  const trimmedName = normalizeTagName(name);
+  const canRename = trimmedName.length > 0 && trimmedName !== tag.name;
+  const currentColor = tag.color || getDefaultTagColor(tag.name);
+
+  return (
+    <Modal
+      transparent
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+      <KeyboardAvoidingView behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <TagBubble label={tag.name} />
+            <Text style={styles.countText}>
+              {tag.messageCount} {tag.messageCount === 1 ? 'message' : 'messages'}
+            </Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            {/* Rename */}
+            <Text style={styles.sectionTitle}>Name</Text>
+            <View style={styles.nameRow}>
+              <TextInput
+                style={styles.nameInput}
+                value={name}
+                onChangeText={setName}
+                placeholder="Tag name"
+                autoCorrect={false}
+                returnKeyType="done"
+                onSubmitEditing={() => canRename && onRename(trimmedName)}
+              />
+              <TouchableOpacity
+                style={[styles.saveButton, !canRename && styles.saveButtonDisabled]}
+                onPress={() => onRename(trimmedName)}
+                disabled={!canRename}
+              >
+                <Text style={styles.saveButtonText}>Rename</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* Color */}
+            <Text style={styles.sectionTitle}>Color</Text>
+            <View style={styles.swatchRow}>
+              {TAG_COLORS.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  style={[
+                    styles.swatch,
+                    { backgroundColor: color },
+                    color === currentColor && styles.swatchSelected,
+                  ]}
+                  onPress={() => onChangeStyle({ color, icon: tag.icon })}
+                  accessibilityLabel={`Color ${color}`}
+                  accessibilityState={{ selected: color === currentColor }}
+                />
+              ))}
+            </View>
+
+            {/* Icon */}
+            <Text style={styles.sectionTitle}>Icon</Text>
+            <View style={styles.iconRow}>
+              <TouchableOpacity
+                style={[styles.iconOption, !tag.icon && styles.iconOptionSelected]}
+                onPress={() => onChangeStyle({ color: tag.color, icon: null })}
+                accessibilityLabel="No icon"
+              >
+                <Ionicons name="remove" size={18} color="#999" />
+              </TouchableOpacity>
+              {TAG_ICONS.map(icon => (
+                <TouchableOpacity
+                  key={icon}
+                  style={[styles.iconOption, icon === tag.icon && styles.iconOptionSelected]}
+                  onPress={() => onChangeStyle({ color: tag.color, icon })}
+                  accessibilityLabel={`Icon ${icon}`}
+                >
+                  <Ionicons name={icon} size={18} color={currentColor} />
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Merge */}
+            {otherTags.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Merge into</Text>
+                <View style={styles.mergeRow}>
+                  {otherTags.map(other => (
+                    <TagBubble key={other.id} label={other.name} onPress={() => onMerge(other)} />
+                  ))}
+                </View>
+              </>
+            )}
+
+            {/* Delete */}
+            <TouchableOpacity style={styles.deleteButton} onPress={onDelete}>
+              <Ionicons name="trash-outline" size={20} color="#FF3B30" />
+              <Text style={styles.deleteText}>Delete tag</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    maxHeight: 560,
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  countText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8,
+    marginHorizontal: 16,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+  },
+  nameInput: {
+    flex: 1,
+    height: 40,
+    borderWidth: 1,
+    borderColor: '#DDDDDD',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#F8F9FA',
+    fontSize: 16,
+  },
+  saveButton: {
+    marginLeft: 10,
+    height: 40,
+    paddingHorizontal: 15,
+    backgroundColor: '#5A67F2',
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#CCCCCC',
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  swatchRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 12,
+  },
+  swatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    margin: 4,
+  },
+  swatchSelected: {
+    borderWidth: 3,
+    borderColor: '#333',
+  },
+  iconRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 12,
+  },
+  iconOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 8,
+    margin: 4,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F8F9FA',
+  },
+  iconOptionSelected: {
+    borderWidth: 2,
+    borderColor: '#5A67F2',
+  },
+  mergeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 14,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 24,
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  deleteText: {
+    fontSize: 16,
+    color: '#FF3B30',
+    marginLeft: 12,
+  },
+});
+
+export default React.memo(TagEditorModal);
@@ -10,7 +10,10 @@ import { Ionicons } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
 import AudioPlayer from '../audio/AudioPlayer';
 import TagBubble from '../common/TagBubble';
-import { formatMessageTime } from '../../utils/timeUtils';
+import ReplyQuote from './ReplyQuote';
+import ThreadBadge from './ThreadBadge';
+import useAudioPlayer from '../../hooks/useAudioPlayer';
+import { formatMessageTime, formatTime } from '../../utils/timeUtils';
 
 /**
  * Audio message component
@@ -22,6 +25,9 @@ import { formatMessageTime } from '../../utils/timeUtils';
  * @param {Function} props.onPressOptions - Callback when options button is pressed
  * @param {Function} props.onTagPress - Callback when a tag is pressed
  * @param {Function} props.onPress - Callback when message is pressed
+ * @param {Object} props.replyParent - Voice message this one replies to, if any
+ * @param {Function} props.onReplyPress - Callback when the quoted original is pressed
+ * @param {Function} props.onThreadPress - Callback to open the message's thread
  */
 const AudioMessageItem = ({
   message,
@@ -30,7 +36,20 @@ const AudioMessageItem = ({
   onPressOptions,
   onTagPress,
   onPress,
+  replyParent = null,
+  onReplyPress,
+  onThreadPress,
 }) => {
+  // Voice messages from others show a dot until they've been listened to
+  const isUnheard = !isUserMessage && !message.listenedAt;
+  
+  // Listen receipts are only shown to the sender
+  const receipts = isUserMessage ? message.listenedBy || [] : [];
+  
+  // Offer to pick up where the message was left off, unless it's already loaded in the player
+  const { currentAudioId, togglePlayback } = useAudioPlayer(message.id);
+  const canResume = !!message.resumePosition && currentAudioId !== message.id;
+  
   // Handle long press with haptic feedback
   const handleLongPress = useCallback(() => {
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
@@ -46,6 +65,25 @@ const AudioMessageItem = ({
     }
   }, [message.id, onTagPress]);
 
+  // Resume playback where it was last left off
+  const handleResume = useCallback(() => {
+    togglePlayback(message.audioUri, message.id, message.resumePosition * 1000);
+  }, [message.audioUri, message.id, message.resumePosition, togglePlayback]);
+
+  // Jump to the moment of the original this message replies to
+  const handleReplyPress = useCallback(() => {
+    if (onReplyPress) {
+      onReplyPress(message);
+    }
+  }, [message, onReplyPress]);
+
+  // Open the thread of replies to this message
+  const handleThreadPress = useCallback(() => {
+    if (onThreadPress) {
+      onThreadPress(message);
+    }
+  }, [message, onThreadPress]);
+
   // Handle press on the message bubble
   const handlePress = useCallback(() => {
     console.log('AudioMessageItem - handlePress called for message ID:', message.id);
@@ -67,11 +105,12 @@ const AudioMessageItem = ({
         isUserMessage ? styles.userContainer : styles.otherContainer,
         pressed && styles.pressedContainer,
       ]}
-      accessibilityLabel={`Audio message from ${message.senderName}, duration ${message.audioDuration} seconds`}
+      accessibilityLabel={`${isUnheard ? 'Unheard audio' : 'Audio'} message from ${message.senderName}, duration ${message.audioDuration} seconds`}
       accessibilityHint="Tap to expand. Long press for more options."
     >
       {/* Message header */}
       <View style={styles.header}>
+        {isUnheard && <View style={styles.unheardDot} />}
         {!isUserMessage && (
           <Text style={styles.senderName}>{message.senderName}</Text>
         )}
@@ -83,6 +122,16 @@ const AudioMessageItem = ({
         </Text>
       </View>
 
+      {/* Quoted original this message replies to */}
+      {message.replyTo && (
+        <ReplyQuote
+          parent={replyParent}
+          timestamp={message.replyTo.timestamp}
+          isUserMessage={isUserMessage}
+          onPress={handleReplyPress}
+        />
+      )}
+
       {/* Audio player */}
       <View style={styles.audioPlayerWrapper} pointerEvents="none">
         <AudioPlayer
@@ -92,6 +141,20 @@ const AudioMessageItem = ({
         />
       </View>
 
+      {/* Resume from the last position */}
+      {canResume && (
+        <TouchableOpacity
+          style={[styles.resumeButton, isUserMessage ? styles.userResumeButton : styles.otherResumeButton]}
+          onPress={handleResume}
+          accessibilityLabel={`Resume from ${formatTime(message.resumePosition)}`}
+        >
+          <Ionicons name="play-forward" size={12} color={isUserMessage ? '#FFFFFF' : '#5A67F2'} />
+          <Text style={[styles.resumeText, isUserMessage ? styles.userResumeText : styles.otherResumeText]}>
+            Resume from {formatTime(message.resumePosition)}
+          </Text>
+        </TouchableOpacity>
+      )}
+
       {/* Tags */}
       {message.tags && message.tags.length > 0 && (
         <View style={styles.tagsContainer}>
@@ -106,6 +169,27 @@ const AudioMessageItem = ({
         </View>
       )}
 
+      {/* Replies */}
+      {message.thread && message.thread.replyCount > 0 && (
+        <ThreadBadge
+          thread={message.thread}
+          isUserMessage={isUserMessage}
+          onPress={handleThreadPress}
+        />
+      )}
+
+      {/* Listen receipt */}
+      {receipts.length > 0 && (
+        <View style={styles.receipt}>
+          <Ionicons name="checkmark-done" size={14} color="rgba(255, 255, 255, 0.8)" />
+          <Text style={styles.receiptText} numberOfLines={1}>
+            {receipts.length === 1
+              ? `Listened by ${receipts[0].username || 'recipient'}`
+              : `Listened by ${receipts.length} people`}
+          </Text>
+        </View>
+      )}
+
       {/* Options button */}
       <TouchableOpacity
         style={styles.optionsButton}
@@ -170,6 +254,13 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 6,
   },
+  unheardDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#5A67F2',
+    marginRight: 6,
+  },
   senderName: {
     fontSize: 13,
     fontWeight: '500',
@@ -192,11 +283,47 @@ const styles = StyleSheet.create({
   audioPlayer: {
     marginVertical: 4,
   },
+  resumeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginTop: 4,
+  },
+  userResumeButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  otherResumeButton: {
+    backgroundColor: 'rgba(90, 103, 242, 0.1)',
+  },
+  resumeText: {
+    fontSize: 12,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  userResumeText: {
+    color: '#FFFFFF',
+  },
+  otherResumeText: {
+    color: '#5A67F2',
+  },
   tagsContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
     marginTop: 8,
   },
+  receipt: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  receiptText: {
+    fontSize: 11,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginLeft: 4,
+  },
   optionsButton: {
     alignSelf: 'flex-end',
     padding: 4,
@@ -0,0 +1,106 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatTime } from '../../utils/timeUtils';
+
+/**
+ * Banner above the recorder for an unsent recording saved as a draft
+ *
+ * @param {Object} props
+ * @param {Object} props.draft - Saved draft ({ uri, duration, updatedAt })
+ * @param {boolean} props.sending - Whether the draft is being sent
+ * @param {Function} props.onResume - Callback to open the draft for review
+ * @param {Function} props.onSend - Callback to send the draft as it is
+ * @param {Function} props.onDiscard - Callback to throw the draft away
+ */
+const DraftBanner = ({ draft, sending = false, onResume, onSend, onDiscard }) => {
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.info}
+        onPress={onResume}
+        disabled={sending}
+        accessibilityLabel="Resume draft recording"
+      >
+        <Ionicons name="mic-outline" size={16} color="#FF9500" />
+        <Text style={styles.label}>Draft</Text>
+        <Text style={styles.duration}>· {formatTime(draft.duration)}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={styles.action}
+        onPress={onDiscard}
+        disabled={sending}
+        accessibilityLabel="Discard draft"
+      >
+        <Ionicons name="trash-outline" size={18} color="#FF3B30" />
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.action}
+        onPress={onResume}
+        disabled={sending}
+        accessibilityLabel="Resume draft"
+      >
+        <Text style={styles.resumeText}>Resume</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[styles.action, styles.sendButton]}
+        onPress={onSend}
+        disabled={sending}
+        accessibilityLabel="Send draft"
+      >
+        {sending ? (
+          <ActivityIndicator color="#FFFFFF" size="small" />
+        ) : (
+          <Ionicons name="send" size={14} color="#FFFFFF" />
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: 'rgba(255, 149, 0, 0.1)',
+    borderTopWidth: 1,
+    borderTopColor: '#EAEAEA',
+  },
+  info: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FF9500',
+    marginLeft: 6,
+  },
+  duration: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 4,
+  },
+  action: {
+    marginLeft: 12,
+    minWidth: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  resumeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5A67F2',
+  },
+  sendButton: {
+    borderRadius: 16,
+    backgroundColor: '#5A67F2',
+  },
+});
+
+export default React.memo(DraftBanner);
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -10,13 +10,33 @@ import {
   Platform,
   Modal,
   SafeAreaView,
+  Alert,
 } from 'react-native';
 import { BlurView } from 'expo-blur';
 import { Ionicons } from '@expo/vector-icons';
 import AudioPlayer from '../audio/AudioPlayer';
 import TagBubble from '../common/TagBubble';
+import TranscriptSegment from './TranscriptSegment';
+import HighlightsSection, { findOverlappingHighlight } from './HighlightsSection';
+import ConversationPickerModal from '../common/ConversationPickerModal';
+import useAudioPlayer from '../../hooks/useAudioPlayer';
+import { QUICK_REACTIONS, aggregateReactions, buildEngagementHeatmap } from '../../utils/reactionUtils';
 import { formatMessageTime } from '../../utils/timeUtils';
-import { getMessageTranscript, getMessageReactions } from '../../services/databaseService';
+import {
+  getMessageTranscript,
+  getMessageReactions,
+  toggleReaction,
+  getEngagementTimestamps,
+  updateTranscriptSegment,
+  getMessageHighlights,
+  addHighlight,
+  deleteHighlight,
+  shareHighlight,
+  getConversations,
+} from '../../services/databaseService';
+
+// Current user ID (would come from an auth service in a real app)
+const CURRENT_USER_ID = '123';
 
 const { width, height } = Dimensions.get('window');
 
@@ -27,11 +47,26 @@ const { width, height } = Dimensions.get('window');
  * @param {Object} props.message - Message object to display
  * @param {Function} props.onClose - Function to call when closing the expanded view
  * @param {boolean} props.visible - Whether the expanded view is visible
+ * @param {number} props.initialTimestamp - Position (seconds) to start playback from and highlight in the transcript
+ * @param {Function} [props.onReply] - Callback with the message and the second to record a voice reply about
  */
-const ExpandedMessageView = ({ message, onClose, visible = false }) => {
+const ExpandedMessageView = ({ message, onClose, visible = false, initialTimestamp = null, onReply }) => {
   const [transcript, setTranscript] = useState(null);
   const [reactions, setReactions] = useState([]);
+  const [highlights, setHighlights] = useState([]);
+  // Seconds reacted or replied to, for the heatmap under the waveform
+  const [engagement, setEngagement] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Highlight being shared, and the conversations it can be sent to (null while loading)
+  const [sharingHighlight, setSharingHighlight] = useState(null);
+  const [shareTargets, setShareTargets] = useState(null);
+  const [sharing, setSharing] = useState(false);
+  const [reacting, setReacting] = useState(false);
+  const { isPlaying, pause, play, seek, currentAudioId, positionMillis } = useAudioPlayer(message ? message.id : undefined);
+  
+  const heatmap = useMemo(() => (
+    message && message.type === 'audio' ? buildEngagementHeatmap(engagement, message.audioDuration) : null
+  ), [message, engagement]);
 
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -68,18 +103,33 @@ const ExpandedMessageView = ({ message, onClose, visible = false }) => {
     console.log('ExpandedMessageView - Loading message data');
     setLoading(true);
     
-    if (message && message.type === 'audio') {
+    setTranscript(null);
+    setHighlights([]);
+    setReactions([]);
+    setEngagement([]);
+    
+    if (message) {
       try {
-        // Fetch transcript
-        console.log('ExpandedMessageView - Fetching transcript for message ID:', message.id);
-        const transcriptData = await getMessageTranscript(message.id);
-        setTranscript(transcriptData);
-        
         // Fetch reactions
         console.log('ExpandedMessageView - Fetching reactions for message ID:', message.id);
         const reactionsData = await getMessageReactions(message.id);
         setReactions(reactionsData);
         
+        if (message.type === 'audio') {
+          // Fetch highlighted ranges
+          const highlightsData = await getMessageHighlights(message.id);
+          setHighlights(highlightsData);
+          
+          // Fetch the moments reacted and replied to
+          const engagementData = await getEngagementTimestamps(message.id);
+          setEngagement(engagementData);
+          
+          // Fetch transcript (transcribes the message the first time it is opened)
+          console.log('ExpandedMessageView - Fetching transcript for message ID:', message.id);
+          const transcriptData = await getMessageTranscript(message.id);
+          setTranscript(transcriptData);
+        }
+        
         console.log('ExpandedMessageView - Data loaded successfully');
       } catch (error) {
         console.error('Error loading message data:', error);
@@ -89,8 +139,102 @@ const ExpandedMessageView = ({ message, onClose, visible = false }) => {
     setLoading(false);
   };
   
+  // Save a corrected transcript segment
+  const handleSaveSegment = async (position, text) => {
+    const updatedTranscript = await updateTranscriptSegment(message.id, position, text);
+    setTranscript(updatedTranscript);
+  };
+  
+  // Where the message is being listened to (or the second the view was opened at)
+  const positionSeconds = message && currentAudioId === message.id
+    ? positionMillis / 1000
+    : initialTimestamp || 0;
+  
+  // Reply about the second being listened to
+  const replyTimestamp = Math.floor(positionSeconds);
+  
+  // Play the message from a second, starting it if another message is playing
+  const handleSeek = (seconds) => {
+    const request = currentAudioId === message.id
+      ? seek(seconds * 1000)
+      : play(message.audioUri, message.id, { positionMillis: seconds * 1000 });
+    request.catch(error => console.error('Audio playback error:', error));
+  };
+  
+  // Reactions go to the moment being listened to, or to the whole message when it isn't playing
+  const reactionTimestamp = message && message.type === 'audio' && currentAudioId === message.id
+    ? Math.round(positionSeconds * 10) / 10
+    : null;
+  
+  // Add the current user's emoji at a moment (null for the whole message), or take it back
+  const handleToggleReaction = async (emoji, timestamp) => {
+    if (reacting) return;
+    
+    try {
+      setReacting(true);
+      await toggleReaction(message.id, emoji, timestamp);
+      setReactions(await getMessageReactions(message.id));
+      if (message.type === 'audio') {
+        setEngagement(await getEngagementTimestamps(message.id));
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update reaction. Please try again.');
+    } finally {
+      setReacting(false);
+    }
+  };
+  
+  const handleCreateHighlight = async (range) => {
+    const highlight = await addHighlight(message.id, range);
+    setHighlights(current => [...current, highlight].sort((a, b) => a.start - b.start || a.end - b.end));
+  };
+  
+  const handleDeleteHighlight = async (highlight) => {
+    try {
+      await deleteHighlight(highlight.id);
+      setHighlights(current => current.filter(item => item.id !== highlight.id));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to delete highlight. Please try again.');
+    }
+  };
+  
+  // Pick a conversation to send the highlighted range to as a clip
+  const handleShareHighlight = async (highlight) => {
+    setSharingHighlight(highlight);
+    setShareTargets(null);
+    try {
+      setShareTargets(await getConversations());
+    } catch (error) {
+      setSharingHighlight(null);
+      Alert.alert('Error', 'Failed to load conversations. Please try again.');
+    }
+  };
+  
+  const handleShareTo = async (conversation) => {
+    try {
+      setSharing(true);
+      await shareHighlight(sharingHighlight.id, conversation.id);
+      setSharingHighlight(null);
+      Alert.alert('Shared', `Clip sent to ${conversation.participantName}.`);
+    } catch (error) {
+      Alert.alert('Error', 'This highlight could not be clipped and sent. Please try again.');
+    } finally {
+      setSharing(false);
+    }
+  };
+  
+  const handleReply = () => {
+    onReply(message, replyTimestamp);
+    handleClose();
+  };
+  
   // Handle close with animation
   const handleClose = () => {
+    // Don't leave the message playing behind the conversation
+    if (isPlaying) {
+      pause().catch(error => console.error('Error pausing audio:', error));
+    }
+    
     Animated.parallel([
       Animated.timing(fadeAnim, {
         toValue: 0,
@@ -158,9 +302,23 @@ const ExpandedMessageView = ({ message, onClose, visible = false }) => {
                 <View style={styles.audioPlayerContainer}>
                   <AudioPlayer 
                     message={message}
+                    startPosition={initialTimestamp}
+                    showRateControl
                     isUserMessage={message.senderId === '123'} // Replace with actual user ID
                     style={styles.audioPlayer}
                   />
+                  {onReply && (
+                    <TouchableOpacity
+                      style={styles.replyButton}
+                      onPress={handleReply}
+                      accessibilityLabel={`Reply with voice at ${formatTime(replyTimestamp)}`}
+                    >
+                      <Ionicons name="mic-outline" size={16} color="#5A67F2" />
+                      <Text style={styles.replyButtonText}>
+                        Reply at {formatTime(replyTimestamp)}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
                 </View>
               )}
               
@@ -170,15 +328,62 @@ const ExpandedMessageView = ({ message, onClose, visible = false }) => {
               )}
               
               {/* Transcript (for audio messages) */}
+              {isAudioMessage && loading && !transcript && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Transcript</Text>
+                  <Text style={styles.transcriptPlaceholder}>Transcribing...</Text>
+                </View>
+              )}
+              {isAudioMessage && !loading && !transcript && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Transcript</Text>
+                  <Text style={styles.transcriptPlaceholder}>Transcript unavailable</Text>
+                </View>
+              )}
               {isAudioMessage && transcript && (
                 <View style={styles.section}>
                   <Text style={styles.sectionTitle}>Transcript</Text>
+                  {transcript.segments.length === 0 && (
+                    <Text style={styles.transcriptPlaceholder}>No speech detected</Text>
+                  )}
+                  {transcript.segments.length > 0 && (
+                    <Text style={styles.transcriptHint}>Tap a line to correct it</Text>
+                  )}
                   {transcript.segments.map((segment, index) => (
-                    <View key={`segment-${index}`} style={styles.transcriptSegment}>
-                      <Text style={styles.timestampLabel}>{formatTime(segment.start)}</Text>
-                      <Text style={styles.transcriptText}>{segment.text}</Text>
-                    </View>
+                    <TranscriptSegment
+                      key={`segment-${index}`}
+                      segment={segment}
+                      highlighted={initialTimestamp !== null && segment.start === initialTimestamp}
+                      highlightColor={(findOverlappingHighlight(highlights, segment.start, segment.end ?? segment.start) || {}).color}
+                      onSave={(text) => handleSaveSegment(index, text)}
+                    />
                   ))}
+                  {(transcript.language || transcript.confidence !== null) && (
+                    <Text style={styles.transcriptMeta}>
+                      {[
+                        transcript.language && `Language: ${transcript.language}`,
+                        transcript.confidence !== null && `Confidence: ${Math.round(transcript.confidence * 100)}%`,
+                      ].filter(Boolean).join(' · ')}
+                    </Text>
+                  )}
+                </View>
+              )}
+              
+              {/* Highlights (for audio messages) */}
+              {isAudioMessage && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Highlights</Text>
+                  <HighlightsSection
+                    message={message}
+                    highlights={highlights}
+                    positionSeconds={positionSeconds}
+                    onSeek={handleSeek}
+                    onCreate={handleCreateHighlight}
+                    onShare={handleShareHighlight}
+                    onDelete={handleDeleteHighlight}
+                    currentUserId={CURRENT_USER_ID}
+                    heatmap={heatmap}
+                  />
                 </View>
               )}
               
@@ -198,27 +403,72 @@ const ExpandedMessageView = ({ message, onClose, visible = false }) => {
                 </View>
               )}
               
-              {/* Reactions */}
-              {reactions.length > 0 && (
-                <View style={styles.section}>
-                  <Text style={styles.sectionTitle}>Reactions</Text>
-                  {reactions.map((reaction, index) => (
-                    <View key={`reaction-${index}`} style={styles.reactionItem}>
-                      <Text style={styles.reactionEmoji}>{reaction.emoji}</Text>
-                      <View style={styles.reactionInfo}>
-                        <Text style={styles.reactionUser}>{reaction.username}</Text>
-                        <Text style={styles.reactionTimestamp}>
-                          at {formatTime(reaction.timestamp)}
-                        </Text>
-                      </View>
-                    </View>
+              {/* Reactions, grouped by emoji and moment */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Reactions</Text>
+                <Text style={styles.reactionHint}>
+                  {reactionTimestamp !== null
+                    ? `React at ${formatTime(reactionTimestamp)}`
+                    : 'React to the whole message'}
+                </Text>
+                <View style={styles.quickReactions}>
+                  {QUICK_REACTIONS.map(emoji => (
+                    <TouchableOpacity
+                      key={emoji}
+                      style={styles.quickReaction}
+                      onPress={() => handleToggleReaction(emoji, reactionTimestamp)}
+                      disabled={reacting}
+                      accessibilityLabel={`React with ${emoji}`}
+                    >
+                      <Text style={styles.quickReactionEmoji}>{emoji}</Text>
+                    </TouchableOpacity>
                   ))}
                 </View>
-              )}
+                {aggregateReactions(reactions, CURRENT_USER_ID).map(group => (
+                  <TouchableOpacity
+                    key={group.key}
+                    style={[styles.reactionItem, group.reactedByMe && styles.reactionItemMine]}
+                    onPress={() => handleToggleReaction(group.emoji, group.timestamp)}
+                    disabled={reacting}
+                    accessibilityLabel={`${group.emoji} ${group.count}, ${group.reactedByMe ? 'remove your reaction' : 'react too'}`}
+                  >
+                    <Text style={styles.reactionEmoji}>{group.emoji}</Text>
+                    <Text style={styles.reactionCount}>{group.count}</Text>
+                    <View style={styles.reactionInfo}>
+                      <Text style={styles.reactionUser} numberOfLines={1}>
+                        {group.users.map(user => user.username || 'Unknown').join(', ')}
+                      </Text>
+                      {group.timestamp !== null ? (
+                        <TouchableOpacity
+                          onPress={() => handleSeek(group.timestamp)}
+                          disabled={!isAudioMessage}
+                          hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}
+                          accessibilityLabel={`Play from ${formatTime(group.timestamp)}`}
+                        >
+                          <Text style={styles.reactionTimestamp}>at {formatTime(group.timestamp)}</Text>
+                        </TouchableOpacity>
+                      ) : (
+                        <Text style={styles.reactionTimestamp}>Whole message</Text>
+                      )}
+                    </View>
+                  </TouchableOpacity>
+                ))}
+              </View>
             </ScrollView>
           </SafeAreaView>
         </Animated.View>
       </View>
+      
+      <ConversationPickerModal
+        visible={!!sharingHighlight}
+        title={sharingHighlight
+          ? `Send ${formatTime(sharingHighlight.start)} – ${formatTime(sharingHighlight.end)} to…`
+          : ''}
+        conversations={shareTargets}
+        sending={sharing}
+        onSelect={handleShareTo}
+        onClose={() => !sharing && setSharingHighlight(null)}
+      />
     </Modal>
   );
 };
@@ -284,6 +534,21 @@ const styles = StyleSheet.create({
   audioPlayer: {
     marginVertical: 8,
   },
+  replyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(90, 103, 242, 0.12)',
+  },
+  replyButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5A67F2',
+    marginLeft: 6,
+  },
   messageText: {
     fontSize: 16,
     lineHeight: 24,
@@ -301,33 +566,69 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 12,
   },
-  transcriptSegment: {
-    flexDirection: 'row',
-    marginBottom: 12,
-  },
-  timestampLabel: {
-    width: 40,
+  transcriptHint: {
     fontSize: 12,
-    color: '#666',
-    marginRight: 8,
+    color: '#999',
+    marginTop: -8,
+    marginBottom: 12,
   },
-  transcriptText: {
-    flex: 1,
+  transcriptPlaceholder: {
     fontSize: 14,
-    lineHeight: 20,
-    color: '#333',
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  transcriptMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
   },
   tagsContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
+  reactionHint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: -8,
+    marginBottom: 8,
+  },
+  quickReactions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  quickReaction: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginRight: 8,
+    marginBottom: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F2F2F7',
+  },
+  quickReactionEmoji: {
+    fontSize: 20,
+  },
   reactionItem: {
     flexDirection: 'row',
     alignItems: 'center',
-    marginBottom: 12,
+    marginBottom: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 10,
+  },
+  reactionItemMine: {
+    backgroundColor: 'rgba(90, 103, 242, 0.1)',
   },
   reactionEmoji: {
     fontSize: 24,
+    marginRight: 6,
+  },
+  reactionCount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
     marginRight: 12,
   },
   reactionInfo: {
@@ -0,0 +1,329 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DetailedWaveform from '../audio/DetailedWaveform';
+import { formatTime } from '../../utils/timeUtils';
+
+// Colors a range can be highlighted with
+export const HIGHLIGHT_COLORS = [
+  '#FFCC00', // Yellow
+  '#34C759', // Green
+  '#007AFF', // Blue
+  '#FF2D55', // Pink
+  '#AF52DE', // Purple
+];
+
+// Length of a new highlight before its handles are dragged, in seconds
+const DEFAULT_HIGHLIGHT_SECONDS = 5;
+
+/**
+ * Find the first highlight overlapping a range of the audio
+ * @param {Array} highlights - Highlights with start and end in seconds
+ * @param {number} start - Start of the range, in seconds
+ * @param {number} end - End of the range, in seconds
+ * @returns {Object|null} Overlapping highlight, or null
+ */
+export const findOverlappingHighlight = (highlights, start, end) => (
+  highlights.find(highlight => highlight.start < end && highlight.end > start) || null
+);
+
+/**
+ * Highlighted ranges of a voice message: the waveform with each range shaded, a list of them,
+ * and an editor for highlighting a new range
+ *
+ * @param {Object} props
+ * @param {Object} props.message - Voice message (waveform, audioDuration)
+ * @param {Array} props.highlights - Highlights ({ id, start, end, color, note, userId })
+ * @param {number} props.positionSeconds - Where playback of the message is, in seconds
+ * @param {Function} props.onSeek - Called with the second to play the message from
+ * @param {Function} props.onCreate - Called with { start, end, color, note }; may return a promise
+ * @param {Function} props.onShare - Called with a highlight to send it as a clip
+ * @param {Function} props.onDelete - Called with a highlight to remove it
+ * @param {string} props.currentUserId - ID of the current user, who can delete their own highlights
+ * @param {Object} [props.heatmap] - Where reactions and replies cluster (see buildEngagementHeatmap), shown under the waveform
+ */
+const HighlightsSection = ({
+  message,
+  highlights,
+  positionSeconds = 0,
+  onSeek,
+  onCreate,
+  onShare,
+  onDelete,
+  currentUserId,
+  heatmap = null,
+}) => {
+  // Range being highlighted, as fractions of the audio (null when not editing)
+  const [range, setRange] = useState(null);
+  const [color, setColor] = useState(HIGHLIGHT_COLORS[0]);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const duration = message.audioDuration || 0;
+
+  // Start a new highlight at the current position
+  const startHighlight = useCallback(() => {
+    if (!duration) return;
+
+    const start = Math.min(positionSeconds, Math.max(0, duration - DEFAULT_HIGHLIGHT_SECONDS));
+    const end = Math.min(duration, start + DEFAULT_HIGHLIGHT_SECONDS);
+    setRange({ start: start / duration, end: end / duration });
+    setColor(HIGHLIGHT_COLORS[0]);
+    setNote('');
+  }, [duration, positionSeconds]);
+
+  const cancelHighlight = () => setRange(null);
+
+  const saveHighlight = async () => {
+    try {
+      setSaving(true);
+      await onCreate({
+        start: range.start * duration,
+        end: range.end * duration,
+        color,
+        note,
+      });
+      setRange(null);
+    } catch (error) {
+      console.error('Error saving highlight:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <View>
+      <DetailedWaveform
+        waveform={message.waveform || []}
+        playbackPosition={duration > 0 ? positionSeconds / duration : 0}
+        onPress={(position) => onSeek(position * duration)}
+        onLongPress={() => {}}
+        selectedTimestamp={null}
+        duration={duration}
+        showTimestamps={false}
+        showSelectedMarker={false}
+        highlights={highlights}
+        trimRange={range}
+        onTrimChange={setRange}
+        heatmap={heatmap}
+        onJumpToHottest={onSeek}
+      />
+
+      {range ? (
+        <View style={styles.editor}>
+          <Text style={styles.rangeText}>
+            {formatTime(range.start * duration)} – {formatTime(range.end * duration)}
+          </Text>
+          <View style={styles.swatchRow}>
+            {HIGHLIGHT_COLORS.map(option => (
+              <TouchableOpacity
+                key={option}
+                style={[
+                  styles.swatch,
+                  { backgroundColor: option },
+                  option === color && styles.swatchSelected,
+                ]}
+                onPress={() => setColor(option)}
+                accessibilityLabel={`Color ${option}`}
+                accessibilityState={{ selected: option === color }}
+              />
+            ))}
+          </View>
+          <TextInput
+            style={styles.noteInput}
+            value={note}
+            onChangeText={setNote}
+            placeholder="Add a note (optional)"
+            placeholderTextColor="#999"
+            editable={!saving}
+          />
+          <View style={styles.editorActions}>
+            <TouchableOpacity onPress={cancelHighlight} disabled={saving} style={styles.actionButton}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={saveHighlight} disabled={saving} style={styles.actionButton}>
+              {saving ? (
+                <ActivityIndicator size="small" color="#5A67F2" />
+              ) : (
+                <Text style={styles.saveText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={startHighlight}
+          disabled={!duration}
+          accessibilityLabel={`Highlight from ${formatTime(positionSeconds)}`}
+        >
+          <Ionicons name="color-wand-outline" size={16} color="#5A67F2" />
+          <Text style={styles.addButtonText}>Highlight from {formatTime(positionSeconds)}</Text>
+        </TouchableOpacity>
+      )}
+
+      {highlights.length === 0 && !range && (
+        <Text style={styles.placeholder}>Highlight a part of this message to find it again or share it</Text>
+      )}
+
+      {highlights.map(highlight => (
+        <View key={highlight.id} style={styles.highlightRow}>
+          <TouchableOpacity
+            style={styles.highlightInfo}
+            onPress={() => onSeek(highlight.start)}
+            accessibilityLabel={`Play highlight from ${formatTime(highlight.start)} to ${formatTime(highlight.end)}`}
+          >
+            <View style={[styles.colorBar, { backgroundColor: highlight.color }]} />
+            <View style={styles.highlightText}>
+              <Text style={styles.highlightRange}>
+                {formatTime(highlight.start)} – {formatTime(highlight.end)}
+                <Text style={styles.highlightAuthor}> · {highlight.username || 'Unknown'}</Text>
+              </Text>
+              {highlight.note && <Text style={styles.highlightNote}>{highlight.note}</Text>}
+            </View>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.rowAction}
+            onPress={() => onShare(highlight)}
+            accessibilityLabel="Share highlight as a clip"
+          >
+            <Ionicons name="share-outline" size={18} color="#5A67F2" />
+          </TouchableOpacity>
+          {highlight.userId === currentUserId && (
+            <TouchableOpacity
+              style={styles.rowAction}
+              onPress={() => onDelete(highlight)}
+              accessibilityLabel="Delete highlight"
+            >
+              <Ionicons name="trash-outline" size={18} color="#FF3B30" />
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  editor: {
+    marginTop: 8,
+  },
+  rangeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  swatchRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+    marginHorizontal: -4,
+  },
+  swatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    margin: 4,
+  },
+  swatchSelected: {
+    borderWidth: 3,
+    borderColor: '#333',
+  },
+  noteInput: {
+    marginTop: 8,
+    height: 40,
+    borderWidth: 1,
+    borderColor: '#DDDDDD',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#F8F9FA',
+    fontSize: 14,
+    color: '#333',
+  },
+  editorActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 6,
+  },
+  actionButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    minWidth: 48,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  saveText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5A67F2',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(90, 103, 242, 0.12)',
+  },
+  addButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5A67F2',
+    marginLeft: 6,
+  },
+  placeholder: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    marginTop: 12,
+  },
+  highlightRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  highlightInfo: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'stretch',
+  },
+  colorBar: {
+    width: 4,
+    borderRadius: 2,
+    marginRight: 10,
+  },
+  highlightText: {
+    flex: 1,
+  },
+  highlightRange: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  highlightAuthor: {
+    fontWeight: '400',
+    color: '#666',
+  },
+  highlightNote: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  rowAction: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
+
+export default React.memo(HighlightsSection);
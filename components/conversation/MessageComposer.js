@@ -0,0 +1,153 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// Longest text message that can be sent
+export const MAX_TEXT_MESSAGE_LENGTH = 1000;
+
+// Show the remaining characters once this few are left
+const COUNTER_THRESHOLD = 100;
+
+/**
+ * Message input: a text field whose send button replaces the voice recorder while there is text
+ *
+ * @param {Object} props
+ * @param {Function} props.onSendText - Called with the trimmed text; resolves truthy once it was sent
+ * @param {boolean} props.sending - Whether a message is being sent
+ * @param {boolean} props.recorderActive - Whether the recorder is recording or reviewing, which hides the text field
+ * @param {number} props.maxLength - Longest text that can be typed
+ * @param {React.ReactNode} props.children - Voice recorder shown while the text field is empty
+ */
+const MessageComposer = ({
+  onSendText,
+  sending = false,
+  recorderActive = false,
+  maxLength = MAX_TEXT_MESSAGE_LENGTH,
+  children,
+}) => {
+  const [text, setText] = useState('');
+
+  const trimmedText = text.trim();
+  const hasText = text.length > 0;
+  const remaining = maxLength - text.length;
+
+  const handleSend = useCallback(async () => {
+    if (!trimmedText || sending) return;
+
+    // Keep the text if sending fails so it can be retried
+    const sent = await onSendText(trimmedText);
+    if (sent) {
+      setText('');
+    }
+  }, [trimmedText, sending, onSendText]);
+
+  // On the web, Enter sends and Shift+Enter starts a new line
+  const handleKeyPress = useCallback((event) => {
+    if (Platform.OS !== 'web') return;
+
+    const { key, shiftKey } = event.nativeEvent;
+    if (key === 'Enter' && !shiftKey) {
+      event.preventDefault();
+      handleSend();
+    }
+  }, [handleSend]);
+
+  return (
+    <View style={styles.container}>
+      {!recorderActive && (
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.input}
+            value={text}
+            onChangeText={setText}
+            onKeyPress={handleKeyPress}
+            placeholder="Message"
+            placeholderTextColor="#999"
+            multiline
+            maxLength={maxLength}
+            accessibilityLabel="Message text"
+          />
+          {hasText && (
+            <TouchableOpacity
+              style={[styles.sendButton, !trimmedText && styles.sendButtonDisabled]}
+              onPress={handleSend}
+              disabled={!trimmedText || sending}
+              accessibilityLabel="Send message"
+            >
+              {sending ? (
+                <ActivityIndicator color="#FFFFFF" size="small" />
+              ) : (
+                <Ionicons name="send" size={18} color="#FFFFFF" />
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {hasText && remaining <= COUNTER_THRESHOLD && (
+        <Text style={[styles.counter, remaining === 0 && styles.counterLimit]}>
+          {remaining} characters left
+        </Text>
+      )}
+
+      {/* Voice messages are recorded while nothing is typed */}
+      {!hasText && children}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  input: {
+    flex: 1,
+    minHeight: 40,
+    maxHeight: 120,
+    paddingHorizontal: 14,
+    paddingTop: 10,
+    paddingBottom: 10,
+    borderRadius: 20,
+    backgroundColor: '#F2F2F7',
+    fontSize: 16,
+    color: '#333',
+  },
+  sendButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginLeft: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#5A67F2',
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+  counter: {
+    alignSelf: 'flex-end',
+    marginRight: 16,
+    marginBottom: 8,
+    fontSize: 12,
+    color: '#999',
+  },
+  counterLimit: {
+    color: '#FF3B30',
+  },
+});
+
+export default React.memo(MessageComposer);
@@ -1,4 +1,4 @@
-import React, { memo, useState, useCallback, useRef } from 'react';
+import React, { memo, useState, useCallback, useRef, useEffect } from 'react';
 import AudioMessageItem from './AudioMessageItem';
 import TextMessageItem from './TextMessageItem';
 import ExpandedMessageView from './ExpandedMessageView';
@@ -14,6 +14,12 @@ import { View } from 'react-native';
  * @param {Function} props.onPressOptions - Callback when options button is pressed
  * @param {Function} props.onTagPress - Callback when a tag is pressed
  * @param {Function} props.onPress - Callback when message is pressed
+ * @param {boolean} props.isFocused - Open the expanded view as soon as the message renders
+ * @param {number} props.focusTimestamp - Position (seconds) to open the focused message at
+ * @param {Object} props.replyParent - Voice message this one replies to, if any
+ * @param {Function} props.onReplyPress - Callback when the quoted original of a reply is pressed
+ * @param {Function} props.onReply - Callback with the message and second to record a voice reply about
+ * @param {Function} props.onThreadPress - Callback to open the message's thread
  */
 const MessageItem = ({
   message,
@@ -22,10 +28,25 @@ const MessageItem = ({
   onPressOptions,
   onTagPress,
   onPress,
+  isFocused = false,
+  focusTimestamp = null,
+  replyParent = null,
+  onReplyPress,
+  onReply,
+  onThreadPress,
 }) => {
   const [expanded, setExpanded] = useState(false);
+  const [expandedAt, setExpandedAt] = useState(null);
   const messageRef = useRef(null);
   
+  // Open a focused message (e.g. from a search result) at the requested moment
+  useEffect(() => {
+    if (isFocused) {
+      setExpandedAt(focusTimestamp);
+      setExpanded(true);
+    }
+  }, [isFocused, focusTimestamp]);
+  
   // Handle tap on the message - this is our local handler 
   const handleLocalPress = useCallback(() => {
     console.log('MessageItem - Local press handler called for message ID:', message.id);
@@ -36,6 +57,7 @@ const MessageItem = ({
   const handleCloseExpanded = useCallback(() => {
     console.log('MessageItem - Closing expanded view');
     setExpanded(false);
+    setExpandedAt(null);
   }, []);
   
   // Render based on message type
@@ -50,6 +72,9 @@ const MessageItem = ({
             onPressOptions={onPressOptions}
             onTagPress={onTagPress}
             onPress={handleLocalPress} // Use our local press handler
+            replyParent={replyParent}
+            onReplyPress={onReplyPress}
+            onThreadPress={onThreadPress}
           />
         );
       case 'text':
@@ -61,6 +86,7 @@ const MessageItem = ({
             onLongPress={onLongPress}
             onPressOptions={onPressOptions}
             onPress={handleLocalPress} // Use our local press handler
+            onThreadPress={onThreadPress}
           />
         );
     }
@@ -76,7 +102,9 @@ const MessageItem = ({
         message={message}
         visible={expanded}
         onClose={handleCloseExpanded}
+        initialTimestamp={expandedAt}
         messageRef={messageRef}
+        onReply={onReply}
       />
     </>
   );
@@ -10,6 +10,7 @@ import MessageItem from './MessageItem';  // Import the wrapper component
 import DateSeparator from './DateSeparator';
 import EmptyState from '../common/EmptyState';
 import { groupMessagesByDate } from '../../utils/timeUtils';
+import { play } from '../../services/playbackController';
 
 /**
  * MessageList component for displaying conversation messages
@@ -23,7 +24,15 @@ import { groupMessagesByDate } from '../../utils/timeUtils';
  * @param {Function} props.onMessageOptions - Callback when message options button is pressed
  * @param {Function} props.onTagPress - Callback when a message tag is pressed
  * @param {Function} props.onMessagePress - Callback when a message is pressed
+ * @param {string} props.focusMessageId - Message to scroll to and open once loaded
+ * @param {number} props.focusTimestamp - Position (seconds) to open the focused message at
+ * @param {string} props.activeMessageId - Message being autoplayed, kept scrolled into view
+ * @param {string} props.emptyTitle - Title shown when there are no messages
+ * @param {string} props.emptyMessage - Message shown when there are no messages
  * @param {string} props.currentUserId - ID of the current user
+ * @param {Array} props.allMessages - Every message of the conversation, so replies to filtered-out messages can still quote them
+ * @param {Function} props.onMessageReply - Callback with a message and second to record a voice reply about
+ * @param {Function} props.onOpenThread - Callback to open a message's thread
  */
 const MessageList = ({
   messages = [],
@@ -34,12 +43,21 @@ const MessageList = ({
   onMessageOptions,
   onTagPress,
   onMessagePress,
+  focusMessageId = null,
+  focusTimestamp = null,
+  activeMessageId = null,
+  emptyTitle = "Start a conversation",
+  emptyMessage = "Hold the microphone button to record your first voice message",
   currentUserId = '123', // Default to test user ID
+  allMessages = messages,
+  onMessageReply,
+  onOpenThread,
 }) => {
   const listRef = useRef(null);
   const [contentSize, setContentSize] = useState(0);
   const [layoutHeight, setLayoutHeight] = useState(0);
-  const [shouldAutoScroll, setShouldAutoScroll] = useState(true);
+  // Don't jump to the newest message when opened on a specific one
+  const [shouldAutoScroll, setShouldAutoScroll] = useState(!focusMessageId);
   const [expandedMessageId, setExpandedMessageId] = useState(null);
   
   // Process messages to add date separators
@@ -47,6 +65,11 @@ const MessageList = ({
     return groupMessagesByDate(messages);
   }, [messages]);
   
+  // Look up the originals that replies quote
+  const messagesById = useMemo(() => (
+    new Map(allMessages.map(message => [message.id, message]))
+  ), [allMessages]);
+  
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     if (shouldAutoScroll && messages.length > 0 && listRef.current) {
@@ -56,6 +79,46 @@ const MessageList = ({
     }
   }, [messages.length, shouldAutoScroll]);
   
+  // Scroll to the focused message once it has loaded
+  const focusIndex = useMemo(() => (
+    focusMessageId ? processedMessages.findIndex(m => m.id === focusMessageId) : -1
+  ), [processedMessages, focusMessageId]);
+  
+  useEffect(() => {
+    if (focusIndex >= 0 && listRef.current) {
+      setTimeout(() => {
+        listRef.current.scrollToIndex({
+          index: focusIndex,
+          viewPosition: 0.3,
+          animated: true,
+        });
+      }, 100);
+    }
+  }, [focusIndex]);
+  
+  // Follow the autoplay queue as it moves through the conversation
+  useEffect(() => {
+    if (!activeMessageId || !listRef.current) return;
+    
+    const index = processedMessages.findIndex(m => m.id === activeMessageId);
+    if (index >= 0) {
+      listRef.current.scrollToIndex({ index, viewPosition: 0.3, animated: true });
+    }
+  }, [activeMessageId]);
+  
+  // Items that haven't been rendered yet can't be scrolled to directly;
+  // get close using the average row height, then try again
+  const handleScrollToIndexFailed = useCallback(({ index, averageItemLength }) => {
+    if (!listRef.current) return;
+    
+    listRef.current.scrollToOffset({ offset: index * averageItemLength, animated: false });
+    setTimeout(() => {
+      if (listRef.current) {
+        listRef.current.scrollToIndex({ index, viewPosition: 0.3, animated: true });
+      }
+    }, 100);
+  }, []);
+  
   // Handle scroll events to determine auto-scroll behavior
   const handleScroll = useCallback(({ nativeEvent }) => {
     const { contentOffset, contentSize, layoutMeasurement } = nativeEvent;
@@ -98,6 +161,23 @@ const MessageList = ({
     }
   }, [onMessagePress, processedMessages]);
   
+  // Jump to the moment of the original a reply is about: bring it into view and play it from there
+  const handleReplyPress = useCallback((message) => {
+    const parent = messagesById.get(message.replyTo.messageId);
+    if (!parent) return;
+    
+    const index = processedMessages.findIndex(m => m.id === parent.id);
+    if (index >= 0 && listRef.current) {
+      setShouldAutoScroll(false);
+      listRef.current.scrollToIndex({ index, viewPosition: 0.3, animated: true });
+    }
+    
+    if (parent.type !== 'audio') return;
+    
+    play(parent.audioUri, parent.id, { positionMillis: (message.replyTo.timestamp || 0) * 1000 })
+      .catch(error => console.error('Error playing replied-to message:', error));
+  }, [messagesById, processedMessages]);
+  
   // Render a message item based on its type
   const renderItem = useCallback(({ item, index }) => {
     // If this item has a date separator flag, render the separator
@@ -117,6 +197,12 @@ const MessageList = ({
         onPressOptions={onMessageOptions}
         onTagPress={onTagPress}
         onPress={handleMessagePress}
+        isFocused={item.id === focusMessageId}
+        focusTimestamp={item.id === focusMessageId ? focusTimestamp : null}
+        replyParent={item.replyTo ? messagesById.get(item.replyTo.messageId) || null : null}
+        onReplyPress={handleReplyPress}
+        onReply={onMessageReply}
+        onThreadPress={onOpenThread}
       />
     );
     
@@ -127,7 +213,19 @@ const MessageList = ({
         {messageComponent}
       </View>
     );
-  }, [currentUserId, onMessageLongPress, onMessageOptions, onTagPress, handleMessagePress]);
+  }, [
+    currentUserId,
+    onMessageLongPress,
+    onMessageOptions,
+    onTagPress,
+    handleMessagePress,
+    focusMessageId,
+    focusTimestamp,
+    messagesById,
+    handleReplyPress,
+    onMessageReply,
+    onOpenThread,
+  ]);
 
   // Item key extractor for FlatList
   const keyExtractor = useCallback((item) => item.id, []);
@@ -145,8 +243,8 @@ const MessageList = ({
   if (!loading && messages.length === 0) {
     return (
       <EmptyState
-        title="Start a conversation"
-        message="Hold the microphone button to record your first voice message"
+        title={emptyTitle}
+        message={emptyMessage}
         icon="microphone"
       />
     );
@@ -163,6 +261,7 @@ const MessageList = ({
       onScroll={handleScroll}
       onContentSizeChange={handleContentSizeChange}
       onLayout={handleLayout}
+      onScrollToIndexFailed={handleScrollToIndexFailed}
       refreshControl={
         onRefresh ? (
           <RefreshControl
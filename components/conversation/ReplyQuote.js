@@ -0,0 +1,144 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import WaveformVisualizer from '../audio/WaveformVisualizer';
+import { waveformWindow } from '../../utils/audioAnalysis';
+import { formatTime } from '../../utils/timeUtils';
+
+// Seconds of the original shown around the moment replied to
+const SNIPPET_SECONDS = 6;
+
+/**
+ * Quoted snippet of the message a reply is about; voice messages show their waveform around the moment replied to,
+ * text messages their text
+ *
+ * @param {Object} props
+ * @param {Object} props.parent - Message replied to (null if it's no longer available)
+ * @param {number} props.timestamp - Second of the original the reply is about (null for the whole message; only
+ *   voice messages have moments to reply to)
+ * @param {boolean} props.isUserMessage - Whether the quote sits in the current user's bubble
+ * @param {Function} props.onPress - Callback to jump to the original (and the moment in it)
+ * @param {Function} [props.onDismiss] - Callback to stop replying; shows a close button
+ */
+const ReplyQuote = ({ parent, timestamp, isUserMessage = false, onPress, onDismiss }) => {
+  const isVoiceParent = !!parent && parent.type === 'audio';
+  const hasAnchor = isVoiceParent && timestamp !== null && timestamp !== undefined;
+  const { bars, anchor } = useMemo(() => (
+    isVoiceParent
+      ? waveformWindow(parent.waveform || [], parent.audioDuration, hasAnchor ? timestamp : 0, SNIPPET_SECONDS)
+      : { bars: [], anchor: 0 }
+  ), [parent, timestamp, isVoiceParent, hasAnchor]);
+
+  const accentColor = isUserMessage ? '#FFFFFF' : '#5A67F2';
+
+  return (
+    <TouchableOpacity
+      style={[styles.container, isUserMessage ? styles.userContainer : styles.otherContainer]}
+      onPress={onPress}
+      disabled={!parent || !onPress}
+      accessibilityLabel={parent
+        ? `Reply to ${parent.senderName}${hasAnchor ? ` at ${formatTime(timestamp)}` : ''}`
+        : 'Reply to a deleted message'}
+      accessibilityHint={parent && onPress
+        ? (isVoiceParent ? 'Plays the original from this moment' : 'Shows the original message')
+        : undefined}
+    >
+      <View style={[styles.accent, { backgroundColor: accentColor }]} />
+      <View style={styles.content}>
+        <View style={styles.header}>
+          <Ionicons name="return-down-forward" size={12} color={accentColor} />
+          <Text style={[styles.senderName, { color: accentColor }]} numberOfLines={1}>
+            {parent ? parent.senderName : 'Message deleted'}
+          </Text>
+          {hasAnchor && (
+            <Text style={[styles.timeText, isUserMessage && styles.userTimeText]}>
+              at {formatTime(timestamp)}
+            </Text>
+          )}
+        </View>
+        {parent && !isVoiceParent && (
+          <Text style={[styles.quotedText, isUserMessage && styles.userTimeText]} numberOfLines={1}>
+            {parent.text}
+          </Text>
+        )}
+        {bars.length > 0 && (
+          <WaveformVisualizer
+            waveform={bars}
+            isPlaying={hasAnchor}
+            playbackPosition={anchor}
+            isUserMessage={isUserMessage}
+            style={styles.waveform}
+            maxBarHeight={16}
+          />
+        )}
+      </View>
+      {onDismiss && (
+        <TouchableOpacity
+          style={styles.dismissButton}
+          onPress={onDismiss}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+          accessibilityLabel="Cancel reply"
+        >
+          <Ionicons name="close" size={18} color="#999" />
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 6,
+  },
+  userContainer: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  otherContainer: {
+    backgroundColor: 'rgba(90, 103, 242, 0.08)',
+  },
+  accent: {
+    width: 3,
+    alignSelf: 'stretch',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  senderName: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 4,
+    flexShrink: 1,
+  },
+  timeText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 4,
+  },
+  quotedText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  userTimeText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+  },
+  waveform: {
+    height: 20,
+    justifyContent: 'flex-start',
+  },
+  dismissButton: {
+    paddingHorizontal: 10,
+  },
+});
+
+export default React.memo(ReplyQuote);
@@ -0,0 +1,112 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import TagBubble from '../common/TagBubble';
+import { TAG_FILTER_MODES } from '../../utils/tagUtils';
+
+/**
+ * Header shown above the timeline while it is filtered by tags
+ *
+ * @param {Object} props
+ * @param {Array} props.tags - Selected tags
+ * @param {string} props.mode - How the tags are combined (see TAG_FILTER_MODES)
+ * @param {number} props.matchCount - Number of messages that match
+ * @param {number} props.totalCount - Number of messages in the conversation
+ * @param {Function} props.onRemoveTag - Callback with the tag to remove from the filter
+ * @param {Function} props.onToggleMode - Callback to switch between AND and OR
+ * @param {Function} props.onClear - Callback to remove the filter
+ */
+const TagFilterBar = ({
+  tags,
+  mode,
+  matchCount,
+  totalCount,
+  onRemoveTag,
+  onToggleMode,
+  onClear,
+}) => {
+  const isAllMode = mode === TAG_FILTER_MODES.ALL;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Ionicons name="funnel" size={14} color="#5A67F2" />
+        <Text style={styles.title}>
+          Filtered · {matchCount} of {totalCount} messages
+        </Text>
+        <TouchableOpacity onPress={onClear} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+          <Text style={styles.clearText}>Clear</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.tagsRow}>
+        {tags.length > 1 && (
+          <TouchableOpacity
+            style={styles.modeToggle}
+            onPress={onToggleMode}
+            accessibilityLabel={isAllMode ? 'Matching all tags' : 'Matching any tag'}
+            accessibilityHint="Switches between matching all tags and any tag"
+          >
+            <Text style={styles.modeText}>{isAllMode ? 'AND' : 'OR'}</Text>
+          </TouchableOpacity>
+        )}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {tags.map(tag => (
+            <TagBubble
+              key={tag}
+              label={tag}
+              selected
+              onPress={() => onRemoveTag(tag)}
+            />
+          ))}
+        </ScrollView>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EAEAEA',
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 6,
+  },
+  clearText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#5A67F2',
+  },
+  tagsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  modeToggle: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#5A67F2',
+    marginRight: 6,
+  },
+  modeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#5A67F2',
+  },
+});
+
+export default React.memo(TagFilterBar);
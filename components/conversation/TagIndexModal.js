@@ -0,0 +1,130 @@
+import React from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  FlatList,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import TagBubble from '../common/TagBubble';
+
+/**
+ * Sheet listing every tag used in a conversation with its message count
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is visible
+ * @param {Array} props.tagCounts - Entries as { tag, count }
+ * @param {Array} props.selectedTags - Tags currently in the filter
+ * @param {Function} props.onToggleTag - Callback with the tag to add to or remove from the filter
+ * @param {Function} props.onClose - Callback when the sheet is closed
+ */
+const TagIndexModal = ({
+  visible,
+  tagCounts = [],
+  selectedTags = [],
+  onToggleTag,
+  onClose,
+}) => {
+  const renderItem = ({ item }) => {
+    const isSelected = selectedTags.includes(item.tag);
+
+    return (
+      <TouchableOpacity style={styles.tagRow} onPress={() => onToggleTag(item.tag)}>
+        <TagBubble label={item.tag} selected={isSelected} onPress={() => onToggleTag(item.tag)} />
+        <Text style={styles.countText}>
+          {item.count} {item.count === 1 ? 'message' : 'messages'}
+        </Text>
+        <Ionicons
+          name={isSelected ? 'checkmark-circle' : 'ellipse-outline'}
+          size={22}
+          color={isSelected ? '#5A67F2' : '#CCC'}
+        />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      transparent
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+      <View style={styles.sheet}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Tags</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color="#333" />
+          </TouchableOpacity>
+        </View>
+        <FlatList
+          data={tagCounts}
+          renderItem={renderItem}
+          keyExtractor={item => item.tag}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No messages in this conversation are tagged yet</Text>
+          }
+        />
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    maxHeight: '60%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  title: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  tagRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  countText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    padding: 24,
+  },
+});
+
+export default React.memo(TagIndexModal);
@@ -9,6 +9,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
 import { formatMessageTime } from '../../utils/timeUtils';
+import ThreadBadge from './ThreadBadge';
 
 /**
  * Text message component
@@ -19,6 +20,7 @@ import { formatMessageTime } from '../../utils/timeUtils';
  * @param {Function} props.onLongPress - Callback when message is long-pressed
  * @param {Function} props.onPressOptions - Callback when options button is pressed
  * @param {Function} props.onPress - Callback when message is pressed
+ * @param {Function} props.onThreadPress - Callback to open the message's thread
  */
 const TextMessageItem = ({
   message,
@@ -26,6 +28,7 @@ const TextMessageItem = ({
   onLongPress,
   onPressOptions,
   onPress,
+  onThreadPress,
 }) => {
   // Handle long press with haptic feedback
   const handleLongPress = useCallback(() => {
@@ -35,6 +38,13 @@ const TextMessageItem = ({
     }
   }, [message, onLongPress]);
 
+  // Open the thread of replies to this message
+  const handleThreadPress = useCallback(() => {
+    if (onThreadPress) {
+      onThreadPress(message);
+    }
+  }, [message, onThreadPress]);
+
   // Handle press on the message
   const handlePress = useCallback(() => {
     if (onPress) {
@@ -76,6 +86,15 @@ const TextMessageItem = ({
         {message.text}
       </Text>
 
+      {/* Replies */}
+      {message.thread && message.thread.replyCount > 0 && (
+        <ThreadBadge
+          thread={message.thread}
+          isUserMessage={isUserMessage}
+          onPress={handleThreadPress}
+        />
+      )}
+
       {/* Options button */}
       <TouchableOpacity
         style={styles.optionsButton}
@@ -0,0 +1,64 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Reply count under a message, opening its thread
+ *
+ * @param {Object} props
+ * @param {Object} props.thread - Thread summary ({ replyCount, unreadCount })
+ * @param {boolean} props.isUserMessage - Whether the badge sits in the current user's bubble
+ * @param {Function} props.onPress - Callback to open the thread
+ */
+const ThreadBadge = ({ thread, isUserMessage = false, onPress }) => {
+  const hasUnread = thread.unreadCount > 0;
+  const color = isUserMessage ? '#FFFFFF' : '#5A67F2';
+
+  return (
+    <TouchableOpacity
+      style={styles.container}
+      onPress={onPress}
+      disabled={!onPress}
+      accessibilityLabel={`${thread.replyCount} ${thread.replyCount === 1 ? 'reply' : 'replies'}${hasUnread ? `, ${thread.unreadCount} new` : ''}`}
+      accessibilityHint="Opens the thread"
+    >
+      <Ionicons name="chatbubbles-outline" size={14} color={color} />
+      <Text style={[styles.countText, { color }]}>
+        {thread.replyCount} {thread.replyCount === 1 ? 'reply' : 'replies'}
+      </Text>
+      {hasUnread && (
+        <View style={styles.unreadBadge}>
+          <Text style={styles.unreadText}>{thread.unreadCount} new</Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 6,
+  },
+  countText: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  unreadBadge: {
+    marginLeft: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 8,
+    backgroundColor: '#FF3B30',
+  },
+  unreadText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+});
+
+export default React.memo(ThreadBadge);
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { formatTime } from '../../utils/timeUtils';
+
+/**
+ * One timestamped transcript segment that can be corrected inline
+ *
+ * @param {Object} props
+ * @param {Object} props.segment - Segment with text, start, end, edited and originalText
+ * @param {Function} props.onSave - Called with the corrected text; may return a promise
+ * @param {boolean} props.highlighted - Whether to emphasize the segment (e.g. a search hit)
+ * @param {string} [props.highlightColor] - Color of a highlight covering the segment, shaded behind its text
+ */
+const TranscriptSegment = ({ segment, onSave, highlighted = false, highlightColor = null }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftText, setDraftText] = useState(segment.text);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
+
+  const startEditing = () => {
+    setDraftText(segment.text);
+    setIsEditing(true);
+  };
+
+  const cancelEditing = () => {
+    setDraftText(segment.text);
+    setIsEditing(false);
+  };
+
+  const saveEdit = async () => {
+    const text = draftText.trim();
+    if (!text) return;
+
+    // Nothing changed, just leave edit mode
+    if (text === segment.text) {
+      setIsEditing(false);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await onSave(text);
+      setIsEditing(false);
+    } catch (error) {
+      console.error('Error saving transcript segment:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <View
+      style={[
+        styles.container,
+        highlighted && styles.highlighted,
+        highlightColor && [styles.highlightRange, { borderLeftColor: highlightColor, backgroundColor: `${highlightColor}26` }],
+      ]}
+    >
+      <Text style={styles.timestampLabel}>{formatTime(segment.start)}</Text>
+
+      {isEditing ? (
+        <View style={styles.body}>
+          <TextInput
+            style={styles.input}
+            value={draftText}
+            onChangeText={setDraftText}
+            multiline
+            autoFocus
+            editable={!isSaving}
+          />
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={cancelEditing} disabled={isSaving} style={styles.actionButton}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={saveEdit}
+              disabled={isSaving || !draftText.trim()}
+              style={styles.actionButton}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color="#5A67F2" />
+              ) : (
+                <Text style={[styles.saveText, !draftText.trim() && styles.disabledText]}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.body} onPress={startEditing} activeOpacity={0.6}>
+          <Text style={styles.text}>{segment.text}</Text>
+
+          {segment.edited && (
+            <TouchableOpacity
+              onPress={() => setShowOriginal(!showOriginal)}
+              hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}
+            >
+              <Text style={styles.editedMarker}>
+                Edited · {showOriginal ? 'Hide original' : 'Show original'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {segment.edited && showOriginal && (
+            <Text style={styles.originalText}>{segment.originalText}</Text>
+          )}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  highlighted: {
+    backgroundColor: 'rgba(90, 103, 242, 0.1)',
+    borderRadius: 6,
+    marginHorizontal: -6,
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
+  highlightRange: {
+    borderLeftWidth: 3,
+    borderRadius: 6,
+    marginHorizontal: -6,
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
+  timestampLabel: {
+    width: 40,
+    fontSize: 12,
+    color: '#666',
+    marginRight: 8,
+    marginTop: 2,
+  },
+  body: {
+    flex: 1,
+  },
+  text: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#333',
+  },
+  input: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#333',
+    borderWidth: 1,
+    borderColor: '#5A67F2',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 6,
+  },
+  actionButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    minWidth: 48,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  saveText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5A67F2',
+  },
+  disabledText: {
+    color: '#BBB',
+  },
+  editedMarker: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 2,
+  },
+  originalText: {
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#999',
+    textDecorationLine: 'line-through',
+    marginTop: 4,
+  },
+});
+
+export default React.memo(TranscriptSegment);
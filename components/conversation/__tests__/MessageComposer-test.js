@@ -0,0 +1,126 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { Platform, Text } from 'react-native';
+import MessageComposer from '../MessageComposer';
+
+const Recorder = () => <Text>Recorder</Text>;
+
+// Render the composer with a stand-in recorder, returning helpers to find its parts
+const renderComposer = async (props) => {
+  let renderer;
+  await act(async () => {
+    renderer = TestRenderer.create(
+      <MessageComposer onSendText={jest.fn(async () => true)} {...props}>
+        <Recorder />
+      </MessageComposer>
+    );
+  });
+
+  const byLabel = label => renderer.root.findAll(node => (
+    node.props.accessibilityLabel === label && typeof node.type !== 'string'
+  ))[0];
+  return {
+    renderer,
+    input: () => byLabel('Message text'),
+    sendButton: () => byLabel('Send message'),
+    hasRecorder: () => renderer.root.findAllByType(Recorder).length > 0,
+    counter: () => {
+      const [counter] = renderer.root.findAll(node => (
+        node.type === Text && String(node.props.children).includes('characters left')
+      ));
+      return counter ? [].concat(counter.props.children).join('') : null;
+    },
+    type: text => act(async () => byLabel('Message text').props.onChangeText(text)),
+  };
+};
+
+describe('MessageComposer', () => {
+  it('shows the recorder until something is typed, then the send button', async () => {
+    const composer = await renderComposer();
+    expect(composer.hasRecorder()).toBe(true);
+    expect(composer.sendButton()).toBeUndefined();
+
+    await composer.type('Hi');
+
+    expect(composer.hasRecorder()).toBe(false);
+    expect(composer.sendButton()).toBeDefined();
+  });
+
+  it('sends the trimmed text and clears the field', async () => {
+    const onSendText = jest.fn(async () => true);
+    const composer = await renderComposer({ onSendText });
+    await composer.type('  See you at ten  \n');
+
+    await act(() => composer.sendButton().props.onPress());
+
+    expect(onSendText).toHaveBeenCalledWith('See you at ten');
+    expect(composer.input().props.value).toBe('');
+    expect(composer.hasRecorder()).toBe(true);
+  });
+
+  it('keeps the text when it could not be sent', async () => {
+    const composer = await renderComposer({ onSendText: jest.fn(async () => false) });
+    await composer.type('Retry me');
+
+    await act(() => composer.sendButton().props.onPress());
+
+    expect(composer.input().props.value).toBe('Retry me');
+  });
+
+  it('can\'t send only whitespace', async () => {
+    const onSendText = jest.fn();
+    const composer = await renderComposer({ onSendText });
+    await composer.type('   ');
+
+    expect(composer.sendButton().props.disabled).toBe(true);
+    await act(() => composer.sendButton().props.onPress());
+    expect(onSendText).not.toHaveBeenCalled();
+  });
+
+  it('counts down the characters left near the limit', async () => {
+    const composer = await renderComposer({ maxLength: 120 });
+    expect(composer.input().props.maxLength).toBe(120);
+
+    await composer.type('a'.repeat(10));
+    expect(composer.counter()).toBeNull();
+
+    await composer.type('a'.repeat(30));
+    expect(composer.counter()).toBe('90 characters left');
+  });
+
+  it('hides the text field while the recorder is in use', async () => {
+    const composer = await renderComposer({ recorderActive: true });
+
+    expect(composer.input()).toBeUndefined();
+    expect(composer.hasRecorder()).toBe(true);
+  });
+
+  describe('on the web', () => {
+    const { OS } = Platform;
+
+    beforeEach(() => {
+      Platform.OS = 'web';
+    });
+
+    afterEach(() => {
+      Platform.OS = OS;
+    });
+
+    it('sends on Enter and starts a new line on Shift+Enter', async () => {
+      const onSendText = jest.fn(async () => true);
+      const composer = await renderComposer({ onSendText });
+      await composer.type('Hello');
+      const keyPress = shiftKey => ({ nativeEvent: { key: 'Enter', shiftKey }, preventDefault: jest.fn() });
+
+      const shiftEnter = keyPress(true);
+      await act(async () => composer.input().props.onKeyPress(shiftEnter));
+      expect(shiftEnter.preventDefault).not.toHaveBeenCalled();
+      expect(onSendText).not.toHaveBeenCalled();
+
+      const enter = keyPress(false);
+      await act(async () => composer.input().props.onKeyPress(enter));
+      expect(enter.preventDefault).toHaveBeenCalled();
+      expect(onSendText).toHaveBeenCalledWith('Hello');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { AppState } from 'react-native';
+import { Audio } from 'expo-av';
+import useAudioRecorder from '../useAudioRecorder';
+import { generateWaveform } from '../../services/databaseService';
+import { meteringToAmplitude, waveformFromMetering } from '../../utils/audioAnalysis';
+
+jest.mock('../../services/databaseService', () => ({
+  generateWaveform: jest.fn(() => Promise.resolve([0.5])),
+}));
+
+// Render the hook, returning a getter for its latest result and a way to unmount it
+const renderRecorder = async () => {
+  let result;
+  const Probe = () => {
+    result = useAudioRecorder();
+    return null;
+  };
+
+  let renderer;
+  await act(async () => {
+    renderer = TestRenderer.create(<Probe />);
+  });
+  return {
+    recorder: () => result,
+    unmount: () => act(async () => renderer.unmount()),
+  };
+};
+
+// The recording started by the last startRecording()
+const lastRecording = () => Audio.Recording.mock.results.at(-1).value;
+
+// Report input levels (dBFS) the way the recorder does while recording
+const emitLevels = (recording, levels) => act(async () => {
+  levels.forEach(metering => recording.emitStatus({ isRecording: true, metering }));
+});
+
+const advanceSeconds = seconds => act(async () => {
+  jest.advanceTimersByTime(seconds * 1000);
+});
+
+describe('useAudioRecorder', () => {
+  let rendered;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(async () => {
+    await rendered.unmount();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('samples the input level into a scrolling live waveform', async () => {
+    rendered = await renderRecorder();
+    await act(() => rendered.recorder().startRecording());
+    const recording = lastRecording();
+
+    expect(recording.prepareToRecordAsync).toHaveBeenCalledWith(
+      expect.objectContaining({ isMeteringEnabled: true })
+    );
+
+    await emitLevels(recording, [-60, -30, 0]);
+    expect(rendered.recorder().liveWaveform).toEqual([0, 0.5, 1]);
+
+    // Only the most recent levels are shown
+    await emitLevels(recording, Array.from({ length: 40 }, () => -15));
+    expect(rendered.recorder().liveWaveform).toHaveLength(40);
+    expect(rendered.recorder().liveWaveform.every(level => level === 0.75)).toBe(true);
+  });
+
+  it('turns the sampled levels into the waveform of the finished recording', async () => {
+    rendered = await renderRecorder();
+    await act(() => rendered.recorder().startRecording());
+    const levels = [-50, -20, -10, -40, -5, -60];
+    await emitLevels(lastRecording(), levels);
+    await advanceSeconds(2);
+
+    let recordingData;
+    await act(async () => {
+      recordingData = await rendered.recorder().stopRecording();
+    });
+
+    expect(recordingData).toEqual({
+      uri: 'file:///cache/recording.wav',
+      duration: 2,
+      waveform: waveformFromMetering(levels.map(level => meteringToAmplitude(level)), 2),
+    });
+    expect(generateWaveform).not.toHaveBeenCalled();
+    expect(rendered.recorder().liveWaveform).toEqual([]);
+  });
+
+  it('analyzes the file where the recorder reports no levels', async () => {
+    rendered = await renderRecorder();
+    await act(() => rendered.recorder().startRecording());
+
+    let recordingData;
+    await act(async () => {
+      recordingData = await rendered.recorder().stopRecording();
+    });
+
+    expect(generateWaveform).toHaveBeenCalledWith('file:///cache/recording.wav');
+    expect(recordingData.waveform).toEqual([0.5]);
+  });
+
+  it('freezes the timer while paused and continues it on resume', async () => {
+    rendered = await renderRecorder();
+    await act(() => rendered.recorder().startRecording());
+    const recording = lastRecording();
+    await advanceSeconds(3);
+
+    await act(() => rendered.recorder().pauseRecording());
+    await advanceSeconds(5);
+
+    expect(recording.pauseAsync).toHaveBeenCalled();
+    expect(rendered.recorder()).toMatchObject({ isRecording: true, isPaused: true, recordingTime: 3 });
+
+    await act(() => rendered.recorder().resumeRecording());
+    await advanceSeconds(2);
+
+    expect(recording.startAsync).toHaveBeenCalledTimes(2);
+    expect(rendered.recorder()).toMatchObject({ isPaused: false, recordingTime: 5 });
+
+    let recordingData;
+    await act(async () => {
+      recordingData = await rendered.recorder().stopRecording();
+    });
+    expect(recordingData.duration).toBe(5);
+  });
+
+  it('pauses when the app leaves the foreground', async () => {
+    rendered = await renderRecorder();
+    await act(() => rendered.recorder().startRecording());
+    const [, onAppStateChange] = AppState.addEventListener.mock.calls.at(-1);
+
+    await act(async () => onAppStateChange('background'));
+
+    expect(lastRecording().pauseAsync).toHaveBeenCalled();
+    expect(rendered.recorder().isPaused).toBe(true);
+  });
+});
@@ -1,149 +1,142 @@
-import { useState, useEffect, useRef } from 'react';
-import { Audio, AVPlaybackStatus, AVPlaybackStatusSuccess } from 'expo-av';
+import { useState, useEffect, useCallback } from 'react';
 import * as Haptics from 'expo-haptics';
+import * as playbackController from '../services/playbackController';
 
-interface AudioPlayerState {
+interface PlaybackState {
   currentAudioId: string | null;
-  isPlaying: boolean;
-  playbackPosition: number;
+  audioUri: string | null;
   isLoading: boolean;
-  playbackError: string | null;
+  isLoaded: boolean;
+  isPlaying: boolean;
+  positionMillis: number;
+  durationMillis: number;
+  rate: number;
+  error: string | null;
+}
+
+interface LoadOptions {
+  positionMillis?: number | null;
+  shouldPlay?: boolean;
 }
 
 interface AudioPlayerHook {
   currentAudioId: string | null;
   isPlaying: boolean;
-  playbackPosition: number;
   isLoading: boolean;
   playbackError: string | null;
-  togglePlayback: (audioUri: string, audioId: string) => Promise<void>;
+  playbackPosition: number;
+  positionMillis: number;
+  durationMillis: number;
+  rate: number;
+  togglePlayback: (audioUri: string, audioId: string, startPositionMillis?: number) => Promise<void>;
+  load: (audioUri: string, audioId: string, options?: LoadOptions) => Promise<void>;
+  play: (audioUri?: string, audioId?: string, options?: { positionMillis?: number | null }) => Promise<void>;
+  pause: () => Promise<void>;
+  seek: (positionMillis: number) => Promise<void>;
+  setRate: (rate: number) => Promise<void>;
+  stop: (audioId?: string) => Promise<void>;
 }
 
-const isLoadedStatus = (status: AVPlaybackStatus): status is AVPlaybackStatusSuccess => {
-  return status.isLoaded && 
-         'durationMillis' in status && 
-         'positionMillis' in status &&
-         typeof status.durationMillis === 'number' &&
-         status.durationMillis > 0;
-};
+const getState = (): PlaybackState => playbackController.getPlaybackState();
 
-const useAudioPlayer = (): AudioPlayerHook => {
-  const [state, setState] = useState<AudioPlayerState>({
-    currentAudioId: null,
-    isPlaying: false,
-    playbackPosition: 0,
-    isLoading: false,
-    playbackError: null,
-  });
+// Whether a state change matters to a player that only follows one message
+const affectsAudio = (audioId: string, prev: PlaybackState, next: PlaybackState) => {
+  return prev.currentAudioId === audioId || next.currentAudioId === audioId || prev.rate !== next.rate;
+};
 
-  const soundRef = useRef<Audio.Sound | null>(null);
-  const positionTimerRef = useRef<ReturnType<typeof setInterval> | null>(null);
+/**
+ * Hook onto the shared playback engine
+ * Every player in the app drives the same controller, so starting one message stops any other.
+ * @param {string} audioId - Only re-render for changes involving this message (omit to follow all playback)
+ */
+const useAudioPlayer = (audioId?: string): AudioPlayerHook => {
+  const [state, setState] = useState<PlaybackState>(getState);
 
-  // Clean up on unmount
   useEffect(() => {
+    let current = getState();
+    setState(current);
+
+    const unsubscribe = playbackController.subscribe((next: PlaybackState) => {
+      const prev = current;
+      current = next;
+      if (audioId && !affectsAudio(audioId, prev, next)) return;
+      setState(next);
+    });
     return () => {
-      if (soundRef.current) {
-        soundRef.current.unloadAsync();
-      }
-      if (positionTimerRef.current) {
-        clearInterval(positionTimerRef.current);
-      }
+      unsubscribe();
     };
-  }, []);
-
-  // Update playback position periodically when playing
-  useEffect(() => {
-    if (state.isPlaying) {
-      positionTimerRef.current = setInterval(async () => {
-        if (soundRef.current) {
-          const status = await soundRef.current.getStatusAsync() as AVPlaybackStatus;
-          if (isLoadedStatus(status) && status.durationMillis) {
-            setState(prev => ({
-              ...prev,
-              playbackPosition: status.positionMillis / status.durationMillis,
-            }));
-          }
-        }
-      }, 100);
-    } else if (positionTimerRef.current) {
-      clearInterval(positionTimerRef.current);
-    }
+  }, [audioId]);
 
-    return () => {
-      if (positionTimerRef.current) {
-        clearInterval(positionTimerRef.current);
-      }
-    };
-  }, [state.isPlaying]);
+  const togglePlayback = useCallback(async (audioUri: string, id: string, startPositionMillis = 0) => {
+    const { currentAudioId, isPlaying } = getState();
+    const starting = currentAudioId !== id || !isPlaying;
 
-  const togglePlayback = async (audioUri: string, audioId: string) => {
     try {
-      setState(prev => ({ ...prev, isLoading: true, playbackError: null }));
-
-      // If we're already playing this audio, just toggle play/pause
-      if (soundRef.current && state.currentAudioId === audioId) {
-        const status = await soundRef.current.getStatusAsync() as AVPlaybackStatus;
-        if (isLoadedStatus(status)) {
-          if (status.isPlaying) {
-            await soundRef.current.pauseAsync();
-            setState(prev => ({ ...prev, isPlaying: false, isLoading: false }));
-          } else {
-            await soundRef.current.playAsync();
-            setState(prev => ({ ...prev, isPlaying: true, isLoading: false }));
-          }
-          return;
-        }
+      await playbackController.toggle(audioUri, id, startPositionMillis);
+      if (starting) {
+        // Provide haptic feedback
+        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
       }
-
-      // If we're playing a different audio, stop the current one
-      if (soundRef.current) {
-        await soundRef.current.unloadAsync();
-      }
-
-      // Load and play the new audio
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: audioUri },
-        { shouldPlay: true },
-        (status: AVPlaybackStatus) => {
-          if (!isLoadedStatus(status)) return;
-          
-          // Handle playback completion
-          if (status.didJustFinish) {
-            setState(prev => ({
-              ...prev,
-              isPlaying: false,
-              playbackPosition: 0,
-            }));
-          }
-        }
-      );
-
-      soundRef.current = sound;
-      setState(prev => ({
-        ...prev,
-        currentAudioId: audioId,
-        isPlaying: true,
-        playbackPosition: 0,
-        isLoading: false,
-      }));
-
-      // Provide haptic feedback
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
-
     } catch (error) {
       console.error('Audio playback error:', error);
-      setState(prev => ({
-        ...prev,
-        isLoading: false,
-        playbackError: error instanceof Error ? error.message : 'Failed to play audio',
-      }));
     }
-  };
+  }, []);
+
+  const load = useCallback((audioUri: string, id: string, options?: LoadOptions) => {
+    return playbackController.load(audioUri, id, options);
+  }, []);
+
+  const play = useCallback((audioUri?: string, id?: string, options?: { positionMillis?: number | null }) => {
+    return playbackController.play(audioUri, id, options);
+  }, []);
+
+  const pause = useCallback(() => playbackController.pause(), []);
+  const seek = useCallback((positionMillis: number) => playbackController.seek(positionMillis), []);
+  const setRate = useCallback((rate: number) => playbackController.setRate(rate), []);
+  const stop = useCallback((id?: string) => playbackController.stop(id), []);
+
+  // A player following one message reports idle values while another message is loaded
+  const isCurrent = !audioId || state.currentAudioId === audioId;
+  const positionMillis = isCurrent ? state.positionMillis : 0;
+  const durationMillis = isCurrent ? state.durationMillis : 0;
 
   return {
-    ...state,
+    currentAudioId: state.currentAudioId,
+    isPlaying: isCurrent && state.isPlaying,
+    isLoading: isCurrent && state.isLoading,
+    playbackError: isCurrent ? state.error : null,
+    playbackPosition: durationMillis > 0 ? positionMillis / durationMillis : 0,
+    positionMillis,
+    durationMillis,
+    rate: state.rate,
     togglePlayback,
+    load,
+    play,
+    pause,
+    seek,
+    setRate,
+    stop,
   };
 };
 
-export default useAudioPlayer; 
\ No newline at end of file
+/**
+ * Follow only the playback speed, without re-rendering on position updates
+ * @returns {number} Current speed multiplier
+ */
+export const usePlayerRate = (): number => {
+  const [rate, setRateState] = useState<number>(() => getState().rate);
+
+  useEffect(() => {
+    setRateState(getState().rate);
+    const unsubscribe = playbackController.subscribe((next: PlaybackState) => {
+      setRateState(next.rate);
+    });
+    return () => {
+      unsubscribe();
+    };
+  }, []);
+
+  return rate;
+};
+
+export default useAudioPlayer;
@@ -1,19 +1,38 @@
 import { useState, useEffect, useRef } from 'react';
-import { Platform, Alert, Linking } from 'react-native';
+import { Platform, Alert, Linking, AppState } from 'react-native';
 import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
 import * as Haptics from 'expo-haptics';
 import { generateWaveform } from '../services/databaseService';
+import { pause as pausePlayback } from '../services/playbackController';
+import { meteringToAmplitude, waveformFromMetering } from '../utils/audioAnalysis';
+import { trimAudioFile, concatAudioFiles } from '../utils/audioProcessing';
+
+// How often the recorder reports its input level
+const METERING_INTERVAL_MS = 100;
+
+// Number of recent levels shown in the live waveform
+const LIVE_WAVEFORM_LENGTH = 40;
+
+// New file for an edited recording; the original is left alone until the edit is sent
+const editedRecordingUri = () => `${FileSystem.cacheDirectory}recording_${Date.now()}.wav`;
 
 /**
  * Custom hook for handling audio recording functionality with built-in permission handling
+ * @param {Object} [options]
+ * @param {Function} [options.onInterrupted] - Called with the recording info when the recorder unmounts mid-recording
  * @returns {Object} Audio recording state and functions
  */
-const useAudioRecorder = () => {
+const useAudioRecorder = ({ onInterrupted } = {}) => {
   // Recording state
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
   const [recordingError, setRecordingError] = useState(null);
   const [isProcessingRecording, setIsProcessingRecording] = useState(false);
+  const [liveWaveform, setLiveWaveform] = useState([]);
+  // File the current recording is being written to
+  const [recordingUri, setRecordingUri] = useState(null);
   
   // Permission state
   const [hasPermission, setHasPermission] = useState(false);
@@ -23,14 +42,39 @@ const useAudioRecorder = () => {
   // References to active recording
   const recordingRef = useRef(null);
   const recordingTimerRef = useRef(null);
+  const recordingTimeRef = useRef(0);
+  
+  // Every level sampled during the current recording
+  const meteringSamplesRef = useRef([]);
+  
+  // Latest interruption callback, for the unmount cleanup
+  const onInterruptedRef = useRef(onInterrupted);
+  onInterruptedRef.current = onInterrupted;
   
   // Check permissions on mount
   useEffect(() => {
     checkPermission();
     
-    // Cleanup function
+    // Cleanup function: keep what was recorded so far
+    return () => {
+      stopRecording().then(recordingData => {
+        if (recordingData && onInterruptedRef.current) {
+          onInterruptedRef.current(recordingData);
+        }
+      });
+    };
+  }, []);
+  
+  // Pause instead of losing audio when the app is interrupted mid-recording
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextAppState => {
+      if (nextAppState !== 'active') {
+        pauseRecording();
+      }
+    });
+    
     return () => {
-      stopRecording();
+      subscription.remove();
     };
   }, []);
   
@@ -136,6 +180,45 @@ const useAudioRecorder = () => {
     return await requestPermission();
   };
   
+  /**
+   * Record the input level from a recording status update
+   * @param {Object} status - Recording status from expo-av
+   */
+  const handleRecordingStatus = (status) => {
+    if (!status.isRecording || typeof status.metering !== 'number') return;
+    
+    const amplitude = meteringToAmplitude(status.metering);
+    meteringSamplesRef.current.push(amplitude);
+    setLiveWaveform(previous => [...previous.slice(-(LIVE_WAVEFORM_LENGTH - 1)), amplitude]);
+  };
+  
+  /**
+   * Count recording time in whole seconds, continuing from where it stopped
+   */
+  const startTimer = () => {
+    clearInterval(recordingTimerRef.current);
+    recordingTimerRef.current = setInterval(() => {
+      recordingTimeRef.current += 1;
+      setRecordingTime(recordingTimeRef.current);
+    }, 1000);
+  };
+  
+  /**
+   * Clear all state of the current recording
+   */
+  const resetRecordingState = () => {
+    recordingRef.current = null;
+    clearInterval(recordingTimerRef.current);
+    recordingTimerRef.current = null;
+    recordingTimeRef.current = 0;
+    setIsRecording(false);
+    setIsPaused(false);
+    setRecordingTime(0);
+    setLiveWaveform([]);
+    setRecordingUri(null);
+    meteringSamplesRef.current = [];
+  };
+  
   /**
    * Start audio recording
    * @returns {Promise<boolean>} Success status
@@ -161,8 +244,11 @@ const useAudioRecorder = () => {
         recordingRef.current = null;
       }
       
+      // Don't record a message that is still playing
+      await pausePlayback();
+      
       // Reset recording state
-      setRecordingTime(0);
+      resetRecordingState();
       
       // Configure audio recording settings with correct values
       await Audio.setAudioModeAsync({
@@ -179,38 +265,45 @@ const useAudioRecorder = () => {
       // Configure recording options based on platform
       const recordingOptions = {
         isMeteringEnabled: true,
+        // Uncompressed so silence trimming and loudness normalization can run before sending;
+        // the processed message is compressed (see compressAudioFile)
         ios: {
-          extension: '.m4a',
+          extension: '.wav',
+          outputFormat: Audio.IOSOutputFormat.LINEARPCM,
           audioQuality: Audio.RECORDING_OPTION_IOS_AUDIO_QUALITY_HIGH,
           sampleRate: 44100,
-          numberOfChannels: 2,
-          bitRate: 128000,
+          numberOfChannels: 1,
+          bitRate: 705600,
           linearPCMBitDepth: 16,
           linearPCMIsBigEndian: false,
           linearPCMIsFloat: false,
         },
+        // Compressed as it is recorded, at the mono bit rate messages are stored at;
+        // clean-up before sending works on the AAC frames without re-encoding (see processAudioFile)
         android: {
           extension: '.m4a',
           outputFormat: Audio.RECORDING_OPTION_ANDROID_OUTPUT_FORMAT_MPEG_4,
           audioEncoder: Audio.RECORDING_OPTION_ANDROID_AUDIO_ENCODER_AAC,
           sampleRate: 44100,
-          numberOfChannels: 2,
-          bitRate: 128000,
+          numberOfChannels: 1,
+          bitRate: 64000,
         }
       };
       
       await recording.prepareToRecordAsync(recordingOptions);
+      
+      // Sample the input level for the live waveform
+      recording.setProgressUpdateInterval(METERING_INTERVAL_MS);
+      recording.setOnRecordingStatusUpdate(handleRecordingStatus);
+      
       await recording.startAsync();
       
       recordingRef.current = recording;
+      setRecordingUri(recording.getURI());
       setIsRecording(true);
       
       // Start timer for recording duration
-      let timeElapsed = 0;
-      recordingTimerRef.current = setInterval(() => {
-        timeElapsed += 1;
-        setRecordingTime(timeElapsed);
-      }, 1000);
+      startTimer();
       
       // Provide haptic feedback
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
@@ -224,6 +317,53 @@ const useAudioRecorder = () => {
     }
   };
   
+  /**
+   * Pause the current recording, freezing the timer and live waveform
+   * @returns {Promise<boolean>} Whether the recording was paused
+   */
+  const pauseRecording = async () => {
+    const recording = recordingRef.current;
+    if (!recording || recordingTimerRef.current === null) return false;
+    
+    try {
+      clearInterval(recordingTimerRef.current);
+      recordingTimerRef.current = null;
+      await recording.pauseAsync();
+      setIsPaused(true);
+      
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      return true;
+    } catch (error) {
+      console.error('Failed to pause recording', error);
+      setRecordingError(`Failed to pause recording: ${error.message}`);
+      return false;
+    }
+  };
+  
+  /**
+   * Continue a paused recording
+   * @returns {Promise<boolean>} Whether recording resumed
+   */
+  const resumeRecording = async () => {
+    const recording = recordingRef.current;
+    if (!recording || recordingTimerRef.current !== null) return false;
+    
+    try {
+      // Something may have started playing while the recording was paused
+      await pausePlayback();
+      await recording.startAsync();
+      setIsPaused(false);
+      startTimer();
+      
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      return true;
+    } catch (error) {
+      console.error('Failed to resume recording', error);
+      setRecordingError(`Failed to resume recording: ${error.message}`);
+      return false;
+    }
+  };
+  
   /**
    * Stop current audio recording
    * @returns {Promise<Object|null>} Recording info or null if failed
@@ -238,22 +378,23 @@ const useAudioRecorder = () => {
       }
       
       // Stop recording and timer
+      recordingRef.current.setOnRecordingStatusUpdate(null);
       await recordingRef.current.stopAndUnloadAsync();
       clearInterval(recordingTimerRef.current);
       
       // Get recording data
       const uri = recordingRef.current.getURI();
+      const duration = recordingTimeRef.current;
       
-      // Generate waveform data
-      const waveformData = await generateWaveform(uri);
+      // Use the levels sampled while recording; analyze the file only where
+      // metering isn't available (e.g. web)
+      const samples = meteringSamplesRef.current;
+      const waveformData = samples.length > 0
+        ? waveformFromMetering(samples, duration)
+        : await generateWaveform(uri);
       
       // Reset state
-      const duration = recordingTime;
-      const recording = recordingRef.current;
-      recordingRef.current = null;
-      recordingTimerRef.current = null;
-      setIsRecording(false);
-      setRecordingTime(0);
+      resetRecordingState();
       setIsProcessingRecording(false);
       
       // Provide haptic feedback
@@ -276,11 +417,7 @@ const useAudioRecorder = () => {
           console.error('Error cleaning up recording:', cleanupError);
         }
       }
-      recordingRef.current = null;
-      clearInterval(recordingTimerRef.current);
-      recordingTimerRef.current = null;
-      setIsRecording(false);
-      setRecordingTime(0);
+      resetRecordingState();
       setIsProcessingRecording(false);
       
       return null;
@@ -295,14 +432,11 @@ const useAudioRecorder = () => {
       if (!recordingRef.current) return;
       
       // Stop and discard recording
+      recordingRef.current.setOnRecordingStatusUpdate(null);
       await recordingRef.current.stopAndUnloadAsync();
-      clearInterval(recordingTimerRef.current);
       
       // Reset state
-      recordingRef.current = null;
-      recordingTimerRef.current = null;
-      setIsRecording(false);
-      setRecordingTime(0);
+      resetRecordingState();
       
       // Provide haptic feedback
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
@@ -310,18 +444,62 @@ const useAudioRecorder = () => {
       console.error('Error canceling recording:', error);
       
       // Reset state anyway
-      recordingRef.current = null;
-      clearInterval(recordingTimerRef.current);
-      recordingTimerRef.current = null;
-      setIsRecording(false);
-      setRecordingTime(0);
+      resetRecordingState();
+    }
+  };
+  
+  /**
+   * Cut a finished recording down to a range, written as a new file
+   * @param {Object} recordingData - Recording info from stopRecording
+   * @param {number} start - Start of the part to keep, in seconds
+   * @param {number} end - End of the part to keep, in seconds
+   * @returns {Promise<Object>} Recording info of the trimmed file (the original if it can't be edited)
+   */
+  const trimRecording = async (recordingData, start, end) => {
+    try {
+      const trimmed = await trimAudioFile(recordingData.uri, editedRecordingUri(), start, end);
+      if (!trimmed) return recordingData;
+      
+      return {
+        uri: trimmed.uri,
+        duration: trimmed.duration,
+        waveform: await generateWaveform(trimmed.uri),
+      };
+    } catch (error) {
+      console.error('Failed to trim recording', error);
+      throw error;
+    }
+  };
+  
+  /**
+   * Join a second recording onto the end of a finished one, written as a new file
+   * @param {Object} recordingData - Recording info of the draft
+   * @param {Object} moreData - Recording info of the audio to add
+   * @returns {Promise<Object|null>} Recording info of the joined file, or null if they can't be joined
+   */
+  const appendRecording = async (recordingData, moreData) => {
+    try {
+      const joined = await concatAudioFiles([recordingData.uri, moreData.uri], editedRecordingUri());
+      if (!joined) return null;
+      
+      return {
+        uri: joined.uri,
+        duration: joined.duration,
+        waveform: await generateWaveform(joined.uri),
+      };
+    } catch (error) {
+      console.error('Failed to append recording', error);
+      throw error;
     }
   };
   
   return {
     // Recording state
     isRecording,
+    isPaused,
     recordingTime,
+    liveWaveform,
+    recordingUri,
     recordingError,
     isProcessingRecording,
     
@@ -334,8 +512,12 @@ const useAudioRecorder = () => {
     checkPermission,
     requestPermission,
     startRecording,
+    pauseRecording,
+    resumeRecording,
     stopRecording,
     cancelRecording,
+    trimRecording,
+    appendRecording,
   };
 };
 
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import {
+  getQueueState,
+  subscribe,
+  setQueueSource,
+  isUnheard,
+  playUnheard,
+  skipToNext,
+  stopQueue,
+} from '../services/autoplayQueue';
+
+/**
+ * Custom hook for autoplaying a conversation's unheard voice messages
+ * @param {string} conversationId - ID of the conversation being viewed
+ * @param {Array} messages - Messages shown in the conversation, oldest first
+ * @param {string} currentUserId - ID of the current user
+ * @returns {Object} Queue state and controls
+ */
+const useAutoplayQueue = (conversationId, messages, currentUserId) => {
+  const [queue, setQueue] = useState(getQueueState);
+
+  useEffect(() => {
+    setQueue(getQueueState());
+    return subscribe(setQueue);
+  }, []);
+
+  // Keep the queue reading from the messages on screen
+  useEffect(() => {
+    setQueueSource(conversationId, messages, currentUserId);
+  }, [conversationId, messages, currentUserId]);
+
+  const isQueueForConversation = queue.conversationId === conversationId;
+  const current = isQueueForConversation ? queue.items[queue.index] || null : null;
+
+  return {
+    // A single message isn't worth showing queue controls for
+    isActive: isQueueForConversation && queue.items.length > 1,
+    current,
+    position: queue.index + 1,
+    total: queue.items.length,
+    chiming: queue.chiming,
+    unheardCount: messages.filter(message => isUnheard(message, currentUserId)).length,
+    playUnheard,
+    skipToNext,
+    stopQueue,
+  };
+};
+
+export default useAutoplayQueue;
@@ -0,0 +1,80 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  getDraft,
+  saveDraft as storeDraft,
+  deleteDraft,
+} from '../services/databaseService';
+
+/**
+ * Custom hook keeping a conversation's unsent recording in storage
+ * Writes happen one after another, so a draft cleared right after it was
+ * saved can't be brought back by the save finishing late.
+ * @param {string} conversationId - Conversation the draft belongs to
+ * @returns {Object} The stored draft (or null) and functions to save and clear it
+ */
+const useDraft = (conversationId) => {
+  const [draft, setDraft] = useState(null);
+
+  // Pending write, which the next one waits for
+  const pendingRef = useRef(Promise.resolve());
+
+  const enqueue = useCallback((operation) => {
+    const next = pendingRef.current.then(operation);
+    pendingRef.current = next.catch(() => {});
+    return next;
+  }, []);
+
+  // Load the draft, recovering one whose recording was cut off when the app closed
+  useEffect(() => {
+    let cancelled = false;
+
+    enqueue(() => getDraft(conversationId))
+      .then(storedDraft => {
+        if (!cancelled) {
+          setDraft(storedDraft);
+        }
+      })
+      .catch(error => {
+        console.error('Error loading draft:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId, enqueue]);
+
+  /**
+   * Store a recording as the conversation's draft
+   * @param {Object} recordingData - Recording info ({ uri, duration, waveform })
+   * @param {Object} [options] - { inProgress } while the recording is still being made
+   * @returns {Promise<Object|null>} The stored draft, or null if it couldn't be saved
+   */
+  const saveDraft = useCallback((recordingData, options = {}) => (
+    enqueue(() => storeDraft(conversationId, recordingData, options))
+      .then(storedDraft => {
+        setDraft(storedDraft);
+        return storedDraft;
+      })
+      .catch(error => {
+        console.error('Error saving draft:', error);
+        return null;
+      })
+  ), [conversationId, enqueue]);
+
+  /**
+   * Remove the conversation's draft
+   * @returns {Promise<void>}
+   */
+  const clearDraft = useCallback(() => {
+    setDraft(null);
+    return enqueue(() => deleteDraft(conversationId))
+      .then(() => {})
+      .catch(error => {
+        console.error('Error clearing draft:', error);
+      });
+  }, [conversationId, enqueue]);
+
+  return { draft, saveDraft, clearDraft };
+};
+
+export default useDraft;
@@ -1,5 +1,12 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { getMessages, sendAudioMessage, sendMessageToGCP, markMessagesAsRead } from '../services/databaseService';
+import {
+  getMessages,
+  sendAudioMessage,
+  sendMessageToGCP,
+  markMessagesAsRead,
+  onWaveformReady,
+} from '../services/databaseService';
+import { onListenStateChange } from '../services/listenTracker';
 
 /**
  * Custom hook for handling messages in a conversation
@@ -65,6 +72,28 @@ const useMessages = (conversationId) => {
     };
   }, [fetchMessages]);
   
+  // Pick up listen progress recorded by the player
+  useEffect(() => {
+    return onListenStateChange((messageId, listenState) => {
+      setMessages(prev => 
+        prev.map(msg => 
+          msg.id === messageId ? { ...msg, ...listenState } : msg
+        )
+      );
+    });
+  }, []);
+  
+  // Pick up waveforms computed after the messages were loaded
+  useEffect(() => {
+    return onWaveformReady((messageId, waveform) => {
+      setMessages(prev => 
+        prev.map(msg => 
+          msg.id === messageId ? { ...msg, waveform } : msg
+        )
+      );
+    });
+  }, []);
+  
   // Refreshing messages
   const refreshMessages = useCallback(() => {
     return fetchMessages(true);
@@ -123,6 +152,8 @@ const useMessages = (conversationId) => {
         audioUri: audioData.uri,
         audioDuration: audioData.duration,
         waveform: audioData.waveform,
+        processing: audioData.processing,
+        replyTo: audioData.replyTo,
         senderId: '123', // Current user ID
         timestamp: new Date().toISOString(),
         type: 'audio'
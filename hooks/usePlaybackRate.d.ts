@@ -0,0 +1,7 @@
+interface PlaybackRateHook {
+  rate: number;
+  setRate: (rate: number) => Promise<void>;
+}
+
+declare const usePlaybackRate: (conversationId?: string | null) => PlaybackRateHook;
+export default usePlaybackRate;
@@ -0,0 +1,55 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { usePlayerRate } from './useAudioPlayer';
+import { setRate as setPlayerRate } from '../services/playbackController';
+import { getPlaybackRate, savePlaybackRate } from '../services/databaseService';
+import { normalizePlaybackRate } from '../utils/playbackRate';
+
+/**
+ * Custom hook applying and remembering the listening speed while a screen is shown
+ * Loads the conversation's speed (or the app-wide default) into the player, then saves
+ * any speed picked in a player as both the conversation's speed and the new default.
+ * @param {string} conversationId - Conversation being listened to (omit for the default only)
+ * @returns {Object} Current rate and a setter
+ */
+const usePlaybackRate = (conversationId = null) => {
+  const rate = usePlayerRate();
+
+  // Last rate loaded or saved, so applying a stored rate isn't saved back as a choice
+  const knownRateRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getPlaybackRate(conversationId)
+      .then(savedRate => {
+        if (cancelled) return;
+        knownRateRef.current = savedRate;
+        return setPlayerRate(savedRate);
+      })
+      .catch(error => {
+        console.error('Error loading playback rate:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId]);
+
+  // Persist speeds picked in any player while this screen is shown
+  useEffect(() => {
+    if (knownRateRef.current === null || rate === knownRateRef.current) return;
+
+    knownRateRef.current = rate;
+    savePlaybackRate(rate, conversationId).catch(error => {
+      console.error('Error saving playback rate:', error);
+    });
+  }, [rate, conversationId]);
+
+  const setRate = useCallback((value) => {
+    return setPlayerRate(normalizePlaybackRate(value));
+  }, []);
+
+  return { rate, setRate };
+};
+
+export default usePlaybackRate;
@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getTags,
+  renameTag as renameTagInDatabase,
+  mergeTags as mergeTagsInDatabase,
+  updateTagStyle as updateTagStyleInDatabase,
+  deleteTag as deleteTagInDatabase,
+} from '../services/databaseService';
+import { tagKey } from '../utils/tagUtils';
+
+// The registry is shared by every component using the hook, so a rename or
+// color change shows up everywhere at once
+let registry = { tags: [], loaded: false };
+let pendingLoad = null;
+const listeners = new Set();
+
+const setRegistry = (tags) => {
+  registry = { tags, loaded: true };
+  listeners.forEach(listener => listener(registry));
+};
+
+// Reload the registry from the database (concurrent callers share one query)
+const loadRegistry = () => {
+  if (!pendingLoad) {
+    pendingLoad = getTags()
+      .then(tags => {
+        setRegistry(tags);
+        return tags;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+  return pendingLoad;
+};
+
+/**
+ * Custom hook for the app-wide tag registry
+ * @returns {Object} Registered tags, lookup and management operations
+ */
+const useTags = () => {
+  const [state, setState] = useState(registry);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    listeners.add(setState);
+
+    if (!registry.loaded) {
+      loadRegistry().catch(err => {
+        console.error('Error loading tags:', err);
+        setError(`Failed to load tags: ${err.message}`);
+      });
+    }
+
+    return () => {
+      listeners.delete(setState);
+    };
+  }, []);
+
+  /**
+   * Look up a registered tag by name, ignoring case
+   * @param {string} name - Tag name
+   * @returns {Object|null} Tag, or null if it isn't registered
+   */
+  const findTag = useCallback((name) => {
+    const key = tagKey(name);
+    return state.tags.find(tag => tagKey(tag.name) === key) || null;
+  }, [state.tags]);
+
+  /**
+   * Reload tags, e.g. after tagging a message with a new tag
+   * @returns {Promise<Array>} Registered tags
+   */
+  const refreshTags = useCallback(() => loadRegistry(), []);
+
+  /**
+   * Rename a tag everywhere; merges into an existing tag with the same name
+   * @param {string} tagId - ID of the tag to rename
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Resulting tag
+   */
+  const renameTag = useCallback(async (tagId, name) => {
+    const tag = await renameTagInDatabase(tagId, name);
+    await loadRegistry();
+    return tag;
+  }, []);
+
+  /**
+   * Merge tags into one everywhere
+   * @param {Array} sourceTagIds - IDs of the tags to merge away
+   * @param {string} targetTagId - ID of the tag to keep
+   * @returns {Promise<Object>} Resulting tag
+   */
+  const mergeTags = useCallback(async (sourceTagIds, targetTagId) => {
+    const tag = await mergeTagsInDatabase(sourceTagIds, targetTagId);
+    await loadRegistry();
+    return tag;
+  }, []);
+
+  /**
+   * Change a tag's color and icon
+   * @param {string} tagId - ID of the tag
+   * @param {Object} style - { color, icon }
+   * @returns {Promise<Object>} Updated tag
+   */
+  const updateTagStyle = useCallback(async (tagId, style) => {
+    const tag = await updateTagStyleInDatabase(tagId, style);
+    await loadRegistry();
+    return tag;
+  }, []);
+
+  /**
+   * Delete a tag and remove it from every message
+   * @param {string} tagId - ID of the tag
+   * @returns {Promise<boolean>} Whether a tag was deleted
+   */
+  const deleteTag = useCallback(async (tagId) => {
+    const deleted = await deleteTagInDatabase(tagId);
+    await loadRegistry();
+    return deleted;
+  }, []);
+
+  return {
+    tags: state.tags,
+    loading: !state.loaded,
+    error,
+    findTag,
+    refreshTags,
+    renameTag,
+    mergeTags,
+    updateTagStyle,
+    deleteTag,
+  };
+};
+
+export default useTags;
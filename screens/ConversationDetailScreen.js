@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -15,21 +15,51 @@ import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import MessageList from '../components/conversation/MessageList';
 import AudioRecorder from '../components/audio/AudioRecorder';
+import MiniPlayer from '../components/audio/MiniPlayer';
 import MessageOptionsModal from '../components/common/MessageOptionsModal';
+import TagFilterBar from '../components/conversation/TagFilterBar';
+import TagIndexModal from '../components/conversation/TagIndexModal';
+import DraftBanner from '../components/conversation/DraftBanner';
+import MessageComposer from '../components/conversation/MessageComposer';
+import ReplyQuote from '../components/conversation/ReplyQuote';
 import useMessages from '../hooks/useMessages';
+import useTags from '../hooks/useTags';
+import usePlaybackRate from '../hooks/usePlaybackRate';
+import useAutoplayQueue from '../hooks/useAutoplayQueue';
+import useDraft from '../hooks/useDraft';
+import { describeConversation } from '../services/nowPlaying';
+import { TAG_FILTER_MODES, filterMessagesByTags, countTags, normalizeTagName, tagKey } from '../utils/tagUtils';
 import {
-  detectSpeechSegments,
-  transcribeAudio,
+  detectMessageMarkers,
+  getMessageTranscript,
   updateMessageTags,
+  addReplyToMessage,
 } from '../services/databaseService';
 
+// Current user ID (would come from an auth service in a real app)
+const CURRENT_USER_ID = '123';
+
+// What the composer is replying to; only voice messages have a moment to anchor a reply to
+const replyTargetFor = (message, timestamp) => ({
+  message,
+  timestamp: message.type === 'audio' ? timestamp : null,
+});
+
 /**
  * ConversationDetailScreen - Main chat screen with audio-first features
  */
 const ConversationDetailScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
-  const { conversationId, conversationName, participantAvatar } = route.params;
+  const {
+    conversationId,
+    conversationName,
+    participantName,
+    participantAvatar,
+    focusMessageId,
+    focusTimestamp,
+    replyTo,
+  } = route.params;
   
   // Refs
   const appStateRef = useRef(AppState.currentState);
@@ -39,6 +69,17 @@ const ConversationDetailScreen = () => {
   const [selectedMessage, setSelectedMessage] = useState(null);
   const [transcribing, setTranscribing] = useState(false);
   const [transcribeResult, setTranscribeResult] = useState(null);
+  const [filterTags, setFilterTags] = useState([]);
+  const [filterMode, setFilterMode] = useState(TAG_FILTER_MODES.ANY);
+  const [tagIndexVisible, setTagIndexVisible] = useState(false);
+  // Whether the recorder is working on the draft, which hides the draft banner
+  const [draftInRecorder, setDraftInRecorder] = useState(false);
+  // Draft handed to the recorder to pick up again
+  const [resumedDraft, setResumedDraft] = useState(null);
+  // Whether a voice message is being recorded or reviewed, which hides the text field
+  const [recorderActive, setRecorderActive] = useState(false);
+  // Message (and second of it) the next message sent replies to
+  const [replyTarget, setReplyTarget] = useState(null);
   
   // Use custom hooks
   const {
@@ -48,23 +89,64 @@ const ConversationDetailScreen = () => {
     refreshing,
     sending,
     refreshMessages,
+    sendTextMessage,
     sendAudioMessage,
+    updateLocalMessage,
   } = useMessages(conversationId);
+  const { findTag, refreshTags } = useTags();
+  const { draft, saveDraft, clearDraft } = useDraft(conversationId);
+  
+  // Listen at this conversation's speed and remember speed changes made here
+  usePlaybackRate(conversationId);
+  
+  // Messages matching the tag filter, and tag usage for the tag index
+  const visibleMessages = useMemo(
+    () => filterMessagesByTags(messages, filterTags, filterMode),
+    [messages, filterTags, filterMode]
+  );
+  const tagCounts = useMemo(() => countTags(messages), [messages]);
+  
+  // Play unheard voice messages back to back, following the filtered timeline
+  const {
+    isActive: queueActive,
+    current: queuedMessage,
+    position: queuePosition,
+    total: queueTotal,
+    chiming,
+    unheardCount,
+    playUnheard,
+    skipToNext,
+    stopQueue,
+  } = useAutoplayQueue(conversationId, visibleMessages, CURRENT_USER_ID);
+  
+  // Let lock-screen controls name the sender and conversation, even after leaving this screen
+  useEffect(() => {
+    describeConversation(conversationId, conversationName || participantName, messages);
+  }, [conversationId, conversationName, participantName, messages]);
   
   // Set up header with conversation name
   useEffect(() => {
     navigation.setOptions({
-      title: conversationName || 'Chat',
+      title: conversationName || participantName || 'Chat',
       headerRight: () => (
-        <TouchableOpacity 
-          style={styles.headerButton}
-          onPress={() => navigation.navigate('ConversationSettings', { conversationId })}
-        >
-          <Ionicons name="ellipsis-vertical" size={22} color="#333" />
-        </TouchableOpacity>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity 
+            style={styles.headerButton}
+            onPress={() => setTagIndexVisible(true)}
+            accessibilityLabel="Show tags"
+          >
+            <Ionicons name="pricetags-outline" size={22} color="#333" />
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.headerButton}
+            onPress={() => navigation.navigate('ConversationSettings', { conversationId })}
+          >
+            <Ionicons name="ellipsis-vertical" size={22} color="#333" />
+          </TouchableOpacity>
+        </View>
       ),
     });
-  }, [navigation, conversationName, conversationId]);
+  }, [navigation, conversationName, participantName, conversationId]);
   
   // Handle app state changes (background/foreground)
   useEffect(() => {
@@ -81,22 +163,90 @@ const ConversationDetailScreen = () => {
     };
   }, [refreshMessages]);
   
+  // Pick up a reply started from a thread once its message has loaded
+  useEffect(() => {
+    if (!replyTo) return;
+    
+    const message = messages.find(item => item.id === replyTo.messageId);
+    if (!message) return;
+    
+    setReplyTarget(replyTargetFor(message, replyTo.timestamp));
+    navigation.setParams({ replyTo: undefined });
+  }, [replyTo, messages, navigation]);
+  
+  // Count a reply sent from here on its original, without reloading the conversation
+  const addReplyToThread = useCallback((messageId, createdAt) => {
+    const parent = messages.find(message => message.id === messageId);
+    if (!parent) return;
+    
+    const thread = parent.thread || { replyCount: 0, unreadCount: 0, lastReplyAt: null };
+    updateLocalMessage(messageId, {
+      thread: { ...thread, replyCount: thread.replyCount + 1, lastReplyAt: createdAt },
+    });
+  }, [messages, updateLocalMessage]);
+  
+  // Send a typed message, or add it to the thread being replied to
+  const handleSendText = useCallback(async (text) => {
+    if (replyTarget) {
+      const reply = {
+        id: `reply_${Date.now()}`,
+        text,
+        timestamp: replyTarget.timestamp,
+        userId: CURRENT_USER_ID,
+        username: 'You',
+        createdAt: new Date().toISOString(),
+      };
+      
+      try {
+        await addReplyToMessage(replyTarget.message.id, reply);
+        addReplyToThread(replyTarget.message.id, reply.createdAt);
+        setReplyTarget(null);
+        return true;
+      } catch (error) {
+        console.error('Error sending reply:', error);
+        Alert.alert('Error', 'Failed to send reply. Please try again.');
+        return false;
+      }
+    }
+    
+    const newMessage = await sendTextMessage(text);
+    if (!newMessage) {
+      Alert.alert('Error', 'Failed to send message. Please try again.');
+    }
+    return !!newMessage;
+  }, [sendTextMessage, replyTarget, addReplyToThread]);
+  
   // Handle recording completion
   const handleRecordingComplete = useCallback(async (recordingData) => {
     if (!recordingData) return;
     
     try {
-      // Send the audio message
-      const newMessage = await sendAudioMessage(recordingData);
+      // Send the audio message, anchored to the moment being replied to
+      const newMessage = await sendAudioMessage({
+        ...recordingData,
+        replyTo: replyTarget
+          ? { messageId: replyTarget.message.id, timestamp: replyTarget.timestamp }
+          : null,
+      });
+      
+      // The draft is only let go of once it has been sent
+      if (newMessage) {
+        clearDraft();
+        if (replyTarget) {
+          addReplyToThread(replyTarget.message.id, newMessage.timestamp);
+          setReplyTarget(null);
+        }
+        if (newMessage.processingSkipped) {
+          Alert.alert('Sent as recorded', "Silence couldn't be trimmed or the volume evened out for this recording.");
+        }
+      }
       
-      // Auto-detect speech segments for tagging (runs in background)
+      // Auto-detect timestamped markers (runs in background)
       if (newMessage) {
-        detectSpeechSegments(newMessage.audioUri)
-          .then(segments => {
-            if (segments && segments.length > 0) {
-              // Add suggested tags to the message
-              const tags = segments.map(segment => segment.label);
-              updateMessageTags(newMessage.id, tags);
+        detectMessageMarkers(newMessage.id)
+          .then(markers => {
+            if (markers.length > 0) {
+              updateLocalMessage(newMessage.id, { markers });
             }
           })
           .catch(error => {
@@ -106,14 +256,59 @@ const ConversationDetailScreen = () => {
     } catch (error) {
       console.error('Error sending audio message:', error);
       Alert.alert('Error', 'Failed to send audio message. Please try again.');
+    } finally {
+      // A recording that failed to send stays behind as a draft
+      setDraftInRecorder(false);
+      setResumedDraft(null);
     }
-  }, [sendAudioMessage]);
+  }, [sendAudioMessage, updateLocalMessage, clearDraft, replyTarget, addReplyToThread]);
   
   // Handle recording cancellation
   const handleRecordingCancel = useCallback(() => {
     // No additional action needed, the hook handles cleanup
   }, []);
   
+  // Record the next voice message as a reply to a second of another one
+  const handleMessageReply = useCallback((message, timestamp) => {
+    setReplyTarget(replyTargetFor(message, timestamp));
+  }, []);
+  
+  // Reply to a whole message from its options
+  const handleOptionsReply = useCallback((message) => {
+    setReplyTarget(replyTargetFor(message, null));
+  }, []);
+  
+  // Open a message's thread; its replies count as seen from then on
+  const handleOpenThread = useCallback((message) => {
+    if (message.thread && message.thread.unreadCount > 0) {
+      updateLocalMessage(message.id, { thread: { ...message.thread, unreadCount: 0 } });
+    }
+    navigation.navigate('Thread', { conversationId, messageId: message.id });
+  }, [navigation, conversationId, updateLocalMessage]);
+  
+  // Keep the recorder's unsent recording as the conversation's draft
+  const handleDraftChange = useCallback((recordingData, options) => {
+    if (recordingData) {
+      setDraftInRecorder(true);
+      saveDraft(recordingData, options);
+    } else {
+      setDraftInRecorder(false);
+      setResumedDraft(null);
+      clearDraft();
+    }
+  }, [saveDraft, clearDraft]);
+  
+  // Open the saved draft in the recorder
+  const handleResumeDraft = useCallback(() => {
+    setDraftInRecorder(true);
+    setResumedDraft(draft);
+  }, [draft]);
+  
+  // Send the saved draft as it is
+  const handleSendDraft = useCallback(() => {
+    handleRecordingComplete(draft);
+  }, [handleRecordingComplete, draft]);
+  
   // Handle message long press
   const handleMessageLongPress = useCallback((message) => {
     setSelectedMessage(message);
@@ -127,15 +322,19 @@ const ConversationDetailScreen = () => {
   }, []);
   
   // Handle adding a tag to a message
-  const handleAddTag = useCallback(async (tag) => {
-    if (!selectedMessage || !tag) return;
+  const handleAddTag = useCallback(async (tagName) => {
+    if (!selectedMessage || !normalizeTagName(tagName)) return;
     
     try {
+      // Reuse the registered spelling so "question" joins an existing "Question" tag
+      const registeredTag = findTag(tagName);
+      const tag = registeredTag ? registeredTag.name : normalizeTagName(tagName);
+      
       // Get existing tags or empty array
       const existingTags = selectedMessage.tags || [];
       
       // Only add if tag doesn't already exist
-      if (!existingTags.includes(tag)) {
+      if (!existingTags.some(existing => tagKey(existing) === tagKey(tag))) {
         const updatedTags = [...existingTags, tag];
         
         // Update in database
@@ -146,12 +345,20 @@ const ConversationDetailScreen = () => {
           ...prev,
           tags: updatedTags,
         }));
+        updateLocalMessage(selectedMessage.id, { tags: updatedTags });
+        
+        // Pick up the newly registered tag
+        if (!registeredTag) {
+          refreshTags().catch(error => {
+            console.error('Error refreshing tags:', error);
+          });
+        }
       }
     } catch (error) {
       console.error('Error adding tag:', error);
       Alert.alert('Error', 'Failed to add tag. Please try again.');
     }
-  }, [selectedMessage]);
+  }, [selectedMessage, updateLocalMessage, findTag, refreshTags]);
   
   // Handle message deletion
   const handleDeleteMessage = useCallback(async (message) => {
@@ -174,8 +381,8 @@ const ConversationDetailScreen = () => {
     try {
       setTranscribing(true);
       
-      // Request transcription
-      const result = await transcribeAudio(message.audioUri);
+      // Request transcription (stored with the message after the first run)
+      const result = await getMessageTranscript(message.id);
       
       if (result && result.text) {
         setTranscribeResult(result);
@@ -188,8 +395,11 @@ const ConversationDetailScreen = () => {
             { text: 'OK', onPress: () => setTranscribeResult(null) }
           ]
         );
+      } else if (!result) {
+        // No transcription service is configured for this build
+        Alert.alert('Transcript unavailable', 'Transcription is not available for this message.');
       } else {
-        Alert.alert('Error', 'Failed to transcribe audio. Please try again.');
+        Alert.alert('Transcription', 'No speech detected in this message.');
       }
       
       setTranscribing(false);
@@ -214,12 +424,42 @@ const ConversationDetailScreen = () => {
     );
   }, []);
   
-  // Handle message tag press
-  const handleTagPress = useCallback((tag, messageId) => {
-    // Could filter messages by tag or perform other actions
-    Alert.alert('Tag Selected', `You selected tag: ${tag}`);
+  // Handle message tag press - adds the tag to the timeline filter
+  const handleTagPress = useCallback((tag) => {
+    setFilterTags(prev => (prev.includes(tag) ? prev : [...prev, tag]));
+  }, []);
+  
+  // Add or remove a tag from the filter (used by the tag index)
+  const handleToggleFilterTag = useCallback((tag) => {
+    setFilterTags(prev => (
+      prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]
+    ));
+  }, []);
+  
+  // Remove a tag from the filter
+  const handleRemoveFilterTag = useCallback((tag) => {
+    setFilterTags(prev => prev.filter(t => t !== tag));
+  }, []);
+  
+  // Switch between matching all selected tags and any of them
+  const handleToggleFilterMode = useCallback(() => {
+    setFilterMode(prev => (
+      prev === TAG_FILTER_MODES.ALL ? TAG_FILTER_MODES.ANY : TAG_FILTER_MODES.ALL
+    ));
   }, []);
   
+  // Show the whole timeline again
+  const handleClearFilter = useCallback(() => {
+    setFilterTags([]);
+  }, []);
+  
+  // Start playing through the unheard messages
+  const handlePlayUnheard = useCallback(() => {
+    playUnheard().catch(error => {
+      console.error('Error starting autoplay:', error);
+    });
+  }, [playUnheard]);
+  
   // Handle message press
   const handleMessagePress = useCallback((message) => {
     // The MessageItem component will handle showing the expanded view
@@ -239,10 +479,23 @@ const ConversationDetailScreen = () => {
         style={styles.container}
         keyboardVerticalOffset={Platform.OS === 'ios' ? 90 : 0}
       >
+        {/* Tag filter header */}
+        {filterTags.length > 0 && (
+          <TagFilterBar
+            tags={filterTags}
+            mode={filterMode}
+            matchCount={visibleMessages.length}
+            totalCount={messages.length}
+            onRemoveTag={handleRemoveFilterTag}
+            onToggleMode={handleToggleFilterMode}
+            onClear={handleClearFilter}
+          />
+        )}
+        
         {/* Message List */}
         <View style={styles.messagesContainer}>
           <MessageList
-            messages={messages}
+            messages={visibleMessages}
             loading={loading}
             refreshing={refreshing}
             onRefresh={refreshMessages}
@@ -250,16 +503,72 @@ const ConversationDetailScreen = () => {
             onMessageOptions={handleMessageOptions}
             onTagPress={handleTagPress}
             onMessagePress={handleMessagePress}
-            currentUserId="123" // Replace with actual user ID in real app
+            focusMessageId={focusMessageId}
+            focusTimestamp={focusTimestamp}
+            activeMessageId={queueActive && queuedMessage ? queuedMessage.id : null}
+            emptyTitle={filterTags.length > 0 ? 'No matching messages' : undefined}
+            emptyMessage={filterTags.length > 0 ? 'No messages have these tags. Try removing a tag or switching AND/OR.' : undefined}
+            currentUserId={CURRENT_USER_ID}
+            allMessages={messages}
+            onMessageReply={handleMessageReply}
+            onOpenThread={handleOpenThread}
           />
         </View>
         
+        {/* Autoplay queue */}
+        {queueActive && queuedMessage ? (
+          <MiniPlayer
+            message={queuedMessage}
+            position={queuePosition}
+            total={queueTotal}
+            chiming={chiming}
+            onSkip={skipToNext}
+            onClose={stopQueue}
+          />
+        ) : unheardCount > 1 && (
+          <TouchableOpacity
+            style={styles.playUnheardButton}
+            onPress={handlePlayUnheard}
+            accessibilityLabel={`Play ${unheardCount} unheard voice messages`}
+          >
+            <Ionicons name="play-circle" size={20} color="#5A67F2" />
+            <Text style={styles.playUnheardText}>Play {unheardCount} unheard</Text>
+          </TouchableOpacity>
+        )}
+        
         {/* Input Area */}
         <View style={styles.inputContainer}>
-          <AudioRecorder
-            onRecordingComplete={handleRecordingComplete}
-            onRecordingCancel={handleRecordingCancel}
-          />
+          {replyTarget && (
+            <View style={styles.replyBar}>
+              <ReplyQuote
+                parent={replyTarget.message}
+                timestamp={replyTarget.timestamp}
+                onDismiss={() => setReplyTarget(null)}
+              />
+            </View>
+          )}
+          {draft && !draftInRecorder && (
+            <DraftBanner
+              draft={draft}
+              sending={sending}
+              onResume={handleResumeDraft}
+              onSend={handleSendDraft}
+              onDiscard={clearDraft}
+            />
+          )}
+          <MessageComposer
+            onSendText={handleSendText}
+            sending={sending}
+            recorderActive={recorderActive}
+          >
+            <AudioRecorder
+              onRecordingComplete={handleRecordingComplete}
+              onRecordingCancel={handleRecordingCancel}
+              draft={resumedDraft}
+              onDraftChange={handleDraftChange}
+              onActiveChange={setRecorderActive}
+            />
+          </MessageComposer>
         </View>
         
         {/* Message Options Modal */}
@@ -271,6 +580,16 @@ const ConversationDetailScreen = () => {
           onNavigateToDetail={handleNavigateToDetail}
           onDelete={handleDeleteMessage}
           onTranscribe={handleTranscribe}
+          onReply={handleOptionsReply}
+        />
+        
+        {/* Tag index */}
+        <TagIndexModal
+          visible={tagIndexVisible}
+          tagCounts={tagCounts}
+          selectedTags={filterTags}
+          onToggleTag={handleToggleFilterTag}
+          onClose={() => setTagIndexVisible(false)}
         />
       </KeyboardAvoidingView>
     </SafeAreaView>
@@ -294,6 +613,30 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: '#EAEAEA',
   },
+  replyBar: {
+    paddingHorizontal: 12,
+    paddingTop: 8,
+  },
+  playUnheardButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginBottom: 8,
+    borderRadius: 16,
+    backgroundColor: 'rgba(90, 103, 242, 0.12)',
+  },
+  playUnheardText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5A67F2',
+    marginLeft: 6,
+  },
+  headerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   headerButton: {
     padding: 8,
   },
@@ -13,6 +13,7 @@ import {
 } from 'react-native';
 import { openDatabase } from 'react-native-sqlite-storage';
 import moment from 'moment';
+import { Ionicons } from '@expo/vector-icons';
 
 // This would be replaced with your actual GCP database connection
 // You'd likely use a service like Cloud Functions or a backend API
@@ -25,9 +26,11 @@ const HomeScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
 
-  const loadConversations = async () => {
+  const loadConversations = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) {
+        setLoading(true);
+      }
       setError(null);
       const data = await fetchConversationsFromGCP();
       setConversations(data);
@@ -44,6 +47,16 @@ const HomeScreen = ({ navigation }) => {
     loadConversations();
   }, []);
 
+  // Unread counts change as voice messages are listened to, so reload on return
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      if (conversations.length > 0) {
+        loadConversations({ quiet: true });
+      }
+    });
+    return unsubscribe;
+  }, [navigation, conversations.length]);
+
   const onRefresh = () => {
     setRefreshing(true);
     loadConversations();
@@ -82,6 +95,7 @@ const HomeScreen = ({ navigation }) => {
               style={[styles.messagePreview, !item.read && styles.unreadMessage]} 
               numberOfLines={1}
             >
+              {item.hasDraft && <Text style={styles.draftLabel}>Draft · </Text>}
               {item.lastMessage}
             </Text>
             {item.unreadCount > 0 && (
@@ -119,12 +133,28 @@ const HomeScreen = ({ navigation }) => {
       <StatusBar barStyle="dark-content" />
       <View style={styles.header}>
         <Text style={styles.headerTitle}>Conversations</Text>
-        <TouchableOpacity 
-          style={styles.newConversationButton}
-          onPress={() => navigation.navigate('NewConversation')}
-        >
-          <Text style={styles.newConversationButtonText}>+</Text>
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity 
+            style={styles.searchButton}
+            onPress={() => navigation.navigate('Search')}
+            accessibilityLabel="Search messages"
+          >
+            <Ionicons name="search" size={22} color="#007BFF" />
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.searchButton}
+            onPress={() => navigation.navigate('TagManager')}
+            accessibilityLabel="Manage tags"
+          >
+            <Ionicons name="pricetags-outline" size={22} color="#007BFF" />
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.newConversationButton}
+            onPress={() => navigation.navigate('NewConversation')}
+          >
+            <Text style={styles.newConversationButtonText}>+</Text>
+          </TouchableOpacity>
+        </View>
       </View>
       <FlatList
         data={conversations}
@@ -238,6 +268,10 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#212529',
   },
+  draftLabel: {
+    fontWeight: '600',
+    color: '#FF3B30',
+  },
   unreadBadge: {
     backgroundColor: '#007BFF',
     borderRadius: 10,
@@ -276,6 +310,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  searchButton: {
+    width: 36,
+    height: 36,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
   newConversationButton: {
     width: 36,
     height: 36,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,7 +12,6 @@ import {
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
-import { Audio } from 'expo-audio';
 import Slider from '@react-native-community/slider';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation, useRoute } from '@react-navigation/native';
@@ -21,6 +20,10 @@ import { addReactionToMessage, addReplyToMessage } from '../services/databaseSer
 import TagBubble from '../components/common/TagBubble';
 import TimestampReaction from '../components/TimestampReaction';
 import DetailedWaveform from '../components/audio/DetailedWaveform';
+import useAudioPlayer from '../hooks/useAudioPlayer';
+import { getPlaybackState } from '../services/playbackController';
+import usePlaybackRate from '../hooks/usePlaybackRate';
+import { PLAYBACK_RATES, formatPlaybackRate, toListeningTime } from '../utils/playbackRate';
 
 const { width } = Dimensions.get('window');
 
@@ -29,9 +32,7 @@ const MessageDetailScreen = () => {
   const route = useRoute();
   const { message } = route.params;
   
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [playbackPosition, setPlaybackPosition] = useState(0);
-  const [playbackTime, setPlaybackTime] = useState(0);
+  const [scrubPosition, setScrubPosition] = useState(null);
   const [replyText, setReplyText] = useState('');
   const [replyTimestamp, setReplyTimestamp] = useState(null);
   const [reactions, setReactions] = useState(message.reactions || []);
@@ -40,97 +41,75 @@ const MessageDetailScreen = () => {
   const [selectedEmoji, setSelectedEmoji] = useState('👍');
   const [selectedTimestamp, setSelectedTimestamp] = useState(null);
   
-  const soundRef = useRef(null);
-  const isScrubbingRef = useRef(false);
+  const {
+    isPlaying,
+    positionMillis,
+    load,
+    play,
+    pause,
+    seek,
+    stop,
+  } = useAudioPlayer(message.id);
+  const { rate, setRate } = usePlaybackRate(message.conversationId);
+  
+  // While scrubbing the slider shows where the user is dragging, not where playback is
+  const playbackTime = positionMillis / 1000;
+  const playbackPosition = scrubPosition ?? (message.duration > 0 ? playbackTime / message.duration : 0);
   
   // Common emoji options
   const emojiOptions = ['👍', '❤️', '😂', '😮', '👏', '🔥', '❓', '⭐'];
   
   useEffect(() => {
-    loadAudio();
+    // Pick up where the message was last left off
+    const positionMillis = message.resumePosition ? message.resumePosition * 1000 : null;
+    load(message.audioUri, message.id, { positionMillis }).catch(error => {
+      console.error('Failed to load audio', error);
+    });
     return () => {
-      if (soundRef.current) {
-        soundRef.current.unloadAsync();
+      // Leave the message playing in the background; only unload it if it was paused
+      if (!getPlaybackState().isPlaying) {
+        stop(message.id);
       }
     };
-  }, []);
-  
-  const loadAudio = async () => {
-    try {
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: message.audioUri },
-        { progressUpdateIntervalMillis: 100 },
-        onPlaybackStatusUpdate
-      );
-      soundRef.current = sound;
-    } catch (error) {
-      console.error('Failed to load audio', error);
-    }
-  };
-  
-  const onPlaybackStatusUpdate = (status) => {
-    if (!status.isLoaded || isScrubbingRef.current) return;
-    
-    if (status.isPlaying) {
-      setPlaybackPosition(status.positionMillis / status.durationMillis);
-      setPlaybackTime(status.positionMillis / 1000);
-    }
-    
-    if (status.didJustFinish) {
-      setIsPlaying(false);
-      setPlaybackPosition(0);
-      setPlaybackTime(0);
-    }
-  };
+  }, [message.id]);
   
   const togglePlayback = async () => {
-    if (!soundRef.current) return;
-    
     if (isPlaying) {
-      await soundRef.current.pauseAsync();
+      await pause();
     } else {
-      await soundRef.current.playAsync();
+      await play(message.audioUri, message.id);
     }
-    
-    setIsPlaying(!isPlaying);
   };
   
   const seekAudio = async (value) => {
-    if (!soundRef.current) return;
-    
-    const seekPosition = value * (message.duration * 1000);
-    await soundRef.current.setPositionAsync(seekPosition);
-    setPlaybackTime(seekPosition / 1000);
+    await seek(value * (message.duration * 1000));
   };
   
   const handleSliderValueChange = (value) => {
-    isScrubbingRef.current = true;
-    setPlaybackPosition(value);
+    setScrubPosition(value);
   };
   
   const handleSliderComplete = async (value) => {
     await seekAudio(value);
-    isScrubbingRef.current = false;
+    setScrubPosition(null);
   };
   
   const jumpBackward = async () => {
-    if (!soundRef.current) return;
-    
-    const newPosition = Math.max(0, playbackTime - 5) * 1000;
-    await soundRef.current.setPositionAsync(newPosition);
+    await seek(Math.max(0, playbackTime - 5) * 1000);
   };
   
   const jumpForward = async () => {
-    if (!soundRef.current) return;
-    
-    const newPosition = Math.min(message.duration, playbackTime + 5) * 1000;
-    await soundRef.current.setPositionAsync(newPosition);
+    await seek(Math.min(message.duration, playbackTime + 5) * 1000);
   };
   
   const handleWaveformPress = (position) => {
     seekAudio(position);
   };
   
+  const handleMarkerPress = (marker) => {
+    seekAudio(marker.timestamp / message.duration);
+  };
+  
   const handleTimestampSelection = (timestamp) => {
     setReplyTimestamp(timestamp);
     setSelectedTimestamp(timestamp);
@@ -224,13 +203,16 @@ const MessageDetailScreen = () => {
                 onPress={handleWaveformPress}
                 onLongPress={handleTimestampSelection}
                 selectedTimestamp={selectedTimestamp}
+                duration={message.duration}
+                markers={message.markers || []}
+                onMarkerPress={handleMarkerPress}
               />
             </View>
             
             {/* Playback Time */}
             <View style={styles.timeContainer}>
               <Text style={styles.timeText}>{formatTime(playbackTime)}</Text>
-              <Text style={styles.timeText}>-{formatTime(message.duration - playbackTime)}</Text>
+              <Text style={styles.timeText}>-{formatTime(toListeningTime(message.duration - playbackTime, rate))}</Text>
             </View>
             
             {/* Slider */}
@@ -267,21 +249,17 @@ const MessageDetailScreen = () => {
             
             {/* Playback Speed */}
             <View style={styles.speedContainer}>
-              <TouchableOpacity style={styles.speedButton}>
-                <Text style={styles.speedText}>0.5x</Text>
-              </TouchableOpacity>
-              
-              <TouchableOpacity style={[styles.speedButton, styles.speedButtonActive]}>
-                <Text style={styles.speedTextActive}>1.0x</Text>
-              </TouchableOpacity>
-              
-              <TouchableOpacity style={styles.speedButton}>
-                <Text style={styles.speedText}>1.5x</Text>
-              </TouchableOpacity>
-              
-              <TouchableOpacity style={styles.speedButton}>
-                <Text style={styles.speedText}>2.0x</Text>
-              </TouchableOpacity>
+              {PLAYBACK_RATES.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.speedButton, option === rate && styles.speedButtonActive]}
+                  onPress={() => setRate(option)}
+                >
+                  <Text style={option === rate ? styles.speedTextActive : styles.speedText}>
+                    {formatPlaybackRate(option)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
             </View>
           </View>
           
@@ -480,6 +458,7 @@ const styles = StyleSheet.create({
   },
   speedContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
     marginTop: 8,
   },
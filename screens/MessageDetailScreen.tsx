@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,7 +12,6 @@ import {
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
-import { Audio, AVPlaybackStatus } from 'expo-av';
 import Slider from '@react-native-community/slider';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNavigation, useRoute, RouteProp } from '@react-navigation/native';
@@ -21,15 +20,30 @@ import { addReactionToMessage, addReplyToMessage } from '../services/databaseSer
 import TagBubble from '../components/common/TagBubble';
 import TimestampReaction from '../components/TimestampReaction';
 import DetailedWaveform from '../components/audio/DetailedWaveform';
+import PlaybackRateButton from '../components/audio/PlaybackRateButton';
+import useAudioPlayer from '../hooks/useAudioPlayer';
+import { getPlaybackState } from '../services/playbackController';
+import usePlaybackRate from '../hooks/usePlaybackRate';
+import { toListeningTime } from '../utils/playbackRate';
 
 // Type definitions
 interface Message {
   id: string;
   audioUri: string;
+  conversationId: string;
   duration: number;
   waveform: number[];
   reactions?: Reaction[];
   replies?: Reply[];
+  markers?: Marker[];
+  resumePosition?: number | null;
+}
+
+interface Marker {
+  kind: string;
+  label: string;
+  timestamp: number;
+  endTime?: number | null;
 }
 
 interface Reaction {
@@ -62,9 +76,7 @@ const MessageDetailScreen: React.FC = () => {
   const route = useRoute<MessageDetailScreenRouteProp>();
   const { message } = route.params;
   
-  const [isPlaying, setIsPlaying] = useState<boolean>(false);
-  const [playbackPosition, setPlaybackPosition] = useState<number>(0);
-  const [playbackTime, setPlaybackTime] = useState<number>(0);
+  const [scrubPosition, setScrubPosition] = useState<number | null>(null);
   const [replyText, setReplyText] = useState<string>('');
   const [replyTimestamp, setReplyTimestamp] = useState<number | null>(null);
   const [reactions, setReactions] = useState<Reaction[]>(message.reactions || []);
@@ -73,97 +85,75 @@ const MessageDetailScreen: React.FC = () => {
   const [selectedEmoji, setSelectedEmoji] = useState<string>('👍');
   const [selectedTimestamp, setSelectedTimestamp] = useState<number | null>(null);
   
-  const soundRef = useRef<Audio.Sound | null>(null);
-  const isScrubbingRef = useRef<boolean>(false);
+  const {
+    isPlaying,
+    positionMillis,
+    load,
+    play,
+    pause,
+    seek,
+    stop,
+  } = useAudioPlayer(message.id);
+  const { rate } = usePlaybackRate(message.conversationId);
+  
+  // While scrubbing the slider shows where the user is dragging, not where playback is
+  const playbackTime = positionMillis / 1000;
+  const playbackPosition = scrubPosition ?? (message.duration > 0 ? playbackTime / message.duration : 0);
   
   // Common emoji options
   const emojiOptions: string[] = ['👍', '❤️', '😂', '😮', '👏', '🔥', '❓', '⭐'];
   
   useEffect(() => {
-    loadAudio();
+    // Pick up where the message was last left off
+    const positionMillis = message.resumePosition ? message.resumePosition * 1000 : null;
+    load(message.audioUri, message.id, { positionMillis }).catch(error => {
+      console.error('Failed to load audio', error);
+    });
     return () => {
-      if (soundRef.current) {
-        soundRef.current.unloadAsync();
+      // Leave the message playing in the background; only unload it if it was paused
+      if (!getPlaybackState().isPlaying) {
+        stop(message.id);
       }
     };
-  }, []);
-  
-  const loadAudio = async (): Promise<void> => {
-    try {
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: message.audioUri },
-        { progressUpdateIntervalMillis: 100 },
-        onPlaybackStatusUpdate
-      );
-      soundRef.current = sound;
-    } catch (error) {
-      console.error('Failed to load audio', error);
-    }
-  };
-  
-  const onPlaybackStatusUpdate = (status: AVPlaybackStatus): void => {
-    if (!status.isLoaded || isScrubbingRef.current) return;
-    
-    if (status.isPlaying && status.durationMillis) {
-      setPlaybackPosition(status.positionMillis / status.durationMillis);
-      setPlaybackTime(status.positionMillis / 1000);
-    }
-    
-    if (status.didJustFinish) {
-      setIsPlaying(false);
-      setPlaybackPosition(0);
-      setPlaybackTime(0);
-    }
-  };
+  }, [message.id]);
   
   const togglePlayback = async (): Promise<void> => {
-    if (!soundRef.current) return;
-    
     if (isPlaying) {
-      await soundRef.current.pauseAsync();
+      await pause();
     } else {
-      await soundRef.current.playAsync();
+      await play(message.audioUri, message.id);
     }
-    
-    setIsPlaying(!isPlaying);
   };
   
   const seekAudio = async (value: number): Promise<void> => {
-    if (!soundRef.current) return;
-    
-    const seekPosition = value * (message.duration * 1000);
-    await soundRef.current.setPositionAsync(seekPosition);
-    setPlaybackTime(seekPosition / 1000);
+    await seek(value * (message.duration * 1000));
   };
   
   const handleSliderValueChange = (value: number): void => {
-    isScrubbingRef.current = true;
-    setPlaybackPosition(value);
+    setScrubPosition(value);
   };
   
   const handleSliderComplete = async (value: number): Promise<void> => {
     await seekAudio(value);
-    isScrubbingRef.current = false;
+    setScrubPosition(null);
   };
   
   const jumpBackward = async (): Promise<void> => {
-    if (!soundRef.current) return;
-    
-    const newPosition = Math.max(0, playbackTime - 5) * 1000;
-    await soundRef.current.setPositionAsync(newPosition);
+    await seek(Math.max(0, playbackTime - 5) * 1000);
   };
   
   const jumpForward = async (): Promise<void> => {
-    if (!soundRef.current) return;
-    
-    const newPosition = Math.min(message.duration, playbackTime + 5) * 1000;
-    await soundRef.current.setPositionAsync(newPosition);
+    await seek(Math.min(message.duration, playbackTime + 5) * 1000);
   };
   
   const handleWaveformPress = (position: number): void => {
     seekAudio(position);
   };
   
+  const handleMarkerPress = (marker: Marker): void => {
+    seekAudio(marker.timestamp / message.duration);
+  };
+  
   const handleTimestampSelection = (timestamp: number): void => {
     setReplyTimestamp(timestamp);
     setSelectedTimestamp(timestamp);
@@ -260,13 +250,15 @@ const MessageDetailScreen: React.FC = () => {
                 duration={message.duration}
                 showTimestamps={true}
                 showSelectedMarker={true}
+                markers={message.markers || []}
+                onMarkerPress={handleMarkerPress}
               />
             </View>
             
             {/* Playback Time */}
             <View style={styles.timeContainer}>
               <Text style={styles.timeText}>{formatTime(playbackTime)}</Text>
-              <Text style={styles.timeText}>-{formatTime(message.duration - playbackTime)}</Text>
+              <Text style={styles.timeText}>-{formatTime(toListeningTime(message.duration - playbackTime, rate))}</Text>
             </View>
             
             {/* Slider */}
@@ -299,6 +291,8 @@ const MessageDetailScreen: React.FC = () => {
               <TouchableOpacity onPress={jumpForward}>
                 <MaterialCommunityIcons name="fast-forward-5" size={24} color="#333" />
               </TouchableOpacity>
+              
+              <PlaybackRateButton style={styles.rateButton} />
             </View>
           </View>
           
@@ -405,6 +399,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginTop: 16,
   },
+  rateButton: {
+    position: 'absolute',
+    right: 0,
+  },
   section: {
     backgroundColor: '#FFFFFF',
     padding: 16,
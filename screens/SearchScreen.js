@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import {
+  SafeAreaView,
+  StyleSheet,
+  StatusBar,
+  View,
+  Text,
+  TextInput,
+  SectionList,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { searchMessages } from '../services/databaseService';
+import { splitSnippet } from '../services/searchIndex';
+import { formatTime, formatRelativeTime } from '../utils/timeUtils';
+import EmptyState from '../components/common/EmptyState';
+
+// Wait for typing to pause before querying
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Icon shown next to each kind of hit
+const RESULT_ICONS = {
+  text: 'chatbubble-outline',
+  transcript: 'mic-outline',
+  tag: 'pricetag-outline',
+};
+
+/**
+ * SearchScreen - Full-text search over text messages, voice transcripts and tags
+ */
+const SearchScreen = ({ navigation }) => {
+  const [query, setQuery] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Run the search whenever the query settles
+  useEffect(() => {
+    if (!query.trim()) {
+      setGroups([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchMessages(query);
+        if (!cancelled) {
+          setGroups(results);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Failed to search messages:', err);
+        if (!cancelled) {
+          setError('Search failed. Please try again.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Open the conversation at the matching message (and moment, for transcript hits)
+  const openResult = (result) => {
+    navigation.navigate('ConversationDetail', {
+      conversationId: result.conversationId,
+      participantName: result.participantName,
+      focusMessageId: result.messageId,
+      focusTimestamp: result.segmentStart,
+    });
+  };
+
+  const renderResult = ({ item }) => (
+    <TouchableOpacity style={styles.resultItem} onPress={() => openResult(item)}>
+      <Ionicons
+        name={RESULT_ICONS[item.kind] || 'search-outline'}
+        size={18}
+        color="#5A67F2"
+        style={styles.resultIcon}
+      />
+      <View style={styles.resultContent}>
+        <Text style={styles.snippet} numberOfLines={2}>
+          {item.kind === 'tag' && <Text style={styles.tagPrefix}>#</Text>}
+          {splitSnippet(item.snippet).map((part, index) => (
+            <Text key={index} style={part.isMatch ? styles.snippetMatch : null}>
+              {part.text}
+            </Text>
+          ))}
+        </Text>
+        <Text style={styles.resultMeta}>
+          {[
+            item.senderName,
+            item.messageType === 'audio' ? 'Voice message' : null,
+            item.segmentStart !== null ? `at ${formatTime(item.segmentStart)}` : null,
+            formatRelativeTime(item.timestamp),
+          ].filter(Boolean).join(' · ')}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderSectionHeader = ({ section }) => (
+    <View style={styles.sectionHeader}>
+      <Image
+        source={{ uri: section.participantAvatar || 'https://via.placeholder.com/50' }}
+        style={styles.sectionAvatar}
+      />
+      <Text style={styles.sectionTitle}>{section.participantName}</Text>
+      <Text style={styles.sectionCount}>{section.data.length}</Text>
+    </View>
+  );
+
+  const sections = groups.map(group => ({ ...group, data: group.results }));
+
+  const renderEmptyState = () => {
+    if (loading) return null;
+
+    if (error) {
+      return <Text style={styles.errorText}>{error}</Text>;
+    }
+
+    return query.trim() ? (
+      <EmptyState
+        title="No results"
+        message="Try different words, or check the spelling"
+        icon="text-search"
+      />
+    ) : (
+      <EmptyState
+        title="Search your conversations"
+        message="Find words in messages, voice transcripts and tags"
+        icon="magnify"
+      />
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" />
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#007AFF" />
+        </TouchableOpacity>
+        <View style={styles.searchField}>
+          <Ionicons name="search" size={18} color="#6C757D" />
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search messages and voice notes"
+            autoFocus
+            autoCorrect={false}
+            returnKeyType="search"
+            clearButtonMode="while-editing"
+          />
+          {loading && <ActivityIndicator size="small" color="#5A67F2" />}
+        </View>
+      </View>
+      <SectionList
+        sections={sections}
+        keyExtractor={(item, index) => `${item.kind}-${item.messageId}-${item.segmentPosition ?? index}`}
+        renderItem={renderResult}
+        renderSectionHeader={renderSectionHeader}
+        stickySectionHeadersEnabled={false}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={sections.length === 0 && styles.emptyContent}
+        ListEmptyComponent={renderEmptyState}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E1E4E8',
+    backgroundColor: '#FFFFFF',
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  searchField: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F1F3F5',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    height: 38,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#212529',
+    marginHorizontal: 8,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  sectionAvatar: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    marginRight: 8,
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  sectionCount: {
+    fontSize: 12,
+    color: '#6C757D',
+  },
+  resultItem: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E1E4E8',
+  },
+  resultIcon: {
+    marginRight: 12,
+    marginTop: 2,
+  },
+  resultContent: {
+    flex: 1,
+  },
+  snippet: {
+    fontSize: 15,
+    lineHeight: 20,
+    color: '#212529',
+  },
+  snippetMatch: {
+    fontWeight: '700',
+    backgroundColor: 'rgba(90, 103, 242, 0.15)',
+  },
+  tagPrefix: {
+    color: '#6C757D',
+  },
+  resultMeta: {
+    fontSize: 12,
+    color: '#6C757D',
+    marginTop: 4,
+  },
+  emptyContent: {
+    flexGrow: 1,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#DC3545',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+});
+
+export default SearchScreen;
@@ -0,0 +1,257 @@
+import React, { useState, useCallback } from 'react';
+import {
+  SafeAreaView,
+  StyleSheet,
+  StatusBar,
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import TagBubble from '../components/common/TagBubble';
+import TagEditorModal from '../components/common/TagEditorModal';
+import EmptyState from '../components/common/EmptyState';
+import useTags from '../hooks/useTags';
+import { tagKey } from '../utils/tagUtils';
+
+/**
+ * TagManagerScreen - Rename, merge, recolor and delete tags across all conversations
+ */
+const TagManagerScreen = ({ navigation }) => {
+  const {
+    tags,
+    loading,
+    error,
+    refreshTags,
+    renameTag,
+    mergeTags,
+    updateTagStyle,
+    deleteTag,
+  } = useTags();
+  const [editingTagId, setEditingTagId] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Look the tag up on every render so edits show up in the open sheet
+  const editingTag = tags.find(tag => tag.id === editingTagId) || null;
+  const otherTags = editingTag ? tags.filter(tag => tag.id !== editingTag.id) : [];
+
+  const closeEditor = useCallback(() => {
+    setEditingTagId(null);
+  }, []);
+
+  const onRefresh = useCallback(async () => {
+    try {
+      setRefreshing(true);
+      await refreshTags();
+    } catch (err) {
+      console.error('Failed to refresh tags:', err);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [refreshTags]);
+
+  // Rename the tag, asking first when the new name belongs to another tag
+  const handleRename = useCallback((name) => {
+    if (!editingTag) return;
+
+    const performRename = async () => {
+      try {
+        const tag = await renameTag(editingTag.id, name);
+        setEditingTagId(tag ? tag.id : null);
+      } catch (err) {
+        console.error('Failed to rename tag:', err);
+        Alert.alert('Error', 'Failed to rename tag. Please try again.');
+      }
+    };
+
+    const existing = otherTags.find(tag => tagKey(tag.name) === tagKey(name));
+    if (existing) {
+      Alert.alert(
+        'Merge tags?',
+        `"${existing.name}" already exists. Messages tagged "${editingTag.name}" will be tagged "${name}" instead.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Merge', onPress: performRename },
+        ]
+      );
+    } else {
+      performRename();
+    }
+  }, [editingTag, otherTags, renameTag]);
+
+  const handleChangeStyle = useCallback(async (style) => {
+    if (!editingTag) return;
+
+    try {
+      await updateTagStyle(editingTag.id, style);
+    } catch (err) {
+      console.error('Failed to update tag style:', err);
+      Alert.alert('Error', 'Failed to update tag. Please try again.');
+    }
+  }, [editingTag, updateTagStyle]);
+
+  const handleMerge = useCallback((target) => {
+    if (!editingTag) return;
+
+    Alert.alert(
+      'Merge tags?',
+      `Messages tagged "${editingTag.name}" will be tagged "${target.name}" instead, in every conversation.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Merge',
+          onPress: async () => {
+            try {
+              await mergeTags([editingTag.id], target.id);
+              setEditingTagId(target.id);
+            } catch (err) {
+              console.error('Failed to merge tags:', err);
+              Alert.alert('Error', 'Failed to merge tags. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  }, [editingTag, mergeTags]);
+
+  const handleDelete = useCallback(() => {
+    if (!editingTag) return;
+
+    Alert.alert(
+      'Delete tag?',
+      `"${editingTag.name}" will be removed from ${editingTag.messageCount} ${editingTag.messageCount === 1 ? 'message' : 'messages'}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteTag(editingTag.id);
+              setEditingTagId(null);
+            } catch (err) {
+              console.error('Failed to delete tag:', err);
+              Alert.alert('Error', 'Failed to delete tag. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  }, [editingTag, deleteTag]);
+
+  const renderTag = ({ item }) => (
+    <TouchableOpacity style={styles.tagRow} onPress={() => setEditingTagId(item.id)}>
+      <TagBubble label={item.name} onPress={() => setEditingTagId(item.id)} />
+      <Text style={styles.countText}>
+        {item.messageCount} {item.messageCount === 1 ? 'message' : 'messages'}
+      </Text>
+      <Ionicons name="chevron-forward" size={18} color="#ADB5BD" />
+    </TouchableOpacity>
+  );
+
+  const renderEmptyState = () => {
+    if (loading) {
+      return <ActivityIndicator style={styles.loading} size="large" color="#5A67F2" />;
+    }
+
+    if (error) {
+      return <Text style={styles.errorText}>{error}</Text>;
+    }
+
+    return (
+      <EmptyState
+        title="No tags yet"
+        message="Tag messages from their options menu to organize your conversations"
+        icon="tag-outline"
+      />
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" />
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#007AFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Tags</Text>
+      </View>
+      <FlatList
+        data={tags}
+        renderItem={renderTag}
+        keyExtractor={item => item.id}
+        refreshing={refreshing}
+        onRefresh={onRefresh}
+        contentContainerStyle={tags.length === 0 && styles.emptyContent}
+        ListEmptyComponent={renderEmptyState}
+      />
+      <TagEditorModal
+        visible={!!editingTag}
+        tag={editingTag}
+        otherTags={otherTags}
+        onRename={handleRename}
+        onChangeStyle={handleChangeStyle}
+        onMerge={handleMerge}
+        onDelete={handleDelete}
+        onClose={closeEditor}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E1E4E8',
+    backgroundColor: '#FFFFFF',
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#212529',
+  },
+  tagRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E1E4E8',
+  },
+  countText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#6C757D',
+    marginLeft: 12,
+  },
+  emptyContent: {
+    flexGrow: 1,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#DC3545',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+});
+
+export default TagManagerScreen;
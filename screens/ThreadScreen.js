@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  SafeAreaView,
+  StyleSheet,
+  StatusBar,
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import AudioPlayer from '../components/audio/AudioPlayer';
+import EmptyState from '../components/common/EmptyState';
+import useAudioPlayer from '../hooks/useAudioPlayer';
+import { getThread, markThreadRead } from '../services/databaseService';
+import { formatTime, formatMessageTime } from '../utils/timeUtils';
+
+// Current user ID (would come from an auth service in a real app)
+const CURRENT_USER_ID = '123';
+
+/**
+ * ThreadScreen - A message with every text and voice reply to it, in the order of the moments they are about
+ */
+const ThreadScreen = ({ navigation, route }) => {
+  const { messageId } = route.params;
+  const [thread, setThread] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const parent = thread ? thread.message : null;
+  // Only voice messages have moments to reply to and play from
+  const isVoiceParent = !!parent && parent.type === 'audio';
+  const { currentAudioId, positionMillis, play } = useAudioPlayer(messageId);
+
+  // Load the thread, then count its replies as seen
+  const loadThread = useCallback(async () => {
+    try {
+      setError(null);
+      const data = await getThread(messageId);
+      setThread(data);
+      if (data) {
+        await markThreadRead(messageId);
+      }
+    } catch (err) {
+      console.error('Failed to load thread:', err);
+      setError('Failed to load replies. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [messageId]);
+
+  useEffect(() => {
+    loadThread();
+  }, [loadThread]);
+
+  // Replies sent from the conversation show up when coming back
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      if (thread) {
+        loadThread();
+      }
+    });
+    return unsubscribe;
+  }, [navigation, thread, loadThread]);
+
+  // Play the original from the moment a reply is about
+  const handleAnchorPress = useCallback((timestamp) => {
+    if (!isVoiceParent) return;
+
+    play(parent.audioUri, parent.id, { positionMillis: timestamp * 1000 })
+      .catch(error => console.error('Audio playback error:', error));
+  }, [parent, isVoiceParent, play]);
+
+  // Reply from the conversation's composer, about the second being listened to
+  const handleReply = useCallback(() => {
+    const timestamp = isVoiceParent && currentAudioId === messageId ? Math.floor(positionMillis / 1000) : null;
+    navigation.popTo('ConversationDetail', { replyTo: { messageId, timestamp } }, { merge: true });
+  }, [navigation, messageId, isVoiceParent, currentAudioId, positionMillis]);
+
+  // Replies from others that arrived since the thread was last opened
+  const isNew = (reply) => (
+    reply.userId !== CURRENT_USER_ID && (!thread.readAt || reply.createdAt > thread.readAt)
+  );
+
+  const renderReply = ({ item }) => (
+    <View style={styles.replyRow}>
+      <View style={styles.replyHeader}>
+        {isVoiceParent && item.timestamp !== null && item.timestamp !== undefined && (
+          <TouchableOpacity
+            style={styles.anchorChip}
+            onPress={() => handleAnchorPress(item.timestamp)}
+            accessibilityLabel={`Play the original from ${formatTime(item.timestamp)}`}
+          >
+            <Ionicons name="play" size={10} color="#5A67F2" />
+            <Text style={styles.anchorText}>{formatTime(item.timestamp)}</Text>
+          </TouchableOpacity>
+        )}
+        <Text style={styles.username}>{item.username || 'Unknown'}</Text>
+        {isNew(item) && <View style={styles.newDot} />}
+        <Text style={styles.replyTime}>{formatMessageTime(item.createdAt)}</Text>
+      </View>
+      {item.type === 'audio' ? (
+        <AudioPlayer
+          message={item.message}
+          isUserMessage={false}
+          style={styles.replyPlayer}
+        />
+      ) : (
+        <Text style={styles.replyText}>{item.text}</Text>
+      )}
+    </View>
+  );
+
+  const renderParent = () => (
+    <View style={styles.parent}>
+      <View style={styles.replyHeader}>
+        <Text style={styles.username}>{parent.senderName}</Text>
+        <Text style={styles.replyTime}>{formatMessageTime(parent.timestamp)}</Text>
+      </View>
+      {isVoiceParent ? (
+        <AudioPlayer
+          message={parent}
+          isUserMessage={false}
+          showRateControl
+          style={styles.replyPlayer}
+        />
+      ) : (
+        <Text style={styles.parentText}>{parent.text}</Text>
+      )}
+      <Text style={styles.sectionTitle}>
+        {thread.replies.length} {thread.replies.length === 1 ? 'reply' : 'replies'}
+      </Text>
+    </View>
+  );
+
+  const renderEmptyState = () => (
+    <EmptyState
+      title="No replies yet"
+      message="Reply to start a thread about this message"
+      icon="reply"
+    />
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" />
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#007AFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Thread</Text>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#5A67F2" />
+      ) : error || !thread ? (
+        <Text style={styles.errorText}>{error || 'This message no longer exists.'}</Text>
+      ) : (
+        <>
+          <FlatList
+            data={thread.replies}
+            renderItem={renderReply}
+            keyExtractor={item => item.id}
+            ListHeaderComponent={renderParent}
+            ListEmptyComponent={renderEmptyState}
+          />
+          <TouchableOpacity
+            style={styles.replyButton}
+            onPress={handleReply}
+            accessibilityLabel="Reply in the conversation"
+          >
+            <Ionicons name="return-down-forward" size={18} color="#FFFFFF" />
+            <Text style={styles.replyButtonText}>
+              {isVoiceParent && currentAudioId === messageId
+                ? `Reply at ${formatTime(positionMillis / 1000)}`
+                : 'Reply'}
+            </Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E1E4E8',
+    backgroundColor: '#FFFFFF',
+  },
+  backButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#212529',
+  },
+  parent: {
+    padding: 16,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E1E4E8',
+  },
+  parentText: {
+    fontSize: 16,
+    color: '#212529',
+    lineHeight: 22,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6C757D',
+    marginTop: 12,
+    textTransform: 'uppercase',
+  },
+  replyRow: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E1E4E8',
+  },
+  replyHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  anchorChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: 'rgba(90, 103, 242, 0.12)',
+    marginRight: 8,
+  },
+  anchorText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#5A67F2',
+    marginLeft: 3,
+  },
+  username: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  newDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#FF3B30',
+    marginLeft: 6,
+  },
+  replyTime: {
+    fontSize: 12,
+    color: '#6C757D',
+    marginLeft: 'auto',
+  },
+  replyText: {
+    fontSize: 15,
+    color: '#212529',
+    lineHeight: 21,
+  },
+  replyPlayer: {
+    marginVertical: 4,
+  },
+  replyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    margin: 16,
+    paddingVertical: 12,
+    borderRadius: 24,
+    backgroundColor: '#5A67F2',
+  },
+  replyButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+    marginLeft: 8,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#DC3545',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+});
+
+export default ThreadScreen;
@@ -0,0 +1,82 @@
+import { Audio } from 'expo-av';
+import * as playbackController from '../playbackController';
+import { buildAutoplayQueue, getQueueState, setQueueSource } from '../autoplayQueue';
+
+jest.mock('../playbackController', () => {
+  const playbackListeners = [];
+  const finishedListeners = [];
+  return {
+    subscribe: jest.fn(listener => playbackListeners.push(listener)),
+    onPlaybackFinished: jest.fn(listener => finishedListeners.push(listener)),
+    play: jest.fn(() => Promise.resolve()),
+    pause: jest.fn(() => Promise.resolve()),
+    // Test helpers standing in for the player
+    emitPlayback: (playback) => playbackListeners.forEach(listener => listener(playback)),
+    emitFinished: (audioId) => finishedListeners.forEach(listener => listener(audioId)),
+  };
+});
+
+const CURRENT_USER_ID = '123';
+
+const audio = (id, senderId, listenedAt = null) => ({
+  id,
+  type: 'audio',
+  senderId,
+  audioUri: `file:///${id}.m4a`,
+  listenedAt,
+});
+
+const messages = [
+  audio('m1', '456'),
+  { id: 't1', type: 'text', senderId: '456', text: 'Hi' },
+  audio('m2', CURRENT_USER_ID),
+  audio('m3', '456', '2024-01-01T00:00:00.000Z'),
+  audio('m4', '456'),
+];
+
+describe('buildAutoplayQueue', () => {
+  it('starts at the message and adds the unheard voice messages after it', () => {
+    expect(buildAutoplayQueue(messages, 'm1', CURRENT_USER_ID).map(message => message.id))
+      .toEqual(['m1', 'm4']);
+  });
+
+  it('starts at an already heard message when that is what was played', () => {
+    expect(buildAutoplayQueue(messages, 'm3', CURRENT_USER_ID).map(message => message.id))
+      .toEqual(['m3', 'm4']);
+  });
+
+  it('is empty for text messages and unknown IDs', () => {
+    expect(buildAutoplayQueue(messages, 't1', CURRENT_USER_ID)).toEqual([]);
+    expect(buildAutoplayQueue(messages, 'missing', CURRENT_USER_ID)).toEqual([]);
+  });
+});
+
+describe('queue chime', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('moves on when the chime is slow to load and unloads it once it does', async () => {
+    let finishLoading;
+    Audio.Sound.createAsync.mockReturnValue(new Promise(resolve => {
+      finishLoading = resolve;
+    }));
+
+    setQueueSource('c1', messages, CURRENT_USER_ID);
+    playbackController.emitPlayback({ currentAudioId: 'm1' });
+    playbackController.emitFinished('m1');
+    expect(getQueueState().chiming).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(playbackController.play).toHaveBeenCalledWith('file:///m4.m4a', 'm4', expect.anything());
+
+    const sound = { unloadAsync: jest.fn(() => Promise.resolve()) };
+    finishLoading({ sound });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sound.unloadAsync).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+import * as FileSystem from 'expo-file-system';
+import { deleteDraft, getConversations, getDraft, saveDraft } from '../databaseService';
+import { bytesToBase64 } from '../../utils/audioAnalysis';
+import { encodeWav } from '../../utils/audioProcessing';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const CONVERSATION_ID = '1';
+const SAMPLE_RATE = 16000;
+
+// Write a recording of silence, cut off before the recorder finalized its header if asked
+const writeRecording = async (uri, duration, { cutOff = false } = {}) => {
+  const bytes = encodeWav([new Float32Array(duration * SAMPLE_RATE)], SAMPLE_RATE);
+  if (cutOff) {
+    const view = new DataView(bytes.buffer);
+    view.setUint32(4, 0, true);
+    view.setUint32(40, 0, true);
+  }
+  await FileSystem.writeAsStringAsync(uri, bytesToBase64(bytes), { encoding: FileSystem.EncodingType.Base64 });
+};
+
+const fileExists = async uri => (await FileSystem.getInfoAsync(uri)).exists;
+
+const hasDraft = async conversationId => (
+  (await getConversations()).find(({ id }) => id === conversationId).hasDraft
+);
+
+describe('drafts', () => {
+  afterEach(() => deleteDraft(CONVERSATION_ID));
+
+  it('keeps a copy of a finished recording that survives the cache', async () => {
+    await writeRecording('file:///cache/recording.wav', 1);
+
+    const draft = await saveDraft(CONVERSATION_ID, { uri: 'file:///cache/recording.wav', duration: 1, waveform: [0.2] });
+
+    expect(draft).toMatchObject({ conversationId: CONVERSATION_ID, duration: 1, waveform: [0.2], inProgress: false });
+    expect(draft.uri).toMatch(/^file:\/\/\/documents\/drafts\/draft_\d+\.wav$/);
+    await expect(fileExists(draft.uri)).resolves.toBe(true);
+    await expect(getDraft(CONVERSATION_ID)).resolves.toEqual(draft);
+    await expect(hasDraft(CONVERSATION_ID)).resolves.toBe(true);
+  });
+
+  it('replaces the earlier draft of a conversation and its file', async () => {
+    await writeRecording('file:///cache/first.wav', 1);
+    await writeRecording('file:///cache/second.wav', 2);
+    const first = await saveDraft(CONVERSATION_ID, { uri: 'file:///cache/first.wav', duration: 1 });
+
+    const second = await saveDraft(CONVERSATION_ID, { uri: 'file:///cache/second.wav', duration: 2 });
+
+    await expect(fileExists(first.uri)).resolves.toBe(false);
+    await expect(getDraft(CONVERSATION_ID)).resolves.toMatchObject({ uri: second.uri, duration: 2 });
+  });
+
+  it('recovers a recording the app was closed during', async () => {
+    const recorderUri = 'file:///cache/recording_interrupted.wav';
+    await writeRecording(recorderUri, 0.5, { cutOff: true });
+    await saveDraft(CONVERSATION_ID, { uri: recorderUri, duration: 0 }, { inProgress: true });
+
+    const draft = await getDraft(CONVERSATION_ID);
+
+    expect(draft).toMatchObject({ duration: 0.5, inProgress: false });
+    expect(draft.uri).toMatch(/^file:\/\/\/documents\/drafts\//);
+    expect(draft.waveform.length).toBeGreaterThan(0);
+  });
+
+  it('forgets a recording in progress whose file is gone', async () => {
+    await saveDraft(CONVERSATION_ID, { uri: 'file:///cache/missing.wav', duration: 3 }, { inProgress: true });
+
+    await expect(getDraft(CONVERSATION_ID)).resolves.toBeNull();
+    await expect(hasDraft(CONVERSATION_ID)).resolves.toBe(false);
+  });
+
+  it('removes a deleted draft and its file', async () => {
+    await writeRecording('file:///cache/recording.wav', 1);
+    const draft = await saveDraft(CONVERSATION_ID, { uri: 'file:///cache/recording.wav', duration: 1 });
+
+    await expect(deleteDraft(CONVERSATION_ID)).resolves.toBe(true);
+    await expect(deleteDraft(CONVERSATION_ID)).resolves.toBe(false);
+
+    await expect(fileExists(draft.uri)).resolves.toBe(false);
+    await expect(getDraft(CONVERSATION_ID)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import * as FileSystem from 'expo-file-system';
+import { bytesToBase64, readAacStream, base64ToBytes } from '../../utils/audioAnalysis';
+import {
+  addHighlight,
+  deleteHighlight,
+  deleteMessage,
+  getMessageHighlights,
+  getMessages,
+  shareHighlight,
+} from '../databaseService';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// Sample voice message of the first sample conversation; its recording is tone.m4a
+// (three seconds with a tone from one to two seconds, see utils/__tests__/audioAnalysis-test)
+const MESSAGE_ID = '103';
+const RECORDING_URI = `${FileSystem.documentDirectory}audio/sample_${MESSAGE_ID}.m4a`;
+
+describe('highlights', () => {
+  beforeAll(async () => {
+    const recording = fs.readFileSync(path.join(__dirname, '../../utils/__tests__/fixtures/tone.m4a'));
+    await FileSystem.writeAsStringAsync(RECORDING_URI, bytesToBase64(new Uint8Array(recording)), {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  });
+
+  it('lists highlights in the order they appear in the audio', async () => {
+    const later = await addHighlight(MESSAGE_ID, { start: 4, end: 6, color: 'yellow' });
+    const earlier = await addHighlight(MESSAGE_ID, { start: 1, end: 2.5, color: 'green', note: 'Deadline' });
+
+    const highlights = await getMessageHighlights(MESSAGE_ID);
+
+    expect(highlights.map(highlight => highlight.id)).toEqual([earlier.id, later.id]);
+    expect(highlights[0]).toMatchObject({ start: 1, end: 2.5, color: 'green', note: 'Deadline', userId: '123' });
+    expect(highlights[1].note).toBeNull();
+
+    await Promise.all(highlights.map(highlight => deleteHighlight(highlight.id)));
+    await expect(getMessageHighlights(MESSAGE_ID)).resolves.toEqual([]);
+  });
+
+  it('rejects a range that doesn\'t end after it starts', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(addHighlight(MESSAGE_ID, { start: 3, end: 3, color: 'yellow' })).rejects.toThrow('end after it starts');
+    await expect(getMessageHighlights(MESSAGE_ID)).resolves.toEqual([]);
+
+    console.error.mockRestore();
+  });
+
+  it('shares the highlighted range as a clip of whole AAC frames', async () => {
+    const highlight = await addHighlight(MESSAGE_ID, { start: 1, end: 2, color: 'yellow' });
+
+    const clip = await shareHighlight(highlight.id, '2');
+
+    // The clip is cut to the frames around the range and sent as it is
+    expect(clip).toMatchObject({ type: 'audio', senderId: '123' });
+    expect(clip.audioDuration).toBeGreaterThanOrEqual(1);
+    expect(clip.audioDuration).toBeLessThan(1 + (2 * 1024) / 44100);
+    const stored = await FileSystem.readAsStringAsync(clip.audioUri, { encoding: FileSystem.EncodingType.Base64 });
+    expect(readAacStream(base64ToBytes(stored)).frames.length * 1024 / 44100).toBeCloseTo(clip.audioDuration, 5);
+    expect((await getMessages('2')).map(message => message.id)).toContain(clip.id);
+
+    // The temporary clip is removed once it has been sent
+    const clipUri = FileSystem.copyAsync.mock.calls[FileSystem.copyAsync.mock.calls.length - 1][0].from;
+    await expect(FileSystem.getInfoAsync(clipUri)).resolves.toMatchObject({ exists: false });
+  });
+
+  it('removes highlights along with their message', async () => {
+    await addHighlight(MESSAGE_ID, { start: 0, end: 1, color: 'yellow' });
+
+    await deleteMessage(MESSAGE_ID);
+
+    await expect(getMessageHighlights(MESSAGE_ID)).resolves.toEqual([]);
+  });
+});
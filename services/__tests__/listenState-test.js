@@ -0,0 +1,77 @@
+import {
+  getConversations,
+  getMessages,
+  markMessagesAsRead,
+  recordListenProgress,
+  sendMessageToGCP,
+} from '../databaseService';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// The first sample conversation ends with a voice message from Sarah the user hasn't played
+const CONVERSATION_ID = '1';
+const UNHEARD_MESSAGE_ID = '106';
+const SARAH_ID = '456';
+
+const getConversation = async () => (await getConversations()).find(({ id }) => id === CONVERSATION_ID);
+
+describe('listen state', () => {
+  it('counts voice messages the user hasn\'t listened to as unread', async () => {
+    const conversation = await getConversation();
+
+    expect(conversation).toMatchObject({ read: false, unreadCount: 1, unheardCount: 1 });
+  });
+
+  it('counts unread text messages on top of unheard voice messages until the conversation is opened', async () => {
+    await sendMessageToGCP({
+      conversationId: CONVERSATION_ID,
+      text: 'Did you get my voice message?',
+      senderId: SARAH_ID,
+      timestamp: new Date().toISOString(),
+    });
+    expect(await getConversation()).toMatchObject({ unreadCount: 2, unheardCount: 1 });
+
+    await markMessagesAsRead(CONVERSATION_ID);
+    expect(await getConversation()).toMatchObject({ read: false, unreadCount: 1, unheardCount: 1 });
+  });
+
+  it('marks a voice message heard once most of it has been played', async () => {
+    await markMessagesAsRead(CONVERSATION_ID);
+
+    await expect(recordListenProgress(UNHEARD_MESSAGE_ID, 0.5, 6)).resolves.toEqual({
+      listenedAt: null,
+      listenedProgress: 0.5,
+      resumePosition: 6,
+    });
+    // Replaying the start doesn't lose how far the message was heard
+    await expect(recordListenProgress(UNHEARD_MESSAGE_ID, 0.3, 3.6)).resolves.toMatchObject({
+      listenedAt: null,
+      listenedProgress: 0.5,
+    });
+    expect(await getConversation()).toMatchObject({ unreadCount: 1, unheardCount: 1 });
+
+    const heard = await recordListenProgress(UNHEARD_MESSAGE_ID, 0.95);
+    expect(heard).toEqual({ listenedAt: expect.any(String), listenedProgress: 0.95, resumePosition: null });
+    expect(await getConversation()).toMatchObject({ read: true, unreadCount: 0, unheardCount: 0 });
+
+    const messages = await getMessages(CONVERSATION_ID);
+    expect(messages.find(({ id }) => id === UNHEARD_MESSAGE_ID)).toMatchObject({
+      listenedAt: heard.listenedAt,
+      listenedProgress: 0.95,
+    });
+  });
+
+  it('tells senders who has listened to their voice messages', async () => {
+    const messages = await getMessages(CONVERSATION_ID);
+
+    expect(messages.find(({ id }) => id === '103').listenedBy).toEqual([
+      { userId: SARAH_ID, username: 'Sarah Johnson', listenedAt: expect.any(String) },
+    ]);
+  });
+});
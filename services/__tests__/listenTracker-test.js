@@ -0,0 +1,74 @@
+import { Audio } from 'expo-av';
+import { onListenStateChange } from '../listenTracker';
+import { pause, play, stop } from '../playbackController';
+import { recordListenProgress } from '../databaseService';
+
+jest.mock('../databaseService', () => ({
+  LISTENED_PROGRESS_THRESHOLD: 0.9,
+  recordListenProgress: jest.fn(async (messageId, progress, resumePosition) => ({
+    listenedAt: progress >= 0.9 ? '2024-01-01T00:00:00.000Z' : null,
+    listenedProgress: progress,
+    resumePosition,
+  })),
+}));
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+// Play a one hundred second message and report it at a position
+const playAt = async (audioId, positionMillis) => {
+  await play(`file:///${audioId}.m4a`, audioId);
+  const { sound } = await Audio.Sound.createAsync.mock.results.at(-1).value;
+  sound.emitStatus({ isLoaded: true, isPlaying: true, positionMillis, durationMillis: 100000 });
+  return sound;
+};
+
+describe('listenTracker', () => {
+  afterEach(async () => {
+    await stop();
+    await flushPromises();
+    jest.clearAllMocks();
+  });
+
+  it('stores how far a paused message got and where to resume it', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onListenStateChange(listener);
+    await playAt('m1', 30000);
+    expect(recordListenProgress).not.toHaveBeenCalled();
+
+    await pause();
+    await flushPromises();
+
+    expect(recordListenProgress).toHaveBeenCalledWith('m1', 0.3, 30);
+    expect(listener).toHaveBeenCalledWith('m1', { listenedAt: null, listenedProgress: 0.3, resumePosition: 30 });
+    unsubscribe();
+  });
+
+  it('resumes from the beginning of a message left near either end', async () => {
+    await playAt('m2', 1000);
+    await pause();
+    await flushPromises();
+    expect(recordListenProgress).toHaveBeenLastCalledWith('m2', 0.01, null);
+
+    await playAt('m3', 99000);
+    await flushPromises();
+    // Moving to m3 stored m2; passing the heard threshold stores m3 right away
+    expect(recordListenProgress).toHaveBeenLastCalledWith('m3', 0.99, null);
+  });
+
+  it('stores a message that is left for another one', async () => {
+    await playAt('m4', 45000);
+    await playAt('m5', 0);
+    await flushPromises();
+
+    expect(recordListenProgress).toHaveBeenCalledWith('m4', 0.45, 45);
+  });
+
+  it('stores a message that played to the end as fully heard, to start over next time', async () => {
+    const sound = await playAt('m6', 50000);
+
+    sound.emitStatus({ isLoaded: true, didJustFinish: true });
+    await flushPromises();
+
+    expect(recordListenProgress).toHaveBeenLastCalledWith('m6', 1, null);
+  });
+});
@@ -0,0 +1,98 @@
+import { NativeModules } from 'react-native';
+import MusicControl, { Command } from 'react-native-music-control';
+import { connectMediaControls, createMusicControlAdapter } from '../mediaControls';
+import { REMOTE_COMMANDS, handleRemoteCommand } from '../nowPlaying';
+
+jest.mock('react-native-music-control', () => {
+  const handlers = {};
+  return {
+    __esModule: true,
+    Command: {
+      play: 'play',
+      pause: 'pause',
+      stop: 'stop',
+      nextTrack: 'nextTrack',
+      seek: 'seek',
+      togglePlayPause: 'togglePlayPause',
+      changePlaybackPosition: 'changePlaybackPosition',
+      closeNotification: 'closeNotification',
+    },
+    default: {
+      STATE_PLAYING: 'playing',
+      STATE_PAUSED: 'paused',
+      handlers,
+      enableBackgroundMode: jest.fn(),
+      handleAudioInterruptions: jest.fn(),
+      enableControl: jest.fn(),
+      setNowPlaying: jest.fn(),
+      updatePlayback: jest.fn(),
+      resetNowPlaying: jest.fn(),
+      stopControl: jest.fn(),
+      on: jest.fn((command, handler) => { handlers[command] = handler; }),
+    },
+  };
+});
+
+jest.mock('../nowPlaying', () => ({
+  ...jest.requireActual('../nowPlaying'),
+  handleRemoteCommand: jest.fn(() => Promise.resolve(true)),
+}));
+
+const info = {
+  audioId: 'm1',
+  senderName: 'Sarah Johnson',
+  conversationName: 'Sarah Johnson',
+  durationMillis: 12000,
+  positionMillis: 3000,
+  isPlaying: true,
+  rate: 1.5,
+  canSkipNext: true,
+};
+
+describe('mediaControls', () => {
+  afterEach(() => {
+    delete NativeModules.MusicControlManager;
+    jest.clearAllMocks();
+  });
+
+  it('does nothing when the native module is missing', () => {
+    const disconnect = connectMediaControls();
+    expect(MusicControl.on).not.toHaveBeenCalled();
+    disconnect();
+  });
+
+  it('routes system commands into remote commands', () => {
+    NativeModules.MusicControlManager = {};
+    const disconnect = connectMediaControls();
+
+    MusicControl.handlers[Command.pause]();
+    expect(handleRemoteCommand).toHaveBeenLastCalledWith(REMOTE_COMMANDS.PAUSE, undefined);
+
+    MusicControl.handlers[Command.nextTrack]();
+    expect(handleRemoteCommand).toHaveBeenLastCalledWith(REMOTE_COMMANDS.NEXT_TRACK, undefined);
+
+    MusicControl.handlers[Command.changePlaybackPosition]('4.5');
+    expect(handleRemoteCommand).toHaveBeenLastCalledWith(REMOTE_COMMANDS.SEEK, { positionMillis: 4500 });
+
+    disconnect();
+    expect(MusicControl.stopControl).toHaveBeenCalled();
+  });
+
+  it('sends metadata once per message and playback state on every update', () => {
+    const adapter = createMusicControlAdapter();
+
+    adapter.update(info);
+    adapter.update({ ...info, positionMillis: 5000, isPlaying: false });
+
+    expect(MusicControl.setNowPlaying).toHaveBeenCalledTimes(1);
+    expect(MusicControl.setNowPlaying).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Voice message from Sarah Johnson',
+      duration: 12,
+      elapsedTime: 3,
+    }));
+    expect(MusicControl.updatePlayback).toHaveBeenLastCalledWith({ state: 'paused', elapsedTime: 5, speed: 0 });
+
+    adapter.clear();
+    expect(MusicControl.resetNowPlaying).toHaveBeenCalled();
+  });
+});
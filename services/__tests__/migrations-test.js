@@ -0,0 +1,172 @@
+import SQLite from 'react-native-sqlite-storage';
+import { migrations, runMigrations } from '../migrations';
+
+// Bring the database up to an older schema version, as an install that hasn't updated yet
+const migrateTo = async (db, version) => {
+  const later = migrations.splice(migrations.findIndex(migration => migration.version > version));
+  try {
+    await runMigrations(db);
+  } finally {
+    migrations.push(...later);
+  }
+};
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+describe('runMigrations', () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = await SQLite.openDatabase({ name: 'test.db' });
+  });
+
+  afterEach(() => {
+    db.close();
+    console.log.mockRestore();
+  });
+
+  it('applies every migration once', async () => {
+    await expect(runMigrations(db)).resolves.toBe(latestVersion);
+    await expect(runMigrations(db)).resolves.toBe(latestVersion);
+
+    const applied = db.run('SELECT version FROM schema_migrations ORDER BY version');
+    expect(applied.map(row => row.version)).toEqual(migrations.map(migration => migration.version));
+  });
+
+  describe('reaction keys', () => {
+    const insertReaction = (id, emoji, timestamp, userId) => db.run(
+      'INSERT INTO reactions (id, message_id, emoji, timestamp, user_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, 'm1', emoji, timestamp, userId, '2024-01-01T00:00:00.000Z']
+    );
+
+    beforeEach(async () => {
+      await migrateTo(db, 13);
+      db.run("INSERT INTO conversations (id, participant_name) VALUES ('c1', 'Sarah Johnson')");
+      db.run(
+        `INSERT INTO messages (id, conversation_id, type, sender_id, timestamp)
+          VALUES ('m1', 'c1', 'audio', '456', '2024-01-01T00:00:00.000Z')`
+      );
+    });
+
+    it('keeps the first of a user\'s repeated emoji within a stretch of audio', async () => {
+      insertReaction('r1', '👍', 2.2, '123');
+      insertReaction('r2', '👍', 2.8, '123');
+      insertReaction('r3', '👍', 2.5, '456');
+      insertReaction('r4', '👍', 3.1, '123');
+      insertReaction('r5', '🔥', 2.4, '123');
+      insertReaction('r6', '👍', null, '123');
+      insertReaction('r7', '👍', null, '123');
+
+      await runMigrations(db);
+
+      expect(db.run('SELECT id, bucket FROM reactions ORDER BY id')).toEqual([
+        { id: 'r1', bucket: 2 },
+        { id: 'r3', bucket: 2 },
+        { id: 'r4', bucket: 3 },
+        { id: 'r5', bucket: 2 },
+        { id: 'r6', bucket: -1 },
+      ]);
+    });
+
+    it('puts reactions before the start of the audio in the first stretch', async () => {
+      insertReaction('r1', '👍', -1.5, '123');
+      insertReaction('r2', '👍', 0.4, '123');
+      insertReaction('r3', '🔥', -0.2, '456');
+      insertReaction('r4', '👍', null, '456');
+      insertReaction('r5', '👍', -1.2, '456');
+
+      await runMigrations(db);
+
+      expect(db.run('SELECT id, bucket FROM reactions ORDER BY id')).toEqual([
+        { id: 'r1', bucket: 0 },
+        { id: 'r3', bucket: 0 },
+        { id: 'r4', bucket: -1 },
+        { id: 'r5', bucket: 0 },
+      ]);
+    });
+
+    it('moves reactions bucketed before the start of the audio into the first stretch', async () => {
+      await migrateTo(db, 14);
+      // Buckets the first version of reaction_keys gave them
+      const insertBucketed = (id, emoji, timestamp, bucket) => db.run(
+        `INSERT INTO reactions (id, message_id, emoji, timestamp, bucket, user_id, created_at)
+          VALUES (?, 'm1', ?, ?, ?, '123', '2024-01-01T00:00:00.000Z')`,
+        [id, emoji, timestamp, bucket]
+      );
+      insertBucketed('r1', '👍', -2.5, -2);
+      insertBucketed('r2', '👍', 0.5, 0);
+      insertBucketed('r3', '🔥', -1.5, -1);
+      insertBucketed('r4', '👍', 1.5, 1);
+
+      await runMigrations(db);
+
+      expect(db.run('SELECT id, bucket FROM reactions ORDER BY id')).toEqual([
+        { id: 'r1', bucket: 0 },
+        { id: 'r3', bucket: 0 },
+        { id: 'r4', bucket: 1 },
+      ]);
+    });
+
+    it('rejects a second reaction with the same key', async () => {
+      await runMigrations(db);
+      db.run(
+        `INSERT INTO reactions (id, message_id, emoji, timestamp, bucket, user_id, created_at)
+          VALUES ('r1', 'm1', '👍', 2.2, 2, '123', '2024-01-01T00:00:00.000Z')`
+      );
+
+      expect(() => db.run(
+        `INSERT INTO reactions (id, message_id, emoji, timestamp, bucket, user_id, created_at)
+          VALUES ('r2', 'm1', '👍', 2.9, 2, '123', '2024-01-01T00:00:00.000Z')`
+      )).toThrow(/UNIQUE constraint failed/);
+    });
+  });
+
+  describe('sample transcripts', () => {
+    const insertMessage = (id) => db.run(
+      `INSERT INTO messages (id, conversation_id, type, sender_id, timestamp)
+        VALUES (?, 'c1', 'audio', '456', '2024-01-01T00:00:00.000Z')`,
+      [id]
+    );
+
+    const insertTranscript = (messageId, provider) => {
+      db.run(
+        "INSERT INTO transcripts (message_id, text, provider, created_at) VALUES (?, 'Can you send it by Friday?', ?, '2024-01-01T00:00:00.000Z')",
+        [messageId, provider]
+      );
+      db.run(
+        "INSERT INTO transcript_segments (message_id, position, start_time, end_time, text) VALUES (?, 0, 0, 2, 'Can you send it by Friday?')",
+        [messageId]
+      );
+    };
+
+    const insertMarker = (messageId, position, kind) => db.run(
+      "INSERT INTO message_markers (message_id, position, kind, label, start_time) VALUES (?, ?, ?, 'Question', 0)",
+      [messageId, position, kind]
+    );
+
+    beforeEach(async () => {
+      await migrateTo(db, 14);
+      db.run("INSERT INTO conversations (id, participant_name) VALUES ('c1', 'Sarah Johnson')");
+      ['recognized', 'sample', 'untranscribed'].forEach(insertMessage);
+    });
+
+    it('drops sample transcripts and the keyword markers derived from them', async () => {
+      insertTranscript('recognized', 'http');
+      insertTranscript('sample', 'fixture');
+      insertMarker('recognized', 0, 'keyword');
+      insertMarker('sample', 0, 'keyword');
+      insertMarker('untranscribed', 0, 'keyword');
+      insertMarker('untranscribed', 1, 'section');
+
+      await runMigrations(db);
+
+      expect(db.run('SELECT message_id FROM transcripts')).toEqual([{ message_id: 'recognized' }]);
+      expect(db.run('SELECT message_id FROM transcript_segments')).toEqual([{ message_id: 'recognized' }]);
+      expect(db.run('SELECT message_id, kind FROM message_markers ORDER BY message_id')).toEqual([
+        { message_id: 'recognized', kind: 'keyword' },
+        { message_id: 'untranscribed', kind: 'section' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { Audio, createFakeSound } from 'expo-av';
+import * as playbackController from '../playbackController';
+import {
+  REMOTE_COMMANDS,
+  describeConversation,
+  getNowPlaying,
+  handleRemoteCommand,
+  setNowPlayingAdapter,
+} from '../nowPlaying';
+
+const messages = [
+  { id: 'm1', type: 'audio', senderId: '456', senderName: 'Sarah Johnson', audioDuration: 12, audioUri: 'file:///m1.m4a' },
+];
+
+describe('nowPlaying', () => {
+  let sound;
+  let adapter;
+  let disconnect;
+
+  beforeEach(async () => {
+    sound = createFakeSound();
+    Audio.Sound.createAsync.mockResolvedValue({ sound, status: { isLoaded: true, durationMillis: 12000 } });
+
+    adapter = { update: jest.fn(), clear: jest.fn() };
+    disconnect = setNowPlayingAdapter(adapter);
+    describeConversation('c1', 'Sarah Johnson', messages);
+
+    await playbackController.play('file:///m1.m4a', 'm1');
+  });
+
+  afterEach(async () => {
+    disconnect();
+    await playbackController.stop();
+  });
+
+  it('describes the playing message to media controls', () => {
+    expect(getNowPlaying()).toMatchObject({
+      audioId: 'm1',
+      senderName: 'Sarah Johnson',
+      conversationId: 'c1',
+      conversationName: 'Sarah Johnson',
+      durationMillis: 12000,
+      isPlaying: true,
+    });
+    expect(adapter.update).toHaveBeenLastCalledWith(expect.objectContaining({ audioId: 'm1', isPlaying: true }));
+  });
+
+  it('pauses and resumes from remote commands', async () => {
+    await expect(handleRemoteCommand(REMOTE_COMMANDS.PAUSE)).resolves.toBe(true);
+    expect(sound.pauseAsync).toHaveBeenCalled();
+    expect(adapter.update).toHaveBeenLastCalledWith(expect.objectContaining({ isPlaying: false }));
+
+    await handleRemoteCommand(REMOTE_COMMANDS.TOGGLE_PLAY_PAUSE);
+    expect(sound.playAsync).toHaveBeenCalled();
+    expect(getNowPlaying().isPlaying).toBe(true);
+  });
+
+  it('seeks to the position media controls ask for', async () => {
+    await handleRemoteCommand(REMOTE_COMMANDS.SEEK, { positionMillis: 4000 });
+    expect(sound.setPositionAsync).toHaveBeenCalledWith(4000);
+  });
+
+  it('clears media controls once playback stops', async () => {
+    await playbackController.stop();
+    expect(adapter.clear).toHaveBeenCalled();
+    expect(getNowPlaying()).toBeNull();
+  });
+
+  it('ignores commands it does not support', async () => {
+    await expect(handleRemoteCommand('rate')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,157 @@
+import { Audio } from 'expo-av';
+import {
+  getPlaybackState,
+  load,
+  onPlaybackFinished,
+  play,
+  seek,
+  setRate,
+  stop,
+  subscribe,
+  toggle,
+} from '../playbackController';
+
+// The fake sound created by the last load
+const lastSound = async () => (await Audio.Sound.createAsync.mock.results.at(-1).value).sound;
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('playbackController', () => {
+  afterEach(async () => {
+    await stop();
+    await setRate(1);
+    jest.clearAllMocks();
+  });
+
+  it('plays one message at a time', async () => {
+    await play('file:///m1.m4a', 'm1');
+    const first = await lastSound();
+    await play('file:///m2.m4a', 'm2');
+
+    expect(first.unloadAsync).toHaveBeenCalled();
+    expect(Audio.Sound.createAsync).toHaveBeenLastCalledWith(
+      { uri: 'file:///m2.m4a' },
+      expect.objectContaining({ shouldPlay: true, shouldCorrectPitch: true }),
+      expect.any(Function)
+    );
+    expect(getPlaybackState()).toMatchObject({ currentAudioId: 'm2', isLoaded: true, isPlaying: true });
+  });
+
+  it('passes status updates of the loaded sound to subscribers', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribe(listener);
+    await play('file:///m1.m4a', 'm1');
+    const sound = await lastSound();
+
+    sound.emitStatus({ isLoaded: true, isPlaying: true, positionMillis: 1500, durationMillis: 8000 });
+
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+      currentAudioId: 'm1',
+      positionMillis: 1500,
+      durationMillis: 8000,
+    }));
+    unsubscribe();
+  });
+
+  it('rewinds a message that played to the end and reports it', async () => {
+    const finished = jest.fn();
+    const unsubscribe = onPlaybackFinished(finished);
+    await play('file:///m1.m4a', 'm1');
+    const sound = await lastSound();
+
+    sound.emitStatus({ isLoaded: true, didJustFinish: true });
+    await flushPromises();
+
+    expect(finished).toHaveBeenCalledWith('m1');
+    expect(sound.pauseAsync).toHaveBeenCalled();
+    expect(sound.setPositionAsync).toHaveBeenCalledWith(0);
+    expect(getPlaybackState()).toMatchObject({ isPlaying: false, positionMillis: 0 });
+    unsubscribe();
+  });
+
+  it('ignores updates from a sound that has been replaced', async () => {
+    const finished = jest.fn();
+    const unsubscribe = onPlaybackFinished(finished);
+    await play('file:///m1.m4a', 'm1');
+    const first = await lastSound();
+    await play('file:///m2.m4a', 'm2');
+    const second = await lastSound();
+    second.emitStatus({ isLoaded: true, isPlaying: true, positionMillis: 2000, durationMillis: 5000 });
+
+    // Unloading clears the callback, but updates the native player had already queued
+    // still arrive through the handler registered at load
+    first.onPlaybackStatusUpdate = Audio.Sound.createAsync.mock.calls[0][2];
+    first.emitStatus({ isLoaded: true, didJustFinish: true });
+    first.emitStatus({ isLoaded: true, isPlaying: false, positionMillis: 9000 });
+    await flushPromises();
+
+    expect(finished).not.toHaveBeenCalled();
+    expect(second.pauseAsync).not.toHaveBeenCalled();
+    expect(second.setPositionAsync).not.toHaveBeenCalled();
+    expect(getPlaybackState()).toMatchObject({ currentAudioId: 'm2', isPlaying: true, positionMillis: 2000 });
+    unsubscribe();
+  });
+
+  it('doesn\'t rewind the next message when it loads while the finished one pauses', async () => {
+    const unsubscribe = onPlaybackFinished(audioId => {
+      if (audioId === 'm1') play('file:///m2.m4a', 'm2');
+    });
+    await play('file:///m1.m4a', 'm1');
+    const first = await lastSound();
+
+    first.emitStatus({ isLoaded: true, didJustFinish: true });
+    await flushPromises();
+    const second = await lastSound();
+
+    expect(first.setPositionAsync).not.toHaveBeenCalled();
+    expect(second.setPositionAsync).not.toHaveBeenCalled();
+    expect(getPlaybackState().currentAudioId).toBe('m2');
+    unsubscribe();
+  });
+
+  it('drops a slow load that was superseded', async () => {
+    let finishLoading;
+    Audio.Sound.createAsync.mockImplementationOnce(() => new Promise(resolve => {
+      finishLoading = resolve;
+    }));
+
+    const slow = load('file:///m1.m4a', 'm1');
+    await flushPromises();
+    await play('file:///m2.m4a', 'm2');
+    const late = { setOnPlaybackStatusUpdate: jest.fn(), unloadAsync: jest.fn(() => Promise.resolve()) };
+    finishLoading({ sound: late, status: { isLoaded: true } });
+    await slow;
+
+    expect(late.unloadAsync).toHaveBeenCalled();
+    expect(getPlaybackState().currentAudioId).toBe('m2');
+  });
+
+  it('toggles between pause and play, and seeks within the message', async () => {
+    await toggle('file:///m1.m4a', 'm1', 3000);
+    const sound = await lastSound();
+    expect(Audio.Sound.createAsync.mock.calls[0][1]).toMatchObject({ positionMillis: 3000, shouldPlay: true });
+    sound.emitStatus({ isLoaded: true, isPlaying: true, positionMillis: 3000, durationMillis: 8000 });
+
+    await toggle('file:///m1.m4a', 'm1');
+    expect(sound.pauseAsync).toHaveBeenCalled();
+    expect(getPlaybackState().isPlaying).toBe(false);
+
+    await toggle('file:///m1.m4a', 'm1');
+    expect(sound.playAsync).toHaveBeenCalled();
+    expect(getPlaybackState().isPlaying).toBe(true);
+
+    await seek(20000);
+    expect(sound.setPositionAsync).toHaveBeenLastCalledWith(8000);
+  });
+
+  it('keeps the speed for the messages played after it', async () => {
+    await play('file:///m1.m4a', 'm1');
+    const sound = await lastSound();
+
+    await setRate(1.5);
+    expect(sound.setRateAsync).toHaveBeenCalledWith(1.5, true, Audio.PitchCorrectionQuality.High);
+
+    await play('file:///m2.m4a', 'm2');
+    expect(Audio.Sound.createAsync.mock.calls.at(-1)[1]).toMatchObject({ rate: 1.5 });
+  });
+});
@@ -0,0 +1,36 @@
+import { addMoreMockReactions, getConversations } from '../databaseService';
+import { dummyReactions } from '../mockData';
+import { getDatabase } from '../sqliteClient';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const sampleReactionCount = Object.values(dummyReactions).reduce((sum, reactions) => sum + reactions.length, 0);
+
+describe('sample data', () => {
+  let db;
+
+  beforeAll(async () => {
+    // Wait for the first-run seeding
+    await getConversations();
+    db = await getDatabase();
+  });
+
+  it('seeds no transcripts, so sample text never passes for what was said', () => {
+    expect(db.run('SELECT COUNT(*) AS count FROM transcripts')).toEqual([{ count: 0 }]);
+  });
+
+  it('adds the sample reactions once', async () => {
+    db.run('DELETE FROM reactions');
+
+    await expect(addMoreMockReactions()).resolves.toBe(true);
+    await expect(addMoreMockReactions()).resolves.toBe(true);
+
+    expect(db.run('SELECT COUNT(*) AS count FROM reactions')).toEqual([{ count: sampleReactionCount }]);
+  });
+});
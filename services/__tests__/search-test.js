@@ -0,0 +1,109 @@
+import { saveMessageTranscript, searchMessages, updateTranscriptSegment } from '../databaseService';
+import {
+  SNIPPET_MATCH_END,
+  SNIPPET_MATCH_START,
+  buildMatchQuery,
+  groupResultsByConversation,
+  splitSnippet,
+} from '../searchIndex';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const match = text => `${SNIPPET_MATCH_START}${text}${SNIPPET_MATCH_END}`;
+
+describe('buildMatchQuery', () => {
+  it('matches every word as a prefix', () => {
+    expect(buildMatchQuery('API Head')).toBe('api* head*');
+  });
+
+  it('drops query syntax typed by the user', () => {
+    expect(buildMatchQuery('"sarah" (api) -header*')).toBe('sarah* api* header*');
+    expect(buildMatchQuery(' ?! ')).toBeNull();
+  });
+});
+
+describe('splitSnippet', () => {
+  it('marks the matched parts', () => {
+    expect(splitSnippet(`the ${match('API')} header`)).toEqual([
+      { text: 'the ', isMatch: false },
+      { text: 'API', isMatch: true },
+      { text: ' header', isMatch: false },
+    ]);
+  });
+});
+
+describe('groupResultsByConversation', () => {
+  it('keeps conversations in the order of their first result', () => {
+    const groups = groupResultsByConversation([
+      { conversationId: '2', messageId: 'a' },
+      { conversationId: '1', messageId: 'b' },
+      { conversationId: '2', messageId: 'c' },
+    ]);
+
+    expect(groups.map(group => [group.conversationId, group.results.map(result => result.messageId)])).toEqual([
+      ['2', ['a', 'c']],
+      ['1', ['b']],
+    ]);
+  });
+});
+
+describe('searchMessages', () => {
+  beforeAll(async () => {
+    // Sample voice message from Sarah in the first sample conversation
+    await saveMessageTranscript('106', {
+      text: 'Quick update. I added the API header to every request.',
+      segments: [
+        { text: 'Quick update.', start: 0, end: 1.2 },
+        { text: 'I added the API header to every request.', start: 1.2, end: 4.8 },
+      ],
+      provider: 'test',
+    });
+  });
+
+  it('finds text messages', async () => {
+    const [group] = await searchMessages('dashboard');
+
+    expect(group).toMatchObject({ conversationId: '1', participantName: 'Sarah Johnson' });
+    expect(group.results).toEqual([expect.objectContaining({
+      kind: 'text',
+      messageId: '104',
+      messageType: 'text',
+      snippet: expect.stringContaining(match('dashboard')),
+    })]);
+  });
+
+  it('finds the moment a voice message says something', async () => {
+    const results = (await searchMessages('api head')).flatMap(group => group.results);
+
+    expect(results).toContainEqual(expect.objectContaining({
+      kind: 'transcript',
+      messageId: '106',
+      messageType: 'audio',
+      segmentPosition: 1,
+      segmentStart: 1.2,
+    }));
+  });
+
+  it('follows corrections to the transcript', async () => {
+    await updateTranscriptSegment('106', 0, 'Quick update on the invoices.');
+
+    const results = (await searchMessages('invoices')).flatMap(group => group.results);
+    expect(results).toEqual([expect.objectContaining({ messageId: '106', segmentPosition: 0, segmentStart: 0 })]);
+  });
+
+  it('finds messages by tag', async () => {
+    const results = (await searchMessages('task')).flatMap(group => group.results);
+
+    expect(results).toContainEqual(expect.objectContaining({ kind: 'tag', messageId: '103' }));
+  });
+
+  it('has nothing to find for empty queries', async () => {
+    await expect(searchMessages('  ')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  deleteTag,
+  getMessages,
+  getTags,
+  mergeTags,
+  renameTag,
+  updateMessageTags,
+  updateTagStyle,
+} from '../databaseService';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// Text messages of the first two sample conversations
+const SARAH_MESSAGE = { conversationId: '1', messageId: '104' };
+const MICHAEL_MESSAGE = { conversationId: '2', messageId: '201' };
+
+// Text messages only list tags when they have some
+const tagsOf = async ({ conversationId, messageId }) => (
+  (await getMessages(conversationId)).find(({ id }) => id === messageId).tags || []
+);
+
+const findTag = async (name) => (await getTags()).find(tag => tag.name === name);
+
+describe('tag registry', () => {
+  it('keeps one tag per name whatever its case', async () => {
+    await updateMessageTags(SARAH_MESSAGE.messageId, ['Invoice', 'Urgent']);
+    await updateMessageTags(MICHAEL_MESSAGE.messageId, ['  invoice ']);
+
+    const invoiceTags = (await getTags()).filter(tag => tag.name.toLowerCase() === 'invoice');
+    expect(invoiceTags).toEqual([expect.objectContaining({ name: 'Invoice', messageCount: 2 })]);
+    await expect(tagsOf(MICHAEL_MESSAGE)).resolves.toEqual(['Invoice']);
+  });
+
+  it('renames a tag in every conversation at once', async () => {
+    const invoice = await findTag('Invoice');
+
+    const renamed = await renameTag(invoice.id, ' Billing  run ');
+
+    expect(renamed).toMatchObject({ id: invoice.id, name: 'Billing run', messageCount: 2 });
+    await expect(tagsOf(SARAH_MESSAGE)).resolves.toEqual(['Billing run', 'Urgent']);
+    await expect(tagsOf(MICHAEL_MESSAGE)).resolves.toEqual(['Billing run']);
+  });
+
+  it('merges a tag renamed to the name of another', async () => {
+    await updateMessageTags(MICHAEL_MESSAGE.messageId, ['Billing run', 'Asap']);
+    const asap = await findTag('Asap');
+    const urgent = await findTag('Urgent');
+
+    const merged = await renameTag(asap.id, 'urgent');
+
+    expect(merged).toMatchObject({ id: urgent.id, name: 'urgent', messageCount: 2 });
+    expect(await findTag('Asap')).toBeUndefined();
+    await expect(tagsOf(MICHAEL_MESSAGE)).resolves.toEqual(['Billing run', 'urgent']);
+  });
+
+  it('merges several tags into one, tagging each message once', async () => {
+    await updateMessageTags(SARAH_MESSAGE.messageId, ['Billing run', 'urgent', 'Payment']);
+    const [billing, urgent, payment] = await Promise.all(['Billing run', 'urgent', 'Payment'].map(findTag));
+
+    const merged = await mergeTags([urgent.id, payment.id, billing.id], billing.id);
+
+    expect(merged).toMatchObject({ id: billing.id, messageCount: 2 });
+    await expect(tagsOf(SARAH_MESSAGE)).resolves.toEqual(['Billing run']);
+    await expect(tagsOf(MICHAEL_MESSAGE)).resolves.toEqual(['Billing run']);
+  });
+
+  it('stores the color and icon chosen for a tag', async () => {
+    const billing = await findTag('Billing run');
+
+    await expect(updateTagStyle(billing.id, { color: '#34C759', icon: 'flag' }))
+      .resolves.toMatchObject({ color: '#34C759', icon: 'flag' });
+    await expect(updateTagStyle(billing.id, {})).resolves.toMatchObject({ color: null, icon: null });
+  });
+
+  it('removes a deleted tag from every message', async () => {
+    const billing = await findTag('Billing run');
+
+    await expect(deleteTag(billing.id)).resolves.toBe(true);
+    await expect(deleteTag(billing.id)).resolves.toBe(false);
+
+    await expect(tagsOf(SARAH_MESSAGE)).resolves.toEqual([]);
+    await expect(tagsOf(MICHAEL_MESSAGE)).resolves.toEqual([]);
+  });
+
+  it('refuses an empty name', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const [tag] = await getTags();
+
+    await expect(renameTag(tag.id, '  ')).rejects.toThrow('cannot be empty');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,109 @@
+import * as FileSystem from 'expo-file-system';
+import {
+  addReplyToMessage,
+  getMessages,
+  getThread,
+  markThreadRead,
+  sendAudioMessage,
+} from '../databaseService';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// The first sample conversation: '103' is the current user's voice message (Sarah replied in text at 3.2 s),
+// '102' a text message from Sarah
+const CONVERSATION_ID = '1';
+const VOICE_MESSAGE_ID = '103';
+const TEXT_MESSAGE_ID = '102';
+const SARAH_ID = '456';
+const RECORDING_URI = `${FileSystem.cacheDirectory}recording.m4a`;
+
+// Send a voice reply as the current user
+const sendVoiceReply = (replyTo) => sendAudioMessage({
+  conversationId: CONVERSATION_ID,
+  audioUri: RECORDING_URI,
+  audioDuration: 2,
+  senderId: '123',
+  timestamp: new Date().toISOString(),
+  waveform: [0.2, 0.5, 0.3],
+  processing: false,
+  replyTo,
+});
+
+const findMessage = async (messageId) => (
+  (await getMessages(CONVERSATION_ID)).find(({ id }) => id === messageId)
+);
+
+describe('threads', () => {
+  beforeAll(async () => {
+    await FileSystem.writeAsStringAsync(RECORDING_URI, 'recording');
+  });
+
+  it('groups text and voice replies by the moment they are about, replies to the whole message last', async () => {
+    await addReplyToMessage(VOICE_MESSAGE_ID, {
+      id: 'reply_whole',
+      text: 'Thanks for the update',
+      timestamp: null,
+      userId: SARAH_ID,
+      username: 'Sarah Johnson',
+    });
+    const voiceReply = await sendVoiceReply({ messageId: VOICE_MESSAGE_ID, timestamp: 1 });
+    await addReplyToMessage(VOICE_MESSAGE_ID, {
+      id: 'reply_later',
+      text: 'And this part?',
+      timestamp: 5,
+      userId: SARAH_ID,
+      username: 'Sarah Johnson',
+    });
+
+    const thread = await getThread(VOICE_MESSAGE_ID);
+
+    expect(thread.message.id).toBe(VOICE_MESSAGE_ID);
+    expect(thread.replies.map(({ id, type, timestamp }) => [id, type, timestamp])).toEqual([
+      [voiceReply.id, 'audio', 1],
+      ['reply_1', 'text', 3.2],
+      ['reply_later', 'text', 5],
+      ['reply_whole', 'text', null],
+    ]);
+    expect(thread.replies[0].message.replyTo).toEqual({ messageId: VOICE_MESSAGE_ID, timestamp: 1 });
+  });
+
+  it('counts replies from others as new until the thread is opened', async () => {
+    const { thread } = await findMessage(VOICE_MESSAGE_ID);
+    expect(thread).toMatchObject({ replyCount: 4, unreadCount: 3 });
+
+    await markThreadRead(VOICE_MESSAGE_ID);
+
+    expect((await findMessage(VOICE_MESSAGE_ID)).thread).toMatchObject({ replyCount: 4, unreadCount: 0 });
+    expect((await getThread(VOICE_MESSAGE_ID)).readAt).toEqual(expect.any(String));
+  });
+
+  it('keeps replies to a text message about the whole message', async () => {
+    const voiceReply = await sendVoiceReply({ messageId: TEXT_MESSAGE_ID, timestamp: null });
+    await addReplyToMessage(TEXT_MESSAGE_ID, {
+      id: 'reply_text',
+      text: 'Which project?',
+      timestamp: 4,
+      userId: '123',
+      username: 'You',
+    });
+
+    const thread = await getThread(TEXT_MESSAGE_ID);
+
+    expect(thread.message.type).toBe('text');
+    expect(thread.replies.map(({ id, timestamp }) => [id, timestamp])).toEqual([
+      [voiceReply.id, null],
+      ['reply_text', null],
+    ]);
+    expect((await findMessage(TEXT_MESSAGE_ID)).thread).toMatchObject({ replyCount: 2, unreadCount: 0 });
+  });
+
+  it('has no thread for a message that no longer exists', async () => {
+    await expect(getThread('missing')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+import {
+  FIXTURE_PROVIDER,
+  getTranscriptionProvider,
+  normalizeTranscript,
+  setTranscriptionProvider,
+  transcribe,
+} from '../transcriptionService';
+
+const fixtureProvider = getTranscriptionProvider();
+
+describe('transcribe', () => {
+  afterEach(() => setTranscriptionProvider(fixtureProvider));
+
+  it('answers for the sample messages from fixtures in development builds', async () => {
+    expect(fixtureProvider.name).toBe(FIXTURE_PROVIDER);
+
+    const transcript = await transcribe('file:///documents/audio/sample_103.m4a', { messageId: '103' });
+
+    expect(transcript.provider).toBe(FIXTURE_PROVIDER);
+    expect(transcript.text.length).toBeGreaterThan(0);
+    expect(transcript.segments.length).toBeGreaterThan(0);
+  });
+
+  it('has no transcript for real recordings without a transcription server', async () => {
+    await expect(transcribe('file:///documents/audio/voice_1.m4a', { messageId: 'msg_1' })).resolves.toBeNull();
+  });
+
+  it('transcribes nothing when transcription is turned off', async () => {
+    setTranscriptionProvider(null);
+
+    await expect(transcribe('file:///documents/audio/sample_103.m4a', { messageId: '103' })).resolves.toBeNull();
+  });
+
+  it('tags results with the provider that made them', async () => {
+    setTranscriptionProvider({
+      name: 'test',
+      transcribe: async () => ({ segments: [{ text: ' Hello ', start: '0', end: 1.5 }, { text: ' ' }] }),
+    });
+
+    await expect(transcribe('file:///voice.m4a')).resolves.toEqual({
+      text: 'Hello',
+      segments: [{ text: 'Hello', start: 0, end: 1.5 }],
+      language: null,
+      confidence: null,
+      provider: 'test',
+    });
+  });
+});
+
+describe('normalizeTranscript', () => {
+  it('keeps the text a provider reports over its segments', () => {
+    expect(normalizeTranscript({ text: ' Full text ', segments: [{ text: 'Full', start: 0, end: 1 }] }).text)
+      .toBe('Full text');
+  });
+});
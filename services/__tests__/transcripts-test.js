@@ -0,0 +1,110 @@
+import {
+  getMessageTranscript,
+  saveMessageTranscript,
+  updateTranscriptSegment,
+} from '../databaseService';
+import { getTranscriptionProvider, setTranscriptionProvider } from '../transcriptionService';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// Sample voice messages of the first sample conversation
+const MESSAGE_ID = '103';
+const OTHER_MESSAGE_ID = '106';
+
+const machineTranscript = {
+  text: 'Can you check the API header? It should be done by Friday.',
+  segments: [
+    { text: 'Can you check the API header?', start: 0, end: 2.4 },
+    { text: 'It should be done by Friday.', start: 2.4, end: 5.1 },
+  ],
+  language: 'en',
+  confidence: 0.82,
+  provider: 'test',
+};
+
+describe('transcripts', () => {
+  const defaultProvider = getTranscriptionProvider();
+
+  afterEach(() => setTranscriptionProvider(defaultProvider));
+
+  it('transcribes a message once and keeps the result', async () => {
+    const provider = { name: 'test', transcribe: jest.fn(async () => machineTranscript) };
+    setTranscriptionProvider(provider);
+
+    const [first, concurrent] = await Promise.all([
+      getMessageTranscript(OTHER_MESSAGE_ID),
+      getMessageTranscript(OTHER_MESSAGE_ID),
+    ]);
+    const later = await getMessageTranscript(OTHER_MESSAGE_ID);
+
+    expect(provider.transcribe).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ text: machineTranscript.text, provider: 'test', edited: false });
+    expect(first.segments.map(({ text, start, end }) => ({ text, start, end }))).toEqual(machineTranscript.segments);
+    expect(concurrent).toEqual(first);
+    expect(later).toEqual(first);
+  });
+
+  it('stores nothing without a transcription provider', async () => {
+    setTranscriptionProvider(null);
+
+    await expect(getMessageTranscript('104')).resolves.toBeNull();
+  });
+
+  it('corrects a segment, keeping its timing and the machine version', async () => {
+    await saveMessageTranscript(MESSAGE_ID, machineTranscript);
+
+    const transcript = await updateTranscriptSegment(MESSAGE_ID, 0, ' Can you check the API headers? ');
+
+    expect(transcript.segments[0]).toEqual({
+      text: 'Can you check the API headers?',
+      start: 0,
+      end: 2.4,
+      edited: true,
+      originalText: 'Can you check the API header?',
+      editedAt: expect.any(String),
+      editedBy: '123',
+    });
+    expect(transcript.segments[1].edited).toBe(false);
+    expect(transcript.text).toBe('Can you check the API headers? It should be done by Friday.');
+    expect(transcript.edited).toBe(true);
+    await expect(getMessageTranscript(MESSAGE_ID)).resolves.toEqual(transcript);
+  });
+
+  it('keeps the machine version through repeated corrections', async () => {
+    await saveMessageTranscript(MESSAGE_ID, machineTranscript);
+    await updateTranscriptSegment(MESSAGE_ID, 1, 'It should be done by Thursday.');
+
+    const transcript = await updateTranscriptSegment(MESSAGE_ID, 1, 'It should be done by Thursday noon.', '456');
+
+    expect(transcript.segments[1]).toMatchObject({
+      text: 'It should be done by Thursday noon.',
+      originalText: 'It should be done by Friday.',
+      editedBy: '456',
+    });
+  });
+
+  it('drops the edit when the machine text is restored', async () => {
+    await saveMessageTranscript(MESSAGE_ID, machineTranscript);
+    await updateTranscriptSegment(MESSAGE_ID, 0, 'Can you check the headers?');
+
+    const transcript = await updateTranscriptSegment(MESSAGE_ID, 0, 'Can you check the API header?');
+
+    expect(transcript.segments[0]).toMatchObject({ edited: false, originalText: null, editedAt: null });
+    expect(transcript).toMatchObject({ text: machineTranscript.text, edited: false });
+  });
+
+  it('refuses empty text and segments that don\'t exist', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await saveMessageTranscript(MESSAGE_ID, machineTranscript);
+
+    await expect(updateTranscriptSegment(MESSAGE_ID, 0, '   ')).rejects.toThrow('cannot be empty');
+    await expect(updateTranscriptSegment(MESSAGE_ID, 5, 'Hello')).rejects.toThrow('not found');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,53 @@
+import * as FileSystem from 'expo-file-system';
+import { deleteMessage, getMessages, sendAudioMessage } from '../databaseService';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Quiet the migration and seeding logs of the database opening in the background
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// Sample voice message of the first sample conversation
+const CONVERSATION_ID = '1';
+const PARENT_ID = '106';
+const PARENT_URI = `${FileSystem.documentDirectory}audio/sample_${PARENT_ID}.m4a`;
+const RECORDING_URI = `${FileSystem.cacheDirectory}recording.m4a`;
+
+describe('voice replies', () => {
+  let replyId;
+
+  beforeAll(async () => {
+    await FileSystem.writeAsStringAsync(RECORDING_URI, 'recording');
+    await FileSystem.writeAsStringAsync(PARENT_URI, 'original');
+  });
+
+  it('stores the moment of the original a voice reply is about', async () => {
+    const reply = await sendAudioMessage({
+      conversationId: CONVERSATION_ID,
+      audioUri: RECORDING_URI,
+      audioDuration: 2,
+      senderId: '123',
+      timestamp: new Date().toISOString(),
+      waveform: [0.2, 0.5, 0.3],
+      processing: false,
+      replyTo: { messageId: PARENT_ID, timestamp: 7 },
+    });
+
+    replyId = reply.id;
+    expect(reply.replyTo).toEqual({ messageId: PARENT_ID, timestamp: 7 });
+
+    const messages = await getMessages(CONVERSATION_ID);
+    expect(messages.find(({ id }) => id === reply.id).replyTo).toEqual({ messageId: PARENT_ID, timestamp: 7 });
+    expect(messages.find(({ id }) => id === PARENT_ID).thread).toMatchObject({ replyCount: 1, unreadCount: 0 });
+  });
+
+  it('keeps a reply whose original was deleted, without the quote', async () => {
+    await deleteMessage(PARENT_ID);
+
+    const messages = await getMessages(CONVERSATION_ID);
+    expect(messages.some(({ id }) => id === PARENT_ID)).toBe(false);
+    expect(messages.find(({ id }) => id === replyId).replyTo).toBeNull();
+  });
+});
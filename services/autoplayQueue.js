@@ -0,0 +1,245 @@
+/**
+ * autoplayQueue.js
+ * Plays consecutive unheard voice messages one after another
+ *
+ * The conversation screen registers its messages as the queue source. Whenever a
+ * message from that conversation starts playing, the unheard audio messages after
+ * it are queued; when it ends, a short chime plays and the next one starts.
+ */
+
+import { Audio } from 'expo-av';
+import * as playbackController from './playbackController';
+
+const CHIME = require('../assets/sounds/queue-chime.wav');
+
+// Give up waiting for the chime after this long, so a stuck sound can't stall the queue
+const CHIME_TIMEOUT_MS = 1500;
+
+const initialState = {
+  conversationId: null,
+  items: [], // Queued messages; items[index] is the one playing
+  index: 0,
+  chiming: false,
+};
+
+let state = initialState;
+let source = { conversationId: null, messages: [], currentUserId: null };
+// Incremented whenever the queue is replaced, so a pending advance can tell it is stale
+let queueToken = 0;
+// Message the controller last reported, so only a newly started message can form a queue
+let lastAudioId = null;
+const listeners = new Set();
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+  listeners.forEach(listener => listener(state));
+};
+
+/**
+ * Whether a message still needs to be listened to
+ * @param {Object} message - Message object
+ * @param {string} currentUserId - ID of the current user (their own messages count as heard)
+ * @returns {boolean} True for audio messages from others that haven't been listened to
+ */
+export const isUnheard = (message, currentUserId) => (
+  message.type === 'audio' &&
+  message.senderId !== currentUserId &&
+  !message.listenedAt
+);
+
+/**
+ * Build the queue starting at a message: the message itself, then every unheard audio message after it
+ * @param {Array} messages - Conversation messages, oldest first
+ * @param {string} startMessageId - Message to start from
+ * @param {string} currentUserId - ID of the current user
+ * @returns {Array} Messages to play, in order (empty if the start message isn't playable)
+ */
+export const buildAutoplayQueue = (messages, startMessageId, currentUserId) => {
+  const startIndex = messages.findIndex(message => message.id === startMessageId);
+  if (startIndex < 0 || messages[startIndex].type !== 'audio') return [];
+
+  return [
+    messages[startIndex],
+    ...messages.slice(startIndex + 1).filter(message => isUnheard(message, currentUserId)),
+  ];
+};
+
+// Play the chime between messages, resolving once it has finished
+const playChime = async () => {
+  let sound = null;
+  // Set once playChime has returned; a chime that loads after that is unloaded straight away
+  let settled = false;
+  try {
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(resolve, CHIME_TIMEOUT_MS);
+      Audio.Sound.createAsync(CHIME, { shouldPlay: true, volume: 0.6 }, (status) => {
+        if (status.isLoaded && status.didJustFinish) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      })
+        .then(result => {
+          if (settled) {
+            result.sound.unloadAsync().catch(() => {});
+            return;
+          }
+          sound = result.sound;
+        })
+        .catch(error => {
+          clearTimeout(timeout);
+          reject(error);
+        });
+    });
+  } catch (error) {
+    // A missing chime shouldn't stop the queue
+    console.error('Error playing queue chime:', error);
+  } finally {
+    settled = true;
+    if (sound) {
+      sound.unloadAsync().catch(() => {});
+    }
+  }
+};
+
+// Re-read the unheard messages after the current one, picking up messages that arrived meanwhile
+const refreshQueuedItems = () => {
+  const current = state.items[state.index];
+  if (!current || source.conversationId !== state.conversationId) return state.items;
+
+  const rebuilt = buildAutoplayQueue(source.messages, current.id, source.currentUserId);
+  return rebuilt.length > 0 ? [...state.items.slice(0, state.index), ...rebuilt] : state.items;
+};
+
+// Start a message where it was last left off
+const playMessage = (message) => (
+  playbackController.play(message.audioUri, message.id, {
+    positionMillis: message.resumePosition ? message.resumePosition * 1000 : null,
+  })
+);
+
+const playItem = async (item) => {
+  try {
+    await playMessage(item);
+  } catch (error) {
+    console.error('Error playing queued message:', error);
+  }
+};
+
+// Move on to the next queued message, optionally with the chime in between
+const advance = async ({ withChime }) => {
+  const items = refreshQueuedItems();
+  const nextIndex = state.index + 1;
+
+  if (nextIndex >= items.length) {
+    clearQueue();
+    return;
+  }
+
+  const token = queueToken;
+  if (withChime) {
+    setState({ items, chiming: true });
+    await playChime();
+    // The user started something else while the chime played
+    if (token !== queueToken) return;
+  }
+
+  setState({ items, index: nextIndex, chiming: false });
+  await playItem(items[nextIndex]);
+};
+
+const clearQueue = () => {
+  queueToken += 1;
+  setState(initialState);
+};
+
+// Follow playback: a message from the source conversation starting becomes the head of a new queue
+playbackController.subscribe((playback) => {
+  const { currentAudioId } = playback;
+  if (currentAudioId === lastAudioId) return;
+  lastAudioId = currentAudioId;
+  if (!currentAudioId) return;
+
+  // The queue moving on by itself
+  const current = state.items[state.index];
+  if (current && current.id === currentAudioId) return;
+
+  if (source.conversationId) {
+    const items = buildAutoplayQueue(source.messages, currentAudioId, source.currentUserId);
+    if (items.length > 0) {
+      queueToken += 1;
+      setState({ conversationId: source.conversationId, items, index: 0, chiming: false });
+      return;
+    }
+  }
+
+  if (state.items.length > 0) {
+    clearQueue();
+  }
+});
+
+playbackController.onPlaybackFinished((audioId) => {
+  const current = state.items[state.index];
+  if (current && current.id === audioId) {
+    advance({ withChime: true });
+  }
+});
+
+/**
+ * Current queue state
+ * @returns {Object} { conversationId, items, index, chiming }
+ */
+export const getQueueState = () => state;
+
+/**
+ * Listen for queue changes
+ * @param {Function} listener - Called with the new queue state
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Register the messages of the conversation being viewed
+ * @param {string} conversationId - ID of the conversation
+ * @param {Array} messages - Messages, oldest first
+ * @param {string} currentUserId - ID of the current user
+ */
+export const setQueueSource = (conversationId, messages, currentUserId) => {
+  source = { conversationId, messages, currentUserId };
+};
+
+/**
+ * Start playing a conversation's unheard messages from the first one
+ * @returns {Promise<boolean>} False when there was nothing to play
+ */
+export const playUnheard = async () => {
+  const first = source.messages.find(message => isUnheard(message, source.currentUserId));
+  if (!first) return false;
+
+  await playMessage(first);
+  return true;
+};
+
+/**
+ * Stop the current message and play the next queued one
+ * @returns {Promise<void>}
+ */
+export const skipToNext = async () => {
+  if (state.items.length === 0) return;
+
+  queueToken += 1;
+  await advance({ withChime: false });
+};
+
+/**
+ * Stop playback and leave queue mode
+ * @returns {Promise<void>}
+ */
+export const stopQueue = async () => {
+  clearQueue();
+  await playbackController.pause();
+};
@@ -1,8 +1,9 @@
 interface Reaction {
   id: string;
   emoji: string;
-  timestamp: number;
-  username: string;
+  timestamp: number | null;
+  username?: string;
+  userId?: string;
 }
 
 interface Reply {
@@ -14,4 +15,7 @@ interface Reply {
 }
 
 export function addReactionToMessage(messageId: string, reaction: Reaction): Promise<void>;
-export function addReplyToMessage(messageId: string, reply: Reply): Promise<void>; 
\ No newline at end of file
+export function removeReaction(messageId: string, emoji: string, timestamp?: number | null, userId?: string): Promise<boolean>;
+export function toggleReaction(messageId: string, emoji: string, timestamp?: number | null): Promise<boolean>;
+export function addReplyToMessage(messageId: string, reply: Reply): Promise<void>;
+export function addMoreMockReactions(): Promise<boolean>;
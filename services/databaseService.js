@@ -1,26 +1,63 @@
-import { Platform } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system';
 import { 
   dummyMessages, 
   dummyConversations, 
   dummyReactions, 
   dummyReplies,
-  generateRandomWaveform 
+  dummyListenReceipts
 } from './mockData';
+import { getDatabase, selectRows, placeholders } from './sqliteClient';
+import { extractWaveform } from '../utils/audioAnalysis';
+import { detectSpeechMarkers } from '../utils/speechMarkers';
+import {
+  processAudioFile,
+  isEditableAudio,
+  repairWavFile,
+  trimAudioFile,
+  trimAacFile,
+  compressAudioFile,
+  isUncompressedAudio,
+} from '../utils/audioProcessing';
+import { importLegacyStorage, writeSnapshot } from './legacyStorageImport';
+import { transcribe } from './transcriptionService';
+import {
+  SNIPPET_MATCH_START,
+  SNIPPET_MATCH_END,
+  buildMatchQuery,
+  searchResultFromRow,
+  groupResultsByConversation,
+} from './searchIndex';
+import {
+  conversationFromRow,
+  messageFromRow,
+  reactionFromRow,
+  replyFromRow,
+  transcriptFromRow,
+  markerFromRow,
+  receiptFromRow,
+  insertConversation,
+  insertMessage,
+  insertReaction,
+  insertReply,
+  replaceMessageTags,
+  replaceTranscript,
+  replaceMessageMarkers,
+  tagFromRow,
+  draftFromRow,
+  threadFromRow,
+  highlightFromRow,
+  insertHighlight,
+} from './messageRecords';
+import { normalizeTagName } from '../utils/tagUtils';
+import { DEFAULT_PLAYBACK_RATE, normalizePlaybackRate } from '../utils/playbackRate';
+import { reactionBucket } from '../utils/reactionUtils';
 
 // Audio files directory for storing voice messages
 const AUDIO_DIRECTORY = `${FileSystem.documentDirectory}audio/`;
+// Drafts directory for unsent recordings, kept out of the cache so they survive restarts
+const DRAFTS_DIRECTORY = `${FileSystem.documentDirectory}drafts/`;
 
-// Storage Keys
-const CONVERSATIONS_STORAGE_KEY = 'local_conversations';
-const MESSAGES_STORAGE_KEY = 'local_messages';
-const AUDIO_STORAGE_KEY = 'local_audio_files';
-const TAGS_STORAGE_KEY = 'local_message_tags';
-const REACTIONS_STORAGE_KEY = 'local_message_reactions';
-const REPLIES_STORAGE_KEY = 'local_message_replies';
-
-// Initialize local storage with dummy data
+// Initialize the database, importing legacy data or seeding dummy data on first run
 const initializeLocalStorage = async () => {
   try {
     // Ensure audio directory exists
@@ -29,15 +66,18 @@ const initializeLocalStorage = async () => {
       await FileSystem.makeDirectoryAsync(AUDIO_DIRECTORY, { intermediates: true });
     }
     
+    // Opening the database applies any pending schema migrations
+    const db = await getDatabase();
+    
+    // Move data over from the old AsyncStorage blobs (only happens once)
+    await importLegacyStorage(db);
+    
     // Check if data is already initialized
-    const existingConversations = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
+    const [{ count }] = await selectRows(db, 'SELECT COUNT(*) AS count FROM conversations');
     
-    if (!existingConversations) {
+    if (count === 0) {
       console.log('Initializing data with dummy conversations and messages...');
       
-      // Store dummy conversations
-      await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(dummyConversations));
-      
       // Prepare dummy messages
       const modifiedMessages = JSON.parse(JSON.stringify(dummyMessages));
       
@@ -52,14 +92,15 @@ const initializeLocalStorage = async () => {
         });
       }
       
-      await AsyncStorage.setItem(MESSAGES_STORAGE_KEY, JSON.stringify(modifiedMessages));
-      await AsyncStorage.setItem(REACTIONS_STORAGE_KEY, JSON.stringify(dummyReactions));
-      await AsyncStorage.setItem(REPLIES_STORAGE_KEY, JSON.stringify(dummyReplies));
+      await writeSnapshot(db, {
+        conversations: dummyConversations,
+        messages: modifiedMessages,
+        reactions: dummyReactions,
+        replies: dummyReplies,
+        receipts: dummyListenReceipts,
+      });
       
       console.log('Dummy data initialized successfully');
-    } else {
-      // Fix any messages with missing type properties
-      await fixMessageTypes();
     }
   } catch (error) {
     console.error('Error initializing local storage:', error);
@@ -67,11 +108,164 @@ const initializeLocalStorage = async () => {
 };
 
 // Initialize data when the module is imported
-initializeLocalStorage();
+let storageReady = initializeLocalStorage();
+
+// Get the database once initialization has finished
+const getStorage = async () => {
+  await storageReady;
+  return getDatabase();
+};
 
 // Simulated delay to mimic network requests
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Current user ID (would come from an auth service in a real app)
+const CURRENT_USER_ID = '123';
+
+// Format the conversation list preview for a message
+const formatLastMessage = (message) => {
+  if (message.type !== 'audio') {
+    return message.text;
+  }
+  
+  const minutes = Math.floor(message.audioDuration / 60);
+  const seconds = Math.floor(message.audioDuration % 60);
+  return `🎤 Voice message (${minutes}:${seconds < 10 ? '0' : ''}${seconds})`;
+};
+
+// Queue an update of a conversation's last message after a new message is stored
+// Incoming voice messages aren't added to the unread count; they count as unread until listened to
+const updateConversationForNewMessage = (tx, conversationId, message) => {
+  const sentByCurrentUser = message.senderId === CURRENT_USER_ID;
+  const countsAsUnread = !sentByCurrentUser && message.type !== 'audio';
+  
+  tx.executeSql(
+    `UPDATE conversations
+      SET last_message = ?,
+        last_message_timestamp = ?,
+        last_message_type = ?,
+        read = ?,
+        unread_count = CASE WHEN ? THEN 0 ELSE unread_count + ? END
+      WHERE id = ?`,
+    [
+      formatLastMessage(message),
+      message.timestamp,
+      message.type,
+      sentByCurrentUser ? 1 : 0, // Messages sent by the current user are automatically read
+      sentByCurrentUser ? 1 : 0,
+      countsAsUnread ? 1 : 0,
+      conversationId,
+    ]
+  );
+};
+
+// Load the tags for a set of messages, keyed by message ID
+const loadTagsForMessages = async (db, messageIds) => {
+  const tagsByMessage = {};
+  if (messageIds.length === 0) return tagsByMessage;
+  
+  const rows = await selectRows(
+    db,
+    `SELECT message_tags.message_id, tags.name AS tag
+      FROM message_tags
+      JOIN tags ON tags.id = message_tags.tag_id
+      WHERE message_tags.message_id IN (${placeholders(messageIds.length)})
+      ORDER BY message_tags.position`,
+    messageIds
+  );
+  
+  rows.forEach(row => {
+    if (!tagsByMessage[row.message_id]) {
+      tagsByMessage[row.message_id] = [];
+    }
+    tagsByMessage[row.message_id].push(row.tag);
+  });
+  
+  return tagsByMessage;
+};
+
+// Load the detected markers for a set of messages, keyed by message ID
+const loadMarkersForMessages = async (db, messageIds) => {
+  const markersByMessage = {};
+  if (messageIds.length === 0) return markersByMessage;
+  
+  const rows = await selectRows(
+    db,
+    `SELECT * FROM message_markers
+      WHERE message_id IN (${placeholders(messageIds.length)})
+      ORDER BY position`,
+    messageIds
+  );
+  
+  rows.forEach(row => {
+    if (!markersByMessage[row.message_id]) {
+      markersByMessage[row.message_id] = [];
+    }
+    markersByMessage[row.message_id].push(markerFromRow(row));
+  });
+  
+  return markersByMessage;
+};
+
+// Load who has listened to a set of messages, keyed by message ID
+const loadReceiptsForMessages = async (db, messageIds) => {
+  const receiptsByMessage = {};
+  if (messageIds.length === 0) return receiptsByMessage;
+  
+  const rows = await selectRows(
+    db,
+    `SELECT * FROM listen_receipts
+      WHERE message_id IN (${placeholders(messageIds.length)})
+      ORDER BY listened_at`,
+    messageIds
+  );
+  
+  rows.forEach(row => {
+    if (!receiptsByMessage[row.message_id]) {
+      receiptsByMessage[row.message_id] = [];
+    }
+    receiptsByMessage[row.message_id].push(receiptFromRow(row));
+  });
+  
+  return receiptsByMessage;
+};
+
+// Thread summary of a message nobody has replied to
+const NO_REPLIES = { replyCount: 0, unreadCount: 0, lastReplyAt: null };
+
+// Count the replies (text replies and voice replies) to a set of messages, keyed by message ID
+// Replies from others made after the current user last opened the thread are unread
+const loadThreadsForMessages = async (db, messageIds) => {
+  const threadsByMessage = {};
+  if (messageIds.length === 0) return threadsByMessage;
+  
+  const rows = await selectRows(
+    db,
+    `SELECT thread.parent_id,
+        COUNT(*) AS reply_count,
+        SUM(CASE WHEN IFNULL(thread.user_id, '') != ?
+          AND (thread_reads.read_at IS NULL OR thread.created_at > thread_reads.read_at)
+          THEN 1 ELSE 0 END) AS unread_count,
+        MAX(thread.created_at) AS last_reply_at
+      FROM (
+        SELECT message_id AS parent_id, user_id, created_at FROM replies
+          WHERE message_id IN (${placeholders(messageIds.length)})
+        UNION ALL
+        SELECT reply_to_message_id AS parent_id, sender_id AS user_id, timestamp AS created_at FROM messages
+          WHERE reply_to_message_id IN (${placeholders(messageIds.length)})
+      ) AS thread
+      LEFT JOIN thread_reads ON thread_reads.message_id = thread.parent_id
+      GROUP BY thread.parent_id`,
+    [CURRENT_USER_ID, ...messageIds, ...messageIds]
+  );
+  
+  rows.forEach(row => {
+    threadsByMessage[row.parent_id] = threadFromRow(row);
+  });
+  
+  return threadsByMessage;
+};
+
 // Fetch conversations from "GCP" (actually from local storage)
 export const getConversations = async () => {
   try {
@@ -79,8 +273,23 @@ export const getConversations = async () => {
     await delay(800);
     
     // Get conversations from local storage
-    const conversationsJson = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
-    return JSON.parse(conversationsJson) || [];
+    const db = await getStorage();
+    // Voice messages the user hasn't listened to yet are counted on top of the other unread messages
+    const rows = await selectRows(
+      db,
+      `SELECT conversations.*,
+        (SELECT COUNT(*) FROM messages
+          WHERE messages.conversation_id = conversations.id
+            AND messages.type = 'audio'
+            AND messages.sender_id != ?
+            AND messages.listened_at IS NULL) AS unheard_count,
+        (SELECT updated_at FROM drafts
+          WHERE drafts.conversation_id = conversations.id) AS draft_updated_at
+        FROM conversations
+        ORDER BY last_message_timestamp DESC`,
+      [CURRENT_USER_ID]
+    );
+    return rows.map(conversationFromRow);
   } catch (error) {
     console.error('Error fetching conversations:', error);
     throw error;
@@ -99,14 +308,34 @@ export const getMessages = async (conversationId) => {
     console.log('Fetching messages for conversation ID:', conversationId);
     
     // Get messages from local storage
-    const messagesJson = await AsyncStorage.getItem(MESSAGES_STORAGE_KEY);
-    const allMessages = JSON.parse(messagesJson) || {};
-    
-    console.log('Available conversation IDs:', Object.keys(allMessages));
-    console.log('Messages for requested ID:', allMessages[conversationId]?.length || 0);
+    const db = await getStorage();
+    const rows = await selectRows(
+      db,
+      'SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp, rowid',
+      [conversationId]
+    );
+    const messageIds = rows.map(row => row.id);
+    const tagsByMessage = await loadTagsForMessages(db, messageIds);
+    const markersByMessage = await loadMarkersForMessages(db, messageIds);
+    const receiptsByMessage = await loadReceiptsForMessages(db, messageIds);
+    const threadsByMessage = await loadThreadsForMessages(db, messageIds);
+    
+    console.log('Messages for requested ID:', rows.length);
     
     // Return messages for the requested conversation, or an empty array if none exist
-    return allMessages[conversationId] || [];
+    const messages = rows.map(row => ({
+      ...messageFromRow(
+        row,
+        tagsByMessage[row.id],
+        markersByMessage[row.id],
+        receiptsByMessage[row.id]
+      ),
+      thread: threadsByMessage[row.id] || NO_REPLIES,
+    }));
+    
+    // Waveforms missing from older messages are filled in afterwards (see onWaveformReady)
+    backfillWaveforms(db, rows);
+    return messages;
   } catch (error) {
     console.error('Error fetching messages:', error);
     throw error;
@@ -124,49 +353,24 @@ export const sendMessageToGCP = async (messageData) => {
     
     const { conversationId, text, senderId, timestamp, type } = messageData;
     
-    // Get existing messages
-    const messagesJson = await AsyncStorage.getItem(MESSAGES_STORAGE_KEY);
-    const allMessages = JSON.parse(messagesJson) || {};
-    
-    // Get existing conversations
-    const conversationsJson = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
-    const conversations = JSON.parse(conversationsJson) || [];
-    
     // Create a new message
     const newMessage = {
       id: `msg_${Date.now()}`, // Generate a unique ID
       text,
       timestamp,
       senderId,
-      senderName: senderId === '123' ? 'You' : 'Other User', // This would come from a user service in a real app
-      type: 'text'
+      senderName: senderId === CURRENT_USER_ID ? 'You' : 'Other User', // This would come from a user service in a real app
+      type: 'text',
+      thread: NO_REPLIES
     };
     
-    // Add the message to the conversation
-    if (!allMessages[conversationId]) {
-      allMessages[conversationId] = [];
-    }
-    allMessages[conversationId].push(newMessage);
-    
-    // Update the conversation's last message
-    const updatedConversations = conversations.map(conv => {
-      if (conv.id === conversationId) {
-        return {
-          ...conv,
-          lastMessage: text,
-          lastMessageTimestamp: timestamp,
-          lastMessageType: 'text',
-          read: senderId === '123', // Messages sent by the current user are automatically read
-          unreadCount: senderId === '123' ? 0 : conv.unreadCount + 1,
-        };
-      }
-      return conv;
+    // Store the message and update the conversation's last message together
+    const db = await getStorage();
+    await db.transaction(tx => {
+      insertMessage(tx, conversationId, newMessage);
+      updateConversationForNewMessage(tx, conversationId, newMessage);
     });
     
-    // Save the updated messages and conversations
-    await AsyncStorage.setItem(MESSAGES_STORAGE_KEY, JSON.stringify(allMessages));
-    await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(updatedConversations));
-    
     return newMessage;
   } catch (error) {
     console.error('Error sending message:', error);
@@ -174,16 +378,54 @@ export const sendMessageToGCP = async (messageData) => {
   }
 };
 
+// Trim silence and even out loudness of a saved recording in place
+// Returns null when the recording was left as captured
+const processRecording = async (audioUri, options) => {
+  try {
+    return await processAudioFile(audioUri, audioUri, options);
+  } catch (error) {
+    console.error('Error processing recording:', error);
+    return null;
+  }
+};
+
+// Compress an uncompressed (WAV) recording for storage, returning the URI of the stored file
+// Compressed formats are stored as recorded; so is WAV if compressing fails, rather than not at all
+const compressRecording = async (audioUri) => {
+  if (!isUncompressedAudio(audioUri)) return audioUri;
+  
+  try {
+    return await compressAudioFile(audioUri);
+  } catch (error) {
+    console.error('Error compressing recording:', error);
+    return audioUri;
+  }
+};
+
 // Send an audio message
+// messageData.processing holds audio clean-up options (see DEFAULT_PROCESSING_OPTIONS), or false to send as recorded;
+// without it the recording is cleaned up with the user's settings (see getShortenPauses)
+// The returned message has processingSkipped set when clean-up was asked for but couldn't run
+// messageData.replyTo ({ messageId, timestamp }) anchors the message as a reply to a second of another voice message
 export const sendAudioMessage = async (messageData) => {
   try {
     // Simulate network delay
     await delay(500);
     
-    const { conversationId, audioUri, audioDuration, senderId, timestamp, waveform } = messageData;
+    const {
+      conversationId,
+      audioUri,
+      audioDuration,
+      senderId,
+      timestamp,
+      waveform,
+      processing,
+      replyTo = null,
+    } = messageData;
     
     // Save the audio file to a permanent location (in a real app, this would be uploaded to cloud storage)
-    const fileName = `voice_${Date.now()}.m4a`;
+    const extensionMatch = audioUri.match(/\.(\w+)$/);
+    const fileName = `voice_${Date.now()}.${extensionMatch ? extensionMatch[1] : 'm4a'}`;
     const destinationUri = `${AUDIO_DIRECTORY}${fileName}`;
     
     // Copy the temporary recording file to our app's documents directory
@@ -192,60 +434,66 @@ export const sendAudioMessage = async (messageData) => {
       to: destinationUri
     });
     
-    // Get existing messages
-    const messagesJson = await AsyncStorage.getItem(MESSAGES_STORAGE_KEY);
-    const allMessages = JSON.parse(messagesJson) || {};
+    // Clean up the audio; formats that can't be decoded are sent as recorded
+    const processingOptions = processing === undefined
+      ? { shortenPauses: await getShortenPauses().catch(() => false) }
+      : processing;
+    // WAV too long to decode in one piece is compressed first; AAC is processed a frame at a time
+    const recordingUri = processingOptions !== false
+      && isUncompressedAudio(destinationUri) && !isEditableAudio(destinationUri, audioDuration)
+      ? await compressRecording(destinationUri)
+      : destinationUri;
+    const processed = processingOptions === false
+      ? null
+      : await processRecording(recordingUri, processingOptions);
+    if (processed) {
+      console.log('Processed recording:', processed.report);
+    }
     
-    // Get existing conversations
-    const conversationsJson = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
-    const conversations = JSON.parse(conversationsJson) || [];
+    // Analyze the saved file if the audio changed or the recorder didn't provide a waveform
+    const messageWaveform = !processed && waveform && waveform.length > 0
+      ? waveform
+      : await generateWaveform(recordingUri);
+    
+    // WAV is processed before it is compressed; what is stored and sent is compressed
+    const storedUri = await compressRecording(recordingUri);
     
     // Create a new message
     const newMessage = {
       id: `msg_${Date.now()}`, // Generate a unique ID
-      audioUri: destinationUri,
-      audioDuration,
+      audioUri: storedUri,
+      audioDuration: processed ? processed.duration : audioDuration,
       timestamp,
       senderId,
-      senderName: senderId === '123' ? 'You' : 'Other User', // This would come from a user service in a real app
+      senderName: senderId === CURRENT_USER_ID ? 'You' : 'Other User', // This would come from a user service in a real app
       type: 'audio',
-      waveform: waveform || generateRandomWaveform(Math.min(audioDuration * 5, 150)), // Generate waveform if not provided
-      tags: []
+      waveform: messageWaveform,
+      tags: [],
+      markers: [],
+      listenedAt: null,
+      listenedProgress: 0,
+      resumePosition: null,
+      replyTo,
+      listenedBy: [],
+      thread: NO_REPLIES
     };
     
-    // Add the message to the conversation
-    if (!allMessages[conversationId]) {
-      allMessages[conversationId] = [];
-    }
-    allMessages[conversationId].push(newMessage);
-    
-    // Format the displayed duration
-    const formatDuration = (seconds) => {
-      const minutes = Math.floor(seconds / 60);
-      const remainingSeconds = seconds % 60;
-      return `${minutes}:${remainingSeconds < 10 ? '0' : ''}${remainingSeconds}`;
-    };
-    
-    // Update the conversation's last message
-    const updatedConversations = conversations.map(conv => {
-      if (conv.id === conversationId) {
-        return {
-          ...conv,
-          lastMessage: `🎤 Voice message (${formatDuration(audioDuration)})`,
-          lastMessageTimestamp: timestamp,
-          lastMessageType: 'audio',
-          read: senderId === '123', // Messages sent by the current user are automatically read
-          unreadCount: senderId === '123' ? 0 : conv.unreadCount + 1,
-        };
-      }
-      return conv;
+    // Store the message and update the conversation's last message together
+    const db = await getStorage();
+    await db.transaction(tx => {
+      insertMessage(tx, conversationId, newMessage);
+      updateConversationForNewMessage(tx, conversationId, newMessage);
     });
     
-    // Save the updated messages and conversations
-    await AsyncStorage.setItem(MESSAGES_STORAGE_KEY, JSON.stringify(allMessages));
-    await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(updatedConversations));
+    // Transcribe in the background so the message becomes searchable
+    getMessageTranscript(newMessage.id).catch(error => {
+      console.error('Error transcribing new audio message:', error);
+    });
     
-    return newMessage;
+    // Let the sender know when clean-up was asked for but the recording couldn't be processed
+    return processingOptions !== false && !processed
+      ? { ...newMessage, processingSkipped: true }
+      : newMessage;
   } catch (error) {
     console.error('Error sending audio message:', error);
     throw error;
@@ -261,61 +509,174 @@ export const updateMessageTags = async (messageId, tags) => {
     // Simulate network delay
     await delay(300);
     
-    // Get existing messages
-    const messagesJson = await AsyncStorage.getItem(MESSAGES_STORAGE_KEY);
-    const allMessages = JSON.parse(messagesJson) || {};
-    
-    // Find and update the message across all conversations
-    let updated = false;
+    const db = await getStorage();
+    const rows = await selectRows(db, 'SELECT id FROM messages WHERE id = ?', [messageId]);
     
-    for (const convId in allMessages) {
-      const messageIndex = allMessages[convId].findIndex(msg => msg.id === messageId);
-      
-      if (messageIndex !== -1) {
-        allMessages[convId][messageIndex].tags = tags;
-        updated = true;
-        break;
-      }
+    if (rows.length === 0) {
+      return false;
     }
     
-    if (updated) {
-      // Save the updated messages
-      await AsyncStorage.setItem(MESSAGES_STORAGE_KEY, JSON.stringify(allMessages));
-      return true;
-    }
+    await db.transaction(tx => {
+      replaceMessageTags(tx, messageId, tags);
+    });
     
-    return false;
+    return true;
   } catch (error) {
     console.error('Error updating message tags:', error);
     throw error;
   }
 };
 
-// Add a reaction to a specific timestamp in a message
-export const addReactionToMessage = async (messageId, reaction) => {
+// Read one tag from the registry with its usage count, or null if it doesn't exist
+const loadTag = async (db, tagId) => {
+  const [row] = await selectRows(
+    db,
+    `SELECT tags.*, COUNT(message_tags.message_id) AS message_count
+      FROM tags
+      LEFT JOIN message_tags ON message_tags.tag_id = tags.id
+      WHERE tags.id = ?
+      GROUP BY tags.id`,
+    [tagId]
+  );
+  return row ? tagFromRow(row) : null;
+};
+
+// Queue statements that move every message from one tag onto another and remove the first
+const queueTagMerge = (tx, sourceTagId, targetTagId) => {
+  tx.executeSql(
+    `INSERT OR IGNORE INTO message_tags (message_id, tag_id, position)
+      SELECT message_id, ?, position FROM message_tags WHERE tag_id = ?`,
+    [targetTagId, sourceTagId]
+  );
+  // Deleting the tag cascades to its remaining message links
+  tx.executeSql('DELETE FROM tags WHERE id = ?', [sourceTagId]);
+};
+
+// Get every registered tag with the number of messages using it
+export const getTags = async () => {
+  try {
+    const db = await getStorage();
+    const rows = await selectRows(
+      db,
+      `SELECT tags.*, COUNT(message_tags.message_id) AS message_count
+        FROM tags
+        LEFT JOIN message_tags ON message_tags.tag_id = tags.id
+        GROUP BY tags.id
+        ORDER BY tags.name COLLATE NOCASE`
+    );
+    return rows.map(tagFromRow);
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    throw error;
+  }
+};
+
+// Rename a tag in every conversation, merging it into another tag that already has the name
+export const renameTag = async (tagId, name) => {
   try {
     // Simulate network delay
     await delay(300);
     
-    // Get existing reactions
-    const reactionsJson = await AsyncStorage.getItem(REACTIONS_STORAGE_KEY);
-    const allReactions = JSON.parse(reactionsJson) || {};
-    
-    // Add the reaction
-    if (!allReactions[messageId]) {
-      allReactions[messageId] = [];
+    const newName = normalizeTagName(name);
+    if (!newName) {
+      throw new Error('Tag name cannot be empty');
     }
     
+    const db = await getStorage();
+    const [existing] = await selectRows(
+      db,
+      'SELECT id FROM tags WHERE name = ? COLLATE NOCASE AND id != ?',
+      [newName, tagId]
+    );
+    const resultTagId = existing ? existing.id : tagId;
+    
+    await db.transaction(tx => {
+      if (existing) {
+        queueTagMerge(tx, tagId, existing.id);
+      }
+      tx.executeSql('UPDATE tags SET name = ? WHERE id = ?', [newName, resultTagId]);
+    });
+    
+    return await loadTag(db, resultTagId);
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    throw error;
+  }
+};
+
+// Merge tags into one, so every message tagged with any of them carries the target instead
+export const mergeTags = async (sourceTagIds, targetTagId) => {
+  try {
+    // Simulate network delay
+    await delay(300);
+    
+    const db = await getStorage();
+    await db.transaction(tx => {
+      sourceTagIds
+        .filter(sourceTagId => sourceTagId !== targetTagId)
+        .forEach(sourceTagId => queueTagMerge(tx, sourceTagId, targetTagId));
+    });
+    
+    return await loadTag(db, targetTagId);
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    throw error;
+  }
+};
+
+// Change the color and icon a tag is shown with
+export const updateTagStyle = async (tagId, { color = null, icon = null }) => {
+  try {
+    const db = await getStorage();
+    await db.executeSql('UPDATE tags SET color = ?, icon = ? WHERE id = ?', [color, icon, tagId]);
+    
+    return await loadTag(db, tagId);
+  } catch (error) {
+    console.error('Error updating tag style:', error);
+    throw error;
+  }
+};
+
+// Delete a tag and remove it from every message
+export const deleteTag = async (tagId) => {
+  try {
+    // Simulate network delay
+    await delay(300);
+    
+    const db = await getStorage();
+    // Message links are removed by cascade
+    const [resultSet] = await db.executeSql('DELETE FROM tags WHERE id = ?', [tagId]);
+    
+    return resultSet.rowsAffected > 0;
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    throw error;
+  }
+};
+
+// Add a reaction to a specific timestamp in a message (a null timestamp reacts to the whole message)
+// Reacting again with the same emoji at the same moment (see utils/reactionUtils) is ignored
+export const addReactionToMessage = async (messageId, reaction) => {
+  try {
+    // Simulate network delay
+    await delay(300);
+    
     // Add createdAt if not provided
     if (!reaction.createdAt) {
       reaction.createdAt = new Date().toISOString();
     }
     
-    // Add the reaction
-    allReactions[messageId].push(reaction);
+    // Reactions without a user are the current user's
+    if (!reaction.userId) {
+      reaction.userId = CURRENT_USER_ID;
+      reaction.username = reaction.username || 'You';
+    }
     
-    // Save the updated reactions
-    await AsyncStorage.setItem(REACTIONS_STORAGE_KEY, JSON.stringify(allReactions));
+    // Add the reaction
+    const db = await getStorage();
+    await db.transaction(tx => {
+      insertReaction(tx, messageId, reaction);
+    });
     
     return true;
   } catch (error) {
@@ -324,18 +685,55 @@ export const addReactionToMessage = async (messageId, reaction) => {
   }
 };
 
+// Remove a user's emoji from a moment of a message (a null timestamp for the whole message)
+// Returns whether there was a reaction to remove
+export const removeReaction = async (messageId, emoji, timestamp = null, userId = CURRENT_USER_ID) => {
+  try {
+    const db = await getStorage();
+    const [resultSet] = await db.executeSql(
+      'DELETE FROM reactions WHERE message_id = ? AND user_id = ? AND emoji = ? AND bucket = ?',
+      [messageId, userId, emoji, reactionBucket(timestamp)]
+    );
+    return resultSet.rowsAffected > 0;
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    throw error;
+  }
+};
+
+// React with an emoji at a moment of a message as the current user, or take the reaction back if it's already there
+// Returns whether the reaction is now present
+export const toggleReaction = async (messageId, emoji, timestamp = null) => {
+  try {
+    const removed = await removeReaction(messageId, emoji, timestamp);
+    if (removed) return false;
+    
+    await addReactionToMessage(messageId, {
+      id: `react_${Date.now()}`,
+      emoji,
+      timestamp,
+    });
+    return true;
+  } catch (error) {
+    console.error('Error toggling reaction:', error);
+    throw error;
+  }
+};
+
 // Get reactions for a message
 export const getMessageReactions = async (messageId) => {
   try {
     // Simulate network delay
     await delay(200);
     
-    // Get existing reactions
-    const reactionsJson = await AsyncStorage.getItem(REACTIONS_STORAGE_KEY);
-    const allReactions = JSON.parse(reactionsJson) || {};
-    
     // Return reactions for the message or an empty array
-    return allReactions[messageId] || [];
+    const db = await getStorage();
+    const rows = await selectRows(
+      db,
+      'SELECT * FROM reactions WHERE message_id = ? ORDER BY created_at, rowid',
+      [messageId]
+    );
+    return rows.map(reactionFromRow);
   } catch (error) {
     console.error('Error getting message reactions:', error);
     throw error;
@@ -348,25 +746,16 @@ export const addReplyToMessage = async (messageId, reply) => {
     // Simulate network delay
     await delay(300);
     
-    // Get existing replies
-    const repliesJson = await AsyncStorage.getItem(REPLIES_STORAGE_KEY);
-    const allReplies = JSON.parse(repliesJson) || {};
-    
-    // Add the reply
-    if (!allReplies[messageId]) {
-      allReplies[messageId] = [];
-    }
-    
     // Add createdAt if not provided
     if (!reply.createdAt) {
       reply.createdAt = new Date().toISOString();
     }
     
     // Add the reply
-    allReplies[messageId].push(reply);
-    
-    // Save the updated replies
-    await AsyncStorage.setItem(REPLIES_STORAGE_KEY, JSON.stringify(allReplies));
+    const db = await getStorage();
+    await db.transaction(tx => {
+      insertReply(tx, messageId, reply);
+    });
     
     return true;
   } catch (error) {
@@ -381,42 +770,250 @@ export const getMessageReplies = async (messageId) => {
     // Simulate network delay
     await delay(200);
     
-    // Get existing replies
-    const repliesJson = await AsyncStorage.getItem(REPLIES_STORAGE_KEY);
-    const allReplies = JSON.parse(repliesJson) || {};
-    
     // Return replies for the message or an empty array
-    return allReplies[messageId] || [];
+    const db = await getStorage();
+    const rows = await selectRows(
+      db,
+      'SELECT * FROM replies WHERE message_id = ? ORDER BY created_at, rowid',
+      [messageId]
+    );
+    return rows.map(replyFromRow);
   } catch (error) {
     console.error('Error getting message replies:', error);
     throw error;
   }
 };
 
-// Mark messages as read
+// Get every second of a message that was reacted or replied to (text and voice replies), in order
+// Reactions and replies to the whole message are left out
+export const getEngagementTimestamps = async (messageId) => {
+  try {
+    const db = await getStorage();
+    const rows = await selectRows(
+      db,
+      `SELECT timestamp FROM reactions WHERE message_id = ? AND timestamp IS NOT NULL
+        UNION ALL
+        SELECT timestamp FROM replies WHERE message_id = ? AND timestamp IS NOT NULL
+        UNION ALL
+        SELECT reply_to_timestamp AS timestamp FROM messages
+          WHERE reply_to_message_id = ? AND reply_to_timestamp IS NOT NULL
+        ORDER BY timestamp`,
+      [messageId, messageId, messageId]
+    );
+    return rows.map(row => row.timestamp);
+  } catch (error) {
+    console.error('Error getting engagement timestamps:', error);
+    throw error;
+  }
+};
+
+// Get a message's thread: the message, every reply to it (text and voice), and when it was last opened
+// Replies are ordered by the second of the message they are about; replies to the whole message come last
+export const getThread = async (messageId) => {
+  try {
+    const db = await getStorage();
+    const [parentRow] = await selectRows(db, 'SELECT * FROM messages WHERE id = ?', [messageId]);
+    if (!parentRow) return null;
+    
+    const [readRow] = await selectRows(db, 'SELECT read_at FROM thread_reads WHERE message_id = ?', [messageId]);
+    
+    const replyRows = await selectRows(
+      db,
+      'SELECT * FROM replies WHERE message_id = ? ORDER BY created_at, rowid',
+      [messageId]
+    );
+    const voiceRows = await selectRows(
+      db,
+      'SELECT * FROM messages WHERE reply_to_message_id = ? ORDER BY timestamp, rowid',
+      [messageId]
+    );
+    
+    const messageIds = [parentRow.id, ...voiceRows.map(row => row.id)];
+    const tagsByMessage = await loadTagsForMessages(db, messageIds);
+    const markersByMessage = await loadMarkersForMessages(db, messageIds);
+    const receiptsByMessage = await loadReceiptsForMessages(db, messageIds);
+    const toMessage = (row) => messageFromRow(
+      row,
+      tagsByMessage[row.id],
+      markersByMessage[row.id],
+      receiptsByMessage[row.id]
+    );
+    
+    // Replies are only about a moment of a voice message; those to a text message are about all of it
+    const anchorOf = (timestamp) => (parentRow.type === 'audio' ? timestamp ?? null : null);
+    const replies = [
+      ...replyRows.map(row => {
+        const reply = replyFromRow(row);
+        return {
+          id: reply.id,
+          type: 'text',
+          timestamp: anchorOf(reply.timestamp),
+          createdAt: reply.createdAt,
+          userId: reply.userId,
+          username: reply.username,
+          text: reply.text,
+        };
+      }),
+      ...voiceRows.map(row => {
+        const message = toMessage(row);
+        return {
+          id: message.id,
+          type: 'audio',
+          timestamp: anchorOf(message.replyTo.timestamp),
+          createdAt: message.timestamp,
+          userId: message.senderId,
+          username: message.senderName,
+          message,
+        };
+      }),
+    ];
+    
+    const anchor = (reply) => (reply.timestamp ?? Infinity);
+    replies.sort((a, b) => (
+      anchor(a) - anchor(b) || (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0)
+    ));
+    
+    return { message: toMessage(parentRow), replies, readAt: readRow ? readRow.read_at : null };
+  } catch (error) {
+    console.error('Error getting thread:', error);
+    throw error;
+  }
+};
+
+// Remember that the current user has seen every reply in a message's thread so far
+export const markThreadRead = async (messageId) => {
+  try {
+    const db = await getStorage();
+    await db.executeSql(
+      'INSERT OR REPLACE INTO thread_reads (message_id, read_at) VALUES (?, ?)',
+      [messageId, new Date().toISOString()]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error marking thread as read:', error);
+    throw error;
+  }
+};
+
+// Get the highlighted ranges of a voice message, in the order they appear in the audio
+export const getMessageHighlights = async (messageId) => {
+  try {
+    const db = await getStorage();
+    const rows = await selectRows(
+      db,
+      'SELECT * FROM highlights WHERE message_id = ? ORDER BY start_time, end_time, rowid',
+      [messageId]
+    );
+    return rows.map(highlightFromRow);
+  } catch (error) {
+    console.error('Error getting message highlights:', error);
+    throw error;
+  }
+};
+
+// Highlight a range (start and end in seconds) of a voice message with a color and an optional note
+export const addHighlight = async (messageId, { start, end, color, note = null }) => {
+  try {
+    if (!(end > start)) {
+      throw new Error('Highlight must end after it starts');
+    }
+
+    const highlight = {
+      id: `hl_${Date.now()}`,
+      start: Math.max(0, start),
+      end,
+      color,
+      note: note && note.trim() ? note.trim() : null,
+      userId: CURRENT_USER_ID,
+      username: 'You',
+      createdAt: new Date().toISOString(),
+    };
+
+    const db = await getStorage();
+    await db.transaction(tx => {
+      insertHighlight(tx, messageId, highlight);
+    });
+
+    return highlight;
+  } catch (error) {
+    console.error('Error adding highlight:', error);
+    throw error;
+  }
+};
+
+// Remove a highlight
+export const deleteHighlight = async (highlightId) => {
+  try {
+    const db = await getStorage();
+    await db.executeSql('DELETE FROM highlights WHERE id = ?', [highlightId]);
+    return true;
+  } catch (error) {
+    console.error('Error deleting highlight:', error);
+    throw error;
+  }
+};
+
+// Send the highlighted range of a voice message to a conversation as a voice message of its own
+// WAV and AAC (M4A) recordings can be clipped (see trimAudioFile and trimAacFile)
+export const shareHighlight = async (highlightId, conversationId) => {
+  let clipUri = null;
+
+  try {
+    const db = await getStorage();
+    const [row] = await selectRows(
+      db,
+      `SELECT highlights.start_time, highlights.end_time, messages.audio_uri
+        FROM highlights JOIN messages ON messages.id = highlights.message_id
+        WHERE highlights.id = ?`,
+      [highlightId]
+    );
+
+    if (!row) {
+      throw new Error(`Highlight ${highlightId} not found`);
+    }
+
+    // WAV is cut to the sample; AAC (M4A) is cut at frame boundaries without re-encoding
+    const uncompressed = isUncompressedAudio(row.audio_uri);
+    const trim = uncompressed ? trimAudioFile : trimAacFile;
+    clipUri = `${FileSystem.cacheDirectory}highlight_${Date.now()}.${uncompressed ? 'wav' : 'aac'}`;
+    
+    const clip = await trim(row.audio_uri, clipUri, row.start_time, row.end_time);
+    if (!clip) {
+      throw new Error('This recording format cannot be clipped');
+    }
+
+    // The clip is sent exactly as highlighted, without trimming its silence
+    return await sendAudioMessage({
+      conversationId,
+      audioUri: clip.uri,
+      audioDuration: clip.duration,
+      senderId: CURRENT_USER_ID,
+      timestamp: new Date().toISOString(),
+      processing: false,
+    });
+  } catch (error) {
+    console.error('Error sharing highlight:', error);
+    throw error;
+  } finally {
+    if (clipUri) {
+      await FileSystem.deleteAsync(clipUri, { idempotent: true });
+    }
+  }
+};
+
+// Mark the conversation's messages as read
+// Voice messages stay unheard until they are listened to (see recordListenProgress)
 export const markMessagesAsRead = async (conversationId, userId) => {
   try {
     // Simulate network delay
     await delay(200);
     
-    // Get existing conversations
-    const conversationsJson = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
-    const conversations = JSON.parse(conversationsJson) || [];
-    
     // Update the conversation
-    const updatedConversations = conversations.map(conv => {
-      if (conv.id === conversationId) {
-        return {
-          ...conv,
-          read: true,
-          unreadCount: 0,
-        };
-      }
-      return conv;
-    });
-    
-    // Save the updated conversations
-    await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(updatedConversations));
+    const db = await getStorage();
+    await db.executeSql(
+      'UPDATE conversations SET read = 1, unread_count = 0 WHERE id = ?',
+      [conversationId]
+    );
     
     return true;
   } catch (error) {
@@ -425,16 +1022,52 @@ export const markMessagesAsRead = async (conversationId, userId) => {
   }
 };
 
+// Share of a voice message that has to be played before it counts as heard
+export const LISTENED_PROGRESS_THRESHOLD = 0.9;
+
+// Record how far the current user has listened to a voice message, and where playback was left off
+// Progress only ever grows; the message is marked heard once it passes LISTENED_PROGRESS_THRESHOLD
+// resumePosition (seconds) is replaced on every call; null means the next play starts from the beginning
+export const recordListenProgress = async (messageId, progress, resumePosition = null) => {
+  try {
+    const db = await getStorage();
+    const value = Math.min(1, Math.max(0, progress));
+    await db.executeSql(
+      `UPDATE messages SET
+        listened_progress = MAX(listened_progress, ?),
+        listened_at = CASE
+          WHEN listened_at IS NULL AND ? >= ? THEN ?
+          ELSE listened_at
+        END,
+        resume_position = ?
+        WHERE id = ?`,
+      [value, value, LISTENED_PROGRESS_THRESHOLD, new Date().toISOString(), resumePosition, messageId]
+    );
+    
+    const [row] = await selectRows(
+      db,
+      'SELECT listened_at, listened_progress, resume_position FROM messages WHERE id = ?',
+      [messageId]
+    );
+    return row
+      ? {
+        listenedAt: row.listened_at,
+        listenedProgress: row.listened_progress,
+        resumePosition: row.resume_position ?? null,
+      }
+      : null;
+  } catch (error) {
+    console.error('Error recording listen progress:', error);
+    throw error;
+  }
+};
+
 // Create a new conversation
 export const createNewConversation = async (participantData) => {
   try {
     // Simulate network delay
     await delay(500);
     
-    // Get existing conversations
-    const conversationsJson = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
-    const conversations = JSON.parse(conversationsJson) || [];
-    
     // Create a new conversation ID
     const newConversationId = `conv_${Date.now()}`;
     
@@ -450,17 +1083,11 @@ export const createNewConversation = async (participantData) => {
       unreadCount: 0
     };
     
-    // Add the new conversation to the list
-    const updatedConversations = [newConversation, ...conversations];
-    
-    // Initialize an empty message list for this conversation
-    const messagesJson = await AsyncStorage.getItem(MESSAGES_STORAGE_KEY);
-    const allMessages = JSON.parse(messagesJson) || {};
-    allMessages[newConversationId] = [];
-    
-    // Save the updated data
-    await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(updatedConversations));
-    await AsyncStorage.setItem(MESSAGES_STORAGE_KEY, JSON.stringify(allMessages));
+    // Save the new conversation
+    const db = await getStorage();
+    await db.transaction(tx => {
+      insertConversation(tx, newConversation);
+    });
     
     return newConversation;
   } catch (error) {
@@ -469,115 +1096,340 @@ export const createNewConversation = async (participantData) => {
   }
 };
 
-// Creates an audio message waveform from an audio file
-export const generateWaveform = async (audioUri) => {
+// app_meta key holding the listening speed used where a conversation has none of its own
+const DEFAULT_PLAYBACK_RATE_META_KEY = 'default_playback_rate';
+
+// Get the listening speed for a conversation, or the app-wide default when none is given or set
+export const getPlaybackRate = async (conversationId = null) => {
+  try {
+    const db = await getStorage();
+    
+    if (conversationId) {
+      const [conversation] = await selectRows(
+        db,
+        'SELECT playback_rate FROM conversations WHERE id = ?',
+        [conversationId]
+      );
+      if (conversation && conversation.playback_rate) {
+        return normalizePlaybackRate(conversation.playback_rate);
+      }
+    }
+    
+    const [meta] = await selectRows(
+      db,
+      'SELECT value FROM app_meta WHERE key = ?',
+      [DEFAULT_PLAYBACK_RATE_META_KEY]
+    );
+    return meta ? normalizePlaybackRate(meta.value) : DEFAULT_PLAYBACK_RATE;
+  } catch (error) {
+    console.error('Error getting playback rate:', error);
+    throw error;
+  }
+};
+
+// Remember a listening speed as the app-wide default and, when given, for the conversation
+export const savePlaybackRate = async (rate, conversationId = null) => {
+  try {
+    const playbackRate = normalizePlaybackRate(rate);
+    const db = await getStorage();
+    await db.transaction(tx => {
+      tx.executeSql(
+        'INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)',
+        [DEFAULT_PLAYBACK_RATE_META_KEY, String(playbackRate)]
+      );
+      if (conversationId) {
+        tx.executeSql(
+          'UPDATE conversations SET playback_rate = ? WHERE id = ?',
+          [playbackRate, conversationId]
+        );
+      }
+    });
+    
+    return playbackRate;
+  } catch (error) {
+    console.error('Error saving playback rate:', error);
+    throw error;
+  }
+};
+
+// app_meta key for whether finished recordings are reviewed before they are sent
+const REVIEW_BEFORE_SEND_META_KEY = 'review_before_send';
+
+// Whether releasing the record button opens the recording for review instead of sending it
+export const getReviewBeforeSend = async () => {
+  try {
+    const db = await getStorage();
+    const [meta] = await selectRows(
+      db,
+      'SELECT value FROM app_meta WHERE key = ?',
+      [REVIEW_BEFORE_SEND_META_KEY]
+    );
+    return meta ? meta.value === '1' : false;
+  } catch (error) {
+    console.error('Error getting review setting:', error);
+    throw error;
+  }
+};
+
+// Turn reviewing recordings before sending on or off
+export const saveReviewBeforeSend = async (enabled) => {
   try {
-    // In a real implementation, this would analyze the audio file
-    // For now, we'll generate random waveform data
-    await delay(300); // Simulate processing time
+    const db = await getStorage();
+    await db.executeSql(
+      'INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)',
+      [REVIEW_BEFORE_SEND_META_KEY, enabled ? '1' : '0']
+    );
+    return enabled;
+  } catch (error) {
+    console.error('Error saving review setting:', error);
+    throw error;
+  }
+};
+
+// app_meta key for whether long pauses are cut down in recordings before they are sent
+const SHORTEN_PAUSES_META_KEY = 'shorten_pauses';
+
+// Whether pauses longer than DEFAULT_PROCESSING_OPTIONS.maxPauseDuration are shortened when sending
+export const getShortenPauses = async () => {
+  try {
+    const db = await getStorage();
+    const [meta] = await selectRows(
+      db,
+      'SELECT value FROM app_meta WHERE key = ?',
+      [SHORTEN_PAUSES_META_KEY]
+    );
+    return meta ? meta.value === '1' : false;
+  } catch (error) {
+    console.error('Error getting pause setting:', error);
+    throw error;
+  }
+};
+
+// Turn shortening long pauses on or off
+export const saveShortenPauses = async (enabled) => {
+  try {
+    const db = await getStorage();
+    await db.executeSql(
+      'INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)',
+      [SHORTEN_PAUSES_META_KEY, enabled ? '1' : '0']
+    );
+    return enabled;
+  } catch (error) {
+    console.error('Error saving pause setting:', error);
+    throw error;
+  }
+};
+
+// Delete a draft's file if the drafts directory owns it (in-progress drafts point at the recorder's file)
+const deleteDraftFile = async (audioUri) => {
+  if (!audioUri || !audioUri.startsWith(DRAFTS_DIRECTORY)) return;
+  
+  try {
+    await FileSystem.deleteAsync(audioUri, { idempotent: true });
+  } catch (fileError) {
+    console.error('Error deleting draft file:', fileError);
+  }
+};
+
+// Copy a recording into the drafts directory
+const keepDraftFile = async (audioUri) => {
+  if (audioUri.startsWith(DRAFTS_DIRECTORY)) return audioUri;
+  
+  const dirInfo = await FileSystem.getInfoAsync(DRAFTS_DIRECTORY);
+  if (!dirInfo.exists) {
+    await FileSystem.makeDirectoryAsync(DRAFTS_DIRECTORY, { intermediates: true });
+  }
+  
+  const extensionMatch = audioUri.match(/\.(\w+)$/);
+  const destinationUri = `${DRAFTS_DIRECTORY}draft_${Date.now()}.${extensionMatch ? extensionMatch[1] : 'm4a'}`;
+  await FileSystem.copyAsync({ from: audioUri, to: destinationUri });
+  return destinationUri;
+};
+
+// Store the unsent recording of a conversation, replacing any earlier draft
+// A recording still in progress is saved where the recorder writes it; a finished one is copied into the drafts directory
+export const saveDraft = async (conversationId, recordingData, { inProgress = false } = {}) => {
+  try {
+    const db = await getStorage();
+    const [previous] = await selectRows(db, 'SELECT * FROM drafts WHERE conversation_id = ?', [conversationId]);
+    
+    const audioUri = inProgress ? recordingData.uri : await keepDraftFile(recordingData.uri);
+    const draft = {
+      conversationId,
+      uri: audioUri,
+      duration: recordingData.duration || 0,
+      waveform: recordingData.waveform || [],
+      inProgress,
+      updatedAt: new Date().toISOString(),
+    };
+    
+    await db.executeSql(
+      `INSERT OR REPLACE INTO drafts
+        (conversation_id, audio_uri, audio_duration, waveform, in_progress, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+      [conversationId, draft.uri, draft.duration, JSON.stringify(draft.waveform), inProgress ? 1 : 0, draft.updatedAt]
+    );
+    
+    if (previous && previous.audio_uri !== draft.uri) {
+      await deleteDraftFile(previous.audio_uri);
+    }
     
-    // Generate between 50-150 data points based on audio length
-    const length = Math.floor(Math.random() * 100) + 50;
-    return generateRandomWaveform(length);
+    return draft;
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    throw error;
+  }
+};
+
+// Turn a recording the app was closed during into a finished draft, or null if nothing usable is left
+const recoverDraft = async (db, draft) => {
+  const fileInfo = await FileSystem.getInfoAsync(draft.uri);
+  // Formats that can't be repaired are kept as they are; the player copes or the user discards them
+  const duration = fileInfo.exists ? await repairWavFile(draft.uri).catch(() => null) : null;
+  if (!fileInfo.exists || duration === 0) {
+    await db.executeSql('DELETE FROM drafts WHERE conversation_id = ?', [draft.conversationId]);
+    return null;
+  }
+  
+  return saveDraft(draft.conversationId, {
+    uri: draft.uri,
+    duration: duration ?? draft.duration,
+    waveform: await generateWaveform(draft.uri),
+  });
+};
+
+// Get the unsent recording of a conversation, or null if there is none
+export const getDraft = async (conversationId) => {
+  try {
+    const db = await getStorage();
+    const [row] = await selectRows(db, 'SELECT * FROM drafts WHERE conversation_id = ?', [conversationId]);
+    if (!row) return null;
+    
+    const draft = draftFromRow(row);
+    return draft.inProgress ? await recoverDraft(db, draft) : draft;
+  } catch (error) {
+    console.error('Error getting draft:', error);
+    throw error;
+  }
+};
+
+// Remove the draft of a conversation and its file
+export const deleteDraft = async (conversationId) => {
+  try {
+    const db = await getStorage();
+    const [row] = await selectRows(db, 'SELECT audio_uri FROM drafts WHERE conversation_id = ?', [conversationId]);
+    if (!row) return false;
+    
+    await db.executeSql('DELETE FROM drafts WHERE conversation_id = ?', [conversationId]);
+    await deleteDraftFile(row.audio_uri);
+    return true;
+  } catch (error) {
+    console.error('Error deleting draft:', error);
+    throw error;
+  }
+};
+
+// Creates an audio message waveform from an audio file
+// Options control the resolution and metric (see DEFAULT_WAVEFORM_OPTIONS in utils/audioAnalysis)
+export const generateWaveform = async (audioUri, options = {}) => {
+  try {
+    return await extractWaveform(audioUri, options);
   } catch (error) {
     console.error('Error generating waveform:', error);
-    // Return a default waveform in case of error
-    return generateRandomWaveform(50);
+    // An empty waveform renders as a flat line rather than made-up bars
+    return [];
   }
 };
 
+// Listeners told about waveforms computed after their messages were loaded
+const waveformListeners = new Set();
+
+// Audio messages whose waveform is being computed, so reloading doesn't start them again
+const waveformsInProgress = new Set();
+
+// Compute and store waveforms for audio messages saved without one, one at a time in the background
+// An empty result is stored too ('[]'), so audio that can't be analyzed isn't retried on every load
+const backfillWaveforms = async (db, rows) => {
+  const missing = rows.filter(row => (
+    row.type === 'audio' && row.audio_uri && row.waveform == null && !waveformsInProgress.has(row.id)
+  ));
+  missing.forEach(row => waveformsInProgress.add(row.id));
+  
+  for (const row of missing) {
+    try {
+      const waveform = await generateWaveform(row.audio_uri);
+      await db.executeSql(
+        'UPDATE messages SET waveform = ? WHERE id = ?',
+        [JSON.stringify(waveform), row.id]
+      );
+      if (waveform.length > 0) {
+        waveformListeners.forEach(listener => listener(row.id, waveform));
+      }
+    } catch (error) {
+      console.error('Error storing waveform:', error);
+    } finally {
+      waveformsInProgress.delete(row.id);
+    }
+  }
+};
+
+// Subscribe to waveforms computed for messages that were loaded without one
+// The listener is called with (messageId, waveform); returns an unsubscribe function
+export const onWaveformReady = (listener) => {
+  waveformListeners.add(listener);
+  return () => {
+    waveformListeners.delete(listener);
+  };
+};
+
 // Delete a message
 export const deleteMessage = async (messageId) => {
   try {
     // Simulate network delay
     await delay(300);
     
-    // Get existing messages
-    const messagesJson = await AsyncStorage.getItem(MESSAGES_STORAGE_KEY);
-    const allMessages = JSON.parse(messagesJson) || {};
-    
     // Find the message and its conversation
-    let conversationId = null;
-    let messageIndex = -1;
-    let messageToDelete = null;
-    
-    for (const convId in allMessages) {
-      messageIndex = allMessages[convId].findIndex(msg => msg.id === messageId);
-      if (messageIndex !== -1) {
-        conversationId = convId;
-        messageToDelete = allMessages[convId][messageIndex];
-        break;
-      }
-    }
+    const db = await getStorage();
+    const [messageToDelete] = await selectRows(db, 'SELECT * FROM messages WHERE id = ?', [messageId]);
     
-    if (!conversationId || messageIndex === -1) {
+    if (!messageToDelete) {
       console.error('Message not found');
       return false;
     }
     
+    const conversationId = messageToDelete.conversation_id;
+    
     // If it's an audio message, delete the file
-    if (messageToDelete.type === 'audio' && messageToDelete.audioUri) {
+    if (messageToDelete.type === 'audio' && messageToDelete.audio_uri) {
       try {
-        await FileSystem.deleteAsync(messageToDelete.audioUri);
+        await FileSystem.deleteAsync(messageToDelete.audio_uri);
       } catch (fileError) {
         console.error('Error deleting audio file:', fileError);
         // Continue with deleting the message even if file deletion fails
       }
     }
     
-    // Remove the message from the conversation
-    allMessages[conversationId].splice(messageIndex, 1);
-    
-    // Delete reactions and replies for this message
-    const reactionsJson = await AsyncStorage.getItem(REACTIONS_STORAGE_KEY);
-    const allReactions = JSON.parse(reactionsJson) || {};
-    delete allReactions[messageId];
-    
-    const repliesJson = await AsyncStorage.getItem(REPLIES_STORAGE_KEY);
-    const allReplies = JSON.parse(repliesJson) || {};
-    delete allReplies[messageId];
+    // Remove the message (tags, reactions, replies and highlights are removed by cascade)
+    await db.executeSql('DELETE FROM messages WHERE id = ?', [messageId]);
     
     // Update the last message in the conversation if needed
-    if (allMessages[conversationId].length > 0) {
-      // Get the last message
-      const lastMessage = allMessages[conversationId][allMessages[conversationId].length - 1];
-      
-      // Get existing conversations
-      const conversationsJson = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
-      const conversations = JSON.parse(conversationsJson) || [];
-      
-      // Update the conversation
-      const updatedConversations = conversations.map(conv => {
-        if (conv.id === conversationId) {
-          let lastMessageText;
-          if (lastMessage.type === 'audio') {
-            const minutes = Math.floor(lastMessage.audioDuration / 60);
-            const seconds = Math.floor(lastMessage.audioDuration % 60);
-            const formattedDuration = `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
-            lastMessageText = `🎤 Voice message (${formattedDuration})`;
-          } else {
-            lastMessageText = lastMessage.text;
-          }
-          
-          return {
-            ...conv,
-            lastMessage: lastMessageText,
-            lastMessageTimestamp: lastMessage.timestamp,
-            lastMessageType: lastMessage.type,
-          };
-        }
-        return conv;
-      });
+    const [lastMessageRow] = await selectRows(
+      db,
+      'SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp DESC, rowid DESC LIMIT 1',
+      [conversationId]
+    );
+    
+    if (lastMessageRow) {
+      const lastMessage = messageFromRow(lastMessageRow);
       
-      // Save the updated conversations
-      await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(updatedConversations));
+      await db.executeSql(
+        `UPDATE conversations
+          SET last_message = ?, last_message_timestamp = ?, last_message_type = ?
+          WHERE id = ?`,
+        [formatLastMessage(lastMessage), lastMessage.timestamp, lastMessage.type, conversationId]
+      );
     }
     
-    // Save the updated data
-    await AsyncStorage.setItem(MESSAGES_STORAGE_KEY, JSON.stringify(allMessages));
-    await AsyncStorage.setItem(REACTIONS_STORAGE_KEY, JSON.stringify(allReactions));
-    await AsyncStorage.setItem(REPLIES_STORAGE_KEY, JSON.stringify(allReplies));
-    
     return true;
   } catch (error) {
     console.error('Error deleting message:', error);
@@ -585,45 +1437,42 @@ export const deleteMessage = async (messageId) => {
   }
 };
 
-// Detect speech segments in audio for automatic tagging
-export const detectSpeechSegments = async (audioUri) => {
+// Detect timestamped markers in audio from pauses and transcript keywords
+export const detectSpeechSegments = async (audioUri, transcript = null) => {
   try {
-    // In a real implementation, this would use a speech-to-text API or audio analysis
-    // For this mock implementation, we'll return some dummy data
-    await delay(500); // Simulate processing time
-    
-    return [
-      { label: 'Introduction', timestamp: Math.random() * 3 },
-      { label: 'Key Point', timestamp: 3 + Math.random() * 5 },
-      { label: 'Question', timestamp: 8 + Math.random() * 5 },
-      { label: 'Action Item', timestamp: 13 + Math.random() * 5 },
-    ];
+    return await detectSpeechMarkers(audioUri, transcript);
   } catch (error) {
     console.error('Error detecting speech segments:', error);
     return [];
   }
 };
 
-// Transcribe audio to text
-export const transcribeAudio = async (audioUri) => {
+// Detect and store the markers of a voice message, transcribing it first if needed
+export const detectMessageMarkers = async (messageId) => {
   try {
-    // In a real implementation, this would use a speech-to-text API
-    // For this mock implementation, we'll return some dummy data
-    await delay(1000); // Simulate processing time
+    const db = await getStorage();
+    const [message] = await selectRows(db, 'SELECT audio_uri FROM messages WHERE id = ?', [messageId]);
+    if (!message || !message.audio_uri) {
+      return [];
+    }
     
-    return {
-      text: "This is a sample transcription of the audio message. In a real app, this would be the actual transcribed content from a speech-to-text service.",
-      segments: [
-        { text: "This is a sample transcription", start: 0, end: 3.2 },
-        { text: "of the audio message.", start: 3.3, end: 5.1 },
-        { text: "In a real app, this would be", start: 5.2, end: 7.8 },
-        { text: "the actual transcribed content", start: 7.9, end: 10.5 },
-        { text: "from a speech-to-text service.", start: 10.6, end: 13.2 },
-      ]
-    };
+    // Markers still come from pauses alone if transcription fails
+    let transcript = null;
+    try {
+      transcript = await getMessageTranscript(messageId);
+    } catch (error) {
+      console.error('Error transcribing message for markers:', error);
+    }
+    
+    const markers = await detectSpeechSegments(message.audio_uri, transcript);
+    await db.transaction(tx => {
+      replaceMessageMarkers(tx, messageId, markers);
+    });
+    
+    return markers;
   } catch (error) {
-    console.error('Error transcribing audio:', error);
-    return { text: "", segments: [] };
+    console.error('Error detecting message markers:', error);
+    throw error;
   }
 };
 
@@ -648,12 +1497,15 @@ const cleanupAudioFiles = async () => {
 // Function to clear all data (useful for testing)
 export const clearAllData = async () => {
   try {
-    await AsyncStorage.removeItem(CONVERSATIONS_STORAGE_KEY);
-    await AsyncStorage.removeItem(MESSAGES_STORAGE_KEY);
-    await AsyncStorage.removeItem(REACTIONS_STORAGE_KEY);
-    await AsyncStorage.removeItem(REPLIES_STORAGE_KEY);
+    const db = await getStorage();
+    
+    // Deleting conversations cascades to messages, tags, reactions, replies, highlights and drafts
+    await db.executeSql('DELETE FROM conversations');
+    await db.executeSql('DELETE FROM tags');
     await cleanupAudioFiles();
-    await initializeLocalStorage(); // Reinitialize with dummy data
+    await FileSystem.deleteAsync(DRAFTS_DIRECTORY, { idempotent: true });
+    storageReady = initializeLocalStorage(); // Reinitialize with dummy data
+    await storageReady;
     console.log('All data cleared and reinitialized');
   } catch (error) {
     console.error('Error clearing data:', error);
@@ -661,297 +1513,182 @@ export const clearAllData = async () => {
   }
 };
 
+// Search text messages, transcript segments and tags, grouped by conversation
+export const searchMessages = async (query, limit = 100) => {
+  try {
+    const matchQuery = buildMatchQuery(query);
+    if (!matchQuery) return [];
+    
+    const db = await getStorage();
+    const rows = await selectRows(
+      db,
+      `SELECT search_index.kind, search_index.message_id, search_index.segment_position,
+          snippet(search_index, ?, ?, '…', 0, 12) AS snippet,
+          messages.type AS message_type, messages.conversation_id, messages.sender_name, messages.timestamp,
+          conversations.participant_name, conversations.participant_avatar,
+          transcript_segments.start_time AS segment_start
+        FROM search_index
+        JOIN messages ON messages.id = search_index.message_id
+        JOIN conversations ON conversations.id = messages.conversation_id
+        LEFT JOIN transcript_segments
+          ON transcript_segments.message_id = search_index.message_id
+          AND transcript_segments.position = search_index.segment_position
+        WHERE search_index MATCH ?
+        ORDER BY messages.timestamp DESC, transcript_segments.start_time
+        LIMIT ?`,
+      [SNIPPET_MATCH_START, SNIPPET_MATCH_END, matchQuery, limit]
+    );
+    
+    return groupResultsByConversation(rows.map(searchResultFromRow));
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    throw error;
+  }
+};
+
 // Mock implementation of GCP SQL database connection (placeholder for future implementation)
 export const connectToGCPDatabase = async () => {
   console.log('This would connect to a real GCP SQL database in production');
   return true;
 };
 
-// Fix messages missing type property
-const fixMessageTypes = async () => {
-  try {
-    console.log('Fixing message types...');
-    // Get existing messages
-    const messagesJson = await AsyncStorage.getItem(MESSAGES_STORAGE_KEY);
-    if (!messagesJson) return;
-    
-    const allMessages = JSON.parse(messagesJson);
-    let needsUpdate = false;
-    
-    // Check all conversations
-    Object.keys(allMessages).forEach(convId => {
-      // Fix each message in the conversation
-      allMessages[convId] = allMessages[convId].map(msg => {
-        // If no type is specified, determine it based on content
-        if (!msg.type) {
-          needsUpdate = true;
-          if (msg.audioUri) {
-            return { ...msg, type: 'audio' };
-          } else {
-            return { ...msg, type: 'text' };
-          }
-        }
-        return msg;
-      });
+// Read a stored transcript, or null if the message hasn't been transcribed
+const loadStoredTranscript = async (db, messageId) => {
+  const [row] = await selectRows(db, 'SELECT * FROM transcripts WHERE message_id = ?', [messageId]);
+  if (!row) return null;
+  
+  const segmentRows = await selectRows(
+    db,
+    'SELECT * FROM transcript_segments WHERE message_id = ? ORDER BY position',
+    [messageId]
+  );
+  return transcriptFromRow(row, segmentRows);
+};
+
+// Store a transcript for a message, replacing any previous one
+export const saveMessageTranscript = async (messageId, transcript) => {
+  try {
+    const db = await getStorage();
+    await db.transaction(tx => {
+      replaceTranscript(tx, messageId, transcript);
     });
     
-    // Save updated messages if needed
-    if (needsUpdate) {
-      console.log('Updating message types...');
-      await AsyncStorage.setItem(MESSAGES_STORAGE_KEY, JSON.stringify(allMessages));
-      console.log('Message types fixed');
-    } else {
-      console.log('No message type fixes needed');
-    }
+    return await loadStoredTranscript(db, messageId);
   } catch (error) {
-    console.error('Error fixing message types:', error);
+    console.error('Error saving message transcript:', error);
+    throw error;
   }
 };
 
-// New functions to add to databaseService.js
-
-// Get transcript for a message
-export const getMessageTranscript = async (messageId) => {
+// Correct the text of one transcript segment, keeping its timing and the machine version
+export const updateTranscriptSegment = async (messageId, position, text, userId = CURRENT_USER_ID) => {
   try {
-    // Simulate network delay
-    await delay(300);
-    
-    // In a real app, this would fetch from a database or API
-    // For demo purposes, we'll return mock data based on message ID
-    
-    // Check if we have a canned response for this message ID
-    if (mockTranscripts[messageId]) {
-      return mockTranscripts[messageId];
+    const newText = text.trim();
+    if (!newText) {
+      throw new Error('Transcript segment text cannot be empty');
     }
     
-    // Otherwise, generate a random transcript
-    const segmentCount = 4 + Math.floor(Math.random() * 4); // 4-7 segments
-    const segments = [];
-    
-    let currentTime = 0;
-    for (let i = 0; i < segmentCount; i++) {
-      const segmentLength = 1 + Math.floor(Math.random() * 3); // 1-3 seconds
-      const endTime = currentTime + segmentLength;
-      
-      segments.push({
-        text: getRandomTranscriptSegment(),
-        start: currentTime,
-        end: endTime
-      });
-      
-      currentTime = endTime + 0.2; // Small gap between segments
+    const db = await getStorage();
+    const [segment] = await selectRows(
+      db,
+      'SELECT * FROM transcript_segments WHERE message_id = ? AND position = ?',
+      [messageId, position]
+    );
+    if (!segment) {
+      throw new Error(`Transcript segment ${position} not found for message ${messageId}`);
     }
     
-    const transcript = {
-      text: segments.map(s => s.text).join(' '),
-      segments
-    };
+    const machineText = segment.edited_at ? segment.original_text : segment.text;
+    const editedAt = new Date().toISOString();
+    
+    await db.transaction(tx => {
+      if (newText === machineText) {
+        // Restoring the machine text clears the edit
+        tx.executeSql(
+          `UPDATE transcript_segments SET text = ?, original_text = NULL, edited_at = NULL, edited_by = NULL
+            WHERE message_id = ? AND position = ?`,
+          [machineText, messageId, position]
+        );
+      } else {
+        tx.executeSql(
+          `UPDATE transcript_segments SET text = ?, original_text = ?, edited_at = ?, edited_by = ?
+            WHERE message_id = ? AND position = ?`,
+          [newText, machineText, editedAt, userId, messageId, position]
+        );
+      }
+      
+      // Keep the full text and the transcript-level marker in step with the segments
+      tx.executeSql(
+        `UPDATE transcripts SET
+          text = (SELECT group_concat(text, ' ') FROM
+            (SELECT text FROM transcript_segments WHERE message_id = ? ORDER BY position)),
+          edited_at = CASE
+            WHEN EXISTS (SELECT 1 FROM transcript_segments WHERE message_id = ? AND edited_at IS NOT NULL)
+            THEN ? ELSE NULL END
+          WHERE message_id = ?`,
+        [messageId, messageId, editedAt, messageId]
+      );
+    });
     
-    return transcript;
+    return await loadStoredTranscript(db, messageId);
   } catch (error) {
-    console.error('Error getting message transcript:', error);
+    console.error('Error updating transcript segment:', error);
     throw error;
   }
 };
 
-// Helper function to generate random transcript segments
-const getRandomTranscriptSegment = () => {
-  const segments = [
-    "I wanted to discuss the project timeline.",
-    "Let's review the main goals for this quarter.",
-    "I think we should focus on user acquisition first.",
-    "The latest design looks great, but I have a few suggestions.",
-    "Can we schedule a follow-up meeting next week?",
-    "I'm not sure if we have enough resources for this feature.",
-    "The analytics show promising results from our last campaign.",
-    "We need to address the performance issues before launch.",
-    "I'll send you the updated documentation later today.",
-    "Thanks for your help with this, I really appreciate it.",
-    "Let me know if you have any questions about the implementation.",
-    "I want to highlight a key issue with the current approach.",
-    "We should consider alternative solutions for this problem.",
-    "The client feedback has been very positive so far.",
-    "I'll need your input on the marketing strategy."
-  ];
+// Transcriptions in progress, keyed by message ID
+const pendingTranscriptions = {};
+
+const transcribeAndStore = async (db, messageId, options) => {
+  const [message] = await selectRows(db, 'SELECT audio_uri FROM messages WHERE id = ?', [messageId]);
+  if (!message || !message.audio_uri) {
+    return null;
+  }
+  
+  // Errors propagate so a failed transcription isn't stored as an empty one
+  const transcript = await transcribe(message.audio_uri, { ...options, messageId });
   
-  return segments[Math.floor(Math.random() * segments.length)];
+  // Without a provider nothing is stored, so the message is transcribed once one is configured
+  if (!transcript) {
+    return null;
+  }
+  return await saveMessageTranscript(messageId, transcript);
 };
 
-// Mock transcripts for specific message IDs
-const mockTranscripts = {
-  "103": {
-    text: "I have a question about the task assignments. Can you clarify who's responsible for the UI components? I think there might be some overlap with what Alex is working on.",
-    segments: [
-      { text: "I have a question about the task assignments.", start: 0, end: 2.5 },
-      { text: "Can you clarify who's responsible for the UI components?", start: 2.7, end: 5.2 },
-      { text: "I think there might be some overlap with what Alex is working on.", start: 5.5, end: 8.0 }
-    ]
-  },
-  "106": {
-    text: "I've made good progress on the dashboard component. All the charts are implemented and I'm now working on the filter functionality. Should be ready for review by tomorrow afternoon.",
-    segments: [
-      { text: "I've made good progress on the dashboard component.", start: 0, end: 2.8 },
-      { text: "All the charts are implemented and I'm now working on the filter functionality.", start: 3.0, end: 7.5 },
-      { text: "Should be ready for review by tomorrow afternoon.", start: 7.8, end: 10.5 }
-    ]
-  },
-  "202": {
-    text: "Yes, I'm prepared for the presentation tomorrow. I've reviewed all the slides and practiced the key talking points. I have a couple of questions about the demo section though. Should we include the new feature that's still in beta? Also, do you want to handle the Q&A or should I?",
-    segments: [
-      { text: "Yes, I'm prepared for the presentation tomorrow.", start: 0, end: 3.2 },
-      { text: "I've reviewed all the slides and practiced the key talking points.", start: 3.5, end: 7.8 },
-      { text: "I have a couple of questions about the demo section though.", start: 8.0, end: 11.5 },
-      { text: "Should we include the new feature that's still in beta?", start: 11.8, end: 15.2 },
-      { text: "Also, do you want to handle the Q&A or should I?", start: 15.5, end: 19.0 }
-    ]
-  },
-  "303": {
-    text: "I'm encountering some issues with the API integration. The endpoint returns an unexpected data format and I'm getting parsing errors. I've tried different approaches but nothing seems to work consistently. Could you check if the API documentation is up to date?",
-    segments: [
-      { text: "I'm encountering some issues with the API integration.", start: 0, end: 3.5 },
-      { text: "The endpoint returns an unexpected data format and I'm getting parsing errors.", start: 3.8, end: 8.2 },
-      { text: "I've tried different approaches but nothing seems to work consistently.", start: 8.5, end: 12.8 },
-      { text: "Could you check if the API documentation is up to date?", start: 13.0, end: 16.5 }
-    ]
-  },
-  "305": {
-    text: "I found the solution to your API problem. The endpoint was recently updated and requires an additional authentication header. You need to include the project ID in the X-Project-Id header. I've updated the documentation to reflect this change. Let me know if you still have issues after making this change.",
-    segments: [
-      { text: "I found the solution to your API problem.", start: 0, end: 2.5 },
-      { text: "The endpoint was recently updated and requires an additional authentication header.", start: 2.8, end: 6.5 },
-      { text: "You need to include the project ID in the X-Project-Id header.", start: 6.8, end: 9.5 },
-      { text: "I've updated the documentation to reflect this change.", start: 9.8, end: 12.2 },
-      { text: "Let me know if you still have issues after making this change.", start: 12.5, end: 15.0 }
-    ]
+// Get transcript for a message, transcribing and storing it on first request
+// Resolves null when no transcription provider is configured (see transcriptionService)
+export const getMessageTranscript = async (messageId, options = {}) => {
+  try {
+    const db = await getStorage();
+    
+    const storedTranscript = await loadStoredTranscript(db, messageId);
+    if (storedTranscript) {
+      return storedTranscript;
+    }
+    
+    // Share a transcription that is already running for this message
+    if (!pendingTranscriptions[messageId]) {
+      pendingTranscriptions[messageId] = transcribeAndStore(db, messageId, options).finally(() => {
+        delete pendingTranscriptions[messageId];
+      });
+    }
+    return await pendingTranscriptions[messageId];
+  } catch (error) {
+    console.error('Error getting message transcript:', error);
+    throw error;
   }
 };
 
-// Add more reactions to the existing ones
+// Add the sample reactions to the sample messages, skipping any already there
 export const addMoreMockReactions = async () => {
-  // More detailed mock reactions for messages
-  const additionalReactions = {
-    "103": [
-      { 
-        id: "react_101",
-        emoji: "❓",
-        timestamp: 3.5, // 3.5 seconds into the audio
-        username: "Sarah Johnson",
-        userId: "456",
-        createdAt: new Date(Date.now() - 75 * 60000).toISOString()
-      },
-      {
-        id: "react_102",
-        emoji: "📝",
-        timestamp: 7.0, // 7.0 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 72 * 60000).toISOString()
-      },
-    ],
-    "106": [
-      { 
-        id: "react_103",
-        emoji: "👍",
-        timestamp: 2.5, // 2.5 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 34 * 60000).toISOString()
-      },
-      {
-        id: "react_104",
-        emoji: "🎉",
-        timestamp: 8.2, // 8.2 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 33 * 60000).toISOString()
-      },
-    ],
-    "202": [
-      { 
-        id: "react_105",
-        emoji: "👆",
-        timestamp: 12.5, // 12.5 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 28.5 * 3600000).toISOString()
-      },
-      {
-        id: "react_106",
-        emoji: "🤔",
-        timestamp: 15.8, // 15.8 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 28.2 * 3600000).toISOString()
-      },
-    ],
-    "303": [
-      { 
-        id: "react_107",
-        emoji: "⚠️",
-        timestamp: 4.2, // 4.2 seconds into the audio
-        username: "Jessica Williams",
-        userId: "321",
-        createdAt: new Date(Date.now() - 3 * 86400000 + 38 * 60000).toISOString()
-      },
-      {
-        id: "react_108",
-        emoji: "❓",
-        timestamp: 13.5, // 13.5 seconds into the audio
-        username: "Jessica Williams",
-        userId: "321",
-        createdAt: new Date(Date.now() - 3 * 86400000 + 37 * 60000).toISOString()
-      },
-    ],
-    "305": [
-      { 
-        id: "react_109",
-        emoji: "🔍",
-        timestamp: 2.3, // 2.3 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 0.9 * 86400000).toISOString()
-      },
-      {
-        id: "react_110",
-        emoji: "💡",
-        timestamp: 7.0, // 7.0 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 0.8 * 86400000).toISOString()
-      },
-      {
-        id: "react_111",
-        emoji: "👍",
-        timestamp: 13.2, // 13.2 seconds into the audio
-        username: "You",
-        userId: "123",
-        createdAt: new Date(Date.now() - 0.75 * 86400000).toISOString()
-      },
-    ],
-  };
-  
   try {
-    // Get existing reactions
-    const reactionsJson = await AsyncStorage.getItem(REACTIONS_STORAGE_KEY);
-    const allReactions = JSON.parse(reactionsJson) || {};
-    
-    // Merge existing with additional reactions
-    for (const messageId in additionalReactions) {
-      if (!allReactions[messageId]) {
-        allReactions[messageId] = [];
+    const db = await getStorage();
+    await db.transaction(tx => {
+      for (const messageId in dummyReactions) {
+        dummyReactions[messageId].forEach(reaction => insertReaction(tx, messageId, reaction));
       }
-      
-      // Add additional reactions if they don't already exist
-      additionalReactions[messageId].forEach(reaction => {
-        const exists = allReactions[messageId].some(r => r.id === reaction.id);
-        if (!exists) {
-          allReactions[messageId].push(reaction);
-        }
-      });
-    }
-    
-    // Save the updated reactions
-    await AsyncStorage.setItem(REACTIONS_STORAGE_KEY, JSON.stringify(allReactions));
+    });
     
     console.log('Added additional mock reactions');
     return true;
@@ -960,6 +1697,3 @@ export const addMoreMockReactions = async () => {
     return false;
   }
 };
-
-// Initialize the additional reactions when the app loads
-addMoreMockReactions();
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * legacyStorageImport.js
+ * One-time import of the AsyncStorage blobs used before the SQLite schema existed
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  insertConversation,
+  insertMessage,
+  insertReaction,
+  insertReply,
+  insertListenReceipt,
+  markReadConversationsListened,
+  replaceTranscript,
+} from './messageRecords';
+
+// Keys the old storage layer wrote to
+export const LEGACY_STORAGE_KEYS = {
+  conversations: 'local_conversations',
+  messages: 'local_messages',
+  reactions: 'local_message_reactions',
+  replies: 'local_message_replies',
+};
+
+const IMPORT_COMPLETED_META_KEY = 'legacy_import_completed_at';
+
+/**
+ * Write a snapshot in the legacy shape to the database in a single transaction
+ * @param {Object} db - SQLite database handle
+ * @param {Object} snapshot - Data to write
+ * @param {Array} snapshot.conversations - Conversation objects
+ * @param {Object} snapshot.messages - Message arrays keyed by conversation ID
+ * @param {Object} snapshot.reactions - Reaction arrays keyed by message ID
+ * @param {Object} snapshot.replies - Reply arrays keyed by message ID
+ * @param {Object} snapshot.transcripts - Transcripts keyed by message ID
+ * @param {Object} snapshot.receipts - Listen receipt arrays keyed by message ID
+ * @returns {Promise<void>}
+ */
+export const writeSnapshot = async (db, {
+  conversations = [],
+  messages = {},
+  reactions = {},
+  replies = {},
+  transcripts = {},
+  receipts = {},
+}) => {
+  await db.transaction(tx => {
+    conversations.forEach(conversation => insertConversation(tx, conversation));
+
+    // Messages may reference conversations that only exist in the message blob
+    const knownConversationIds = new Set(conversations.map(conv => conv.id));
+    for (const conversationId in messages) {
+      if (!knownConversationIds.has(conversationId)) {
+        insertConversation(tx, { id: conversationId, participantName: 'Unknown' });
+      }
+      (messages[conversationId] || []).forEach(message => insertMessage(tx, conversationId, message));
+    }
+    markReadConversationsListened(tx);
+
+    for (const messageId in reactions) {
+      (reactions[messageId] || []).forEach(reaction => insertReaction(tx, messageId, reaction));
+    }
+
+    for (const messageId in replies) {
+      (replies[messageId] || []).forEach(reply => insertReply(tx, messageId, reply));
+    }
+
+    for (const messageId in transcripts) {
+      replaceTranscript(tx, messageId, transcripts[messageId]);
+    }
+
+    for (const messageId in receipts) {
+      (receipts[messageId] || []).forEach(receipt => insertListenReceipt(tx, messageId, receipt));
+    }
+  });
+};
+
+// Read and parse one legacy blob
+const readLegacyValue = async (key, fallback) => {
+  const json = await AsyncStorage.getItem(key);
+  return json ? JSON.parse(json) : fallback;
+};
+
+/**
+ * Move data from the legacy AsyncStorage blobs into SQLite
+ * Runs at most once per install; the blobs are removed after a successful import
+ * @param {Object} db - SQLite database handle
+ * @returns {Promise<boolean>} Whether any legacy data was imported
+ */
+export const importLegacyStorage = async (db) => {
+  const [metaResult] = await db.executeSql('SELECT value FROM app_meta WHERE key = ?', [IMPORT_COMPLETED_META_KEY]);
+  if (metaResult.rows.length > 0) {
+    return false;
+  }
+
+  const conversations = await readLegacyValue(LEGACY_STORAGE_KEYS.conversations, null);
+  const messages = await readLegacyValue(LEGACY_STORAGE_KEYS.messages, null);
+  const hasLegacyData = Boolean(conversations || messages);
+
+  if (hasLegacyData) {
+    console.log('Importing legacy AsyncStorage data into SQLite...');
+
+    await writeSnapshot(db, {
+      conversations: conversations || [],
+      messages: messages || {},
+      reactions: await readLegacyValue(LEGACY_STORAGE_KEYS.reactions, {}),
+      replies: await readLegacyValue(LEGACY_STORAGE_KEYS.replies, {}),
+    });
+  }
+
+  await db.executeSql(
+    'INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)',
+    [IMPORT_COMPLETED_META_KEY, new Date().toISOString()]
+  );
+
+  if (hasLegacyData) {
+    await AsyncStorage.multiRemove(Object.values(LEGACY_STORAGE_KEYS));
+    console.log('Legacy data imported successfully');
+  }
+
+  return hasLegacyData;
+};
@@ -0,0 +1,96 @@
+/**
+ * listenTracker.js
+ * Records how far each voice message has been listened to
+ *
+ * Follows the playback controller and stores the furthest position reached when
+ * playback pauses, moves to another message, finishes, or passes the heard threshold.
+ * The position playback was left at is stored alongside, so the message can resume there.
+ */
+
+import * as playbackController from './playbackController';
+import { LISTENED_PROGRESS_THRESHOLD, recordListenProgress } from './databaseService';
+
+// Store progress at least this often while a message keeps playing
+const SAVE_INTERVAL_MS = 5000;
+// Positions this close to either end aren't worth resuming from
+const RESUME_MARGIN_MS = 2000;
+
+let tracked = null; // { messageId, progress, savedProgress, resumePosition, savedResumePosition, savedAt }
+const listeners = new Set();
+
+// Where the next play should start, in seconds, or null for the beginning
+const resumePositionFor = (positionMillis, durationMillis) => (
+  positionMillis >= RESUME_MARGIN_MS && durationMillis - positionMillis >= RESUME_MARGIN_MS
+    ? positionMillis / 1000
+    : null
+);
+
+const save = async (entry) => {
+  if (
+    !entry ||
+    (entry.progress <= entry.savedProgress && entry.resumePosition === entry.savedResumePosition)
+  ) return;
+
+  entry.savedProgress = entry.progress;
+  entry.savedResumePosition = entry.resumePosition;
+  entry.savedAt = Date.now();
+
+  try {
+    const listenState = await recordListenProgress(entry.messageId, entry.progress, entry.resumePosition);
+    if (listenState) {
+      listeners.forEach(listener => listener(entry.messageId, listenState));
+    }
+  } catch (error) {
+    console.error('Error saving listen progress:', error);
+  }
+};
+
+playbackController.subscribe((playback) => {
+  const { currentAudioId, positionMillis, durationMillis, isPlaying } = playback;
+
+  // Another message (or nothing) is loaded: store what was heard of the previous one
+  if (!tracked || tracked.messageId !== currentAudioId) {
+    save(tracked);
+    tracked = currentAudioId
+      ? {
+        messageId: currentAudioId,
+        progress: 0,
+        savedProgress: 0,
+        resumePosition: undefined,
+        savedResumePosition: undefined,
+        savedAt: Date.now(),
+      }
+      : null;
+  }
+  if (!tracked || durationMillis <= 0) return;
+
+  const progress = Math.min(1, positionMillis / durationMillis);
+  // Passing the heard threshold is saved right away so unheard markers clear promptly
+  const crossedHeard = tracked.progress < LISTENED_PROGRESS_THRESHOLD && progress >= LISTENED_PROGRESS_THRESHOLD;
+  tracked.progress = Math.max(tracked.progress, progress);
+  tracked.resumePosition = resumePositionFor(positionMillis, durationMillis);
+
+  if (!isPlaying || crossedHeard || Date.now() - tracked.savedAt >= SAVE_INTERVAL_MS) {
+    save(tracked);
+  }
+});
+
+playbackController.onPlaybackFinished((audioId) => {
+  if (tracked && tracked.messageId === audioId) {
+    tracked.progress = 1;
+    tracked.resumePosition = null;
+    save(tracked);
+  }
+});
+
+/**
+ * Listen for stored changes to a message's listen state
+ * @param {Function} listener - Called with (messageId, { listenedAt, listenedProgress, resumePosition })
+ * @returns {Function} Unsubscribe function
+ */
+export const onListenStateChange = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
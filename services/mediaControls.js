@@ -0,0 +1,108 @@
+/**
+ * mediaControls.js
+ * Lock screen, Control Center and notification media controls
+ *
+ * Publishes what nowPlaying describes through react-native-music-control and routes the
+ * system's play/pause/skip/seek commands back into handleRemoteCommand(). Builds without the
+ * native module (Expo Go, web) simply run without system media controls.
+ *
+ * The module needs native configuration in app.json: the audio background mode on iOS, the
+ * media playback foreground service permissions on Android, and the legacy architecture
+ * (newArchEnabled: false), as it has no new architecture support.
+ */
+
+import { NativeModules } from 'react-native';
+import MusicControl, { Command } from 'react-native-music-control';
+import { REMOTE_COMMANDS, setNowPlayingAdapter, handleRemoteCommand } from './nowPlaying';
+
+// System commands and the remote command each one carries out
+const COMMAND_MAP = {
+  [Command.play]: REMOTE_COMMANDS.PLAY,
+  [Command.pause]: REMOTE_COMMANDS.PAUSE,
+  [Command.togglePlayPause]: REMOTE_COMMANDS.TOGGLE_PLAY_PAUSE,
+  [Command.nextTrack]: REMOTE_COMMANDS.NEXT_TRACK,
+  [Command.stop]: REMOTE_COMMANDS.STOP,
+  [Command.closeNotification]: REMOTE_COMMANDS.STOP,
+};
+
+// Seeking sends the new position in seconds (iOS as a string)
+const SEEK_COMMANDS = [Command.seek, Command.changePlaybackPosition];
+
+/**
+ * Whether the native media session module is part of this build
+ * @returns {boolean}
+ */
+export const isMediaControlsAvailable = () => !!NativeModules.MusicControlManager;
+
+/**
+ * Create a nowPlaying adapter that shows playback in the system media controls
+ * @returns {Object} { update(info), clear() }
+ */
+export const createMusicControlAdapter = () => {
+  // Metadata only needs sending when another message starts; position and state go through updatePlayback
+  let shownAudioId = null;
+
+  return {
+    update: (info) => {
+      const elapsedTime = info.positionMillis / 1000;
+
+      if (info.audioId !== shownAudioId) {
+        shownAudioId = info.audioId;
+        MusicControl.setNowPlaying({
+          title: info.senderName ? `Voice message from ${info.senderName}` : 'Voice message',
+          artist: info.conversationName || 'Wave Chat',
+          duration: info.durationMillis / 1000,
+          elapsedTime,
+        });
+      }
+
+      MusicControl.enableControl('nextTrack', info.canSkipNext);
+      MusicControl.updatePlayback({
+        state: info.isPlaying ? MusicControl.STATE_PLAYING : MusicControl.STATE_PAUSED,
+        elapsedTime,
+        speed: info.isPlaying ? info.rate : 0,
+      });
+    },
+    clear: () => {
+      shownAudioId = null;
+      MusicControl.resetNowPlaying();
+    },
+  };
+};
+
+// Carry out a system command, logging failures (there is no screen to report them on)
+const runCommand = (command, options) => {
+  handleRemoteCommand(command, options).catch(error => {
+    console.error(`Error handling media control "${command}":`, error);
+  });
+};
+
+/**
+ * Connect the system media controls to playback; call once at startup
+ * @returns {() => void} Function that disconnects them again
+ */
+export const connectMediaControls = () => {
+  if (!isMediaControlsAvailable()) return () => {};
+
+  MusicControl.enableBackgroundMode(true);
+  MusicControl.handleAudioInterruptions(true);
+  ['play', 'pause', 'togglePlayPause', 'stop', 'seek', 'changePlaybackPosition', 'closeNotification']
+    .forEach(control => MusicControl.enableControl(control, true));
+  MusicControl.enableControl('nextTrack', false);
+
+  Object.keys(COMMAND_MAP).forEach(command => {
+    MusicControl.on(command, () => runCommand(COMMAND_MAP[command]));
+  });
+  SEEK_COMMANDS.forEach(command => {
+    MusicControl.on(command, (seconds) => {
+      runCommand(REMOTE_COMMANDS.SEEK, { positionMillis: Number(seconds) * 1000 });
+    });
+  });
+
+  const disconnectAdapter = setNowPlayingAdapter(createMusicControlAdapter());
+
+  return () => {
+    disconnectAdapter();
+    MusicControl.stopControl();
+  };
+};
@@ -0,0 +1,477 @@
+/**
+ * messageRecords.js
+ * Mapping between SQLite rows and the objects the rest of the app works with
+ */
+
+import { normalizeTagName } from '../utils/tagUtils';
+import { reactionBucket } from '../utils/reactionUtils';
+
+// Parse a JSON column, falling back when it is empty or corrupt
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Error parsing stored JSON value:', error);
+    return fallback;
+  }
+};
+
+/**
+ * Convert a conversations row into a conversation object
+ * @param {Object} row - Database row
+ * @returns {Object} Conversation
+ */
+export const conversationFromRow = (row) => {
+  // The stored count covers messages other than voice messages, which stay unheard until
+  // listened to; getConversations counts those separately
+  const unheardCount = row.unheard_count || 0;
+  const unreadCount = (row.unread_count || 0) + unheardCount;
+
+  return {
+    id: row.id,
+    participantName: row.participant_name,
+    participantAvatar: row.participant_avatar,
+    lastMessage: row.last_message,
+    lastMessageTimestamp: row.last_message_timestamp,
+    lastMessageType: row.last_message_type,
+    read: row.read === 1 && !unreadCount,
+    unreadCount,
+    unheardCount,
+    playbackRate: row.playback_rate || null,
+    hasDraft: !!row.draft_updated_at,
+  };
+};
+
+/**
+ * Convert a row of reply counts into a message's thread summary
+ * @param {Object} row - Row with reply_count, unread_count and last_reply_at
+ * @returns {Object} { replyCount, unreadCount, lastReplyAt }
+ */
+export const threadFromRow = (row) => ({
+  replyCount: row.reply_count || 0,
+  unreadCount: row.unread_count || 0,
+  lastReplyAt: row.last_reply_at || null,
+});
+
+/**
+ * Convert a drafts row into a draft
+ * @param {Object} row - Database row
+ * @returns {Object} Draft with the recording's uri, duration and waveform
+ */
+export const draftFromRow = (row) => ({
+  conversationId: row.conversation_id,
+  uri: row.audio_uri,
+  duration: row.audio_duration,
+  waveform: parseJson(row.waveform, []),
+  inProgress: row.in_progress === 1,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Convert a messages row into a message object
+ * @param {Object} row - Database row
+ * @param {Array} tags - Tags attached to the message
+ * @param {Array} markers - Detected markers, for audio messages
+ * @param {Array} receipts - Listen receipts from other participants, for audio messages
+ * @returns {Object} Message
+ */
+export const messageFromRow = (row, tags = [], markers = [], receipts = []) => {
+  const message = {
+    id: row.id,
+    timestamp: row.timestamp,
+    senderId: row.sender_id,
+    senderName: row.sender_name,
+    type: row.type,
+  };
+
+  if (row.type === 'audio') {
+    message.audioUri = row.audio_uri;
+    message.audioDuration = row.audio_duration;
+    message.waveform = parseJson(row.waveform, []);
+    message.tags = tags;
+    message.markers = markers;
+    message.listenedAt = row.listened_at || null;
+    message.listenedProgress = row.listened_progress || 0;
+    message.resumePosition = row.resume_position ?? null;
+    message.replyTo = row.reply_to_message_id
+      ? { messageId: row.reply_to_message_id, timestamp: row.reply_to_timestamp ?? null }
+      : null;
+    message.listenedBy = receipts;
+  } else {
+    message.text = row.text;
+    if (tags.length > 0) {
+      message.tags = tags;
+    }
+  }
+
+  return message;
+};
+
+/**
+ * Convert a reactions row into a reaction object
+ * @param {Object} row - Database row
+ * @returns {Object} Reaction
+ */
+export const reactionFromRow = (row) => ({
+  id: row.id,
+  emoji: row.emoji,
+  timestamp: row.timestamp ?? null,
+  username: row.username,
+  userId: row.user_id,
+  createdAt: row.created_at,
+});
+
+/**
+ * Convert a replies row into a reply object
+ * @param {Object} row - Database row
+ * @returns {Object} Reply
+ */
+export const replyFromRow = (row) => ({
+  id: row.id,
+  text: row.text,
+  timestamp: row.timestamp,
+  username: row.username,
+  userId: row.user_id,
+  createdAt: row.created_at,
+});
+
+/**
+ * Convert a highlights row into a highlight
+ * @param {Object} row - Database row
+ * @returns {Object} Highlight with its range in seconds
+ */
+export const highlightFromRow = (row) => ({
+  id: row.id,
+  start: row.start_time,
+  end: row.end_time,
+  color: row.color,
+  note: row.note || null,
+  username: row.username,
+  userId: row.user_id,
+  createdAt: row.created_at,
+});
+
+/**
+ * Convert a transcripts row and its segment rows into a transcript object
+ * @param {Object} row - Database row
+ * @param {Array} segmentRows - transcript_segments rows in order
+ * @returns {Object} Transcript
+ */
+export const transcriptFromRow = (row, segmentRows = []) => ({
+  text: row.text,
+  segments: segmentRows.map(segment => ({
+    text: segment.text,
+    start: segment.start_time,
+    end: segment.end_time,
+    edited: Boolean(segment.edited_at),
+    originalText: segment.edited_at ? segment.original_text : null,
+    editedAt: segment.edited_at,
+    editedBy: segment.edited_by,
+  })),
+  language: row.language,
+  confidence: row.confidence,
+  provider: row.provider,
+  createdAt: row.created_at,
+  edited: Boolean(row.edited_at),
+  editedAt: row.edited_at,
+});
+
+/**
+ * Queue an insert of a conversation on a transaction
+ * Existing rows are left untouched (REPLACE would cascade-delete their messages)
+ * @param {Object} tx - SQLite transaction
+ * @param {Object} conversation - Conversation object
+ */
+export const insertConversation = (tx, conversation) => {
+  tx.executeSql(
+    `INSERT OR IGNORE INTO conversations
+      (id, participant_name, participant_avatar, last_message, last_message_timestamp, last_message_type, read, unread_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      conversation.id,
+      conversation.participantName,
+      conversation.participantAvatar || null,
+      conversation.lastMessage || '',
+      conversation.lastMessageTimestamp || null,
+      conversation.lastMessageType || 'text',
+      conversation.read === false ? 0 : 1,
+      conversation.unreadCount || 0,
+    ]
+  );
+};
+
+/**
+ * Queue an insert of a message and its tags on a transaction
+ * Existing rows are left untouched
+ * @param {Object} tx - SQLite transaction
+ * @param {string} conversationId - ID of the conversation the message belongs to
+ * @param {Object} message - Message object
+ */
+export const insertMessage = (tx, conversationId, message) => {
+  // Older records may be missing a type, so infer it from the content
+  const type = message.type || (message.audioUri ? 'audio' : 'text');
+
+  tx.executeSql(
+    `INSERT OR IGNORE INTO messages
+      (id, conversation_id, type, text, audio_uri, audio_duration, waveform, sender_id, sender_name, timestamp,
+        listened_at, listened_progress, resume_position, reply_to_message_id, reply_to_timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      message.id,
+      conversationId,
+      type,
+      message.text ?? null,
+      message.audioUri ?? null,
+      message.audioDuration ?? null,
+      message.waveform ? JSON.stringify(message.waveform) : null,
+      message.senderId,
+      message.senderName ?? null,
+      message.timestamp,
+      message.listenedAt ?? null,
+      message.listenedProgress ?? 0,
+      message.resumePosition ?? null,
+      message.replyTo ? message.replyTo.messageId : null,
+      message.replyTo ? message.replyTo.timestamp : null,
+    ]
+  );
+
+  insertMessageTags(tx, message.id, message.tags || []);
+  (message.markers || []).forEach((marker, position) => {
+    insertMarker(tx, message.id, marker, position);
+  });
+};
+
+// Attach tags to a message by name, registering any tag that doesn't exist yet.
+// Names are matched ignoring case so an existing spelling is reused.
+const insertMessageTags = (tx, messageId, tags) => {
+  tags.forEach((tag, position) => {
+    const name = normalizeTagName(tag);
+    if (!name) return;
+
+    tx.executeSql(
+      `INSERT OR IGNORE INTO tags (id, name, created_at)
+        VALUES ('tag_' || lower(hex(randomblob(8))), ?, ?)`,
+      [name, new Date().toISOString()]
+    );
+    tx.executeSql(
+      `INSERT OR IGNORE INTO message_tags (message_id, tag_id, position)
+        SELECT ?, id, ? FROM tags WHERE name = ? COLLATE NOCASE`,
+      [messageId, position, name]
+    );
+  });
+};
+
+/**
+ * Queue statements that replace the full tag list of a message
+ * @param {Object} tx - SQLite transaction
+ * @param {string} messageId - ID of the message
+ * @param {Array} tags - New tag list (names)
+ */
+export const replaceMessageTags = (tx, messageId, tags) => {
+  tx.executeSql('DELETE FROM message_tags WHERE message_id = ?', [messageId]);
+  insertMessageTags(tx, messageId, tags);
+};
+
+/**
+ * Convert a message_markers row into a marker object
+ * @param {Object} row - Database row
+ * @returns {Object} Marker with kind, label, timestamp and endTime (seconds)
+ */
+export const markerFromRow = (row) => ({
+  kind: row.kind,
+  label: row.label,
+  timestamp: row.start_time,
+  endTime: row.end_time,
+});
+
+const insertMarker = (tx, messageId, marker, position) => {
+  tx.executeSql(
+    `INSERT OR IGNORE INTO message_markers (message_id, position, kind, label, start_time, end_time)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+    [messageId, position, marker.kind, marker.label, marker.timestamp, marker.endTime ?? null]
+  );
+};
+
+/**
+ * Queue statements that replace the detected markers of a message
+ * @param {Object} tx - SQLite transaction
+ * @param {string} messageId - ID of the message
+ * @param {Array} markers - New marker list
+ */
+export const replaceMessageMarkers = (tx, messageId, markers) => {
+  tx.executeSql('DELETE FROM message_markers WHERE message_id = ?', [messageId]);
+  markers.forEach((marker, position) => {
+    insertMarker(tx, messageId, marker, position);
+  });
+};
+
+/**
+ * Convert a tags row into a tag object
+ * @param {Object} row - Database row, optionally with a message_count column
+ * @returns {Object} Tag
+ */
+export const tagFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color,
+  icon: row.icon,
+  createdAt: row.created_at,
+  messageCount: row.message_count || 0,
+});
+
+/**
+ * Queue an insert of a reaction on a transaction
+ * Reactions for messages that no longer exist, and repeats of a user's emoji at the same moment, are skipped
+ * @param {Object} tx - SQLite transaction
+ * @param {string} messageId - ID of the message reacted to
+ * @param {Object} reaction - Reaction object
+ */
+export const insertReaction = (tx, messageId, reaction) => {
+  tx.executeSql(
+    `INSERT OR IGNORE INTO reactions (id, message_id, emoji, timestamp, bucket, user_id, username, created_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM messages WHERE id = ?)`,
+    [
+      reaction.id,
+      messageId,
+      reaction.emoji,
+      reaction.timestamp ?? null,
+      reactionBucket(reaction.timestamp),
+      reaction.userId ?? null,
+      reaction.username ?? null,
+      reaction.createdAt || new Date().toISOString(),
+      messageId,
+    ]
+  );
+};
+
+/**
+ * Queue an insert of a reply on a transaction
+ * Replies for messages that no longer exist are skipped
+ * @param {Object} tx - SQLite transaction
+ * @param {string} messageId - ID of the message replied to
+ * @param {Object} reply - Reply object
+ */
+export const insertReply = (tx, messageId, reply) => {
+  tx.executeSql(
+    `INSERT OR IGNORE INTO replies (id, message_id, text, timestamp, user_id, username, created_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM messages WHERE id = ?)`,
+    [
+      reply.id,
+      messageId,
+      reply.text ?? null,
+      reply.timestamp ?? null,
+      reply.userId ?? null,
+      reply.username ?? null,
+      reply.createdAt || new Date().toISOString(),
+      messageId,
+    ]
+  );
+};
+
+/**
+ * Queue an insert of a highlight on a transaction
+ * Highlights for messages that no longer exist are skipped
+ * @param {Object} tx - SQLite transaction
+ * @param {string} messageId - ID of the highlighted message
+ * @param {Object} highlight - Highlight object
+ */
+export const insertHighlight = (tx, messageId, highlight) => {
+  tx.executeSql(
+    `INSERT OR IGNORE INTO highlights (id, message_id, start_time, end_time, color, note, user_id, username, created_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM messages WHERE id = ?)`,
+    [
+      highlight.id,
+      messageId,
+      highlight.start,
+      highlight.end,
+      highlight.color,
+      highlight.note || null,
+      highlight.userId ?? null,
+      highlight.username ?? null,
+      highlight.createdAt || new Date().toISOString(),
+      messageId,
+    ]
+  );
+};
+
+/**
+ * Queue statements that store a message's transcript, replacing any previous one
+ * @param {Object} tx - SQLite transaction
+ * @param {string} messageId - ID of the transcribed message
+ * @param {Object} transcript - Transcript object
+ */
+export const replaceTranscript = (tx, messageId, transcript) => {
+  // Deleting the transcript cascades to its segments
+  tx.executeSql('DELETE FROM transcripts WHERE message_id = ?', [messageId]);
+  tx.executeSql(
+    `INSERT INTO transcripts (message_id, text, language, confidence, provider, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      messageId,
+      transcript.text || '',
+      transcript.language ?? null,
+      transcript.confidence ?? null,
+      transcript.provider ?? null,
+      transcript.createdAt || new Date().toISOString(),
+    ]
+  );
+
+  (transcript.segments || []).forEach((segment, position) => {
+    tx.executeSql(
+      `INSERT INTO transcript_segments (message_id, position, start_time, end_time, text)
+        VALUES (?, ?, ?, ?, ?)`,
+      [messageId, position, segment.start, segment.end, segment.text]
+    );
+  });
+};
+
+/**
+ * Convert a listen_receipts row into a receipt object
+ * @param {Object} row - Database row
+ * @returns {Object} Receipt with userId, username and listenedAt
+ */
+export const receiptFromRow = (row) => ({
+  userId: row.user_id,
+  username: row.username,
+  listenedAt: row.listened_at,
+});
+
+/**
+ * Queue an insert of a listen receipt on a transaction
+ * Receipts for messages that no longer exist are skipped
+ * @param {Object} tx - SQLite transaction
+ * @param {string} messageId - ID of the message listened to
+ * @param {Object} receipt - Receipt object
+ */
+export const insertListenReceipt = (tx, messageId, receipt) => {
+  tx.executeSql(
+    `INSERT OR IGNORE INTO listen_receipts (message_id, user_id, username, listened_at)
+      SELECT ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM messages WHERE id = ?)`,
+    [
+      messageId,
+      receipt.userId,
+      receipt.username ?? null,
+      receipt.listenedAt || new Date().toISOString(),
+      messageId,
+    ]
+  );
+};
+
+/**
+ * Queue a statement marking the voice messages of read conversations as heard
+ * Older data only records whether a whole conversation was read.
+ * @param {Object} tx - SQLite transaction
+ */
+export const markReadConversationsListened = (tx) => {
+  tx.executeSql(
+    `UPDATE messages SET listened_at = timestamp, listened_progress = 1
+      WHERE type = 'audio'
+        AND listened_at IS NULL
+        AND conversation_id IN (SELECT id FROM conversations WHERE read = 1)`
+  );
+};
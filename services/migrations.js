@@ -0,0 +1,434 @@
+/**
+ * migrations.js
+ * Versioned schema for the local SQLite database
+ *
+ * Migrations are applied in order and each one runs inside its own transaction.
+ * Never edit a migration that has shipped - append a new version instead.
+ */
+
+import { REACTION_BUCKET_SECONDS } from '../utils/reactionUtils';
+
+// A reaction's bucket in SQL, matching reactionBucket() for reactions to a moment of the audio
+const REACTION_BUCKET_SQL = `MAX(0, CAST(timestamp / ${REACTION_BUCKET_SECONDS} AS INTEGER))`;
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    statements: [
+      `CREATE TABLE conversations (
+        id TEXT PRIMARY KEY NOT NULL,
+        participant_name TEXT NOT NULL,
+        participant_avatar TEXT,
+        last_message TEXT NOT NULL DEFAULT '',
+        last_message_timestamp TEXT,
+        last_message_type TEXT NOT NULL DEFAULT 'text',
+        read INTEGER NOT NULL DEFAULT 1,
+        unread_count INTEGER NOT NULL DEFAULT 0
+      )`,
+      `CREATE TABLE messages (
+        id TEXT PRIMARY KEY NOT NULL,
+        conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        text TEXT,
+        audio_uri TEXT,
+        audio_duration REAL,
+        waveform TEXT,
+        sender_id TEXT NOT NULL,
+        sender_name TEXT,
+        timestamp TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_messages_conversation ON messages (conversation_id, timestamp)',
+      `CREATE TABLE message_tags (
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (message_id, tag)
+      )`,
+      'CREATE INDEX idx_message_tags_tag ON message_tags (tag)',
+      `CREATE TABLE reactions (
+        id TEXT PRIMARY KEY NOT NULL,
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        emoji TEXT NOT NULL,
+        timestamp REAL,
+        user_id TEXT,
+        username TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_reactions_message ON reactions (message_id)',
+      `CREATE TABLE replies (
+        id TEXT PRIMARY KEY NOT NULL,
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        text TEXT,
+        timestamp REAL,
+        user_id TEXT,
+        username TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_replies_message ON replies (message_id)',
+      `CREATE TABLE app_meta (
+        key TEXT PRIMARY KEY NOT NULL,
+        value TEXT
+      )`,
+    ],
+  },
+  {
+    version: 2,
+    name: 'transcripts',
+    statements: [
+      `CREATE TABLE transcripts (
+        message_id TEXT PRIMARY KEY NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        text TEXT NOT NULL DEFAULT '',
+        language TEXT,
+        confidence REAL,
+        provider TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE transcript_segments (
+        message_id TEXT NOT NULL REFERENCES transcripts (message_id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        start_time REAL NOT NULL,
+        end_time REAL NOT NULL,
+        text TEXT NOT NULL,
+        PRIMARY KEY (message_id, position)
+      )`,
+    ],
+  },
+  {
+    version: 3,
+    name: 'transcript_edits',
+    statements: [
+      // original_text keeps the machine transcription once a segment has been corrected
+      'ALTER TABLE transcript_segments ADD COLUMN original_text TEXT',
+      'ALTER TABLE transcript_segments ADD COLUMN edited_at TEXT',
+      'ALTER TABLE transcript_segments ADD COLUMN edited_by TEXT',
+      'ALTER TABLE transcripts ADD COLUMN edited_at TEXT',
+    ],
+  },
+  {
+    version: 4,
+    name: 'search_index',
+    statements: [
+      // Full-text index over text messages, transcript segments and tags.
+      // FTS4 is used because FTS5 is missing from the SQLite bundled with older Android releases.
+      `CREATE VIRTUAL TABLE search_index USING fts4(
+        content,
+        kind,
+        message_id,
+        segment_position,
+        notindexed=kind,
+        notindexed=message_id,
+        notindexed=segment_position
+      )`,
+
+      // Text message bodies
+      `CREATE TRIGGER search_index_message_insert AFTER INSERT ON messages
+        WHEN NEW.type = 'text' AND NEW.text IS NOT NULL
+        BEGIN
+          INSERT INTO search_index (content, kind, message_id) VALUES (NEW.text, 'text', NEW.id);
+        END`,
+      `CREATE TRIGGER search_index_message_update AFTER UPDATE OF text ON messages
+        BEGIN
+          DELETE FROM search_index WHERE kind = 'text' AND message_id = OLD.id;
+          INSERT INTO search_index (content, kind, message_id)
+            SELECT NEW.text, 'text', NEW.id WHERE NEW.type = 'text' AND NEW.text IS NOT NULL;
+        END`,
+      `CREATE TRIGGER search_index_message_delete AFTER DELETE ON messages
+        BEGIN
+          DELETE FROM search_index WHERE message_id = OLD.id;
+        END`,
+
+      // Transcript segments
+      `CREATE TRIGGER search_index_segment_insert AFTER INSERT ON transcript_segments
+        BEGIN
+          INSERT INTO search_index (content, kind, message_id, segment_position)
+            VALUES (NEW.text, 'transcript', NEW.message_id, NEW.position);
+        END`,
+      `CREATE TRIGGER search_index_segment_update AFTER UPDATE OF text ON transcript_segments
+        BEGIN
+          DELETE FROM search_index
+            WHERE kind = 'transcript' AND message_id = OLD.message_id AND segment_position = OLD.position;
+          INSERT INTO search_index (content, kind, message_id, segment_position)
+            VALUES (NEW.text, 'transcript', NEW.message_id, NEW.position);
+        END`,
+      `CREATE TRIGGER search_index_segment_delete AFTER DELETE ON transcript_segments
+        BEGIN
+          DELETE FROM search_index
+            WHERE kind = 'transcript' AND message_id = OLD.message_id AND segment_position = OLD.position;
+        END`,
+
+      // Tags
+      `CREATE TRIGGER search_index_tag_insert AFTER INSERT ON message_tags
+        BEGIN
+          INSERT INTO search_index (content, kind, message_id) VALUES (NEW.tag, 'tag', NEW.message_id);
+        END`,
+      `CREATE TRIGGER search_index_tag_delete AFTER DELETE ON message_tags
+        BEGIN
+          DELETE FROM search_index WHERE kind = 'tag' AND message_id = OLD.message_id AND content = OLD.tag;
+        END`,
+
+      // Index everything stored before this migration
+      `INSERT INTO search_index (content, kind, message_id)
+        SELECT text, 'text', id FROM messages WHERE type = 'text' AND text IS NOT NULL`,
+      `INSERT INTO search_index (content, kind, message_id, segment_position)
+        SELECT text, 'transcript', message_id, position FROM transcript_segments`,
+      `INSERT INTO search_index (content, kind, message_id)
+        SELECT tag, 'tag', message_id FROM message_tags`,
+    ],
+  },
+  {
+    version: 5,
+    name: 'tag_registry',
+    statements: [
+      // One row per tag, shared by every conversation. Names are unique ignoring case
+      // so "Question" and "question" can't drift apart again.
+      `CREATE TABLE tags (
+        id TEXT PRIMARY KEY NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        icon TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      'CREATE UNIQUE INDEX idx_tags_name ON tags (name COLLATE NOCASE)',
+
+      // Register existing tags; when spellings differ only by case the most used one wins
+      `INSERT OR IGNORE INTO tags (id, name, created_at)
+        SELECT 'tag_' || lower(hex(randomblob(8))), tag, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        FROM message_tags
+        GROUP BY tag
+        ORDER BY COUNT(*) DESC, tag`,
+
+      // Point message tags at the registry instead of storing the name
+      `CREATE TABLE message_tags_v5 (
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        tag_id TEXT NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (message_id, tag_id)
+      )`,
+      `INSERT OR IGNORE INTO message_tags_v5 (message_id, tag_id, position)
+        SELECT message_tags.message_id, tags.id, message_tags.position
+        FROM message_tags
+        JOIN tags ON tags.name = message_tags.tag COLLATE NOCASE
+        ORDER BY message_tags.message_id, message_tags.position`,
+      // Dropping the old table also drops its search triggers
+      'DROP TABLE message_tags',
+      'ALTER TABLE message_tags_v5 RENAME TO message_tags',
+      'CREATE INDEX idx_message_tags_tag ON message_tags (tag_id)',
+
+      // Keep tag search entries in sync with the registry
+      `CREATE TRIGGER search_index_tag_insert AFTER INSERT ON message_tags
+        BEGIN
+          INSERT INTO search_index (content, kind, message_id)
+            SELECT name, 'tag', NEW.message_id FROM tags WHERE id = NEW.tag_id;
+        END`,
+      `CREATE TRIGGER search_index_tag_delete AFTER DELETE ON message_tags
+        BEGIN
+          DELETE FROM search_index
+            WHERE kind = 'tag' AND message_id = OLD.message_id
+            AND content = (SELECT name FROM tags WHERE id = OLD.tag_id);
+        END`,
+      `CREATE TRIGGER search_index_tag_rename AFTER UPDATE OF name ON tags
+        BEGIN
+          UPDATE search_index SET content = NEW.name WHERE kind = 'tag' AND content = OLD.name;
+        END`,
+      // Runs before the cascade, while the tag's name can still be looked up
+      `CREATE TRIGGER search_index_tag_remove BEFORE DELETE ON tags
+        BEGIN
+          DELETE FROM search_index WHERE kind = 'tag' AND content = OLD.name;
+        END`,
+
+      // Re-index tags under their registered spelling
+      "DELETE FROM search_index WHERE kind = 'tag'",
+      `INSERT INTO search_index (content, kind, message_id)
+        SELECT tags.name, 'tag', message_tags.message_id
+        FROM message_tags
+        JOIN tags ON tags.id = message_tags.tag_id`,
+    ],
+  },
+  {
+    version: 6,
+    name: 'message_markers',
+    statements: [
+      // Timestamped points of interest detected in a voice message
+      `CREATE TABLE message_markers (
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        label TEXT NOT NULL,
+        start_time REAL NOT NULL,
+        end_time REAL,
+        PRIMARY KEY (message_id, position)
+      )`,
+    ],
+  },
+  {
+    version: 7,
+    name: 'playback_rate',
+    statements: [
+      // Listening speed chosen for a conversation; NULL falls back to the app-wide default in app_meta
+      'ALTER TABLE conversations ADD COLUMN playback_rate REAL',
+    ],
+  },
+  {
+    version: 8,
+    name: 'listen_state',
+    statements: [
+      // How far the current user has listened to a voice message; listened_at is set once it counts as heard
+      'ALTER TABLE messages ADD COLUMN listened_at TEXT',
+      'ALTER TABLE messages ADD COLUMN listened_progress REAL NOT NULL DEFAULT 0',
+      // Other participants who have listened to a voice message
+      `CREATE TABLE listen_receipts (
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL,
+        username TEXT,
+        listened_at TEXT NOT NULL,
+        PRIMARY KEY (message_id, user_id)
+      )`,
+      // Until now only whole conversations were marked read; carry that over to their voice messages
+      `UPDATE messages SET listened_at = timestamp, listened_progress = 1
+        WHERE type = 'audio'
+          AND conversation_id IN (SELECT id FROM conversations WHERE read = 1)`,
+    ],
+  },
+  {
+    version: 9,
+    name: 'resume_position',
+    statements: [
+      // Where playback of a voice message was left off, in seconds; NULL starts from the beginning
+      'ALTER TABLE messages ADD COLUMN resume_position REAL',
+    ],
+  },
+  {
+    version: 10,
+    name: 'drafts',
+    statements: [
+      // Unsent voice recording of a conversation; in_progress is set while it is still being recorded
+      `CREATE TABLE drafts (
+        conversation_id TEXT PRIMARY KEY NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        audio_uri TEXT NOT NULL,
+        audio_duration REAL NOT NULL DEFAULT 0,
+        waveform TEXT,
+        in_progress INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL
+      )`,
+    ],
+  },
+  {
+    version: 11,
+    name: 'voice_replies',
+    statements: [
+      // Voice message a message replies to, and the second of it the reply is about
+      'ALTER TABLE messages ADD COLUMN reply_to_message_id TEXT REFERENCES messages (id) ON DELETE SET NULL',
+      'ALTER TABLE messages ADD COLUMN reply_to_timestamp REAL',
+      'CREATE INDEX idx_messages_reply_to ON messages (reply_to_message_id)',
+    ],
+  },
+  {
+    version: 12,
+    name: 'thread_reads',
+    statements: [
+      // When the current user last opened a message's thread; newer replies from others are unread
+      `CREATE TABLE thread_reads (
+        message_id TEXT PRIMARY KEY NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        read_at TEXT NOT NULL
+      )`,
+    ],
+  },
+  {
+    version: 13,
+    name: 'highlights',
+    statements: [
+      // Ranges of a voice message (seconds) marked with a color and an optional note
+      `CREATE TABLE highlights (
+        id TEXT PRIMARY KEY NOT NULL,
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        start_time REAL NOT NULL,
+        end_time REAL NOT NULL,
+        color TEXT NOT NULL,
+        note TEXT,
+        user_id TEXT,
+        username TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_highlights_message ON highlights (message_id)',
+    ],
+  },
+  {
+    version: 14,
+    name: 'reaction_keys',
+    statements: [
+      // Stretch of the audio a reaction is about (see utils/reactionUtils); -1 for the whole message
+      'ALTER TABLE reactions ADD COLUMN bucket INTEGER NOT NULL DEFAULT -1',
+      `UPDATE reactions SET bucket = ${REACTION_BUCKET_SQL} WHERE timestamp IS NOT NULL`,
+      // A user reacts with an emoji once per stretch; keep the first of any duplicates
+      `DELETE FROM reactions WHERE rowid NOT IN (
+        SELECT MIN(rowid) FROM reactions GROUP BY message_id, user_id, emoji, bucket
+      )`,
+      'CREATE UNIQUE INDEX idx_reactions_key ON reactions (message_id, user_id, emoji, bucket)',
+    ],
+  },
+  {
+    version: 15,
+    name: 'sample_transcripts',
+    statements: [
+      // Sample text the fixture provider used to store for recordings it had no transcript for
+      `DELETE FROM transcript_segments WHERE message_id IN (
+        SELECT message_id FROM transcripts WHERE provider = 'fixture'
+      )`,
+      "DELETE FROM transcripts WHERE provider = 'fixture'",
+      // Keyword markers only come from recognized speech (see isRecognizedTranscript)
+      `DELETE FROM message_markers WHERE kind = 'keyword' AND message_id NOT IN (
+        SELECT message_id FROM transcripts WHERE provider IS NOT NULL AND provider != 'fixture'
+      )`,
+    ],
+  },
+  {
+    version: 16,
+    name: 'reaction_buckets',
+    statements: [
+      // reaction_keys used to bucket negative timestamps below zero, one of them with the whole-message
+      // reactions; they belong to the first stretch, as in reactionBucket. Keep the first of any duplicates
+      `DELETE FROM reactions WHERE timestamp IS NOT NULL AND rowid NOT IN (
+        SELECT MIN(rowid) FROM reactions WHERE timestamp IS NOT NULL
+          GROUP BY message_id, user_id, emoji, ${REACTION_BUCKET_SQL}
+      )`,
+      `UPDATE reactions SET bucket = ${REACTION_BUCKET_SQL} WHERE timestamp IS NOT NULL`,
+    ],
+  },
+];
+
+/**
+ * Apply every migration newer than the database's current schema version
+ * @param {Object} db - SQLite database handle
+ * @returns {Promise<number>} Schema version after migrating
+ */
+export const runMigrations = async (db) => {
+  await db.executeSql(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY NOT NULL,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )`
+  );
+
+  const [resultSet] = await db.executeSql('SELECT MAX(version) AS version FROM schema_migrations');
+  let currentVersion = resultSet.rows.item(0).version || 0;
+
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) continue;
+
+    console.log(`Applying database migration ${migration.version} (${migration.name})...`);
+
+    await db.transaction(tx => {
+      migration.statements.forEach(statement => tx.executeSql(statement));
+      tx.executeSql(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+
+    currentVersion = migration.version;
+  }
+
+  return currentVersion;
+};
@@ -254,7 +254,7 @@ export function generateRandomWaveform(length) {
       lastMessage: "🎤 Voice message (0:12)",
       lastMessageTimestamp: new Date(Date.now() - 35 * 60000).toISOString(), // 35 minutes ago
       read: false,
-      unreadCount: 2,
+      unreadCount: 0, // Sarah's last voice message counts while it is unheard
       lastMessageType: "audio"
     },
     {
@@ -317,6 +317,40 @@ export function generateRandomWaveform(length) {
         username: "You",
         userId: "123",
         createdAt: new Date(Date.now() - 65 * 60000).toISOString()
+      },
+      {
+        id: "react_101",
+        emoji: "❓",
+        timestamp: 3.5, // 3.5 seconds into the audio
+        username: "Sarah Johnson",
+        userId: "456",
+        createdAt: new Date(Date.now() - 75 * 60000).toISOString()
+      },
+      {
+        id: "react_102",
+        emoji: "📝",
+        timestamp: 7.0, // 7.0 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 72 * 60000).toISOString()
+      }
+    ],
+    "106": [
+      {
+        id: "react_103",
+        emoji: "👍",
+        timestamp: 2.5, // 2.5 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 34 * 60000).toISOString()
+      },
+      {
+        id: "react_104",
+        emoji: "🎉",
+        timestamp: 8.2, // 8.2 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 33 * 60000).toISOString()
       }
     ],
     "202": [
@@ -327,6 +361,40 @@ export function generateRandomWaveform(length) {
         username: "You",
         userId: "123",
         createdAt: new Date(Date.now() - 28 * 3600000).toISOString()
+      },
+      {
+        id: "react_105",
+        emoji: "👆",
+        timestamp: 12.5, // 12.5 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 28.5 * 3600000).toISOString()
+      },
+      {
+        id: "react_106",
+        emoji: "🤔",
+        timestamp: 15.8, // 15.8 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 28.2 * 3600000).toISOString()
+      }
+    ],
+    "303": [
+      {
+        id: "react_107",
+        emoji: "⚠️",
+        timestamp: 4.2, // 4.2 seconds into the audio
+        username: "Jessica Williams",
+        userId: "321",
+        createdAt: new Date(Date.now() - 3 * 86400000 + 38 * 60000).toISOString()
+      },
+      {
+        id: "react_108",
+        emoji: "❓",
+        timestamp: 13.5, // 13.5 seconds into the audio
+        username: "Jessica Williams",
+        userId: "321",
+        createdAt: new Date(Date.now() - 3 * 86400000 + 37 * 60000).toISOString()
       }
     ],
     "305": [
@@ -337,6 +405,48 @@ export function generateRandomWaveform(length) {
         username: "You",
         userId: "123",
         createdAt: new Date(Date.now() - 20 * 3600000).toISOString()
+      },
+      {
+        id: "react_109",
+        emoji: "🔍",
+        timestamp: 2.3, // 2.3 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 0.9 * 86400000).toISOString()
+      },
+      {
+        id: "react_110",
+        emoji: "💡",
+        timestamp: 7.0, // 7.0 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 0.8 * 86400000).toISOString()
+      },
+      {
+        id: "react_111",
+        emoji: "👍",
+        timestamp: 13.2, // 13.2 seconds into the audio
+        username: "You",
+        userId: "123",
+        createdAt: new Date(Date.now() - 0.75 * 86400000).toISOString()
+      }
+    ]
+  };
+  
+  // Dummy listen receipts for the current user's voice messages
+  export const dummyListenReceipts = {
+    "103": [
+      {
+        userId: "456",
+        username: "Sarah Johnson",
+        listenedAt: new Date(Date.now() - 79 * 60000).toISOString()
+      }
+    ],
+    "303": [
+      {
+        userId: "321",
+        username: "Jessica Williams",
+        listenedAt: new Date(Date.now() - 3 * 86400000 + 40 * 60000).toISOString()
       }
     ]
   };
@@ -381,4 +491,76 @@ export function generateRandomWaveform(length) {
         createdAt: new Date(Date.now() - 22 * 3600000).toISOString()
       }
     ]
-  };
\ No newline at end of file
+  };
+  
+  // Sample transcripts used by the fixture transcription provider, keyed by message ID
+  export const dummyTranscripts = {
+    // Used for messages without a transcript of their own
+    "default": {
+      text: "This is a sample transcription of the audio message. In a real app, this would be the actual transcribed content from a speech-to-text service.",
+      segments: [
+        { text: "This is a sample transcription", start: 0, end: 3.2 },
+        { text: "of the audio message.", start: 3.3, end: 5.1 },
+        { text: "In a real app, this would be", start: 5.2, end: 7.8 },
+        { text: "the actual transcribed content", start: 7.9, end: 10.5 },
+        { text: "from a speech-to-text service.", start: 10.6, end: 13.2 }
+      ],
+      language: "en",
+      confidence: 0.9
+    },
+    "103": {
+      text: "I have a question about the task assignments. Can you clarify who's responsible for the UI components? I think there might be some overlap with what Alex is working on.",
+      segments: [
+        { text: "I have a question about the task assignments.", start: 0, end: 2.5 },
+        { text: "Can you clarify who's responsible for the UI components?", start: 2.7, end: 5.2 },
+        { text: "I think there might be some overlap with what Alex is working on.", start: 5.5, end: 8.0 }
+      ],
+      language: "en",
+      confidence: 0.94
+    },
+    "106": {
+      text: "I've made good progress on the dashboard component. All the charts are implemented and I'm now working on the filter functionality. Should be ready for review by tomorrow afternoon.",
+      segments: [
+        { text: "I've made good progress on the dashboard component.", start: 0, end: 2.8 },
+        { text: "All the charts are implemented and I'm now working on the filter functionality.", start: 3.0, end: 7.5 },
+        { text: "Should be ready for review by tomorrow afternoon.", start: 7.8, end: 10.5 }
+      ],
+      language: "en",
+      confidence: 0.91
+    },
+    "202": {
+      text: "Yes, I'm prepared for the presentation tomorrow. I've reviewed all the slides and practiced the key talking points. I have a couple of questions about the demo section though. Should we include the new feature that's still in beta? Also, do you want to handle the Q&A or should I?",
+      segments: [
+        { text: "Yes, I'm prepared for the presentation tomorrow.", start: 0, end: 3.2 },
+        { text: "I've reviewed all the slides and practiced the key talking points.", start: 3.5, end: 7.8 },
+        { text: "I have a couple of questions about the demo section though.", start: 8.0, end: 11.5 },
+        { text: "Should we include the new feature that's still in beta?", start: 11.8, end: 15.2 },
+        { text: "Also, do you want to handle the Q&A or should I?", start: 15.5, end: 19.0 }
+      ],
+      language: "en",
+      confidence: 0.89
+    },
+    "303": {
+      text: "I'm encountering some issues with the API integration. The endpoint returns an unexpected data format and I'm getting parsing errors. I've tried different approaches but nothing seems to work consistently. Could you check if the API documentation is up to date?",
+      segments: [
+        { text: "I'm encountering some issues with the API integration.", start: 0, end: 3.5 },
+        { text: "The endpoint returns an unexpected data format and I'm getting parsing errors.", start: 3.8, end: 8.2 },
+        { text: "I've tried different approaches but nothing seems to work consistently.", start: 8.5, end: 12.8 },
+        { text: "Could you check if the API documentation is up to date?", start: 13.0, end: 16.5 }
+      ],
+      language: "en",
+      confidence: 0.92
+    },
+    "305": {
+      text: "I found the solution to your API problem. The endpoint was recently updated and requires an additional authentication header. You need to include the project ID in the X-Project-Id header. I've updated the documentation to reflect this change. Let me know if you still have issues after making this change.",
+      segments: [
+        { text: "I found the solution to your API problem.", start: 0, end: 2.5 },
+        { text: "The endpoint was recently updated and requires an additional authentication header.", start: 2.8, end: 6.5 },
+        { text: "You need to include the project ID in the X-Project-Id header.", start: 6.8, end: 9.5 },
+        { text: "I've updated the documentation to reflect this change.", start: 9.8, end: 12.2 },
+        { text: "Let me know if you still have issues after making this change.", start: 12.5, end: 15.0 }
+      ],
+      language: "en",
+      confidence: 0.95
+    }
+  };
@@ -0,0 +1,185 @@
+/**
+ * nowPlaying.js
+ * Now-playing information and remote playback commands
+ *
+ * Describes the voice message being played (sender, conversation, duration) for the
+ * lock screen and other system media controls, and turns their play/pause/skip
+ * commands into playback actions. expo-av has no media session API of its own, so
+ * the platform integration plugs in through setNowPlayingAdapter() (see mediaControls.js).
+ */
+
+import * as playbackController from './playbackController';
+import * as autoplayQueue from './autoplayQueue';
+
+// Commands system media controls can send
+export const REMOTE_COMMANDS = {
+  PLAY: 'play',
+  PAUSE: 'pause',
+  TOGGLE_PLAY_PAUSE: 'togglePlayPause',
+  NEXT_TRACK: 'nextTrack',
+  SEEK: 'seek',
+  STOP: 'stop',
+};
+
+// Republish when the position drifts this far from where media controls would have it
+const POSITION_DRIFT_MS = 1000;
+
+let nowPlaying = null;
+let publishedAt = 0;
+let adapter = null;
+// Conversations that have been shown, so playback can still be described after their screen closes
+const catalog = new Map(); // conversationId -> { name, messages }
+
+const findMessage = (audioId) => {
+  for (const [conversationId, conversation] of catalog) {
+    const message = conversation.messages.find(item => item.id === audioId);
+    if (message) {
+      return { message, conversationId, conversationName: conversation.name };
+    }
+  }
+  return null;
+};
+
+const describe = (playback, queue) => {
+  const { currentAudioId } = playback;
+  if (!currentAudioId) return null;
+
+  const entry = findMessage(currentAudioId);
+  const message = entry ? entry.message : null;
+  const queued = queue.items[queue.index];
+
+  return {
+    audioId: currentAudioId,
+    senderName: message ? message.senderName : null,
+    conversationId: entry ? entry.conversationId : null,
+    conversationName: entry ? entry.conversationName : null,
+    durationMillis: playback.durationMillis || (message ? message.audioDuration * 1000 : 0),
+    positionMillis: playback.positionMillis,
+    isPlaying: playback.isPlaying,
+    rate: playback.rate,
+    canSkipNext: !!queued && queued.id === currentAudioId && queue.index < queue.items.length - 1,
+  };
+};
+
+// Where media controls think playback is, given what was last published
+const expectedPosition = (info) => (
+  info.isPlaying
+    ? info.positionMillis + (Date.now() - publishedAt) * info.rate
+    : info.positionMillis
+);
+
+// Whether media controls need the new info; they advance the position on their own while playing
+const hasChanged = (previous, next) => {
+  if (!previous || !next) return previous !== next;
+
+  return (
+    previous.audioId !== next.audioId ||
+    previous.senderName !== next.senderName ||
+    previous.conversationName !== next.conversationName ||
+    previous.durationMillis !== next.durationMillis ||
+    previous.isPlaying !== next.isPlaying ||
+    previous.rate !== next.rate ||
+    previous.canSkipNext !== next.canSkipNext ||
+    Math.abs(expectedPosition(previous) - next.positionMillis) > POSITION_DRIFT_MS
+  );
+};
+
+const publish = () => {
+  if (!adapter) return;
+
+  try {
+    if (nowPlaying) {
+      adapter.update(nowPlaying);
+    } else {
+      adapter.clear();
+    }
+  } catch (error) {
+    console.error('Error publishing now playing info:', error);
+  }
+};
+
+const refresh = () => {
+  const next = describe(playbackController.getPlaybackState(), autoplayQueue.getQueueState());
+  if (!hasChanged(nowPlaying, next)) return;
+
+  nowPlaying = next;
+  publishedAt = Date.now();
+  publish();
+};
+
+playbackController.subscribe(refresh);
+autoplayQueue.subscribe(refresh);
+
+/**
+ * What is playing right now, as last published to media controls
+ * @returns {Object|null} { audioId, senderName, conversationName, durationMillis, positionMillis, isPlaying, ... }
+ */
+export const getNowPlaying = () => nowPlaying;
+
+/**
+ * Remember a conversation's messages so playing one of them can be described
+ * @param {string} conversationId - ID of the conversation
+ * @param {string} conversationName - Name shown for the conversation
+ * @param {Array} messages - Messages of the conversation
+ */
+export const describeConversation = (conversationId, conversationName, messages) => {
+  catalog.set(conversationId, { name: conversationName, messages });
+  refresh();
+};
+
+/**
+ * Connect the platform's media session
+ * @param {Object} nextAdapter - { update(info), clear() }
+ * @returns {Function} Function that disconnects the adapter
+ */
+export const setNowPlayingAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+  publish();
+
+  return () => {
+    if (adapter === nextAdapter) {
+      adapter = null;
+    }
+  };
+};
+
+/**
+ * Carry out a command from system media controls
+ * @param {string} command - One of REMOTE_COMMANDS
+ * @param {Object} [options] - { positionMillis } for SEEK
+ * @returns {Promise<boolean>} False when the command isn't supported
+ */
+export const handleRemoteCommand = async (command, { positionMillis = 0 } = {}) => {
+  try {
+    switch (command) {
+      case REMOTE_COMMANDS.PLAY:
+        await playbackController.play();
+        return true;
+      case REMOTE_COMMANDS.PAUSE:
+        await playbackController.pause();
+        return true;
+      case REMOTE_COMMANDS.TOGGLE_PLAY_PAUSE:
+        if (playbackController.getPlaybackState().isPlaying) {
+          await playbackController.pause();
+        } else {
+          await playbackController.play();
+        }
+        return true;
+      case REMOTE_COMMANDS.NEXT_TRACK:
+        // Only the autoplay queue has a next message
+        await autoplayQueue.skipToNext();
+        return true;
+      case REMOTE_COMMANDS.SEEK:
+        await playbackController.seek(positionMillis);
+        return true;
+      case REMOTE_COMMANDS.STOP:
+        await autoplayQueue.stopQueue();
+        return true;
+      default:
+        return false;
+    }
+  } catch (error) {
+    console.error('Error handling remote command:', error);
+    throw error;
+  }
+};
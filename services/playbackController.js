@@ -0,0 +1,274 @@
+/**
+ * playbackController.js
+ * The one place voice messages are played from
+ *
+ * Only one message plays at a time: starting another unloads the current sound.
+ * Components follow along through subscribe() (usually via the useAudioPlayer hook).
+ * Playback doesn't belong to any screen, so it keeps going in the background.
+ */
+
+import { Audio } from 'expo-av';
+
+// How often position updates are pushed while playing
+const PROGRESS_UPDATE_INTERVAL_MS = 100;
+
+const initialState = {
+  currentAudioId: null,
+  audioUri: null,
+  isLoading: false,
+  isLoaded: false,
+  isPlaying: false,
+  positionMillis: 0,
+  durationMillis: 0,
+  rate: 1,
+  error: null,
+};
+
+let state = initialState;
+let sound = null;
+// Incremented on every load/stop so a slow load can tell it has been superseded
+let loadToken = 0;
+const listeners = new Set();
+const finishListeners = new Set();
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+  listeners.forEach(listener => listener(state));
+};
+
+// Forward status updates of the loaded sound into the shared state
+// Updates are tied to the load that registered them; a sound that has since been replaced
+// or stopped is ignored
+const handleStatusUpdate = (audioId, token) => (status) => {
+  if (token !== loadToken) return;
+
+  if (!status.isLoaded) {
+    if (status.error) {
+      console.error('Audio playback error:', status.error);
+      setState({ isPlaying: false, error: status.error });
+    }
+    return;
+  }
+
+  if (status.didJustFinish) {
+    // Rewind so the next play starts from the beginning, unless another message has been loaded meanwhile
+    const finished = sound;
+    setState({ isPlaying: false, positionMillis: 0 });
+    if (finished) {
+      finished.pauseAsync()
+        .then(() => (token === loadToken ? finished.setPositionAsync(0) : null))
+        .catch(error => console.error('Error rewinding audio:', error));
+    }
+    finishListeners.forEach(listener => listener(audioId));
+    return;
+  }
+
+  setState({
+    isPlaying: status.isPlaying,
+    positionMillis: status.positionMillis,
+    durationMillis: status.durationMillis || state.durationMillis,
+  });
+};
+
+const unloadSound = async () => {
+  const current = sound;
+  sound = null;
+  if (!current) return;
+
+  try {
+    current.setOnPlaybackStatusUpdate(null);
+    await current.unloadAsync();
+  } catch (error) {
+    console.error('Error unloading audio:', error);
+  }
+};
+
+/**
+ * Current playback state: currentAudioId, isPlaying, positionMillis, durationMillis, rate, ...
+ */
+export const getPlaybackState = () => state;
+
+/**
+ * Listen for playback state changes
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Listen for messages playing to the end
+ * @param {Function} listener - Called with the ID of the finished audio
+ * @returns {Function} Unsubscribe function
+ */
+export const onPlaybackFinished = (listener) => {
+  finishListeners.add(listener);
+  return () => {
+    finishListeners.delete(listener);
+  };
+};
+
+/**
+ * Load a message, stopping whatever was loaded before
+ * Loading the message that is already loaded only applies the options
+ * @param {string} audioUri - URI of the audio file
+ * @param {string} audioId - ID of the message
+ * @param {Object} [options] - { positionMillis, shouldPlay }
+ * @returns {Promise<void>}
+ */
+export const load = async (audioUri, audioId, { positionMillis = null, shouldPlay = false } = {}) => {
+  if (sound && state.currentAudioId === audioId) {
+    if (positionMillis !== null) await seek(positionMillis);
+    if (shouldPlay) await play();
+    return;
+  }
+
+  const token = ++loadToken;
+  await unloadSound();
+  setState({ ...initialState, rate: state.rate, currentAudioId: audioId, audioUri, isLoading: true });
+
+  try {
+    // The recorder leaves iOS in record mode, which routes playback to the earpiece
+    // Playback carries on when the app is backgrounded or the screen is locked
+    await Audio.setAudioModeAsync({
+      allowsRecordingIOS: false,
+      playsInSilentModeIOS: true,
+      shouldDuckAndroid: true,
+      playThroughEarpieceAndroid: false,
+      staysActiveInBackground: true,
+    });
+
+    const { sound: newSound, status } = await Audio.Sound.createAsync(
+      { uri: audioUri },
+      {
+        shouldPlay,
+        positionMillis: positionMillis || 0,
+        rate: state.rate,
+        shouldCorrectPitch: true,
+        pitchCorrectionQuality: Audio.PitchCorrectionQuality.High,
+        progressUpdateIntervalMillis: PROGRESS_UPDATE_INTERVAL_MS,
+      },
+      handleStatusUpdate(audioId, token)
+    );
+
+    // Another message was loaded (or playback stopped) while this one was loading
+    if (token !== loadToken) {
+      newSound.setOnPlaybackStatusUpdate(null);
+      await newSound.unloadAsync();
+      return;
+    }
+
+    sound = newSound;
+    setState({
+      isLoading: false,
+      isLoaded: true,
+      isPlaying: shouldPlay,
+      positionMillis: positionMillis || 0,
+      durationMillis: status.isLoaded ? status.durationMillis || 0 : 0,
+    });
+  } catch (error) {
+    console.error('Error loading audio:', error);
+    if (token === loadToken) {
+      setState({ isLoading: false, error: error.message || 'Failed to load audio' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Play the loaded message, or load and play another one
+ * @param {string} [audioUri] - URI of the audio file (omit to resume the loaded message)
+ * @param {string} [audioId] - ID of the message
+ * @param {Object} [options] - { positionMillis }
+ * @returns {Promise<void>}
+ */
+export const play = async (audioUri, audioId, { positionMillis = null } = {}) => {
+  if (audioId && audioId !== state.currentAudioId) {
+    await load(audioUri, audioId, { positionMillis, shouldPlay: true });
+    return;
+  }
+  if (!sound) return;
+
+  if (positionMillis !== null) await seek(positionMillis);
+  await sound.playAsync();
+  setState({ isPlaying: true, error: null });
+};
+
+/**
+ * Pause playback, keeping the message loaded
+ * @returns {Promise<void>}
+ */
+export const pause = async () => {
+  if (!sound) return;
+
+  await sound.pauseAsync();
+  setState({ isPlaying: false });
+};
+
+/**
+ * Play or pause a message
+ * A message that isn't loaded yet starts at startPositionMillis; a paused one resumes where it was
+ * @param {string} audioUri - URI of the audio file
+ * @param {string} audioId - ID of the message
+ * @param {number} startPositionMillis - Where to start a newly loaded message
+ * @returns {Promise<void>}
+ */
+export const toggle = async (audioUri, audioId, startPositionMillis = 0) => {
+  if (sound && state.currentAudioId === audioId) {
+    if (state.isPlaying) {
+      await pause();
+    } else {
+      await play();
+    }
+    return;
+  }
+
+  await load(audioUri, audioId, { positionMillis: startPositionMillis, shouldPlay: true });
+};
+
+/**
+ * Move the playback position of the loaded message
+ * @param {number} positionMillis - New position
+ * @returns {Promise<void>}
+ */
+export const seek = async (positionMillis) => {
+  if (!sound) return;
+
+  const position = Math.max(0, state.durationMillis > 0
+    ? Math.min(positionMillis, state.durationMillis)
+    : positionMillis);
+  await sound.setPositionAsync(position);
+  setState({ positionMillis: position });
+};
+
+/**
+ * Change the playback speed; applies to the loaded message and the ones after it
+ * Pitch is corrected so sped-up voices don't sound chipmunked.
+ * @param {number} rate - Speed multiplier (1 is normal speed)
+ * @returns {Promise<void>}
+ */
+export const setRate = async (rate) => {
+  if (rate === state.rate) return;
+
+  setState({ rate });
+  if (sound) {
+    await sound.setRateAsync(rate, true, Audio.PitchCorrectionQuality.High);
+  }
+};
+
+/**
+ * Stop playback and unload the message
+ * @param {string} [audioId] - Only stop if this message is the loaded one (omit to stop anything)
+ * @returns {Promise<void>}
+ */
+export const stop = async (audioId = null) => {
+  if (audioId && audioId !== state.currentAudioId) return;
+
+  loadToken += 1;
+  await unloadSound();
+  setState({ ...initialState, rate: state.rate });
+};
@@ -0,0 +1,104 @@
+/**
+ * searchIndex.js
+ * Query building and result shaping for the full-text search_index table
+ */
+
+// Markers wrapped around matched terms in result snippets
+export const SNIPPET_MATCH_START = '\u0002';
+export const SNIPPET_MATCH_END = '\u0003';
+
+// ASCII punctuation, which the FTS tokenizer treats as separators and some of
+// which has a meaning in query syntax (quotes, *, ^, parentheses, -)
+const QUERY_SYNTAX_PATTERN = /[!-/:-@[-`{-~]/g;
+
+/**
+ * Turn user input into an FTS MATCH expression
+ * Every word must appear, matched as a prefix so results update while typing.
+ * @param {string} text - Search text as typed
+ * @returns {string|null} MATCH expression, or null if there is nothing to search for
+ */
+export const buildMatchQuery = (text) => {
+  const terms = (text || '')
+    .toLowerCase()
+    .replace(QUERY_SYNTAX_PATTERN, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (terms.length === 0) return null;
+
+  // Lower-case words are never treated as AND/OR/NOT/NEAR operators
+  return terms.map(term => `${term}*`).join(' ');
+};
+
+/**
+ * Convert a search row into a search result
+ * @param {Object} row - Row joined from search_index, messages, conversations and transcript_segments
+ * @returns {Object} Search result
+ */
+export const searchResultFromRow = (row) => ({
+  kind: row.kind,
+  messageId: row.message_id,
+  messageType: row.message_type,
+  conversationId: row.conversation_id,
+  participantName: row.participant_name,
+  participantAvatar: row.participant_avatar,
+  senderName: row.sender_name,
+  timestamp: row.timestamp,
+  snippet: row.snippet,
+  segmentPosition: row.segment_position ?? null,
+  segmentStart: row.segment_start ?? null,
+});
+
+/**
+ * Split a snippet into plain and matched parts for rendering
+ * @param {string} snippet - Snippet containing match markers
+ * @returns {Array} Parts as { text, isMatch }
+ */
+export const splitSnippet = (snippet) => {
+  const parts = [];
+  let rest = snippet || '';
+
+  while (rest.length > 0) {
+    const start = rest.indexOf(SNIPPET_MATCH_START);
+    if (start === -1) {
+      parts.push({ text: rest, isMatch: false });
+      break;
+    }
+
+    if (start > 0) {
+      parts.push({ text: rest.slice(0, start), isMatch: false });
+    }
+
+    const end = rest.indexOf(SNIPPET_MATCH_END, start);
+    const matchEnd = end === -1 ? rest.length : end;
+    parts.push({ text: rest.slice(start + 1, matchEnd), isMatch: true });
+    rest = rest.slice(matchEnd + 1);
+  }
+
+  return parts;
+};
+
+/**
+ * Group search results by conversation, keeping the order of first appearance
+ * @param {Array} results - Search results, most relevant first
+ * @returns {Array} Groups as { conversationId, participantName, participantAvatar, results }
+ */
+export const groupResultsByConversation = (results) => {
+  const groups = [];
+  const groupsById = {};
+
+  results.forEach(result => {
+    if (!groupsById[result.conversationId]) {
+      groupsById[result.conversationId] = {
+        conversationId: result.conversationId,
+        participantName: result.participantName,
+        participantAvatar: result.participantAvatar,
+        results: [],
+      };
+      groups.push(groupsById[result.conversationId]);
+    }
+    groupsById[result.conversationId].results.push(result);
+  });
+
+  return groups;
+};
@@ -0,0 +1,64 @@
+import SQLite from 'react-native-sqlite-storage';
+import { runMigrations } from './migrations';
+
+// Use the promise based API instead of success/error callbacks
+SQLite.enablePromise(true);
+
+const DATABASE_NAME = 'wavechat.db';
+
+// Shared connection, opened lazily on first use
+let databasePromise = null;
+
+/**
+ * Open the app database and bring its schema up to date
+ * Every caller shares the same connection
+ * @returns {Promise<Object>} SQLite database handle
+ */
+export const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = (async () => {
+      const db = await SQLite.openDatabase({ name: DATABASE_NAME, location: 'default' });
+      await db.executeSql('PRAGMA foreign_keys = ON');
+      await runMigrations(db);
+      return db;
+    })().catch(error => {
+      // Allow the next call to retry instead of caching the failure
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Convert a SQLite result set into an array of plain row objects
+ * @param {Object} resultSet - Result returned by executeSql
+ * @returns {Array} Rows of the result set
+ */
+export const resultRows = (resultSet) => {
+  const rows = [];
+  for (let i = 0; i < resultSet.rows.length; i++) {
+    rows.push(resultSet.rows.item(i));
+  }
+  return rows;
+};
+
+/**
+ * Run a SELECT statement and return its rows
+ * @param {Object} db - SQLite database handle
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array>} Result rows
+ */
+export const selectRows = async (db, sql, params = []) => {
+  const [resultSet] = await db.executeSql(sql, params);
+  return resultRows(resultSet);
+};
+
+/**
+ * Build a "?, ?, ?" placeholder list for an IN clause
+ * @param {number} count - Number of placeholders
+ * @returns {string} Placeholder list
+ */
+export const placeholders = (count) => new Array(count).fill('?').join(', ');
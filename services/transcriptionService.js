@@ -0,0 +1,196 @@
+/**
+ * transcriptionService.js
+ * Speech-to-text providers behind a single transcribe(uri, options) call
+ *
+ * A provider is an object with a `name` and an async `transcribe(audioUri, options)`
+ * that resolves to { text, segments, language, confidence }, where each segment is
+ * { text, start, end } in seconds.
+ *
+ * Without a configured provider nothing is transcribed: transcribe() resolves null and
+ * messages are shown as having no transcript available. Development builds fall back to the
+ * fixture provider, which only knows the sample messages.
+ */
+import { Platform } from 'react-native';
+import { dummyTranscripts } from './mockData';
+
+// Settings for a Whisper-compatible server, read from the Expo environment
+// EXPO_PUBLIC_ values are inlined into the app bundle and readable by anyone who has the app,
+// so no credentials are read here: point the URL at a backend that authenticates the app's
+// users and adds the speech-to-text API key itself
+const TRANSCRIPTION_URL = process.env.EXPO_PUBLIC_TRANSCRIPTION_URL;
+const TRANSCRIPTION_MODEL = process.env.EXPO_PUBLIC_TRANSCRIPTION_MODEL;
+
+const DEFAULT_HTTP_TIMEOUT_MS = 60000;
+
+/**
+ * Bring a provider result into the shape the app stores
+ * @param {Object} result - Raw provider result
+ * @returns {Object} Transcript with text, segments, language and confidence
+ */
+export const normalizeTranscript = (result = {}) => {
+  const segments = (result.segments || [])
+    .map(segment => ({
+      text: (segment.text || '').trim(),
+      start: Number(segment.start) || 0,
+      end: Number(segment.end) || 0,
+    }))
+    .filter(segment => segment.text.length > 0);
+
+  return {
+    text: (result.text || segments.map(segment => segment.text).join(' ')).trim(),
+    segments,
+    language: result.language || null,
+    confidence: typeof result.confidence === 'number' ? result.confidence : null,
+  };
+};
+
+/**
+ * Provider name stored with sample transcripts, which aren't what was actually said
+ */
+export const FIXTURE_PROVIDER = 'fixture';
+
+/**
+ * Create a provider that answers from canned transcripts, for the seeded sample messages
+ * It is the default in development builds without a transcription server
+ * Transcripts are looked up by options.messageId, then by the audio file name;
+ * any other audio has no transcript (null), so sample text is never stored for real recordings
+ * @param {Object} fixtures - Transcripts keyed by message ID or file name
+ * @returns {Object} Transcription provider
+ */
+export const createFixtureTranscriptionProvider = (fixtures = dummyTranscripts) => ({
+  name: FIXTURE_PROVIDER,
+  transcribe: async (audioUri, options = {}) => {
+    const fileName = audioUri ? audioUri.split('/').pop() : null;
+    const fixture = fixtures[options.messageId] || fixtures[fileName];
+    return fixture ? normalizeTranscript(fixture) : null;
+  },
+});
+
+// Whisper reports a log probability per segment; average them into a 0-1 confidence
+const confidenceFromSegments = (segments) => {
+  const logProbs = segments
+    .map(segment => segment.avg_logprob)
+    .filter(value => typeof value === 'number');
+
+  if (logProbs.length === 0) return null;
+  return logProbs.reduce((sum, value) => sum + Math.exp(value), 0) / logProbs.length;
+};
+
+// Build the multipart file part for an audio URI
+const audioFilePart = async (audioUri) => {
+  const name = audioUri.split('/').pop() || 'audio.m4a';
+
+  // The web FormData needs a real Blob rather than a { uri } descriptor
+  if (Platform.OS === 'web') {
+    const response = await fetch(audioUri);
+    return [await response.blob(), name];
+  }
+
+  return [{ uri: audioUri, name, type: name.endsWith('.wav') ? 'audio/wav' : 'audio/m4a' }];
+};
+
+/**
+ * Create a provider that posts audio to a Whisper-compatible HTTP endpoint
+ * (the OpenAI /v1/audio/transcriptions API, faster-whisper-server, whisper.cpp server, ...)
+ * @param {Object} config - Provider settings
+ * @param {string} config.endpoint - Full URL of the transcription endpoint (a backend holding the API key)
+ * @param {string} config.model - Model name sent with each request
+ * @param {number} config.timeoutMs - Request timeout in milliseconds
+ * @returns {Object} Transcription provider
+ */
+export const createHttpTranscriptionProvider = ({
+  endpoint,
+  model = 'whisper-1',
+  timeoutMs = DEFAULT_HTTP_TIMEOUT_MS,
+}) => ({
+  name: 'http',
+  transcribe: async (audioUri, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', ...(await audioFilePart(audioUri)));
+    formData.append('model', options.model || model);
+    formData.append('response_format', 'verbose_json');
+    if (options.language) {
+      formData.append('language', options.language);
+    }
+    if (options.prompt) {
+      formData.append('prompt', options.prompt);
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        body: formData,
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Transcription request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+      const segments = data.segments || [];
+
+      return normalizeTranscript({
+        text: data.text,
+        segments,
+        language: data.language,
+        confidence: confidenceFromSegments(segments),
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+  },
+});
+
+// Use the HTTP provider when a server is configured; development builds without one answer
+// for the sample messages from fixtures, and release builds without one transcribe nothing
+const defaultProvider = () => {
+  if (TRANSCRIPTION_URL) {
+    return createHttpTranscriptionProvider({
+      endpoint: TRANSCRIPTION_URL,
+      model: TRANSCRIPTION_MODEL || undefined,
+    });
+  }
+  return __DEV__ ? createFixtureTranscriptionProvider() : null;
+};
+
+let activeProvider = defaultProvider();
+
+/**
+ * Replace the provider used by transcribe
+ * @param {Object|null} provider - Transcription provider, or null to turn transcription off
+ */
+export const setTranscriptionProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Get the provider used by transcribe
+ * @returns {Object|null} Transcription provider, or null when none is configured
+ */
+export const getTranscriptionProvider = () => activeProvider;
+
+/**
+ * Whether a transcription provider is configured
+ * @returns {boolean}
+ */
+export const isTranscriptionAvailable = () => !!activeProvider;
+
+/**
+ * Transcribe an audio file with the active provider
+ * @param {string} audioUri - URI of the audio file
+ * @param {Object} options - Provider options (messageId, language, prompt, model)
+ * @returns {Promise<Object|null>} Transcript with text, segments, language and confidence,
+ *   or null when no provider is configured or it has no transcript for the audio
+ */
+export const transcribe = async (audioUri, options = {}) => {
+  if (!activeProvider) return null;
+
+  const result = await activeProvider.transcribe(audioUri, options);
+  if (!result) return null;
+
+  return { ...normalizeTranscript(result), provider: activeProvider.name };
+};
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import * as FileSystem from 'expo-file-system';
+import {
+  MAX_ANALYZED_FILE_BYTES,
+  analyzeAac,
+  analyzeAudioFile,
+  base64ToBytes,
+  bytesToBase64,
+  decodeAacFrames,
+  meteringToAmplitude,
+  readAacStream,
+  resampleWaveform,
+} from '../audioAnalysis';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+
+// Three seconds of 44.1 kHz audio: silence, a 440 Hz tone with a peak of 0.5, silence.
+// tone.m4a is mono AAC-LC in an MP4 container; tone.aac is an ADTS stream with the tone at
+// half the level in its right channel, coded mid/side.
+const readFixture = name => new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+
+const TONE_BUCKETS = [12, 13, 14, 15, 16, 17];
+const SILENT_BUCKETS = [1, 2, 3, 4, 5, 6, 7, 8, 23, 24, 25, 26, 27, 28];
+
+describe('base64', () => {
+  it('encodes like the platform encoder across chunk boundaries', () => {
+    [0, 1, 2, 3, 12287, 12288, 12290, 40000].forEach(length => {
+      const bytes = Uint8Array.from({ length }, (_, i) => (i * 31 + 7) % 256);
+      expect(bytesToBase64(bytes)).toBe(Buffer.from(bytes).toString('base64'));
+    });
+  });
+
+  it('decodes what it encodes', () => {
+    const bytes = Uint8Array.from({ length: 5000 }, (_, i) => (i * 13) % 256);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+});
+
+describe('readAacStream', () => {
+  it('reads the stream settings and frames of MP4 and ADTS files', () => {
+    const mp4 = readAacStream(readFixture('tone.m4a'));
+    const adts = readAacStream(readFixture('tone.aac'));
+
+    expect(mp4).toMatchObject({ objectType: 2, frequencyIndex: 4, channelConfiguration: 1, sampleRate: 44100 });
+    expect(adts).toMatchObject({ objectType: 2, frequencyIndex: 4, channelConfiguration: 2, sampleRate: 44100 });
+    expect(mp4.duration).toBeCloseTo(3, 1);
+    expect(adts.duration).toBeCloseTo(3, 1);
+    expect(mp4.frames.length).toBe(adts.frames.length);
+  });
+
+  it('returns null for other files', () => {
+    expect(readAacStream(new Uint8Array(64))).toBeNull();
+  });
+});
+
+describe('analyzeAac', () => {
+  const options = { bucketsPerSecond: 10, normalize: false };
+
+  it.each([['tone.m4a'], ['tone.aac']])('measures the decoded levels of %s', async (name) => {
+    const analysis = await analyzeAac(readFixture(name), options);
+
+    expect(analysis.sampleRate).toBe(44100);
+    expect(analysis.rms).toHaveLength(30);
+    TONE_BUCKETS.forEach(bucket => {
+      expect(analysis.peak[bucket]).toBeCloseTo(0.5, 1);
+      expect(analysis.rms[bucket]).toBeCloseTo(0.5 / Math.SQRT2, 1);
+    });
+    SILENT_BUCKETS.forEach(bucket => {
+      expect(analysis.peak[bucket]).toBeLessThan(0.01);
+    });
+  });
+
+  it('normalizes to the loudest bucket', async () => {
+    const analysis = await analyzeAac(readFixture('tone.m4a'), { bucketCount: 3 });
+
+    expect(analysis.peak[1]).toBe(1);
+    expect(analysis.rms[1]).toBe(1);
+    expect(analysis.rms[0]).toBeLessThan(0.1);
+  });
+
+  it('rejects files without AAC frames', async () => {
+    await expect(analyzeAac(new Uint8Array(64))).rejects.toThrow('no audio frames');
+  });
+});
+
+describe('decodeAacFrames', () => {
+  it('decodes the channels of every frame', async () => {
+    const bytes = readFixture('tone.aac');
+    const stream = readAacStream(bytes);
+    let left = 0;
+    let right = 0;
+
+    await decodeAacFrames(bytes, stream, (channels) => {
+      expect(channels).toHaveLength(2);
+      channels[0].forEach(sample => { left = Math.max(left, Math.abs(sample)); });
+      channels[1].forEach(sample => { right = Math.max(right, Math.abs(sample)); });
+    });
+
+    expect(left).toBeCloseTo(0.5, 1);
+    expect(right).toBeCloseTo(0.25, 1);
+  });
+
+  it('passes damaged frames on as silence', async () => {
+    const bytes = readFixture('tone.m4a');
+    const stream = readAacStream(bytes);
+    stream.frames[60] = { ...stream.frames[60], size: 1 };
+    const peaks = [];
+
+    await decodeAacFrames(bytes, stream, (channels, index) => {
+      peaks[index] = channels[0].reduce((peak, sample) => Math.max(peak, Math.abs(sample)), 0);
+    });
+
+    expect(peaks).toHaveLength(stream.frames.length);
+    expect(peaks[60]).toBe(0);
+    expect(peaks[59]).toBeGreaterThan(0.4);
+  });
+});
+
+describe('analyzeAudioFile', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  it('reads and decodes AAC files', async () => {
+    const bytes = readFixture('tone.m4a');
+    FileSystem.getInfoAsync.mockResolvedValue({ exists: true, size: bytes.length });
+    FileSystem.readAsStringAsync.mockResolvedValue(bytesToBase64(bytes));
+
+    const analysis = await analyzeAudioFile('file:///tone.m4a', { bucketCount: 3 });
+
+    expect(analysis.peak[1]).toBe(1);
+  });
+
+  it('refuses files too big to hold in memory without reading them', async () => {
+    FileSystem.getInfoAsync.mockResolvedValue({ exists: true, size: MAX_ANALYZED_FILE_BYTES + 1 });
+
+    await expect(analyzeAudioFile('file:///long.m4a')).rejects.toThrow('too large');
+    expect(FileSystem.readAsStringAsync).not.toHaveBeenCalled();
+  });
+});
+
+describe('meteringToAmplitude', () => {
+  it('maps recorder levels between the floor and full scale onto 0 to 1', () => {
+    expect([-90, -60, -45, 0, 3].map(level => meteringToAmplitude(level))).toEqual([0, 0, 0.25, 1, 1]);
+    expect(meteringToAmplitude(-20, -40)).toBe(0.5);
+  });
+
+  it('treats missing readings as silence', () => {
+    expect(meteringToAmplitude(undefined)).toBe(0);
+    expect(meteringToAmplitude(NaN)).toBe(0);
+  });
+});
+
+describe('resampleWaveform', () => {
+  it('averages levels into buckets', () => {
+    expect(resampleWaveform([0, 1, 0.5, 0.5, 0.2, 0.4], 3)).toEqual([0.5, 0.5, expect.closeTo(0.3)]);
+  });
+
+  it('stretches short recordings by repeating levels', () => {
+    expect(resampleWaveform([0.2, 0.8], 4)).toEqual([0.2, 0.2, 0.8, 0.8]);
+    expect(resampleWaveform([], 4)).toEqual([]);
+  });
+});
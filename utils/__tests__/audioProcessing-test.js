@@ -0,0 +1,342 @@
+import fs from 'fs';
+import path from 'path';
+import * as FileSystem from 'expo-file-system';
+import { AAC_GAIN_STEP_DB } from '../aacDecoder';
+import {
+  MAX_ANALYZED_FILE_BYTES,
+  base64ToBytes,
+  bytesToBase64,
+  decodeAacFrames,
+  decodeWav,
+  readAacStream,
+} from '../audioAnalysis';
+import {
+  MAX_EDITABLE_DURATION,
+  encodeAdts,
+  encodeM4a,
+  encodeWav,
+  isEditableAudio,
+  measureLoudness,
+  processAudioBuffer,
+  processAudioFile,
+  repairWavFile,
+  trimAacFile,
+} from '../audioProcessing';
+
+jest.mock('expo-file-system', () => jest.requireActual('../../__mocks__/expo-file-system'));
+
+// Three seconds of 44.1 kHz audio with a 440 Hz tone (peak 0.5) from one to two seconds
+// (see audioAnalysis-test)
+const readFixture = name => new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+
+const SAMPLE_RATE = 16000;
+
+// A sine wave with the given peak between two times, silence elsewhere
+const tone = (duration, parts, frequency = 1000) => {
+  const samples = new Float32Array(Math.round(duration * SAMPLE_RATE));
+  parts.forEach(({ start, end, amplitude }) => {
+    for (let i = Math.round(start * SAMPLE_RATE); i < Math.round(end * SAMPLE_RATE); i++) {
+      samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+    }
+  });
+  return samples;
+};
+
+const peakOf = (channels) => channels.reduce(
+  (peak, samples) => samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), peak),
+  0
+);
+
+// Serve a file's contents to readAudioBytes
+const mockFile = (bytes) => {
+  FileSystem.getInfoAsync.mockResolvedValue({ exists: true, size: bytes.length });
+  FileSystem.readAsStringAsync.mockResolvedValue(bytesToBase64(bytes));
+};
+
+// What the last call to writeAsStringAsync wrote
+const writtenBytes = () => {
+  const calls = FileSystem.writeAsStringAsync.mock.calls;
+  return base64ToBytes(calls[calls.length - 1][1]);
+};
+
+// Raw AAC frames with recognisable contents, laid out back to back
+const createFrames = (sizes) => {
+  const bytes = new Uint8Array(sizes.reduce((sum, size) => sum + size, 0));
+  const frames = [];
+  let offset = 0;
+  sizes.forEach((size, index) => {
+    bytes.fill(index + 1, offset, offset + size);
+    frames.push({ offset, size });
+    offset += size;
+  });
+  return { bytes, frames };
+};
+
+describe('encodeAdts', () => {
+  it('writes frames that read back with the same stream settings', () => {
+    const { bytes, frames } = createFrames([10, 300, 2100]);
+    const stream = { objectType: 2, frequencyIndex: 4, channelConfiguration: 1, frames };
+
+    const adts = encodeAdts(bytes, stream);
+    const read = readAacStream(adts);
+
+    expect(read).toMatchObject({ objectType: 2, frequencyIndex: 4, channelConfiguration: 1, sampleRate: 44100 });
+    expect(read.frames.map(frame => frame.size)).toEqual([10, 300, 2100]);
+    read.frames.forEach((frame, index) => {
+      expect(adts.subarray(frame.offset, frame.offset + frame.size).every(byte => byte === index + 1)).toBe(true);
+    });
+  });
+
+  it('starts every frame with an MPEG-4 ADTS header without CRC', () => {
+    const { bytes, frames } = createFrames([25]);
+    const adts = encodeAdts(bytes, { objectType: 2, frequencyIndex: 4, channelConfiguration: 2, frames });
+
+    expect(Array.from(adts.subarray(0, 7))).toEqual([0xFF, 0xF1, 0x50, 0x80, 0x04, 0x1F, 0xFC]);
+  });
+});
+
+describe('isEditableAudio', () => {
+  it('only edits WAV recordings short enough to decode', () => {
+    expect(isEditableAudio('file:///recording.wav', 30)).toBe(true);
+    expect(isEditableAudio('file:///recording.wav')).toBe(true);
+    expect(isEditableAudio('file:///recording.wav', MAX_EDITABLE_DURATION + 1)).toBe(false);
+    expect(isEditableAudio('file:///recording.m4a', 30)).toBe(false);
+  });
+});
+
+describe('encodeM4a', () => {
+  it('rewraps frames so they read back with the same stream settings', () => {
+    const bytes = readFixture('tone.aac');
+    const stream = readAacStream(bytes);
+
+    const m4a = encodeM4a(bytes, stream);
+    const read = readAacStream(m4a);
+
+    expect(read).toMatchObject({ objectType: 2, frequencyIndex: 4, channelConfiguration: 2, sampleRate: 44100 });
+    expect(read.duration).toBeCloseTo((stream.frames.length * 1024) / 44100, 3);
+    expect(read.frames).toHaveLength(stream.frames.length);
+    read.frames.forEach((frame, index) => {
+      const original = stream.frames[index];
+      expect(m4a.subarray(frame.offset, frame.offset + frame.size))
+        .toEqual(bytes.subarray(original.offset, original.offset + original.size));
+    });
+  });
+});
+
+describe('measureLoudness', () => {
+  it('measures a full-band sine at its K-weighted level', () => {
+    // A 1 kHz sine 20 dB below full scale reads -23 LUFS in one channel and 3 LU more in two
+    const samples = tone(2, [{ start: 0, end: 2, amplitude: 0.1 }]);
+
+    expect(measureLoudness([samples], SAMPLE_RATE)).toBeCloseTo(-23, 1);
+    expect(measureLoudness([samples, samples], SAMPLE_RATE)).toBeCloseTo(-20, 1);
+  });
+
+  it('leaves quiet passages and silence out of the measurement', () => {
+    const speech = { start: 0, end: 2, amplitude: 0.1 };
+    const alone = tone(6, [speech]);
+    const withQuietPassage = tone(6, [speech, { start: 2, end: 4, amplitude: 0.001 }]);
+
+    expect(measureLoudness([withQuietPassage], SAMPLE_RATE)).toBeCloseTo(measureLoudness([alone], SAMPLE_RATE), 2);
+    expect(measureLoudness([alone], SAMPLE_RATE)).toBeCloseTo(-23, 0);
+  });
+
+  it('measures recordings shorter than a gating block as one block', () => {
+    expect(measureLoudness([tone(0.2, [{ start: 0, end: 0.2, amplitude: 0.1 }])], SAMPLE_RATE)).toBeCloseTo(-23, 0);
+  });
+
+  it('reports silence as -Infinity', () => {
+    expect(measureLoudness([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE)).toBe(-Infinity);
+    expect(measureLoudness([tone(1, [{ start: 0, end: 1, amplitude: 0.0001 }])], SAMPLE_RATE)).toBe(-Infinity);
+    expect(measureLoudness([], SAMPLE_RATE)).toBe(-Infinity);
+  });
+});
+
+describe('processAudioBuffer', () => {
+  const withoutGain = { normalizeLoudness: false };
+
+  it('trims silence to the padding around the speech', () => {
+    const samples = tone(4, [{ start: 1, end: 2.5, amplitude: 0.3 }]);
+
+    const { channels, duration, report } = processAudioBuffer([samples], SAMPLE_RATE, withoutGain);
+
+    expect(report.trimmedStart).toBeCloseTo(0.85, 1);
+    expect(report.trimmedEnd).toBeCloseTo(1.35, 1);
+    expect(duration).toBeCloseTo(1.8, 1);
+    expect(channels[0]).toHaveLength(Math.round(duration * SAMPLE_RATE));
+    expect(report.removedTime).toBeCloseTo(report.trimmedStart + report.trimmedEnd, 5);
+  });
+
+  it('keeps the whole recording when it finds no speech', () => {
+    const { duration, report } = processAudioBuffer([new Float32Array(2 * SAMPLE_RATE)], SAMPLE_RATE);
+
+    expect(duration).toBe(2);
+    expect(report).toMatchObject({ trimmedStart: 0, trimmedEnd: 0, removedTime: 0, gainDb: 0 });
+  });
+
+  it('cuts long pauses down to the longest allowed pause', () => {
+    const samples = tone(8, [{ start: 1, end: 2.5, amplitude: 0.3 }, { start: 5.5, end: 7, amplitude: 0.3 }]);
+
+    const kept = processAudioBuffer([samples], SAMPLE_RATE, withoutGain);
+    const shortened = processAudioBuffer([samples], SAMPLE_RATE, { ...withoutGain, shortenPauses: true });
+
+    expect(kept.duration - shortened.duration).toBeCloseTo(2, 1);
+  });
+
+  it('brings the loudness to the target', () => {
+    const samples = tone(3, [{ start: 0.5, end: 2.5, amplitude: 0.1 }]);
+
+    const { channels, report } = processAudioBuffer([samples], SAMPLE_RATE, { targetLufs: -20 });
+
+    expect(report.inputLufs).toBeCloseTo(-23, 0);
+    expect(report.gainDb).toBeCloseTo(-20 - report.inputLufs, 5);
+    expect(measureLoudness(channels, SAMPLE_RATE)).toBeCloseTo(-20, 1);
+  });
+
+  it('limits the gain by the peak ceiling and the largest boost', () => {
+    const loud = processAudioBuffer([tone(3, [{ start: 0.5, end: 2.5, amplitude: 0.5 }])], SAMPLE_RATE, {
+      targetLufs: 0,
+    });
+    expect(peakOf(loud.channels)).toBeCloseTo(Math.pow(10, -1 / 20), 3);
+
+    const quiet = processAudioBuffer([tone(3, [{ start: 0.5, end: 2.5, amplitude: 0.001 }])], SAMPLE_RATE, {
+      maxGainDb: 6,
+    });
+    expect(quiet.report.gainDb).toBe(6);
+  });
+});
+
+describe('processAudioFile', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const decodePeak = async (bytes) => {
+    let peak = 0;
+    await decodeAacFrames(bytes, readAacStream(bytes), channels => {
+      peak = Math.max(peak, peakOf(channels));
+    });
+    return peak;
+  };
+
+  it('trims and normalizes M4A recordings without re-encoding them', async () => {
+    mockFile(readFixture('tone.m4a'));
+
+    const result = await processAudioFile('file:///voice.m4a', 'file:///voice.m4a', { targetLufs: 0 });
+    const output = writtenBytes();
+    const stream = readAacStream(output);
+
+    expect(FileSystem.writeAsStringAsync.mock.calls[0][0]).toBe('file:///voice.m4a');
+    expect(stream).toMatchObject({ objectType: 2, channelConfiguration: 1, sampleRate: 44100 });
+    expect(result.uri).toBe('file:///voice.m4a');
+    expect(result.duration).toBeCloseTo((stream.frames.length * 1024) / 44100, 5);
+    expect(result.report.trimmedStart).toBeGreaterThan(0.7);
+    expect(result.report.trimmedEnd).toBeGreaterThan(0.7);
+    expect(result.duration).toBeLessThan(1.5);
+
+    // The gain is the most whole steps within the peak ceiling
+    expect(result.report.gainDb).toBeCloseTo(3 * AAC_GAIN_STEP_DB, 5);
+    expect(await decodePeak(output)).toBeCloseTo(0.5 * Math.pow(10, result.report.gainDb / 20), 1);
+    expect(await decodePeak(output)).toBeLessThan(Math.pow(10, -1 / 20));
+  });
+
+  it('writes ADTS recordings back as ADTS', async () => {
+    mockFile(readFixture('tone.aac'));
+
+    const result = await processAudioFile('file:///voice.aac', 'file:///voice.aac', { normalizeLoudness: false });
+    const stream = readAacStream(writtenBytes());
+
+    expect(stream).toMatchObject({ channelConfiguration: 2 });
+    expect(result.report.gainDb).toBe(0);
+    expect(result.duration).toBeLessThan(1.5);
+  });
+
+  it('rewrites WAV recordings as processed WAV', async () => {
+    mockFile(encodeWav([tone(3, [{ start: 1, end: 2, amplitude: 0.3 }])], SAMPLE_RATE));
+
+    const result = await processAudioFile('file:///voice.wav', 'file:///voice.wav');
+    const { sampleRate, channels } = decodeWav(writtenBytes());
+
+    expect(sampleRate).toBe(SAMPLE_RATE);
+    expect(channels[0].length / sampleRate).toBeCloseTo(result.duration, 3);
+    expect(result.duration).toBeCloseTo(1.3, 1);
+  });
+
+  it('leaves formats it can\'t process alone', async () => {
+    mockFile(Uint8Array.from({ length: 64 }, (_, i) => i));
+
+    await expect(processAudioFile('file:///voice.ogg', 'file:///voice.ogg')).resolves.toBeNull();
+    expect(FileSystem.writeAsStringAsync).not.toHaveBeenCalled();
+  });
+});
+
+describe('trimAacFile', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  it('copies the whole frames covering the range into an ADTS file', async () => {
+    const bytes = readFixture('tone.m4a');
+    const input = readAacStream(bytes);
+    mockFile(bytes);
+
+    const result = await trimAacFile('file:///voice.m4a', 'file:///clip.aac', 1, 2);
+    const output = writtenBytes();
+    const clip = readAacStream(output);
+
+    // Frames 43 to 86 hold the audio from 1 s to 2 s
+    const frameDuration = 1024 / 44100;
+    expect(result).toEqual({ uri: 'file:///clip.aac', duration: 44 * frameDuration });
+    expect(clip.frames).toHaveLength(44);
+    clip.frames.forEach((frame, index) => {
+      const original = input.frames[43 + index];
+      expect(output.subarray(frame.offset, frame.offset + frame.size))
+        .toEqual(bytes.subarray(original.offset, original.offset + original.size));
+    });
+  });
+
+  it('returns null for a range outside the recording or a file that isn\'t AAC', async () => {
+    mockFile(readFixture('tone.m4a'));
+    await expect(trimAacFile('file:///voice.m4a', 'file:///clip.aac', 5, 6)).resolves.toBeNull();
+
+    mockFile(encodeWav([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE));
+    await expect(trimAacFile('file:///voice.wav', 'file:///clip.aac', 0, 1)).resolves.toBeNull();
+
+    expect(FileSystem.writeAsStringAsync).not.toHaveBeenCalled();
+  });
+
+  it('refuses files too big to hold in memory without reading them', async () => {
+    FileSystem.getInfoAsync.mockResolvedValueOnce({ exists: true, size: MAX_ANALYZED_FILE_BYTES + 1 });
+
+    await expect(trimAacFile('file:///voice.m4a', 'file:///clip.aac', 0, 1)).rejects.toThrow('too large');
+    expect(FileSystem.readAsStringAsync).not.toHaveBeenCalled();
+  });
+});
+
+describe('repairWavFile', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  it('rewrites the sizes of a recording that was cut off', async () => {
+    const bytes = encodeWav([new Float32Array(SAMPLE_RATE / 2)], SAMPLE_RATE);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(4, 0, true);
+    view.setUint32(40, 0, true);
+    mockFile(bytes);
+
+    await expect(repairWavFile('file:///draft.wav')).resolves.toBe(0.5);
+
+    const repaired = new DataView(writtenBytes().buffer);
+    expect(repaired.getUint32(4, true)).toBe(bytes.length - 8);
+    expect(repaired.getUint32(40, true)).toBe(SAMPLE_RATE);
+  });
+
+  it('leaves a finalized recording alone', async () => {
+    mockFile(encodeWav([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE));
+
+    await expect(repairWavFile('file:///draft.wav')).resolves.toBe(1);
+    expect(FileSystem.writeAsStringAsync).not.toHaveBeenCalled();
+  });
+
+  it('refuses files too big to hold in memory without reading them', async () => {
+    FileSystem.getInfoAsync.mockResolvedValue({ exists: true, size: MAX_ANALYZED_FILE_BYTES + 1 });
+
+    await expect(repairWavFile('file:///draft.wav')).rejects.toThrow('too large');
+    expect(FileSystem.readAsStringAsync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  DEFAULT_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+  PLAYBACK_RATES,
+  formatPlaybackRate,
+  nextPlaybackRate,
+  normalizePlaybackRate,
+  toListeningTime,
+} from '../playbackRate';
+
+describe('normalizePlaybackRate', () => {
+  it('keeps supported speeds', () => {
+    PLAYBACK_RATES.forEach(rate => expect(normalizePlaybackRate(rate)).toBe(rate));
+    expect(normalizePlaybackRate('1.5')).toBe(1.5);
+  });
+
+  it('clamps speeds outside the supported range', () => {
+    expect(normalizePlaybackRate(0.25)).toBe(MIN_PLAYBACK_RATE);
+    expect(normalizePlaybackRate(10)).toBe(MAX_PLAYBACK_RATE);
+  });
+
+  it('falls back to the default for missing or invalid speeds', () => {
+    [undefined, null, 'fast', NaN, Infinity, 0, -1].forEach(rate => {
+      expect(normalizePlaybackRate(rate)).toBe(DEFAULT_PLAYBACK_RATE);
+    });
+  });
+});
+
+describe('nextPlaybackRate', () => {
+  it('steps through the offered speeds and wraps to the slowest', () => {
+    expect(nextPlaybackRate(1)).toBe(1.25);
+    expect(nextPlaybackRate(1.3)).toBe(1.5);
+    expect(nextPlaybackRate(MAX_PLAYBACK_RATE)).toBe(MIN_PLAYBACK_RATE);
+  });
+});
+
+describe('formatPlaybackRate', () => {
+  it('drops trailing zeros', () => {
+    expect(formatPlaybackRate(1)).toBe('1×');
+    expect(formatPlaybackRate(1.25)).toBe('1.25×');
+    expect(formatPlaybackRate(1.5)).toBe('1.5×');
+  });
+});
+
+describe('toListeningTime', () => {
+  it('scales recording time by the speed', () => {
+    expect(toListeningTime(60, 2)).toBe(30);
+    expect(toListeningTime(60)).toBe(60);
+    expect(toListeningTime(60, 0)).toBe(60);
+  });
+});
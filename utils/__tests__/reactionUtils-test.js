@@ -0,0 +1,96 @@
+import {
+  HEATMAP_BINS,
+  REACTION_BUCKET_SECONDS,
+  WHOLE_MESSAGE_BUCKET,
+  aggregateReactions,
+  buildEngagementHeatmap,
+  reactionBucket,
+} from '../reactionUtils';
+
+const reaction = (emoji, timestamp, userId, username = `User ${userId}`) => ({ emoji, timestamp, userId, username });
+
+describe('reactionBucket', () => {
+  it('puts reactions in the same stretch of audio in the same bucket', () => {
+    expect(reactionBucket(2.1)).toBe(reactionBucket(2.9));
+    expect(reactionBucket(2.9)).not.toBe(reactionBucket(3.0));
+    expect(reactionBucket(3.0)).toBe(Math.floor(3 / REACTION_BUCKET_SECONDS));
+  });
+
+  it('keeps whole-message reactions apart from moments', () => {
+    expect(reactionBucket(null)).toBe(WHOLE_MESSAGE_BUCKET);
+    expect(reactionBucket(undefined)).toBe(WHOLE_MESSAGE_BUCKET);
+    expect(reactionBucket(0)).toBe(0);
+    expect(reactionBucket(-0.5)).toBe(0);
+  });
+});
+
+describe('aggregateReactions', () => {
+  it('groups the same emoji within a stretch and counts its users', () => {
+    const groups = aggregateReactions([
+      reaction('👍', 2.6, '456'),
+      reaction('👍', 2.2, '123'),
+      reaction('🔥', 2.4, '456'),
+      reaction('👍', 3.1, '456'),
+    ], '123');
+
+    expect(groups).toEqual([
+      {
+        key: '2:👍',
+        emoji: '👍',
+        timestamp: 2.2,
+        count: 2,
+        users: [{ userId: '456', username: 'User 456' }, { userId: '123', username: 'User 123' }],
+        reactedByMe: true,
+      },
+      expect.objectContaining({ key: '2:🔥', timestamp: 2.4, count: 1, reactedByMe: false }),
+      expect.objectContaining({ key: '3:👍', timestamp: 3.1, count: 1, reactedByMe: false }),
+    ]);
+  });
+
+  it('lists whole-message reactions first, then in the order of the audio', () => {
+    const groups = aggregateReactions([
+      reaction('🎉', 8, '456'),
+      reaction('❤️', null, '456'),
+      reaction('💡', 1, '123'),
+      reaction('❤️', undefined, '123'),
+    ], '123');
+
+    expect(groups.map(group => group.key)).toEqual([`${WHOLE_MESSAGE_BUCKET}:❤️`, '1:💡', '8:🎉']);
+    expect(groups[0]).toMatchObject({ timestamp: null, count: 2, reactedByMe: true });
+  });
+
+  it('returns no groups without reactions', () => {
+    expect(aggregateReactions([], '123')).toEqual([]);
+  });
+});
+
+describe('buildEngagementHeatmap', () => {
+  it('splits the message into at most one bin per second', () => {
+    expect(buildEngagementHeatmap([], 4.5).bins).toHaveLength(5);
+    expect(buildEngagementHeatmap([], 600).bins).toHaveLength(HEATMAP_BINS);
+    expect(buildEngagementHeatmap([], 600, 10).bins).toHaveLength(10);
+  });
+
+  it('spreads weight to neighbouring bins and finds the busiest stretch', () => {
+    const { bins, hottest } = buildEngagementHeatmap([1.2, 1.8, 3.5], 5);
+
+    expect(bins).toEqual([0.5, 1, 0.75, 0.5, 0.25]);
+    expect(hottest).toBe(1);
+  });
+
+  it('picks the earliest of equally busy stretches', () => {
+    expect(buildEngagementHeatmap([0.5, 3.5], 4).hottest).toBe(0);
+  });
+
+  it('ignores moments outside the message', () => {
+    const { bins, hottest } = buildEngagementHeatmap([null, undefined, -1, 12], 10);
+
+    expect(bins.every(bin => bin === 0)).toBe(true);
+    expect(hottest).toBeNull();
+  });
+
+  it('returns nothing for messages without a length', () => {
+    expect(buildEngagementHeatmap([1], 0)).toEqual({ bins: [], hottest: null });
+    expect(buildEngagementHeatmap([1], undefined)).toEqual({ bins: [], hottest: null });
+  });
+});
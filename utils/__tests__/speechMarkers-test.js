@@ -0,0 +1,78 @@
+import {
+  MARKER_KINDS,
+  buildSpeechMarkers,
+  findKeywordMarkers,
+  isRecognizedTranscript,
+  sectionsFromTranscript,
+} from '../speechMarkers';
+
+const transcript = (provider, segments) => ({ text: '', segments, provider });
+
+const segments = [
+  { text: 'Can you send the slides', start: 0, end: 2 },
+  { text: 'by Friday?', start: 2.2, end: 3 },
+  { text: 'The important thing is the budget.', start: 6, end: 8 },
+];
+
+describe('findKeywordMarkers', () => {
+  it('marks segments matching the keyword rules', () => {
+    expect(findKeywordMarkers(transcript('http', segments))).toEqual([
+      { kind: MARKER_KINDS.KEYWORD, label: 'Action Item', timestamp: 0, endTime: 2 },
+      { kind: MARKER_KINDS.KEYWORD, label: 'Question', timestamp: 2.2, endTime: 3 },
+      { kind: MARKER_KINDS.KEYWORD, label: 'Deadline', timestamp: 2.2, endTime: 3 },
+      { kind: MARKER_KINDS.KEYWORD, label: 'Key Point', timestamp: 6, endTime: 8 },
+    ]);
+  });
+
+  it('merges nearby matches of the same rule', () => {
+    const questions = [
+      { text: 'Who is coming?', start: 0, end: 1 },
+      { text: 'When do we leave?', start: 1.5, end: 2.5 },
+    ];
+    expect(findKeywordMarkers(transcript('http', questions))).toEqual([
+      { kind: MARKER_KINDS.KEYWORD, label: 'Question', timestamp: 0, endTime: 2.5 },
+    ]);
+  });
+
+  it('ignores sample transcripts and ones of unknown origin', () => {
+    expect(findKeywordMarkers(transcript('fixture', segments))).toEqual([]);
+    expect(findKeywordMarkers(transcript(null, segments))).toEqual([]);
+    expect(findKeywordMarkers(null)).toEqual([]);
+  });
+});
+
+describe('isRecognizedTranscript', () => {
+  it('only accepts transcripts from a speech-to-text provider', () => {
+    expect(isRecognizedTranscript(transcript('http', []))).toBe(true);
+    expect(isRecognizedTranscript(transcript('fixture', []))).toBe(false);
+    expect(isRecognizedTranscript(transcript(undefined, []))).toBe(false);
+  });
+});
+
+describe('sectionsFromTranscript', () => {
+  it('splits sections at gaps of at least the minimum silence', () => {
+    expect(sectionsFromTranscript(segments, 1)).toEqual([
+      { start: 0, end: 3 },
+      { start: 6, end: 8 },
+    ]);
+  });
+});
+
+describe('buildSpeechMarkers', () => {
+  it('labels sections with their first words and sorts markers by time', () => {
+    const markers = buildSpeechMarkers([{ start: 0, end: 3 }, { start: 6, end: 8 }], transcript('http', segments));
+
+    expect(markers.map(marker => [marker.kind, marker.label, marker.timestamp])).toEqual([
+      [MARKER_KINDS.SECTION, 'Can you send the…', 0],
+      [MARKER_KINDS.KEYWORD, 'Action Item', 0],
+      [MARKER_KINDS.KEYWORD, 'Question', 2.2],
+      [MARKER_KINDS.KEYWORD, 'Deadline', 2.2],
+      [MARKER_KINDS.SECTION, 'The important thing is…', 6],
+      [MARKER_KINDS.KEYWORD, 'Key Point', 6],
+    ]);
+  });
+
+  it('leaves a single stretch of speech unmarked', () => {
+    expect(buildSpeechMarkers([{ start: 0, end: 8 }], null)).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+import {
+  TAG_COLORS,
+  TAG_FILTER_MODES,
+  countTags,
+  filterMessagesByTags,
+  getDefaultTagColor,
+  normalizeTagName,
+  tagKey,
+} from '../tagUtils';
+
+const message = (id, tags) => ({ id, tags });
+
+const messages = [
+  message('1', ['Question', 'Task']),
+  message('2', ['Task']),
+  message('3', []),
+  message('4', ['Update', 'Question']),
+  { id: '5' },
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('filterMessagesByTags', () => {
+  it('keeps messages with any of the tags', () => {
+    expect(ids(filterMessagesByTags(messages, ['Task', 'Update'], TAG_FILTER_MODES.ANY))).toEqual(['1', '2', '4']);
+  });
+
+  it('keeps messages with all of the tags', () => {
+    expect(ids(filterMessagesByTags(messages, ['Question', 'Task'], TAG_FILTER_MODES.ALL))).toEqual(['1']);
+  });
+
+  it('keeps every message without selected tags', () => {
+    expect(filterMessagesByTags(messages, [], TAG_FILTER_MODES.ALL)).toBe(messages);
+  });
+});
+
+describe('countTags', () => {
+  it('counts messages per tag, most used first and ties by name', () => {
+    expect(countTags(messages)).toEqual([
+      { tag: 'Question', count: 2 },
+      { tag: 'Task', count: 2 },
+      { tag: 'Update', count: 1 },
+    ]);
+  });
+});
+
+describe('tag names', () => {
+  it('tidies names typed by the user', () => {
+    expect(normalizeTagName('  Follow   up \n')).toBe('Follow up');
+    expect(normalizeTagName(null)).toBe('');
+  });
+
+  it('treats names differing only in case or spacing as the same tag', () => {
+    expect(tagKey(' Question ')).toBe(tagKey('question'));
+    expect(getDefaultTagColor('Question')).toBe(getDefaultTagColor(' question'));
+    expect(TAG_COLORS).toContain(getDefaultTagColor('Question'));
+  });
+});
@@ -0,0 +1,1018 @@
+import {
+  SCALEFACTOR_CODEBOOK,
+  SPECTRAL_CODEBOOK_1,
+  SPECTRAL_CODEBOOK_2,
+  SPECTRAL_CODEBOOK_3,
+  SPECTRAL_CODEBOOK_4,
+  SPECTRAL_CODEBOOK_5,
+  SPECTRAL_CODEBOOK_6,
+  SPECTRAL_CODEBOOK_7,
+  SPECTRAL_CODEBOOK_8,
+  SPECTRAL_CODEBOOK_9,
+  SPECTRAL_CODEBOOK_10,
+  SPECTRAL_CODEBOOK_11,
+  SWB_OFFSETS_LONG,
+  SWB_OFFSETS_SHORT,
+  TNS_MAX_BANDS_LONG,
+  TNS_MAX_BANDS_SHORT,
+} from './aacTables';
+
+/**
+ * Audio object type of AAC-LC, the profile phones record and compress voice to
+ */
+export const AAC_LC_OBJECT_TYPE = 2;
+
+/**
+ * PCM samples decoded from every AAC frame
+ */
+export const AAC_FRAME_LENGTH = 1024;
+
+const SHORT_WINDOW_LENGTH = 128;
+const SHORT_WINDOW_COUNT = 8;
+
+// Syntactic element IDs of a raw_data_block
+const ELEMENT = {
+  SCE: 0,
+  CPE: 1,
+  CCE: 2,
+  LFE: 3,
+  DSE: 4,
+  PCE: 5,
+  FIL: 6,
+  END: 7,
+};
+
+const WINDOW_SEQUENCE = {
+  ONLY_LONG: 0,
+  LONG_START: 1,
+  EIGHT_SHORT: 2,
+  LONG_STOP: 3,
+};
+
+// Section codebooks without spectral data of their own
+const ZERO_HCB = 0;
+const ESCAPE_HCB = 11;
+const RESERVED_HCB = 12;
+const NOISE_HCB = 13;
+const INTENSITY_HCB2 = 14;
+const INTENSITY_HCB = 15;
+
+// Scalefactors are stored relative to this value; noise energies relative to the global gain minus NOISE_OFFSET
+const SCALEFACTOR_OFFSET = 100;
+const NOISE_OFFSET = 90;
+const SCALEFACTOR_DIFFERENCE_OFFSET = 60;
+
+// Longest prediction filters temporal noise shaping may use in AAC-LC
+const TNS_MAX_ORDER_LONG = 12;
+const TNS_MAX_ORDER_SHORT = 7;
+
+// The decoder reconstructs 16-bit sample values; output is scaled to between -1 and 1
+const PCM_SCALE = 1 / 32768;
+
+// Largest quantized value an escape sequence can code
+const MAX_QUANTIZED_VALUE = 8191;
+
+const POW_4_3 = new Float64Array(MAX_QUANTIZED_VALUE + 1);
+for (let i = 0; i <= MAX_QUANTIZED_VALUE; i++) {
+  POW_4_3[i] = Math.pow(i, 4 / 3);
+}
+
+// Binary tree of a Huffman codebook: node n has its children at 2n and 2n + 1,
+// other nodes are referenced by positive numbers and codebook indexes are stored as -(index + 1)
+const buildHuffmanTree = (codebook) => {
+  const tree = [0, 0];
+
+  for (let index = 0; index < codebook.length / 2; index++) {
+    const length = codebook[index * 2];
+    const codeword = codebook[index * 2 + 1];
+    let node = 0;
+
+    for (let bit = length - 1; bit >= 0; bit--) {
+      const slot = node * 2 + ((codeword >> bit) & 1);
+      if (bit === 0) {
+        tree[slot] = -(index + 1);
+      } else {
+        if (tree[slot] === 0) {
+          tree.push(0, 0);
+          tree[slot] = tree.length / 2 - 1;
+        }
+        node = tree[slot];
+      }
+    }
+  }
+
+  return Int32Array.from(tree);
+};
+
+const SCALEFACTOR_TREE = buildHuffmanTree(SCALEFACTOR_CODEBOOK);
+
+// Spectral codebooks with the values each index stands for (ISO/IEC 14496-3, Table 4.A.1)
+const SPECTRAL_CODEBOOKS = [
+  null,
+  { codebook: SPECTRAL_CODEBOOK_1, dimension: 4, signed: true, base: 3 },
+  { codebook: SPECTRAL_CODEBOOK_2, dimension: 4, signed: true, base: 3 },
+  { codebook: SPECTRAL_CODEBOOK_3, dimension: 4, signed: false, base: 3 },
+  { codebook: SPECTRAL_CODEBOOK_4, dimension: 4, signed: false, base: 3 },
+  { codebook: SPECTRAL_CODEBOOK_5, dimension: 2, signed: true, base: 9 },
+  { codebook: SPECTRAL_CODEBOOK_6, dimension: 2, signed: true, base: 9 },
+  { codebook: SPECTRAL_CODEBOOK_7, dimension: 2, signed: false, base: 8 },
+  { codebook: SPECTRAL_CODEBOOK_8, dimension: 2, signed: false, base: 8 },
+  { codebook: SPECTRAL_CODEBOOK_9, dimension: 2, signed: false, base: 13 },
+  { codebook: SPECTRAL_CODEBOOK_10, dimension: 2, signed: false, base: 13 },
+  { codebook: SPECTRAL_CODEBOOK_11, dimension: 2, signed: false, base: 17 },
+].map(book => book && { ...book, tree: buildHuffmanTree(book.codebook) });
+
+// Sequential big-endian bit reader over a byte range
+const createBitReader = (bytes, start, end) => {
+  let position = start * 8;
+  const limit = end * 8;
+
+  const readBit = () => {
+    if (position >= limit) {
+      throw new Error('Unexpected end of AAC frame');
+    }
+    const bit = (bytes[position >> 3] >> (7 - (position & 7))) & 1;
+    position++;
+    return bit;
+  };
+
+  return {
+    readBit,
+    read: (bitCount) => {
+      let value = 0;
+      for (let i = 0; i < bitCount; i++) {
+        value = (value * 2) + readBit();
+      }
+      return value;
+    },
+    skip: (bitCount) => {
+      position += bitCount;
+      if (position > limit) {
+        throw new Error('Unexpected end of AAC frame');
+      }
+    },
+    byteAlign: () => {
+      position = Math.ceil(position / 8) * 8;
+    },
+    position: () => position,
+  };
+};
+
+const readHuffman = (reader, tree) => {
+  let node = 0;
+  do {
+    node = tree[node * 2 + reader.readBit()];
+    if (node === 0) {
+      throw new Error('Invalid AAC Huffman codeword');
+    }
+  } while (node > 0);
+  return -node - 1;
+};
+
+// Modified Bessel function of the first kind, order zero
+const besselI0 = (x) => {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+};
+
+// Rising half of a sine window of the given full length
+const sineWindow = (length) => {
+  const window = new Float64Array(length / 2);
+  for (let n = 0; n < length / 2; n++) {
+    window[n] = Math.sin((Math.PI / length) * (n + 0.5));
+  }
+  return window;
+};
+
+// Rising half of a Kaiser-Bessel derived window of the given full length
+const kbdWindow = (length, alpha) => {
+  const half = length / 2;
+  const kaiser = new Float64Array(half + 1);
+  for (let n = 0; n <= half; n++) {
+    const x = (n - half / 2) / (half / 2);
+    kaiser[n] = besselI0(Math.PI * alpha * Math.sqrt(Math.max(0, 1 - x * x)));
+  }
+
+  const total = kaiser.reduce((sum, value) => sum + value, 0);
+  const window = new Float64Array(half);
+  let running = 0;
+  for (let n = 0; n < half; n++) {
+    running += kaiser[n];
+    window[n] = Math.sqrt(running / total);
+  }
+  return window;
+};
+
+// Indexed by window_shape: 0 is a sine window, 1 a Kaiser-Bessel derived one
+const LONG_WINDOWS = [sineWindow(AAC_FRAME_LENGTH * 2), kbdWindow(AAC_FRAME_LENGTH * 2, 4)];
+const SHORT_WINDOWS = [sineWindow(SHORT_WINDOW_LENGTH * 2), kbdWindow(SHORT_WINDOW_LENGTH * 2, 6)];
+
+// In-place radix-2 FFT of a given size, with its twiddle factors and bit-reversed order precomputed
+// The input must already be in bit-reversed order (see reversed), which the IMDCT writes it in
+const createFft = (size) => {
+  const bits = Math.log2(size);
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let value = 0;
+    for (let bit = 0; bit < bits; bit++) {
+      value = (value << 1) | ((i >> bit) & 1);
+    }
+    reversed[i] = value;
+  }
+
+  // Twiddle factors of the stages after the first two, one stage after another
+  const cosines = new Float64Array(size);
+  const sines = new Float64Array(size);
+  let index = 0;
+  for (let span = 4; span < size; span *= 2) {
+    for (let k = 0; k < span; k++, index++) {
+      cosines[index] = Math.cos((Math.PI * k) / span);
+      sines[index] = -Math.sin((Math.PI * k) / span);
+    }
+  }
+
+  const transform = (real, imag) => {
+    // The first two stages need no multiplications (their twiddle factors are 1 and -i)
+    for (let i = 0; i < size; i += 4) {
+      const sumRe = real[i] + real[i + 1];
+      const sumIm = imag[i] + imag[i + 1];
+      const differenceRe = real[i] - real[i + 1];
+      const differenceIm = imag[i] - imag[i + 1];
+      const nextSumRe = real[i + 2] + real[i + 3];
+      const nextSumIm = imag[i + 2] + imag[i + 3];
+      const nextDifferenceRe = real[i + 2] - real[i + 3];
+      const nextDifferenceIm = imag[i + 2] - imag[i + 3];
+
+      real[i] = sumRe + nextSumRe;
+      imag[i] = sumIm + nextSumIm;
+      real[i + 2] = sumRe - nextSumRe;
+      imag[i + 2] = sumIm - nextSumIm;
+      real[i + 1] = differenceRe + nextDifferenceIm;
+      imag[i + 1] = differenceIm - nextDifferenceRe;
+      real[i + 3] = differenceRe - nextDifferenceIm;
+      imag[i + 3] = differenceIm + nextDifferenceRe;
+    }
+
+    let twiddle = 0;
+    for (let span = 4; span < size; span *= 2) {
+      for (let start = 0; start < size; start += span * 2) {
+        for (let k = 0; k < span; k++) {
+          const c = cosines[twiddle + k];
+          const s = sines[twiddle + k];
+          const a = start + k;
+          const b = a + span;
+          const re = real[b] * c - imag[b] * s;
+          const im = real[b] * s + imag[b] * c;
+          real[b] = real[a] - re;
+          imag[b] = imag[a] - im;
+          real[a] += re;
+          imag[a] += im;
+        }
+      }
+      twiddle += span;
+    }
+  };
+
+  return { reversed, transform };
+};
+
+// Inverse MDCT producing `length` samples from length / 2 coefficients, scaled to PCM between -1 and 1
+// Computed as a DCT-IV through a complex FFT of a quarter of the length
+const createImdct = (length) => {
+  const half = length / 2;
+  const quarter = length / 4;
+  const { reversed, transform } = createFft(quarter);
+  const twiddleCos = new Float64Array(quarter);
+  const twiddleSin = new Float64Array(quarter);
+  for (let k = 0; k < quarter; k++) {
+    const angle = (Math.PI * (8 * k + 1)) / (8 * half);
+    twiddleCos[k] = Math.cos(angle);
+    twiddleSin[k] = -Math.sin(angle);
+  }
+
+  const real = new Float64Array(quarter);
+  const imag = new Float64Array(quarter);
+  const dct = new Float64Array(half);
+  const scale = (2 / length) * PCM_SCALE;
+
+  return (coefficients, coefficientOffset, output) => {
+    // DCT-IV of the coefficients
+    for (let k = 0; k < quarter; k++) {
+      const re = coefficients[coefficientOffset + 2 * k];
+      const im = coefficients[coefficientOffset + half - 1 - 2 * k];
+      real[reversed[k]] = re * twiddleCos[k] - im * twiddleSin[k];
+      imag[reversed[k]] = re * twiddleSin[k] + im * twiddleCos[k];
+    }
+    transform(real, imag);
+    for (let k = 0; k < quarter; k++) {
+      const re = real[k] * twiddleCos[k] - imag[k] * twiddleSin[k];
+      const im = real[k] * twiddleSin[k] + imag[k] * twiddleCos[k];
+      dct[2 * k] = re;
+      dct[half - 1 - 2 * k] = -im;
+    }
+
+    // Unfold into the time-domain aliased output
+    for (let n = 0; n < half / 2; n++) {
+      output[n] = dct[half / 2 + n] * scale;
+    }
+    for (let n = half / 2; n < half + half / 2; n++) {
+      output[n] = -dct[half + half / 2 - 1 - n] * scale;
+    }
+    for (let n = half + half / 2; n < length; n++) {
+      output[n] = -dct[n - half - half / 2] * scale;
+    }
+  };
+};
+
+const longImdct = createImdct(AAC_FRAME_LENGTH * 2);
+const shortImdct = createImdct(SHORT_WINDOW_LENGTH * 2);
+
+// Parse ics_info: windowing and the scalefactor bands in use
+const readIcsInfo = (reader, frequencyIndex) => {
+  reader.skip(1); // ics_reserved_bit
+  const windowSequence = reader.read(2);
+  const windowShape = reader.read(1);
+
+  if (windowSequence === WINDOW_SEQUENCE.EIGHT_SHORT) {
+    const maxSfb = reader.read(4);
+    const grouping = reader.read(7);
+
+    // Every set grouping bit adds the next window to the current group
+    const groupLengths = [1];
+    for (let bit = 6; bit >= 0; bit--) {
+      if ((grouping >> bit) & 1) {
+        groupLengths[groupLengths.length - 1]++;
+      } else {
+        groupLengths.push(1);
+      }
+    }
+
+    const swbOffsets = SWB_OFFSETS_SHORT[frequencyIndex];
+    if (maxSfb > swbOffsets.length - 1) {
+      throw new Error('Invalid AAC frame: too many scalefactor bands');
+    }
+
+    return {
+      windowSequence,
+      windowShape,
+      maxSfb,
+      groupLengths,
+      swbOffsets,
+      windowLength: SHORT_WINDOW_LENGTH,
+      tnsMaxBands: TNS_MAX_BANDS_SHORT[frequencyIndex],
+    };
+  }
+
+  const maxSfb = reader.read(6);
+  if (reader.read(1)) {
+    throw new Error('AAC prediction is not supported');
+  }
+
+  const swbOffsets = SWB_OFFSETS_LONG[frequencyIndex];
+  if (maxSfb > swbOffsets.length - 1) {
+    throw new Error('Invalid AAC frame: too many scalefactor bands');
+  }
+
+  return {
+    windowSequence,
+    windowShape,
+    maxSfb,
+    groupLengths: [1],
+    swbOffsets,
+    windowLength: AAC_FRAME_LENGTH,
+    tnsMaxBands: TNS_MAX_BANDS_LONG[frequencyIndex],
+  };
+};
+
+const isShortWindow = (info) => info.windowSequence === WINDOW_SEQUENCE.EIGHT_SHORT;
+
+// Codebook of every scalefactor band, indexed by group * maxSfb + band
+const readSectionData = (reader, info) => {
+  const lengthBits = isShortWindow(info) ? 3 : 5;
+  const escape = (1 << lengthBits) - 1;
+  const bandTypes = new Uint8Array(info.groupLengths.length * info.maxSfb);
+
+  info.groupLengths.forEach((_, group) => {
+    let band = 0;
+    while (band < info.maxSfb) {
+      const codebook = reader.read(4);
+      if (codebook === RESERVED_HCB) {
+        throw new Error('Invalid AAC frame: reserved codebook');
+      }
+
+      let length = 0;
+      let increment;
+      do {
+        increment = reader.read(lengthBits);
+        length += increment;
+      } while (increment === escape);
+
+      if (band + length > info.maxSfb) {
+        throw new Error('Invalid AAC frame: section past the last band');
+      }
+      bandTypes.fill(codebook, group * info.maxSfb + band, group * info.maxSfb + band + length);
+      band += length;
+    }
+  });
+
+  return bandTypes;
+};
+
+// Scalefactor, noise energy or intensity position of every band, decoded from their differences
+const readScalefactors = (reader, bandTypes, globalGain) => {
+  const scalefactors = new Int16Array(bandTypes.length);
+  let scalefactor = globalGain;
+  let noiseEnergy = globalGain - NOISE_OFFSET;
+  let intensityPosition = 0;
+  let firstNoiseBand = true;
+
+  for (let i = 0; i < bandTypes.length; i++) {
+    switch (bandTypes[i]) {
+      case ZERO_HCB:
+        break;
+      case INTENSITY_HCB:
+      case INTENSITY_HCB2:
+        intensityPosition += readHuffman(reader, SCALEFACTOR_TREE) - SCALEFACTOR_DIFFERENCE_OFFSET;
+        scalefactors[i] = intensityPosition;
+        break;
+      case NOISE_HCB:
+        // The first noise energy is sent as a 9-bit value rather than a codeword
+        if (firstNoiseBand) {
+          firstNoiseBand = false;
+          noiseEnergy += reader.read(9) - 256;
+        } else {
+          noiseEnergy += readHuffman(reader, SCALEFACTOR_TREE) - SCALEFACTOR_DIFFERENCE_OFFSET;
+        }
+        scalefactors[i] = noiseEnergy;
+        break;
+      default:
+        scalefactor += readHuffman(reader, SCALEFACTOR_TREE) - SCALEFACTOR_DIFFERENCE_OFFSET;
+        if (scalefactor < 0 || scalefactor > 255) {
+          throw new Error('Invalid AAC frame: scalefactor out of range');
+        }
+        scalefactors[i] = scalefactor;
+    }
+  }
+
+  return scalefactors;
+};
+
+const readPulseData = (reader) => {
+  const count = reader.read(2) + 1;
+  const startBand = reader.read(6);
+  const pulses = [];
+  for (let i = 0; i < count; i++) {
+    pulses.push({ offset: reader.read(5), amplitude: reader.read(4) });
+  }
+  return { startBand, pulses };
+};
+
+// Prediction filter coefficients (a[0] = 1) from transmitted reflection coefficients
+const tnsFilterCoefficients = (indexes, resolution) => {
+  const half = 1 << (resolution - 1);
+  const reflection = indexes.map(index => (
+    Math.sin((index * (Math.PI / 2)) / (index >= 0 ? half - 0.5 : half + 0.5))
+  ));
+
+  let lpc = [1];
+  for (let m = 1; m <= reflection.length; m++) {
+    const next = lpc.slice();
+    for (let i = 1; i < m; i++) {
+      next[i] = lpc[i] + reflection[m - 1] * lpc[m - i];
+    }
+    next[m] = reflection[m - 1];
+    lpc = next;
+  }
+  return lpc;
+};
+
+// Temporal noise shaping filters of every window
+const readTnsData = (reader, info) => {
+  const short = isShortWindow(info);
+  const maxOrder = short ? TNS_MAX_ORDER_SHORT : TNS_MAX_ORDER_LONG;
+  const windows = [];
+
+  for (let window = 0; window < (short ? SHORT_WINDOW_COUNT : 1); window++) {
+    const filterCount = reader.read(short ? 1 : 2);
+    const filters = [];
+
+    if (filterCount > 0) {
+      const resolution = reader.read(1) + 3;
+
+      for (let i = 0; i < filterCount; i++) {
+        const length = reader.read(short ? 4 : 6);
+        const order = reader.read(short ? 3 : 5);
+        if (order > maxOrder) {
+          throw new Error('Invalid AAC frame: TNS filter order too high');
+        }
+        if (order === 0) {
+          filters.push({ length, order });
+          continue;
+        }
+
+        const direction = reader.read(1);
+        const coefficientBits = resolution - reader.read(1);
+        const indexes = [];
+        for (let k = 0; k < order; k++) {
+          const value = reader.read(coefficientBits);
+          indexes.push(value >= (1 << (coefficientBits - 1)) ? value - (1 << coefficientBits) : value);
+        }
+        filters.push({ length, order, direction, lpc: tnsFilterCoefficients(indexes, resolution) });
+      }
+    }
+
+    windows.push(filters);
+  }
+
+  return windows;
+};
+
+// Quantized spectral values of every band with a spectral codebook, in window order
+const readSpectralData = (reader, info, bandTypes) => {
+  const quantized = new Int32Array(AAC_FRAME_LENGTH);
+  let firstWindow = 0;
+
+  info.groupLengths.forEach((groupLength, group) => {
+    for (let band = 0; band < info.maxSfb; band++) {
+      const codebook = bandTypes[group * info.maxSfb + band];
+      if (codebook === ZERO_HCB || codebook >= NOISE_HCB) continue;
+
+      const { tree, dimension, signed, base } = SPECTRAL_CODEBOOKS[codebook];
+      const start = info.swbOffsets[band];
+      const end = info.swbOffsets[band + 1];
+
+      for (let window = firstWindow; window < firstWindow + groupLength; window++) {
+        for (let k = window * info.windowLength + start; k < window * info.windowLength + end; k += dimension) {
+          let index = readHuffman(reader, tree);
+
+          for (let i = dimension - 1; i >= 0; i--) {
+            quantized[k + i] = index % base;
+            index = Math.floor(index / base);
+          }
+
+          if (signed) {
+            const middle = (base - 1) / 2;
+            for (let i = 0; i < dimension; i++) quantized[k + i] -= middle;
+            continue;
+          }
+
+          // Unsigned codebooks send a sign bit after the codeword for every non-zero value
+          for (let i = 0; i < dimension; i++) {
+            if (quantized[k + i] !== 0 && reader.readBit()) quantized[k + i] = -quantized[k + i];
+          }
+
+          // Values of 16 in the escape codebook are followed by an escape sequence with the real value
+          if (codebook === ESCAPE_HCB) {
+            for (let i = 0; i < dimension; i++) {
+              if (Math.abs(quantized[k + i]) !== 16) continue;
+
+              let bits = 4;
+              while (reader.readBit()) {
+                bits++;
+                if (bits > 12) throw new Error('Invalid AAC frame: escape sequence too long');
+              }
+              const value = (1 << bits) + reader.read(bits);
+              quantized[k + i] = quantized[k + i] < 0 ? -value : value;
+            }
+          }
+        }
+      }
+    }
+    firstWindow += groupLength;
+  });
+
+  return quantized;
+};
+
+// Parse an individual_channel_stream, keeping where its global gain is stored
+const readChannelStream = (reader, frequencyIndex, sharedInfo) => {
+  const globalGainPosition = reader.position();
+  const globalGain = reader.read(8);
+  const info = sharedInfo || readIcsInfo(reader, frequencyIndex);
+  const bandTypes = readSectionData(reader, info);
+  const scalefactors = readScalefactors(reader, bandTypes, globalGain);
+
+  const pulse = reader.read(1) ? readPulseData(reader) : null;
+  if (pulse && isShortWindow(info)) {
+    throw new Error('Invalid AAC frame: pulse data in short windows');
+  }
+  const tns = reader.read(1) ? readTnsData(reader, info) : null;
+  if (reader.read(1)) {
+    throw new Error('AAC gain control is not supported');
+  }
+
+  const quantized = readSpectralData(reader, info, bandTypes);
+
+  if (pulse) {
+    let k = info.swbOffsets[Math.min(pulse.startBand, info.swbOffsets.length - 1)];
+    pulse.pulses.forEach(({ offset, amplitude }) => {
+      k += offset;
+      if (k >= AAC_FRAME_LENGTH) throw new Error('Invalid AAC frame: pulse past the spectrum');
+      quantized[k] += quantized[k] > 0 ? amplitude : -amplitude;
+    });
+  }
+
+  return { globalGain, globalGainPosition, info, bandTypes, scalefactors, tns, quantized };
+};
+
+// Reconstruct the spectrum of a channel stream (before stereo tools and TNS):
+// |q|^(4/3) scaled by 2^((scalefactor - 100) / 4), with noise bands filled with scaled random values
+const dequantize = ({ info, bandTypes, scalefactors, quantized }, random) => {
+  const spectrum = new Float64Array(AAC_FRAME_LENGTH);
+  let firstWindow = 0;
+
+  info.groupLengths.forEach((groupLength, group) => {
+    for (let band = 0; band < info.maxSfb; band++) {
+      const index = group * info.maxSfb + band;
+      const codebook = bandTypes[index];
+      if (codebook === ZERO_HCB || codebook === INTENSITY_HCB || codebook === INTENSITY_HCB2) continue;
+
+      const start = info.swbOffsets[band];
+      const end = info.swbOffsets[band + 1];
+
+      for (let window = firstWindow; window < firstWindow + groupLength; window++) {
+        const offset = window * info.windowLength;
+
+        if (codebook === NOISE_HCB) {
+          let energy = 0;
+          for (let k = offset + start; k < offset + end; k++) {
+            spectrum[k] = random();
+            energy += spectrum[k] * spectrum[k];
+          }
+          const gain = energy > 0 ? Math.pow(2, 0.25 * scalefactors[index]) / Math.sqrt(energy) : 0;
+          for (let k = offset + start; k < offset + end; k++) spectrum[k] *= gain;
+          continue;
+        }
+
+        const gain = Math.pow(2, 0.25 * (scalefactors[index] - SCALEFACTOR_OFFSET));
+        for (let k = offset + start; k < offset + end; k++) {
+          const value = quantized[k];
+          const magnitude = POW_4_3[Math.min(Math.abs(value), MAX_QUANTIZED_VALUE)] * gain;
+          spectrum[k] = value < 0 ? -magnitude : magnitude;
+        }
+      }
+    }
+    firstWindow += groupLength;
+  });
+
+  return spectrum;
+};
+
+// Undo mid/side coding of the bands where it was used
+const applyMidSide = (left, right, msMask) => {
+  const { info } = left;
+  let firstWindow = 0;
+
+  info.groupLengths.forEach((groupLength, group) => {
+    for (let band = 0; band < info.maxSfb; band++) {
+      const index = group * info.maxSfb + band;
+      if (!msMask[index] || left.bandTypes[index] >= NOISE_HCB || right.bandTypes[index] >= NOISE_HCB) continue;
+
+      for (let window = firstWindow; window < firstWindow + groupLength; window++) {
+        const offset = window * info.windowLength;
+        for (let k = offset + info.swbOffsets[band]; k < offset + info.swbOffsets[band + 1]; k++) {
+          const mid = left.spectrum[k];
+          const side = right.spectrum[k];
+          left.spectrum[k] = mid + side;
+          right.spectrum[k] = mid - side;
+        }
+      }
+    }
+    firstWindow += groupLength;
+  });
+};
+
+// Rebuild intensity-coded bands of the right channel from the left one
+const applyIntensityStereo = (left, right, msMask) => {
+  const { info } = right;
+  let firstWindow = 0;
+
+  info.groupLengths.forEach((groupLength, group) => {
+    for (let band = 0; band < info.maxSfb; band++) {
+      const index = group * info.maxSfb + band;
+      const codebook = right.bandTypes[index];
+      if (codebook !== INTENSITY_HCB && codebook !== INTENSITY_HCB2) continue;
+
+      // Bands coded mid/side carry an inverted intensity direction
+      let sign = codebook === INTENSITY_HCB ? 1 : -1;
+      if (msMask[index]) sign = -sign;
+      const scale = sign * Math.pow(0.5, 0.25 * right.scalefactors[index]);
+
+      for (let window = firstWindow; window < firstWindow + groupLength; window++) {
+        const offset = window * info.windowLength;
+        for (let k = offset + info.swbOffsets[band]; k < offset + info.swbOffsets[band + 1]; k++) {
+          right.spectrum[k] = left.spectrum[k] * scale;
+        }
+      }
+    }
+    firstWindow += groupLength;
+  });
+};
+
+// Run the temporal noise shaping filters over the spectrum
+const applyTns = ({ info, tns, spectrum }) => {
+  const lastBand = Math.min(info.tnsMaxBands, info.maxSfb);
+  const bandCount = info.swbOffsets.length - 1;
+
+  tns.forEach((filters, window) => {
+    let bottom = bandCount;
+
+    filters.forEach(filter => {
+      const top = bottom;
+      bottom = Math.max(0, top - filter.length);
+      if (filter.order === 0) return;
+
+      const start = info.swbOffsets[Math.min(bottom, lastBand)];
+      const end = info.swbOffsets[Math.min(top, lastBand)];
+      const size = end - start;
+      if (size <= 0) return;
+
+      const step = filter.direction ? -1 : 1;
+      let position = window * info.windowLength + (filter.direction ? end - 1 : start);
+
+      for (let m = 0; m < size; m++, position += step) {
+        let value = spectrum[position];
+        const taps = Math.min(m, filter.order);
+        for (let i = 1; i <= taps; i++) {
+          value -= spectrum[position - i * step] * filter.lpc[i];
+        }
+        spectrum[position] = value;
+      }
+    });
+  });
+};
+
+// Turn a channel's spectrum into 1024 PCM samples, overlapping with the previous frame
+const synthesize = (state, { info, spectrum }) => {
+  const buffer = state.buffer;
+  const previousShape = state.windowShape;
+  const shape = info.windowShape;
+  const longRising = LONG_WINDOWS[previousShape];
+  const longFalling = LONG_WINDOWS[shape];
+  const short = SHORT_WINDOW_LENGTH;
+
+  if (isShortWindow(info)) {
+    buffer.fill(0);
+    const samples = state.shortBuffer;
+
+    for (let window = 0; window < SHORT_WINDOW_COUNT; window++) {
+      shortImdct(spectrum, window * short, samples);
+      const rising = SHORT_WINDOWS[window === 0 ? previousShape : shape];
+      const falling = SHORT_WINDOWS[shape];
+      const offset = 448 + window * short;
+
+      for (let n = 0; n < short; n++) {
+        buffer[offset + n] += samples[n] * rising[n];
+        buffer[offset + short + n] += samples[short + n] * falling[short - 1 - n];
+      }
+    }
+  } else {
+    longImdct(spectrum, 0, buffer);
+    const shortRising = SHORT_WINDOWS[previousShape];
+    const shortFalling = SHORT_WINDOWS[shape];
+
+    // First half: a long window, or after a short block a short slope between zeros and ones
+    if (info.windowSequence === WINDOW_SEQUENCE.LONG_STOP) {
+      for (let n = 0; n < 448; n++) buffer[n] = 0;
+      for (let n = 0; n < short; n++) buffer[448 + n] *= shortRising[n];
+    } else {
+      for (let n = 0; n < AAC_FRAME_LENGTH; n++) buffer[n] *= longRising[n];
+    }
+
+    // Second half: a long window, or before a short block ones, a short slope and zeros
+    if (info.windowSequence === WINDOW_SEQUENCE.LONG_START) {
+      for (let n = 0; n < short; n++) buffer[1472 + n] *= shortFalling[short - 1 - n];
+      for (let n = 1600; n < AAC_FRAME_LENGTH * 2; n++) buffer[n] = 0;
+    } else {
+      for (let n = 0; n < AAC_FRAME_LENGTH; n++) {
+        buffer[AAC_FRAME_LENGTH + n] *= longFalling[AAC_FRAME_LENGTH - 1 - n];
+      }
+    }
+  }
+
+  const output = new Float32Array(AAC_FRAME_LENGTH);
+  for (let n = 0; n < AAC_FRAME_LENGTH; n++) {
+    output[n] = state.overlap[n] + buffer[n];
+    state.overlap[n] = buffer[AAC_FRAME_LENGTH + n];
+  }
+  state.windowShape = shape;
+
+  return output;
+};
+
+// Skip a program_config_element; channel layouts come from the stream configuration instead
+const skipProgramConfig = (reader) => {
+  reader.skip(4 + 2 + 4); // element_instance_tag, object_type, sampling_frequency_index
+  const front = reader.read(4);
+  const side = reader.read(4);
+  const back = reader.read(4);
+  const lfe = reader.read(2);
+  const associated = reader.read(3);
+  const coupling = reader.read(4);
+  if (reader.read(1)) reader.skip(4); // mono_mixdown
+  if (reader.read(1)) reader.skip(4); // stereo_mixdown
+  if (reader.read(1)) reader.skip(3); // matrix_mixdown
+  reader.skip((front + side + back) * 5 + lfe * 4 + associated * 4 + coupling * 5);
+  reader.byteAlign();
+  reader.skip(reader.read(8) * 8); // comment
+};
+
+// Parse the syntactic elements of a raw_data_block, returning the audio elements in order
+// as { streams, commonWindow, msMask } with one channel stream (SCE, LFE) or two (CPE)
+const readRawDataBlock = (reader, frequencyIndex) => {
+  const elements = [];
+
+  for (;;) {
+    const elementId = reader.read(3);
+
+    switch (elementId) {
+      case ELEMENT.SCE:
+      case ELEMENT.LFE:
+        reader.skip(4); // element_instance_tag
+        elements.push({ streams: [readChannelStream(reader, frequencyIndex, null)], commonWindow: 0, msMask: null });
+        break;
+
+      case ELEMENT.CPE: {
+        reader.skip(4); // element_instance_tag
+        const commonWindow = reader.read(1);
+        let sharedInfo = null;
+        let msMask = null;
+
+        if (commonWindow) {
+          sharedInfo = readIcsInfo(reader, frequencyIndex);
+          const msMaskPresent = reader.read(2);
+          msMask = new Uint8Array(sharedInfo.groupLengths.length * sharedInfo.maxSfb);
+          if (msMaskPresent === 1) {
+            for (let i = 0; i < msMask.length; i++) msMask[i] = reader.read(1);
+          } else if (msMaskPresent === 2) {
+            msMask.fill(1);
+          }
+        }
+
+        const left = readChannelStream(reader, frequencyIndex, sharedInfo);
+        const right = readChannelStream(reader, frequencyIndex, sharedInfo);
+        elements.push({ streams: [left, right], commonWindow, msMask });
+        break;
+      }
+
+      case ELEMENT.DSE: {
+        reader.skip(4); // element_instance_tag
+        const byteAlign = reader.read(1);
+        let count = reader.read(8);
+        if (count === 255) count += reader.read(8);
+        if (byteAlign) reader.byteAlign();
+        reader.skip(count * 8);
+        break;
+      }
+
+      case ELEMENT.PCE:
+        skipProgramConfig(reader);
+        break;
+
+      case ELEMENT.FIL: {
+        // Extension payloads (e.g. dynamic range control) don't change the decoded audio here
+        let count = reader.read(4);
+        if (count === 15) count += reader.read(8) - 1;
+        reader.skip(count * 8);
+        break;
+      }
+
+      case ELEMENT.END:
+        return elements;
+
+      default:
+        throw new Error('AAC coupling channels are not supported');
+    }
+  }
+};
+
+/**
+ * Create a decoder for the raw frames of an AAC-LC stream
+ * The decoder keeps the overlap between frames, so frames must be decoded in order
+ * @param {Object} config - Stream settings (see readAacStream in audioAnalysis)
+ * @returns {Object} { decodeFrame(bytes, offset, size) } returning one Float32Array of
+ *   AAC_FRAME_LENGTH samples between -1 and 1 per channel
+ */
+export const createAacDecoder = ({ objectType, frequencyIndex }) => {
+  if (objectType !== AAC_LC_OBJECT_TYPE) {
+    throw new Error(`Unsupported AAC object type: ${objectType}`);
+  }
+  if (!SWB_OFFSETS_LONG[frequencyIndex]) {
+    throw new Error(`Unsupported AAC sampling frequency index: ${frequencyIndex}`);
+  }
+
+  const channelStates = [];
+  const channelState = (channel) => {
+    if (!channelStates[channel]) {
+      channelStates[channel] = {
+        windowShape: 0,
+        overlap: new Float64Array(AAC_FRAME_LENGTH),
+        buffer: new Float64Array(AAC_FRAME_LENGTH * 2),
+        shortBuffer: new Float64Array(SHORT_WINDOW_LENGTH * 2),
+      };
+    }
+    return channelStates[channel];
+  };
+
+  // Perceptual noise substitution fills noise bands from a linear congruential generator
+  let seed = 0x1F2E3D4C;
+  const random = () => {
+    seed = (Math.imul(seed, 1664525) + 1013904223) | 0;
+    return seed;
+  };
+
+  return {
+    decodeFrame: (bytes, offset, size) => {
+      const reader = createBitReader(bytes, offset, offset + size);
+      const channels = [];
+
+      readRawDataBlock(reader, frequencyIndex).forEach(({ streams, commonWindow, msMask }) => {
+        streams.forEach(stream => {
+          stream.spectrum = dequantize(stream, random);
+        });
+
+        if (commonWindow) {
+          const [left, right] = streams;
+          applyMidSide(left, right, msMask);
+          applyIntensityStereo(left, right, msMask);
+        }
+
+        streams.forEach(stream => {
+          if (stream.tns) applyTns(stream);
+          channels.push(synthesize(channelState(channels.length), stream));
+        });
+      });
+
+      return channels;
+    },
+  };
+};
+
+/**
+ * Volume change of one global gain step: every step scales the spectrum by 2^(1/4), about 1.5 dB
+ */
+export const AAC_GAIN_STEP_DB = 20 * Math.log10(Math.pow(2, 0.25));
+
+/**
+ * Find the global gain of every channel in a frame, which every scalefactor of the channel is
+ * coded relative to. Shifting them all by the same number of steps changes the volume of the
+ * frame by AAC_GAIN_STEP_DB a step without decoding it (see shiftAacGlobalGains).
+ * @param {Uint8Array} bytes - Contents of the file the frame comes from
+ * @param {number} offset - Offset of the raw frame
+ * @param {number} size - Size of the raw frame in bytes
+ * @param {number} frequencyIndex - Sampling frequency index of the stream
+ * @returns {Object} { positions, maxIncrease, maxDecrease } with the bit offset of each 8-bit
+ *   global_gain field from the start of the frame, and how many steps up or down keep every
+ *   scalefactor in range (Infinity for a frame without channels)
+ */
+export const readAacGlobalGains = (bytes, offset, size, frequencyIndex) => {
+  const reader = createBitReader(bytes, offset, offset + size);
+  const positions = [];
+  let maxIncrease = Infinity;
+  let maxDecrease = Infinity;
+
+  readRawDataBlock(reader, frequencyIndex).forEach(({ streams }) => {
+    streams.forEach(({ globalGain, globalGainPosition, bandTypes, scalefactors }) => {
+      positions.push(globalGainPosition - offset * 8);
+
+      let highest = globalGain;
+      let lowest = globalGain;
+      bandTypes.forEach((codebook, index) => {
+        if (codebook === ZERO_HCB || codebook >= NOISE_HCB) return;
+        highest = Math.max(highest, scalefactors[index]);
+        lowest = Math.min(lowest, scalefactors[index]);
+      });
+
+      maxIncrease = Math.min(maxIncrease, 255 - highest);
+      maxDecrease = Math.min(maxDecrease, lowest);
+    });
+  });
+
+  return { positions, maxIncrease, maxDecrease };
+};
+
+/**
+ * Shift the global gains of a frame, in place
+ * @param {Uint8Array} frame - Bytes of the raw frame
+ * @param {Array} positions - Bit offsets of its global_gain fields (see readAacGlobalGains)
+ * @param {number} steps - Steps to shift by, within the frame's maxIncrease and maxDecrease
+ */
+export const shiftAacGlobalGains = (frame, positions, steps) => {
+  positions.forEach(position => {
+    // The 8-bit field straddles two bytes unless it is byte aligned
+    const byte = position >> 3;
+    const shift = 8 - (position & 7);
+    const word = (frame[byte] << 8) | (frame[byte + 1] || 0);
+    const gain = ((word >> shift) & 0xFF) + steps;
+    const updated = (word & ~(0xFF << shift)) | (gain << shift);
+
+    frame[byte] = (updated >> 8) & 0xFF;
+    if (byte + 1 < frame.length) frame[byte + 1] = updated & 0xFF;
+  });
+};
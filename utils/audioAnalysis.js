@@ -0,0 +1,867 @@
+import * as FileSystem from 'expo-file-system';
+import { AAC_FRAME_LENGTH, createAacDecoder } from './aacDecoder';
+
+/**
+ * Default waveform resolution and output settings
+ * The number of buckets follows the audio length and is clamped to a range
+ */
+export const DEFAULT_WAVEFORM_OPTIONS = {
+  bucketsPerSecond: 10,
+  minBuckets: 20,
+  maxBuckets: 150,
+  metric: 'rms',
+  normalize: true,
+};
+
+/**
+ * Largest audio file read into memory for analysis, in bytes
+ * Covers three minutes of 44.1 kHz 16-bit mono WAV and over ten minutes of 128 kbps AAC
+ */
+export const MAX_ANALYZED_FILE_BYTES = 16 * 1024 * 1024;
+
+// AAC frames decoded between pauses for the rest of the app, about a second of 44.1 kHz audio
+const AAC_FRAMES_PER_BATCH = 43;
+
+// Sample rates addressed by the 4-bit sampling_frequency_index of AAC headers
+const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350,
+];
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_LOOKUP = new Uint8Array(256);
+for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+  BASE64_LOOKUP[BASE64_ALPHABET.charCodeAt(i)] = i;
+}
+const BASE64_ALPHABET_CODES = Uint8Array.from(BASE64_ALPHABET, char => char.charCodeAt(0));
+const PADDING_CODE = '='.charCodeAt(0);
+
+// Bytes encoded per string built by bytesToBase64 (a multiple of 3, so chunks join without padding)
+const BASE64_CHUNK_BYTES = 3 * 4096;
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64 - Base64 encoded data
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const base64ToBytes = (base64) => {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const byteLength = Math.floor((clean.length * 3) / 4);
+  const bytes = new Uint8Array(byteLength);
+
+  let position = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = BASE64_LOOKUP[clean.charCodeAt(i)];
+    const b = BASE64_LOOKUP[clean.charCodeAt(i + 1)] || 0;
+    const c = BASE64_LOOKUP[clean.charCodeAt(i + 2)] || 0;
+    const d = BASE64_LOOKUP[clean.charCodeAt(i + 3)] || 0;
+
+    bytes[position++] = (a << 2) | (b >> 4);
+    if (position < byteLength) bytes[position++] = ((b & 15) << 4) | (c >> 2);
+    if (position < byteLength) bytes[position++] = ((c & 3) << 6) | d;
+  }
+
+  return bytes;
+};
+
+/**
+ * Encode bytes as a base64 string
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} Base64 encoded data
+ */
+export const bytesToBase64 = (bytes) => {
+  const parts = [];
+  // Characters are written as codes and turned into one string per chunk, not one per byte triple
+  const codes = new Uint16Array((BASE64_CHUNK_BYTES / 3) * 4);
+  const alphabet = BASE64_ALPHABET_CODES;
+
+  for (let chunkStart = 0; chunkStart < bytes.length; chunkStart += BASE64_CHUNK_BYTES) {
+    const chunkEnd = Math.min(bytes.length, chunkStart + BASE64_CHUNK_BYTES);
+    let position = 0;
+
+    for (let i = chunkStart; i < chunkEnd; i += 3) {
+      const a = bytes[i];
+      const b = i + 1 < chunkEnd ? bytes[i + 1] : 0;
+      const c = i + 2 < chunkEnd ? bytes[i + 2] : 0;
+
+      codes[position++] = alphabet[a >> 2];
+      codes[position++] = alphabet[((a & 3) << 4) | (b >> 4)];
+      codes[position++] = i + 1 < chunkEnd ? alphabet[((b & 15) << 2) | (c >> 6)] : PADDING_CODE;
+      codes[position++] = i + 2 < chunkEnd ? alphabet[c & 63] : PADDING_CODE;
+    }
+
+    parts.push(String.fromCharCode.apply(null, codes.subarray(0, position)));
+  }
+
+  return parts.join('');
+};
+
+const readAscii = (bytes, offset, length) => {
+  let text = '';
+  for (let i = offset; i < offset + length && i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+};
+
+const readUint32BE = (bytes, offset) => (
+  bytes[offset] * 0x1000000 + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3])
+);
+
+const readUint64BE = (bytes, offset) => (
+  readUint32BE(bytes, offset) * 0x100000000 + readUint32BE(bytes, offset + 4)
+);
+
+/**
+ * Detect the container format of an audio file from its first bytes
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} 'wav', 'mp4', 'adts' or null if unknown
+ */
+export const detectAudioFormat = (bytes) => {
+  if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WAVE') return 'wav';
+  if (readAscii(bytes, 4, 4) === 'ftyp') return 'mp4';
+  if (bytes[0] === 0xFF && (bytes[1] & 0xF6) === 0xF0) return 'adts';
+  return null;
+};
+
+/**
+ * Work out how many buckets to split the audio into
+ * @param {number} duration - Audio duration in seconds
+ * @param {Object} options - Waveform options
+ * @returns {number} Bucket count
+ */
+export const resolveBucketCount = (duration, options = {}) => {
+  const settings = { ...DEFAULT_WAVEFORM_OPTIONS, ...options };
+  if (settings.bucketCount) return Math.max(1, Math.floor(settings.bucketCount));
+
+  const count = Math.round(duration * settings.bucketsPerSecond);
+  return Math.min(Math.max(count, settings.minBuckets), settings.maxBuckets);
+};
+
+// Running RMS and peak totals for each bucket
+const createBuckets = (bucketCount) => ({
+  sumSquares: new Float64Array(bucketCount),
+  counts: new Uint32Array(bucketCount),
+  peaks: new Float64Array(bucketCount),
+});
+
+const addToBucket = (buckets, index, amplitude) => {
+  buckets.sumSquares[index] += amplitude * amplitude;
+  buckets.counts[index] += 1;
+  if (amplitude > buckets.peaks[index]) {
+    buckets.peaks[index] = amplitude;
+  }
+};
+
+// Scale values so the loudest bucket is 1
+const normalizeValues = (values) => {
+  const max = values.reduce((result, value) => Math.max(result, value), 0);
+  return max > 0 ? values.map(value => value / max) : values;
+};
+
+const finishBuckets = (buckets, normalize) => {
+  const rms = [];
+  const peak = [];
+
+  for (let i = 0; i < buckets.counts.length; i++) {
+    const count = buckets.counts[i];
+    rms.push(count > 0 ? Math.sqrt(buckets.sumSquares[i] / count) : 0);
+    peak.push(buckets.peaks[i]);
+  }
+
+  return normalize
+    ? { rms: normalizeValues(rms), peak: normalizeValues(peak) }
+    : { rms, peak };
+};
+
+// Parse the fmt and data chunks of a RIFF/WAVE file
+const readWavLayout = (bytes, view) => {
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readAscii(bytes, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      let audioFormat = view.getUint16(body, true);
+
+      // WAVE_FORMAT_EXTENSIBLE stores the real format in the sub-format GUID
+      if (audioFormat === 0xFFFE && chunkSize >= 40) {
+        audioFormat = view.getUint16(body + 24, true);
+      }
+
+      format = {
+        audioFormat,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (chunkId === 'data') {
+      if (!format) break;
+      return {
+        ...format,
+        dataOffset: body,
+        dataLength: Math.min(chunkSize, bytes.length - body),
+      };
+    }
+
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('Invalid WAV file: missing fmt or data chunk');
+};
+
+// Read one PCM sample as a value between -1 and 1
+const readPcmSample = (view, offset, bitsPerSample, isFloat) => {
+  if (isFloat) {
+    return bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      return (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return view.getInt16(offset, true) / 32768;
+    case 24: {
+      const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+      return value / 8388608;
+    }
+    case 32:
+      return view.getInt32(offset, true) / 2147483648;
+    default:
+      throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+  }
+};
+
+/**
+ * Decode a PCM WAV file into one array of samples per channel
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} Sample rate and channels (Float32Arrays with values between -1 and 1)
+ */
+export const decodeWav = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const layout = readWavLayout(bytes, view);
+  const isFloat = layout.audioFormat === 3;
+
+  if (layout.audioFormat !== 1 && !isFloat) {
+    throw new Error(`Unsupported WAV encoding: ${layout.audioFormat}`);
+  }
+
+  const bytesPerSample = layout.bitsPerSample / 8;
+  const blockAlign = layout.blockAlign || bytesPerSample * layout.channels;
+  const frameCount = Math.floor(layout.dataLength / blockAlign);
+  const channels = [];
+
+  for (let channel = 0; channel < layout.channels; channel++) {
+    const samples = new Float32Array(frameCount);
+    for (let frame = 0; frame < frameCount; frame++) {
+      const offset = layout.dataOffset + frame * blockAlign + channel * bytesPerSample;
+      samples[frame] = readPcmSample(view, offset, layout.bitsPerSample, isFloat);
+    }
+    channels.push(samples);
+  }
+
+  return { sampleRate: layout.sampleRate, channels };
+};
+
+/**
+ * Compute per-bucket amplitudes of a PCM WAV file
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} options - Waveform options
+ * @returns {Object} Duration, RMS and peak values
+ */
+export const analyzeWav = (bytes, options = {}) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const layout = readWavLayout(bytes, view);
+  const isFloat = layout.audioFormat === 3;
+
+  if (layout.audioFormat !== 1 && !isFloat) {
+    throw new Error(`Unsupported WAV encoding: ${layout.audioFormat}`);
+  }
+
+  const bytesPerSample = layout.bitsPerSample / 8;
+  const blockAlign = layout.blockAlign || bytesPerSample * layout.channels;
+  const frameCount = Math.floor(layout.dataLength / blockAlign);
+  const duration = frameCount / layout.sampleRate;
+  const bucketCount = resolveBucketCount(duration, options);
+  const buckets = createBuckets(bucketCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = layout.dataOffset + frame * blockAlign;
+
+    // Use the loudest channel so out-of-phase stereo doesn't cancel out
+    let amplitude = 0;
+    for (let channel = 0; channel < layout.channels; channel++) {
+      const sample = readPcmSample(view, frameOffset + channel * bytesPerSample, layout.bitsPerSample, isFloat);
+      amplitude = Math.max(amplitude, Math.abs(sample));
+    }
+
+    addToBucket(buckets, Math.floor((frame * bucketCount) / frameCount), amplitude);
+  }
+
+  return {
+    duration,
+    sampleRate: layout.sampleRate,
+    ...finishBuckets(buckets, options.normalize ?? DEFAULT_WAVEFORM_OPTIONS.normalize),
+  };
+};
+
+// List the child boxes inside an MP4 box payload
+const readBoxes = (bytes, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint64BE(bytes, offset + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+const findBox = (bytes, parent, type) => (
+  readBoxes(bytes, parent.start, parent.end).find(box => box.type === type) || null
+);
+
+const findBoxPath = (bytes, parent, path) => path.reduce(
+  (box, type) => (box ? findBox(bytes, box, type) : null),
+  parent
+);
+
+// Resolve the file offset and size of every sample in an MP4 track
+const readTrackSamples = (bytes, stbl) => {
+  const stsz = findBox(bytes, stbl, 'stsz');
+  const stsc = findBox(bytes, stbl, 'stsc');
+  const stco = findBox(bytes, stbl, 'stco');
+  const co64 = findBox(bytes, stbl, 'co64');
+
+  if (!stsz || !stsc || (!stco && !co64)) {
+    throw new Error('Invalid MP4 file: incomplete sample table');
+  }
+
+  // Sample sizes
+  const fixedSize = readUint32BE(bytes, stsz.start + 4);
+  const sampleCount = readUint32BE(bytes, stsz.start + 8);
+  const sampleSizes = [];
+  for (let i = 0; i < sampleCount; i++) {
+    sampleSizes.push(fixedSize || readUint32BE(bytes, stsz.start + 12 + i * 4));
+  }
+
+  // Chunk offsets
+  const chunkBox = co64 || stco;
+  const chunkCount = readUint32BE(bytes, chunkBox.start + 4);
+  const chunkOffsets = [];
+  for (let i = 0; i < chunkCount; i++) {
+    chunkOffsets.push(co64
+      ? readUint64BE(bytes, co64.start + 8 + i * 8)
+      : readUint32BE(bytes, stco.start + 8 + i * 4));
+  }
+
+  // Sample-to-chunk runs
+  const runCount = readUint32BE(bytes, stsc.start + 4);
+  const runs = [];
+  for (let i = 0; i < runCount; i++) {
+    const entry = stsc.start + 8 + i * 12;
+    runs.push({
+      firstChunk: readUint32BE(bytes, entry),
+      samplesPerChunk: readUint32BE(bytes, entry + 4),
+    });
+  }
+
+  const samples = [];
+  let runIndex = 0;
+  for (let chunk = 0; chunk < chunkCount && samples.length < sampleCount; chunk++) {
+    while (runIndex + 1 < runs.length && runs[runIndex + 1].firstChunk <= chunk + 1) {
+      runIndex++;
+    }
+
+    let offset = chunkOffsets[chunk];
+    const samplesInChunk = runs[runIndex] ? runs[runIndex].samplesPerChunk : 0;
+    for (let i = 0; i < samplesInChunk && samples.length < sampleCount; i++) {
+      const size = sampleSizes[samples.length];
+      if (offset + size <= bytes.length) {
+        samples.push({ offset, size });
+      }
+      offset += size;
+    }
+  }
+
+  return samples;
+};
+
+// Find the first sound track of an MP4 file, with its media header and sample table boxes
+const findAudioTrack = (bytes) => {
+  const file = { start: 0, end: bytes.length };
+  const moov = findBox(bytes, file, 'moov');
+  if (!moov) {
+    throw new Error('Invalid MP4 file: missing moov box');
+  }
+
+  // Find the first sound track
+  const track = readBoxes(bytes, moov.start, moov.end)
+    .filter(box => box.type === 'trak')
+    .find(trak => {
+      const hdlr = findBoxPath(bytes, trak, ['mdia', 'hdlr']);
+      return hdlr && readAscii(bytes, hdlr.start + 8, 4) === 'soun';
+    });
+
+  if (!track) {
+    throw new Error('Invalid MP4 file: no audio track');
+  }
+
+  const mdhd = findBoxPath(bytes, track, ['mdia', 'mdhd']);
+  const stbl = findBoxPath(bytes, track, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) {
+    throw new Error('Invalid MP4 file: incomplete audio track');
+  }
+
+  return { mdhd, stbl };
+};
+
+// Length of an MPEG-4 descriptor, stored 7 bits per byte with a continuation bit
+const readDescriptorHeader = (bytes, offset) => {
+  let length = 0;
+  let position = offset + 1;
+  for (let i = 0; i < 4; i++) {
+    const byte = bytes[position++];
+    length = (length << 7) | (byte & 0x7F);
+    if (!(byte & 0x80)) break;
+  }
+  return { tag: bytes[offset], start: position, end: position + length };
+};
+
+// Read the AAC stream settings (AudioSpecificConfig) from an MP4 audio track's esds box
+// Returns null for anything but a plain AAC sample description
+const readMp4AacConfig = (bytes, stbl) => {
+  const stsd = findBox(bytes, stbl, 'stsd');
+  if (!stsd) return null;
+
+  // Full box header and entry count come before the first sample entry
+  const entry = readBoxes(bytes, stsd.start + 8, stsd.end)[0];
+  if (!entry || entry.type !== 'mp4a') return null;
+
+  // Sound sample entry fields; QuickTime sound description versions 1 and 2 add more
+  const soundVersion = (bytes[entry.start + 8] << 8) | bytes[entry.start + 9];
+  const fieldsLength = 28 + (soundVersion === 1 ? 16 : 0) + (soundVersion === 2 ? 36 : 0);
+  const esds = readBoxes(bytes, entry.start + fieldsLength, entry.end).find(box => box.type === 'esds');
+  if (!esds) return null;
+
+  // ES descriptor > decoder config descriptor > decoder specific info (ISO/IEC 14496-1)
+  const es = readDescriptorHeader(bytes, esds.start + 4);
+  if (es.tag !== 0x03) return null;
+  const esFlags = bytes[es.start + 2];
+  let offset = es.start + 3;
+  if (esFlags & 0x80) offset += 2;
+  if (esFlags & 0x40) offset += 1 + bytes[offset];
+  if (esFlags & 0x20) offset += 2;
+
+  const decoderConfig = readDescriptorHeader(bytes, offset);
+  if (decoderConfig.tag !== 0x04) return null;
+  const specificInfo = readDescriptorHeader(bytes, decoderConfig.start + 13);
+  if (specificInfo.tag !== 0x05 || specificInfo.end - specificInfo.start < 2) return null;
+
+  const first = bytes[specificInfo.start];
+  const second = bytes[specificInfo.start + 1];
+  return {
+    objectType: first >> 3,
+    frequencyIndex: ((first & 0x07) << 1) | (second >> 7),
+    channelConfiguration: (second >> 3) & 0x0F,
+  };
+};
+
+// Split a raw ADTS stream into its frames, along with the stream settings of the first header
+const readAdtsFrames = (bytes) => {
+  const frames = [];
+  let config = null;
+  let offset = 0;
+
+  while (offset + 7 <= bytes.length) {
+    if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xF6) !== 0xF0) break;
+
+    const protectionAbsent = bytes[offset + 1] & 0x01;
+    const frameLength = ((bytes[offset + 3] & 0x03) << 11) | (bytes[offset + 4] << 3) | (bytes[offset + 5] >> 5);
+    const headerLength = protectionAbsent ? 7 : 9;
+
+    if (frameLength <= headerLength) break;
+
+    if (!config) {
+      config = {
+        objectType: (bytes[offset + 2] >> 6) + 1,
+        frequencyIndex: (bytes[offset + 2] >> 2) & 0x0F,
+        channelConfiguration: ((bytes[offset + 2] & 0x01) << 2) | (bytes[offset + 3] >> 6),
+      };
+    }
+    frames.push({ offset: offset + headerLength, size: frameLength - headerLength });
+    offset += frameLength;
+  }
+
+  return { config, frames };
+};
+
+// Length of an MP4 audio track from its media header, in seconds (0 if it has no timescale)
+const readMp4Duration = (bytes, mdhd) => {
+  // Version 1 media headers use 64-bit times
+  const version = bytes[mdhd.start];
+  const timescale = readUint32BE(bytes, mdhd.start + (version === 1 ? 20 : 12));
+  const trackDuration = version === 1
+    ? readUint64BE(bytes, mdhd.start + 24)
+    : readUint32BE(bytes, mdhd.start + 16);
+
+  return timescale > 0 ? trackDuration / timescale : 0;
+};
+
+/**
+ * Read the AAC frames of an MP4/M4A or ADTS file, with the settings needed to decode or rewrap them
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object|null} { objectType, frequencyIndex, channelConfiguration, sampleRate, duration, frames }
+ *   with frames as { offset, size } of each raw frame, or null if the file isn't AAC
+ */
+export const readAacStream = (bytes) => {
+  let config = null;
+  let frames = [];
+  let duration = 0;
+
+  switch (detectAudioFormat(bytes)) {
+    case 'mp4': {
+      const { mdhd, stbl } = findAudioTrack(bytes);
+      config = readMp4AacConfig(bytes, stbl);
+      frames = readTrackSamples(bytes, stbl);
+      duration = readMp4Duration(bytes, mdhd);
+      break;
+    }
+    case 'adts':
+      ({ config, frames } = readAdtsFrames(bytes));
+      break;
+    default:
+      return null;
+  }
+
+  const sampleRate = config ? AAC_SAMPLE_RATES[config.frequencyIndex] : undefined;
+  if (!sampleRate) return null;
+
+  return {
+    ...config,
+    sampleRate,
+    duration: duration || (frames.length * AAC_FRAME_LENGTH) / sampleRate,
+    frames,
+  };
+};
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Decode the frames of an AAC-LC stream in order
+ * Decoding runs on the JS thread, so it pauses every AAC_FRAMES_PER_BATCH frames to let
+ * the app respond. A frame that can't be decoded (such as the cut-off end of an interrupted
+ * recording) is passed on as silence.
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} stream - Stream settings and frames (see readAacStream)
+ * @param {Function} onFrame - Called with the frame's channels (Float32Arrays of AAC_FRAME_LENGTH
+ *   samples between -1 and 1) and its index
+ * @returns {Promise<void>}
+ */
+export const decodeAacFrames = async (bytes, stream, onFrame) => {
+  const decoder = createAacDecoder(stream);
+  let channelCount = stream.channelConfiguration || 1;
+  let decodedFrames = 0;
+
+  for (let index = 0; index < stream.frames.length; index++) {
+    if (index > 0 && index % AAC_FRAMES_PER_BATCH === 0) {
+      await yieldToEventLoop();
+    }
+
+    const { offset, size } = stream.frames[index];
+    let channels = null;
+    try {
+      channels = decoder.decodeFrame(bytes, offset, size);
+    } catch (error) {
+      // Damaged frame
+    }
+
+    if (channels && channels.length > 0) {
+      channelCount = channels.length;
+      decodedFrames++;
+    } else {
+      channels = Array.from({ length: channelCount }, () => new Float32Array(AAC_FRAME_LENGTH));
+    }
+    onFrame(channels, index);
+  }
+
+  if (stream.frames.length > 0 && decodedFrames === 0) {
+    throw new Error('Invalid AAC stream: no frame could be decoded');
+  }
+};
+
+/**
+ * Decode an AAC-LC file (M4A/MP4 or ADTS) and compute per-bucket amplitudes
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} options - Waveform options
+ * @returns {Promise<Object>} Duration, RMS and peak values
+ */
+export const analyzeAac = async (bytes, options = {}) => {
+  const stream = readAacStream(bytes);
+  if (!stream || stream.frames.length === 0) {
+    throw new Error('Invalid AAC file: no audio frames');
+  }
+
+  const sampleCount = stream.frames.length * AAC_FRAME_LENGTH;
+  const bucketCount = resolveBucketCount(stream.duration, options);
+  const buckets = createBuckets(bucketCount);
+
+  await decodeAacFrames(bytes, stream, (channels, frameIndex) => {
+    for (let n = 0; n < AAC_FRAME_LENGTH; n++) {
+      // Use the loudest channel so out-of-phase stereo doesn't cancel out
+      let amplitude = 0;
+      for (let channel = 0; channel < channels.length; channel++) {
+        amplitude = Math.max(amplitude, Math.abs(channels[channel][n]));
+      }
+
+      const sample = frameIndex * AAC_FRAME_LENGTH + n;
+      addToBucket(buckets, Math.floor((sample * bucketCount) / sampleCount), amplitude);
+    }
+  });
+
+  return {
+    duration: stream.duration,
+    sampleRate: stream.sampleRate,
+    ...finishBuckets(buckets, options.normalize ?? DEFAULT_WAVEFORM_OPTIONS.normalize),
+  };
+};
+
+/**
+ * Read a whole audio file into memory
+ * @param {string} audioUri - URI of the audio file
+ * @param {number} maxBytes - Largest file that may be read
+ * @returns {Promise<Uint8Array>} File contents
+ */
+export const readAudioBytes = async (audioUri, maxBytes = MAX_ANALYZED_FILE_BYTES) => {
+  const info = await FileSystem.getInfoAsync(audioUri);
+  if (!info.exists) {
+    throw new Error(`Audio file not found: ${audioUri}`);
+  }
+  if (info.size > maxBytes) {
+    throw new Error(`Audio file too large to read (${info.size} bytes): ${audioUri}`);
+  }
+
+  const base64 = await FileSystem.readAsStringAsync(audioUri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return base64ToBytes(base64);
+};
+
+/**
+ * Read an audio file and compute RMS and peak amplitudes per bucket
+ * PCM WAV and AAC-LC (M4A/MP4 or ADTS) are decoded; files over MAX_ANALYZED_FILE_BYTES are rejected
+ * @param {string} audioUri - URI of the audio file
+ * @param {Object} options - Waveform options (see DEFAULT_WAVEFORM_OPTIONS)
+ * @returns {Promise<Object>} Duration, sample rate, RMS and peak values
+ */
+export const analyzeAudioFile = async (audioUri, options = {}) => {
+  const bytes = await readAudioBytes(audioUri);
+
+  switch (detectAudioFormat(bytes)) {
+    case 'wav':
+      return analyzeWav(bytes, options);
+    case 'mp4':
+    case 'adts':
+      return analyzeAac(bytes, options);
+    default:
+      throw new Error(`Unsupported audio format: ${audioUri}`);
+  }
+};
+
+/**
+ * Extract waveform bars from an audio file
+ * @param {string} audioUri - URI of the audio file
+ * @param {Object} options - Waveform options (see DEFAULT_WAVEFORM_OPTIONS)
+ * @returns {Promise<Array>} Amplitude values between 0 and 1
+ */
+export const extractWaveform = async (audioUri, options = {}) => {
+  const analysis = await analyzeAudioFile(audioUri, options);
+  const metric = options.metric || DEFAULT_WAVEFORM_OPTIONS.metric;
+  return metric === 'peak' ? analysis.peak : analysis.rms;
+};
+
+/**
+ * Convert a metering reading in dBFS to an amplitude between 0 and 1
+ * @param {number} decibels - Level reported by the recorder (0 is full scale)
+ * @param {number} floor - Level treated as silence
+ * @returns {number} Amplitude between 0 and 1
+ */
+export const meteringToAmplitude = (decibels, floor = -60) => {
+  if (typeof decibels !== 'number' || Number.isNaN(decibels)) return 0;
+  if (decibels <= floor) return 0;
+  if (decibels >= 0) return 1;
+  return (decibels - floor) / -floor;
+};
+
+/**
+ * Average a list of amplitudes into a fixed number of buckets
+ * Shorter lists are stretched by repeating values
+ * @param {Array} values - Amplitude values
+ * @param {number} bucketCount - Number of buckets to produce
+ * @returns {Array} Resampled amplitude values
+ */
+export const resampleWaveform = (values, bucketCount) => {
+  if (values.length === 0 || bucketCount <= 0) return [];
+
+  const result = [];
+  for (let i = 0; i < bucketCount; i++) {
+    const start = Math.floor((i * values.length) / bucketCount);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * values.length) / bucketCount));
+
+    let sum = 0;
+    for (let j = start; j < end; j++) {
+      sum += values[j];
+    }
+    result.push(sum / (end - start));
+  }
+
+  return result;
+};
+
+/**
+ * Cut the part of a waveform around a moment, e.g. to quote it in a reply
+ * @param {Array} waveform - Amplitudes covering the whole message
+ * @param {number} duration - Message duration in seconds
+ * @param {number} timestamp - Moment to center on, in seconds
+ * @param {number} windowSeconds - Length of the part to cut
+ * @returns {Object} { bars, anchor } with the amplitudes and where the moment falls in them (0 to 1)
+ */
+export const waveformWindow = (waveform, duration, timestamp, windowSeconds) => {
+  if (waveform.length === 0 || duration <= 0) return { bars: [], anchor: 0 };
+
+  // Keep the window inside the message, sliding it instead of centering near the ends
+  const length = Math.min(windowSeconds, duration);
+  const moment = Math.max(0, Math.min(duration, timestamp));
+  const start = Math.max(0, Math.min(duration - length, moment - length / 2));
+
+  const first = Math.floor((start / duration) * waveform.length);
+  const last = Math.max(first + 1, Math.ceil(((start + length) / duration) * waveform.length));
+
+  return {
+    bars: waveform.slice(first, last),
+    anchor: (moment - start) / length,
+  };
+};
+
+/**
+ * Build a message waveform from amplitudes sampled while recording
+ * @param {Array} samples - Amplitudes in recording order
+ * @param {number} duration - Recording duration in seconds
+ * @param {Object} options - Waveform options (see DEFAULT_WAVEFORM_OPTIONS)
+ * @returns {Array} Amplitude values between 0 and 1
+ */
+export const waveformFromMetering = (samples, duration, options = {}) => {
+  const waveform = resampleWaveform(samples, resolveBucketCount(duration, options));
+  return (options.normalize ?? DEFAULT_WAVEFORM_OPTIONS.normalize) ? normalizeValues(waveform) : waveform;
+};
+
+/**
+ * Default settings for splitting audio into speech sections at pauses
+ */
+export const DEFAULT_SEGMENTATION_OPTIONS = {
+  frameDuration: 0.05, // Seconds of audio per analysis frame
+  relativeThresholdDb: -30, // Frames this far below the loudest frame count as silence
+  noiseMarginDb: 6, // ...and so do frames within this margin of the noise floor
+  minSilenceDuration: 0.6, // Shorter pauses don't split a section
+  minSpeechDuration: 0.25, // Shorter bursts (clicks, breaths) are dropped
+};
+
+const dbToLinear = (decibels) => Math.pow(10, decibels / 20);
+
+/**
+ * Split a level envelope into sections of speech separated by silence
+ * @param {Array} levels - Linear (not normalized) level of each frame
+ * @param {number} duration - Audio duration in seconds
+ * @param {Object} options - Segmentation settings (see DEFAULT_SEGMENTATION_OPTIONS)
+ * @returns {Array} Sections as { start, end } in seconds
+ */
+export const segmentSpeech = (levels, duration, options = {}) => {
+  const settings = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options };
+  if (levels.length === 0 || !duration) return [];
+
+  const frameDuration = duration / levels.length;
+  const peakLevel = levels.reduce((result, value) => Math.max(result, value), 0);
+  if (peakLevel === 0) return [];
+
+  // The quietest tenth of the recording approximates the background noise
+  const sorted = [...levels].sort((a, b) => a - b);
+  const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+  const threshold = Math.max(
+    peakLevel * dbToLinear(settings.relativeThresholdDb),
+    noiseFloor * dbToLinear(settings.noiseMarginDb)
+  );
+
+  // Collect runs of frames above the threshold
+  const runs = [];
+  let runStart = null;
+  levels.forEach((level, index) => {
+    if (level > threshold && runStart === null) {
+      runStart = index;
+    } else if (level <= threshold && runStart !== null) {
+      runs.push({ start: runStart, end: index });
+      runStart = null;
+    }
+  });
+  if (runStart !== null) {
+    runs.push({ start: runStart, end: levels.length });
+  }
+
+  // Bridge pauses too short to end a section
+  const minSilenceFrames = settings.minSilenceDuration / frameDuration;
+  const merged = [];
+  runs.forEach(run => {
+    const previous = merged[merged.length - 1];
+    if (previous && run.start - previous.end < minSilenceFrames) {
+      previous.end = run.end;
+    } else {
+      merged.push({ ...run });
+    }
+  });
+
+  const minSpeechFrames = settings.minSpeechDuration / frameDuration;
+  return merged
+    .filter(run => run.end - run.start >= minSpeechFrames)
+    .map(run => ({
+      start: run.start * frameDuration,
+      end: Math.min(duration, run.end * frameDuration),
+    }));
+};
+
+/**
+ * Find the sections of speech in an audio file
+ * @param {string} audioUri - URI of the audio file
+ * @param {Object} options - Segmentation settings (see DEFAULT_SEGMENTATION_OPTIONS)
+ * @returns {Promise<Object>} Duration and speech sections as { start, end }
+ */
+export const detectSpeechSections = async (audioUri, options = {}) => {
+  const settings = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options };
+  const analysis = await analyzeAudioFile(audioUri, {
+    bucketsPerSecond: 1 / settings.frameDuration,
+    minBuckets: 1,
+    maxBuckets: Infinity,
+    normalize: false,
+  });
+
+  return {
+    duration: analysis.duration,
+    sections: segmentSpeech(analysis.rms, analysis.duration, settings),
+  };
+};
@@ -0,0 +1,890 @@
+import * as FileSystem from 'expo-file-system';
+import { Audio as AudioCompressor } from 'react-native-compressor';
+import {
+  AAC_GAIN_STEP_DB,
+  AAC_LC_OBJECT_TYPE,
+  readAacGlobalGains,
+  shiftAacGlobalGains,
+} from './aacDecoder';
+import {
+  DEFAULT_SEGMENTATION_OPTIONS,
+  base64ToBytes,
+  bytesToBase64,
+  decodeAacFrames,
+  decodeWav,
+  detectAudioFormat,
+  readAacStream,
+  readAudioBytes,
+  segmentSpeech,
+} from './audioAnalysis';
+
+/**
+ * Default clean-up applied to voice messages before they are sent
+ */
+export const DEFAULT_PROCESSING_OPTIONS = {
+  trimSilence: true,
+  trimPadding: 0.15, // Seconds of silence kept around the speech
+  shortenPauses: false,
+  maxPauseDuration: 1, // Longer pauses are cut down to this many seconds
+  normalizeLoudness: true,
+  targetLufs: -16,
+  maxGainDb: 20, // Never boost quiet recordings (and their noise) by more than this
+  peakCeilingDb: -1, // Gain is reduced so no sample goes above this level
+};
+
+// Length of the fades applied where audio is cut, to avoid clicks
+const SPLICE_FADE_SECONDS = 0.005;
+
+/**
+ * Longest WAV recording that is decoded for processing or editing, in seconds
+ * Decoding holds the whole recording in memory on the JS thread; longer recordings are compressed
+ * before they are processed (AAC is processed a frame at a time)
+ */
+export const MAX_EDITABLE_DURATION = 180;
+
+// Largest WAV file that is decoded: MAX_EDITABLE_DURATION of 44.1 kHz mono 16-bit audio
+const MAX_DECODED_FILE_BYTES = 44 + MAX_EDITABLE_DURATION * 44100 * 2;
+
+// Bit rate of compressed voice messages
+const COMPRESSED_BIT_RATE = 64000;
+
+// PCM samples in every AAC frame, the smallest step compressed audio can be cut at
+const AAC_SAMPLES_PER_FRAME = 1024;
+
+// Highest AAC object type an ADTS header can describe (its profile field is 2 bits)
+const MAX_ADTS_OBJECT_TYPE = 4;
+
+// ITU-R BS.1770 gating block length and step
+const LOUDNESS_BLOCK_SECONDS = 0.4;
+const LOUDNESS_BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+const dbToLinear = (decibels) => Math.pow(10, decibels / 20);
+
+// Biquad coefficients of the two-stage K-weighting filter for a sample rate
+const kWeightingFilters = (sampleRate) => {
+  // Stage 1: high shelf modelling the acoustic effect of the head
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  // Stage 2: high pass (RLB weighting)
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  return [shelf, highPass];
+};
+
+const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Gated loudness of a recording fed in one piece after another, so it needn't all be in memory
+// The K-weighted power is summed over every block step; gating blocks are made of consecutive steps
+const createLoudnessMeter = (sampleRate) => {
+  const filters = kWeightingFilters(sampleRate);
+  const stepLength = Math.max(1, Math.round(LOUDNESS_BLOCK_STEP_SECONDS * sampleRate));
+  const stepsPerBlock = Math.round(LOUDNESS_BLOCK_SECONDS / LOUDNESS_BLOCK_STEP_SECONDS);
+  const stepSums = [];
+  // Filter memory (x1, x2, y1, y2 of every stage) of each channel
+  const states = [];
+  let stepSum = 0;
+  let stepFill = 0;
+  let totalSum = 0;
+  let length = 0;
+
+  return {
+    add: (channels) => {
+      while (states.length < channels.length) {
+        states.push(filters.map(() => new Float64Array(4)));
+      }
+
+      const count = channels.length > 0 ? channels[0].length : 0;
+      for (let i = 0; i < count; i++) {
+        let power = 0;
+        for (let channel = 0; channel < channels.length; channel++) {
+          let x = channels[channel][i];
+          for (let stage = 0; stage < filters.length; stage++) {
+            const { b0, b1, b2, a1, a2 } = filters[stage];
+            const state = states[channel][stage];
+            const y = b0 * x + b1 * state[0] + b2 * state[1] - a1 * state[2] - a2 * state[3];
+            state[1] = state[0];
+            state[0] = x;
+            state[3] = state[2];
+            state[2] = y;
+            x = y;
+          }
+          power += x * x;
+        }
+
+        stepSum += power;
+        totalSum += power;
+        if (++stepFill === stepLength) {
+          stepSums.push(stepSum);
+          stepSum = 0;
+          stepFill = 0;
+        }
+      }
+      length += count;
+    },
+
+    loudness: () => {
+      if (length === 0) return -Infinity;
+
+      // Mean square power of every block, summed over channels; short recordings are a single block
+      const blockPowers = [];
+      if (stepSums.length < stepsPerBlock) {
+        blockPowers.push(totalSum / length);
+      }
+      for (let start = 0; start + stepsPerBlock <= stepSums.length; start++) {
+        let sum = 0;
+        for (let step = start; step < start + stepsPerBlock; step++) sum += stepSums[step];
+        blockPowers.push(sum / (stepsPerBlock * stepLength));
+      }
+
+      const absoluteGated = blockPowers.filter(power => toLufs(power) > ABSOLUTE_GATE_LUFS);
+      if (absoluteGated.length === 0) return -Infinity;
+
+      const relativeGate = toLufs(mean(absoluteGated)) + RELATIVE_GATE_LU;
+      const gated = absoluteGated.filter(power => toLufs(power) > relativeGate);
+
+      return toLufs(mean(gated));
+    },
+  };
+};
+
+/**
+ * Measure integrated loudness following ITU-R BS.1770 (gated, K-weighted)
+ * @param {Array} channels - Float32Arrays of samples between -1 and 1
+ * @param {number} sampleRate - Samples per second
+ * @returns {number} Loudness in LUFS, or -Infinity for silence
+ */
+export const measureLoudness = (channels, sampleRate) => {
+  const meter = createLoudnessMeter(sampleRate);
+  meter.add(channels);
+  return meter.loudness();
+};
+
+// Level of each short frame of a recording fed in one piece after another,
+// taking the loudest channel at every sample
+const createLevelMeter = (sampleRate, frameDuration) => {
+  const frameLength = Math.max(1, Math.round(frameDuration * sampleRate));
+  const levels = [];
+  let sum = 0;
+  let fill = 0;
+
+  return {
+    add: (channels) => {
+      const count = channels[0].length;
+      for (let i = 0; i < count; i++) {
+        let amplitude = 0;
+        for (let channel = 0; channel < channels.length; channel++) {
+          amplitude = Math.max(amplitude, Math.abs(channels[channel][i]));
+        }
+
+        sum += amplitude * amplitude;
+        if (++fill === frameLength) {
+          levels.push(Math.sqrt(sum / fill));
+          sum = 0;
+          fill = 0;
+        }
+      }
+    },
+    levels: () => (fill > 0 ? [...levels, Math.sqrt(sum / fill)] : levels),
+  };
+};
+
+const frameLevels = (channels, sampleRate, frameDuration) => {
+  const meter = createLevelMeter(sampleRate, frameDuration);
+  meter.add(channels);
+  return meter.levels();
+};
+
+/**
+ * Work out which parts of a recording to keep
+ * Drops silence before the first and after the last speech, and optionally shortens long pauses
+ * @param {Array} sections - Speech sections as { start, end } in seconds
+ * @param {number} duration - Recording duration in seconds
+ * @param {Object} options - Processing options (see DEFAULT_PROCESSING_OPTIONS)
+ * @returns {Array} Ranges to keep as { start, end } in seconds
+ */
+export const planKeptRanges = (sections, duration, options = {}) => {
+  const settings = { ...DEFAULT_PROCESSING_OPTIONS, ...options };
+
+  // Nothing recognisable as speech; leave the recording alone
+  if (sections.length === 0) return [{ start: 0, end: duration }];
+
+  const start = settings.trimSilence ? Math.max(0, sections[0].start - settings.trimPadding) : 0;
+  const end = settings.trimSilence
+    ? Math.min(duration, sections[sections.length - 1].end + settings.trimPadding)
+    : duration;
+
+  if (!settings.shortenPauses) return [{ start, end }];
+
+  const ranges = [{ start, end }];
+  const halfPause = settings.maxPauseDuration / 2;
+
+  for (let i = 1; i < sections.length; i++) {
+    const pauseStart = sections[i - 1].end;
+    const pauseEnd = sections[i].start;
+    if (pauseEnd - pauseStart <= settings.maxPauseDuration) continue;
+
+    // Keep half the allowed pause on either side of the cut
+    const current = ranges[ranges.length - 1];
+    current.end = pauseStart + halfPause;
+    ranges.push({ start: pauseEnd - halfPause, end });
+  }
+
+  return ranges;
+};
+
+// Join pieces of audio end to end, fading at each join to avoid clicks
+// Each piece is an array of channels; all pieces must have the same channel count
+const joinSegments = (pieces, sampleRate) => {
+  const totalLength = pieces.reduce((sum, piece) => sum + piece[0].length, 0);
+  const fadeLength = Math.round(SPLICE_FADE_SECONDS * sampleRate);
+
+  return pieces[0].map((_, channel) => {
+    const output = new Float32Array(totalLength);
+    let position = 0;
+
+    pieces.forEach((piece, index) => {
+      const samples = piece[channel];
+      const length = samples.length;
+      output.set(samples, position);
+
+      const fade = Math.min(fadeLength, Math.floor(length / 2));
+      for (let i = 0; i < fade; i++) {
+        const gain = i / fade;
+        if (index > 0) output[position + i] *= gain;
+        if (index < pieces.length - 1) output[position + length - 1 - i] *= gain;
+      }
+
+      position += length;
+    });
+
+    return output;
+  });
+};
+
+// Copy the kept ranges into new channel arrays, fading at each cut
+const spliceRanges = (channels, sampleRate, ranges) => {
+  const sampleRanges = ranges.map(range => ({
+    start: Math.max(0, Math.round(range.start * sampleRate)),
+    end: Math.min(channels[0].length, Math.round(range.end * sampleRate)),
+  })).filter(range => range.end > range.start);
+
+  if (sampleRanges.length === 0) {
+    return channels.map(() => new Float32Array(0));
+  }
+
+  return joinSegments(
+    sampleRanges.map(range => channels.map(samples => samples.subarray(range.start, range.end))),
+    sampleRate
+  );
+};
+
+/**
+ * Encode samples as a 16-bit PCM WAV file
+ * @param {Array} channels - Float32Arrays of samples between -1 and 1
+ * @param {number} sampleRate - Samples per second
+ * @returns {Uint8Array} File contents
+ */
+export const encodeWav = (channels, sampleRate) => {
+  const channelCount = channels.length;
+  const frameCount = channelCount > 0 ? channels[0].length : 0;
+  const blockAlign = channelCount * 2;
+  const dataLength = frameCount * blockAlign;
+  const bytes = new Uint8Array(44 + dataLength);
+  const view = new DataView(bytes.buffer);
+
+  const writeAscii = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      bytes[offset + i] = text.charCodeAt(i);
+    }
+  };
+
+  writeAscii(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeAscii(8, 'WAVE');
+  writeAscii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+  writeAscii(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  let offset = 44;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+      view.setInt16(offset, sample < 0 ? sample * 32768 : sample * 32767, true);
+      offset += 2;
+    }
+  }
+
+  return bytes;
+};
+
+/**
+ * Write raw AAC frames as an ADTS stream (.aac), which plays without an MP4 container
+ * @param {Uint8Array} bytes - Contents of the file the frames come from
+ * @param {Object} stream - Stream settings and frames (see readAacStream)
+ * @returns {Uint8Array} File contents
+ */
+export const encodeAdts = (bytes, { objectType, frequencyIndex, channelConfiguration, frames }) => {
+  const output = new Uint8Array(frames.reduce((sum, frame) => sum + 7 + frame.size, 0));
+  let offset = 0;
+
+  frames.forEach(frame => {
+    const frameLength = 7 + frame.size;
+
+    // Sync word, MPEG-4, no CRC
+    output[offset] = 0xFF;
+    output[offset + 1] = 0xF1;
+    output[offset + 2] = ((objectType - 1) << 6) | (frequencyIndex << 2) | (channelConfiguration >> 2);
+    output[offset + 3] = ((channelConfiguration & 0x03) << 6) | (frameLength >> 11);
+    output[offset + 4] = (frameLength >> 3) & 0xFF;
+    // Buffer fullness 0x7FF (variable bit rate), one raw data block
+    output[offset + 5] = ((frameLength & 0x07) << 5) | 0x1F;
+    output[offset + 6] = 0xFC;
+    output.set(bytes.subarray(frame.offset, frame.offset + frame.size), offset + 7);
+
+    offset += frameLength;
+  });
+
+  return output;
+};
+
+// Concatenate byte arrays
+const concatBytes = (parts) => {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+};
+
+// Big-endian integer fields
+const uint8 = (...values) => Uint8Array.from(values);
+const uint16 = (value) => uint8((value >> 8) & 0xFF, value & 0xFF);
+const uint24 = (value) => uint8((value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+const uint32 = (value) => uint8((value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+// An MP4 box, optionally a "full box" with a version and flags
+const box = (type, ...parts) => {
+  const body = concatBytes(parts);
+  return concatBytes([uint32(8 + body.length), ascii(type), body]);
+};
+const fullBox = (type, version, flags, ...parts) => box(type, uint8(version), uint24(flags), ...parts);
+
+// An MPEG-4 descriptor (as in esds), small enough for a one-byte length
+const descriptor = (tag, ...parts) => {
+  const body = concatBytes(parts);
+  return concatBytes([uint8(tag, body.length), body]);
+};
+
+// Unity transformation matrix of movie and track headers
+const IDENTITY_MATRIX = concatBytes([0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(uint32));
+
+/**
+ * Write raw AAC frames as an M4A file (what Android records)
+ * @param {Uint8Array} bytes - Contents of the file the frames come from
+ * @param {Object} stream - Stream settings and frames (see readAacStream)
+ * @returns {Uint8Array} File contents
+ */
+export const encodeM4a = (bytes, { objectType, frequencyIndex, channelConfiguration, sampleRate, frames }) => {
+  const frameCount = frames.length;
+  const duration = frameCount * AAC_SAMPLES_PER_FRAME;
+  const durationMs = Math.round((duration * 1000) / sampleRate);
+  const dataSize = frames.reduce((sum, frame) => sum + frame.size, 0);
+  const largestFrame = frames.reduce((largest, frame) => Math.max(largest, frame.size), 0);
+  const maxBitRate = Math.round((largestFrame * 8 * sampleRate) / AAC_SAMPLES_PER_FRAME);
+  const averageBitRate = duration > 0 ? Math.round((dataSize * 8 * sampleRate) / duration) : 0;
+
+  const audioSpecificConfig = uint16((objectType << 11) | (frequencyIndex << 7) | (channelConfiguration << 3));
+  const esds = fullBox('esds', 0, 0, descriptor(
+    0x03, // ES descriptor
+    uint16(0), // ES ID
+    uint8(0),
+    descriptor(
+      0x04, // Decoder config: MPEG-4 audio stream
+      uint8(0x40, 0x15),
+      uint24(largestFrame),
+      uint32(maxBitRate),
+      uint32(averageBitRate),
+      descriptor(0x05, audioSpecificConfig)
+    ),
+    descriptor(0x06, uint8(0x02)) // SL config: predefined for MP4
+  ));
+
+  const sampleEntry = box(
+    'mp4a',
+    new Uint8Array(6),
+    uint16(1), // Data reference index
+    new Uint8Array(8),
+    uint16(channelConfiguration),
+    uint16(16), // Sample size
+    new Uint8Array(4),
+    uint32(sampleRate <= 0xFFFF ? sampleRate * 0x10000 : 0),
+    esds
+  );
+
+  // All frames are stored in one chunk at the start of the mdat box, whose offset depends on the
+  // size of everything before it; the stco box is the same size whatever offset it holds
+  const buildMoov = (dataOffset) => box(
+    'moov',
+    fullBox(
+      'mvhd', 0, 0,
+      uint32(0), uint32(0), uint32(1000), uint32(durationMs),
+      uint32(0x00010000), uint16(0x0100), new Uint8Array(10),
+      IDENTITY_MATRIX, new Uint8Array(24),
+      uint32(2) // Next track ID
+    ),
+    box(
+      'trak',
+      fullBox(
+        'tkhd', 0, 0x000003, // Enabled, in movie
+        uint32(0), uint32(0), uint32(1), uint32(0), uint32(durationMs),
+        new Uint8Array(8), uint16(0), uint16(0), uint16(0x0100), uint16(0),
+        IDENTITY_MATRIX, uint32(0), uint32(0)
+      ),
+      box(
+        'mdia',
+        fullBox('mdhd', 0, 0, uint32(0), uint32(0), uint32(sampleRate), uint32(duration), uint16(0x55C4), uint16(0)),
+        fullBox('hdlr', 0, 0, uint32(0), ascii('soun'), new Uint8Array(12), ascii('SoundHandler\0')),
+        box(
+          'minf',
+          fullBox('smhd', 0, 0, uint16(0), uint16(0)),
+          box('dinf', fullBox('dref', 0, 0, uint32(1), fullBox('url ', 0, 0x000001))),
+          box(
+            'stbl',
+            fullBox('stsd', 0, 0, uint32(1), sampleEntry),
+            fullBox('stts', 0, 0, uint32(1), uint32(frameCount), uint32(AAC_SAMPLES_PER_FRAME)),
+            fullBox('stsc', 0, 0, uint32(1), uint32(1), uint32(frameCount), uint32(1)),
+            fullBox('stsz', 0, 0, uint32(0), uint32(frameCount), ...frames.map(frame => uint32(frame.size))),
+            fullBox('stco', 0, 0, uint32(1), uint32(dataOffset))
+          )
+        )
+      )
+    )
+  );
+
+  const ftyp = box('ftyp', ascii('M4A '), uint32(0), ascii('M4A '), ascii('mp42'), ascii('isom'));
+  const moov = buildMoov(ftyp.length + buildMoov(0).length + 8);
+
+  return concatBytes([
+    ftyp,
+    moov,
+    uint32(8 + dataSize),
+    ascii('mdat'),
+    ...frames.map(frame => bytes.subarray(frame.offset, frame.offset + frame.size)),
+  ]);
+};
+
+/**
+ * Trim, shorten pauses and normalize loudness of decoded audio
+ * @param {Array} channels - Float32Arrays of samples between -1 and 1
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - Processing options (see DEFAULT_PROCESSING_OPTIONS)
+ * @returns {Object} Processed channels, new duration and a report of what changed
+ */
+export const processAudioBuffer = (channels, sampleRate, options = {}) => {
+  const settings = { ...DEFAULT_PROCESSING_OPTIONS, ...options };
+  const inputDuration = channels[0].length / sampleRate;
+
+  // Cut silence using the same speech detection as the markers
+  const levels = frameLevels(channels, sampleRate, DEFAULT_SEGMENTATION_OPTIONS.frameDuration);
+  const sections = segmentSpeech(levels, inputDuration);
+  const ranges = planKeptRanges(sections, inputDuration, settings);
+  let output = spliceRanges(channels, sampleRate, ranges);
+
+  // Bring the loudness to the target without clipping
+  const inputLufs = measureLoudness(output, sampleRate);
+  let gainDb = 0;
+  if (settings.normalizeLoudness && Number.isFinite(inputLufs)) {
+    gainDb = Math.min(settings.targetLufs - inputLufs, settings.maxGainDb);
+
+    let peak = 0;
+    output.forEach(samples => {
+      for (let i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+    });
+    if (peak > 0) {
+      gainDb = Math.min(gainDb, settings.peakCeilingDb - 20 * Math.log10(peak));
+    }
+
+    const gain = dbToLinear(gainDb);
+    output = output.map(samples => samples.map(sample => sample * gain));
+  }
+
+  const duration = output[0].length / sampleRate;
+  return {
+    channels: output,
+    duration,
+    report: {
+      inputDuration,
+      trimmedStart: ranges[0].start,
+      trimmedEnd: inputDuration - ranges[ranges.length - 1].end,
+      removedTime: inputDuration - duration,
+      inputLufs,
+      gainDb,
+    },
+  };
+};
+
+/**
+ * Trim, shorten pauses and normalize loudness of AAC-LC audio without re-encoding it
+ * Whole frames are kept or dropped, and the gain is applied in AAC_GAIN_STEP_DB steps by
+ * rewriting each frame's global gain, so the audio is decoded once (for measuring) and never encoded
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} stream - Stream settings and frames (see readAacStream)
+ * @param {Object} options - Processing options (see DEFAULT_PROCESSING_OPTIONS)
+ * @returns {Promise<Object>} Processed stream (frames pointing into the returned bytes), new duration
+ *   and a report of what changed
+ */
+export const processAacStream = async (bytes, stream, options = {}) => {
+  const settings = { ...DEFAULT_PROCESSING_OPTIONS, ...options };
+  const { sampleRate, frequencyIndex, frames } = stream;
+  const frameDuration = AAC_SAMPLES_PER_FRAME / sampleRate;
+  const inputDuration = frames.length * frameDuration;
+
+  // Loudness is measured over the whole recording; what trimming removes is silence, which the gates leave out
+  const levelMeter = createLevelMeter(sampleRate, DEFAULT_SEGMENTATION_OPTIONS.frameDuration);
+  const loudnessMeter = createLoudnessMeter(sampleRate);
+  const framePeaks = new Float32Array(frames.length);
+  await decodeAacFrames(bytes, stream, (channels, index) => {
+    levelMeter.add(channels);
+    loudnessMeter.add(channels);
+    channels.forEach(samples => {
+      for (let i = 0; i < samples.length; i++) {
+        framePeaks[index] = Math.max(framePeaks[index], Math.abs(samples[i]));
+      }
+    });
+  });
+
+  // Keep whole frames covering each range; a frame's audio overlaps the frame before it,
+  // so that one is kept as well
+  const sections = segmentSpeech(levelMeter.levels(), inputDuration);
+  const ranges = [];
+  planKeptRanges(sections, inputDuration, settings).forEach(range => {
+    const start = Math.max(0, Math.floor(range.start / frameDuration) - 1);
+    const end = Math.min(frames.length, Math.ceil(range.end / frameDuration));
+    const previous = ranges[ranges.length - 1];
+    if (previous && start <= previous.end) {
+      previous.end = Math.max(previous.end, end);
+    } else if (end > start) {
+      ranges.push({ start, end });
+    }
+  });
+  const keptFrames = ranges.flatMap(range => frames.slice(range.start, range.end));
+
+  // Bring the loudness to the target without clipping, in whole steps that keep every scalefactor in range
+  const inputLufs = loudnessMeter.loudness();
+  let steps = 0;
+  const gains = keptFrames.map(frame => {
+    try {
+      return readAacGlobalGains(bytes, frame.offset, frame.size, frequencyIndex);
+    } catch (error) {
+      // Damaged frame; it is copied as it is
+      return { positions: [], maxIncrease: Infinity, maxDecrease: Infinity };
+    }
+  });
+  if (settings.normalizeLoudness && Number.isFinite(inputLufs)) {
+    let gainDb = Math.min(settings.targetLufs - inputLufs, settings.maxGainDb);
+
+    let peak = 0;
+    ranges.forEach(range => {
+      for (let index = range.start; index < range.end; index++) {
+        peak = Math.max(peak, framePeaks[index]);
+      }
+    });
+    if (peak > 0) {
+      gainDb = Math.min(gainDb, settings.peakCeilingDb - 20 * Math.log10(peak));
+    }
+
+    const maxIncrease = gains.reduce((limit, gain) => Math.min(limit, gain.maxIncrease), Infinity);
+    const maxDecrease = gains.reduce((limit, gain) => Math.min(limit, gain.maxDecrease), Infinity);
+    steps = Math.max(-maxDecrease, Math.min(maxIncrease, Math.floor(gainDb / AAC_GAIN_STEP_DB)));
+  }
+
+  // Copy the kept frames one after another, shifting their gains on the way
+  const output = new Uint8Array(keptFrames.reduce((sum, frame) => sum + frame.size, 0));
+  let offset = 0;
+  const outputFrames = keptFrames.map((frame, index) => {
+    const copy = output.subarray(offset, offset + frame.size);
+    copy.set(bytes.subarray(frame.offset, frame.offset + frame.size));
+    if (steps !== 0) shiftAacGlobalGains(copy, gains[index].positions, steps);
+
+    const outputFrame = { offset, size: frame.size };
+    offset += frame.size;
+    return outputFrame;
+  });
+
+  const duration = outputFrames.length * frameDuration;
+  return {
+    bytes: output,
+    stream: { ...stream, duration, frames: outputFrames },
+    duration,
+    report: {
+      inputDuration,
+      trimmedStart: ranges.length > 0 ? ranges[0].start * frameDuration : 0,
+      trimmedEnd: ranges.length > 0 ? inputDuration - ranges[ranges.length - 1].end * frameDuration : 0,
+      removedTime: inputDuration - duration,
+      inputLufs,
+      gainDb: steps * AAC_GAIN_STEP_DB,
+    },
+  };
+};
+
+// Decode a WAV file, or return null for formats that can't be decoded and files too big to hold in memory
+const readWavFile = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.exists || info.size > MAX_DECODED_FILE_BYTES) return null;
+
+  const base64 = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  const bytes = base64ToBytes(base64);
+  if (detectAudioFormat(bytes) !== 'wav') return null;
+
+  const audio = decodeWav(bytes);
+  return audio.channels.length > 0 ? audio : null;
+};
+
+const writeWavFile = (uri, channels, sampleRate) => (
+  FileSystem.writeAsStringAsync(uri, bytesToBase64(encodeWav(channels, sampleRate)), {
+    encoding: FileSystem.EncodingType.Base64,
+  })
+);
+
+/**
+ * Clean up a recorded voice message
+ * PCM WAV (up to MAX_EDITABLE_DURATION) is decoded and rewritten as WAV; AAC-LC (M4A or ADTS)
+ * is processed without re-encoding and written in the container it came in
+ * @param {string} inputUri - URI of the recording
+ * @param {string} outputUri - Where to write the processed file
+ * @param {Object} options - Processing options (see DEFAULT_PROCESSING_OPTIONS)
+ * @returns {Promise<Object|null>} Output URI, duration and report, or null if the format isn't supported
+ */
+export const processAudioFile = async (inputUri, outputUri, options = {}) => {
+  const bytes = await readAudioBytes(inputUri);
+  const format = detectAudioFormat(bytes);
+
+  if (format === 'wav') {
+    if (bytes.length > MAX_DECODED_FILE_BYTES) return null;
+
+    const { sampleRate, channels } = decodeWav(bytes);
+    if (channels.length === 0 || channels[0].length === 0) return null;
+
+    const result = processAudioBuffer(channels, sampleRate, options);
+    await writeWavFile(outputUri, result.channels, sampleRate);
+
+    return {
+      uri: outputUri,
+      duration: result.duration,
+      report: result.report,
+    };
+  }
+
+  const stream = readAacStream(bytes);
+  if (!stream || stream.objectType !== AAC_LC_OBJECT_TYPE || stream.frames.length === 0) return null;
+
+  const result = await processAacStream(bytes, stream, options);
+  const encode = format === 'mp4' ? encodeM4a : encodeAdts;
+  await FileSystem.writeAsStringAsync(outputUri, bytesToBase64(encode(result.bytes, result.stream)), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+
+  return {
+    uri: outputUri,
+    duration: result.duration,
+    report: result.report,
+  };
+};
+
+/**
+ * Whether a recording is uncompressed PCM WAV (what iOS records)
+ * @param {string} uri - URI of the recording
+ * @returns {boolean} True for WAV files
+ */
+export const isUncompressedAudio = (uri) => /\.wav$/i.test(uri || '');
+
+/**
+ * Whether a recording can be trimmed and appended to while it is reviewed
+ * Editing decodes whole recordings in JS, which is only done for PCM WAV; AAC recordings
+ * (what Android records) are still cleaned up when they are sent (see processAudioFile)
+ * @param {string} uri - URI of the recording
+ * @param {number} [duration] - Length of the recording in seconds, if known
+ * @returns {boolean} True for WAV files no longer than MAX_EDITABLE_DURATION
+ */
+export const isEditableAudio = (uri, duration = 0) => (
+  isUncompressedAudio(uri) && !(duration > MAX_EDITABLE_DURATION)
+);
+
+/**
+ * Replace a WAV recording with a compressed copy, about a tenth of the size
+ * Encoding runs natively, off the JS thread (AAC .m4a on iOS; the Android encoder writes MP3)
+ * @param {string} uri - URI of the WAV file
+ * @returns {Promise<string>} URI of the compressed file, beside where the WAV file was
+ */
+export const compressAudioFile = async (uri) => {
+  const compressedUri = await AudioCompressor.compress(uri, {
+    bitrate: COMPRESSED_BIT_RATE,
+    channels: 1,
+  });
+  const outputUri = uri.replace(/\.wav$/i, compressedUri.slice(compressedUri.lastIndexOf('.')));
+
+  await FileSystem.moveAsync({ from: compressedUri, to: outputUri });
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+  return outputUri;
+};
+
+/**
+ * Write the part of a recording between two times to a new file
+ * @param {string} inputUri - URI of the recording
+ * @param {string} outputUri - Where to write the trimmed WAV file
+ * @param {number} start - Start of the part to keep, in seconds
+ * @param {number} end - End of the part to keep, in seconds
+ * @returns {Promise<Object|null>} Output URI and duration, or null if the format isn't supported
+ */
+export const trimAudioFile = async (inputUri, outputUri, start, end) => {
+  const audio = await readWavFile(inputUri);
+  if (!audio) return null;
+
+  const channels = spliceRanges(audio.channels, audio.sampleRate, [{ start, end }]);
+  await writeWavFile(outputUri, channels, audio.sampleRate);
+
+  return {
+    uri: outputUri,
+    duration: channels[0].length / audio.sampleRate,
+  };
+};
+
+/**
+ * Write the part of an AAC recording (M4A or ADTS) between two times to a new ADTS file
+ * The audio isn't decoded: whole frames are copied, so the cut lands within about 23 ms.
+ * Files over MAX_ANALYZED_FILE_BYTES aren't read.
+ * @param {string} inputUri - URI of the recording
+ * @param {string} outputUri - Where to write the trimmed .aac file
+ * @param {number} start - Start of the part to keep, in seconds
+ * @param {number} end - End of the part to keep, in seconds
+ * @returns {Promise<Object|null>} Output URI and duration, or null if the format isn't supported
+ */
+export const trimAacFile = async (inputUri, outputUri, start, end) => {
+  const bytes = await readAudioBytes(inputUri);
+  const stream = readAacStream(bytes);
+  if (!stream || stream.objectType < 1 || stream.objectType > MAX_ADTS_OBJECT_TYPE) return null;
+
+  const frameDuration = AAC_SAMPLES_PER_FRAME / stream.sampleRate;
+  const firstFrame = Math.max(0, Math.floor(start / frameDuration));
+  const endFrame = Math.min(stream.frames.length, Math.ceil(end / frameDuration));
+  if (endFrame <= firstFrame) return null;
+
+  const frames = stream.frames.slice(firstFrame, endFrame);
+  await FileSystem.writeAsStringAsync(outputUri, bytesToBase64(encodeAdts(bytes, { ...stream, frames })), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+
+  return {
+    uri: outputUri,
+    duration: frames.length * frameDuration,
+  };
+};
+
+/**
+ * Write recordings one after another into a new file
+ * @param {Array} inputUris - URIs of the recordings, in order
+ * @param {string} outputUri - Where to write the joined WAV file
+ * @returns {Promise<Object|null>} Output URI and duration, or null if the recordings can't be joined
+ */
+export const concatAudioFiles = async (inputUris, outputUri) => {
+  const inputs = await Promise.all(inputUris.map(readWavFile));
+  if (inputs.length === 0 || inputs.some(audio => !audio)) return null;
+
+  // Recordings from the same recorder share a format; anything else would need resampling
+  const { sampleRate, channels } = inputs[0];
+  if (inputs.some(audio => audio.sampleRate !== sampleRate || audio.channels.length !== channels.length)) {
+    return null;
+  }
+
+  const joined = joinSegments(inputs.map(audio => audio.channels), sampleRate);
+  await writeWavFile(outputUri, joined, sampleRate);
+
+  return {
+    uri: outputUri,
+    duration: joined[0].length / sampleRate,
+  };
+};
+
+/**
+ * Fix the header of a WAV file whose recording was cut off before it was finalized
+ * The RIFF and data sizes are rewritten to cover the audio actually on disk; files over
+ * MAX_ANALYZED_FILE_BYTES aren't read
+ * @param {string} uri - URI of the recording
+ * @returns {Promise<number|null>} Duration in seconds, or null if the file isn't usable WAV audio
+ */
+export const repairWavFile = async (uri) => {
+  const bytes = await readAudioBytes(uri);
+  if (detectAudioFormat(bytes) !== 'wav') return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // Everything after the data chunk header is audio
+  let sampleRate = 0;
+  let blockAlign = 0;
+  let dataOffset = null;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const chunkId = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const chunkSize = view.getUint32(offset + 4, true);
+    if (chunkId === 'fmt ' && offset + 22 <= bytes.length) {
+      sampleRate = view.getUint32(offset + 12, true);
+      blockAlign = view.getUint16(offset + 20, true);
+    } else if (chunkId === 'data') {
+      dataOffset = offset + 8;
+      break;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  if (dataOffset === null || sampleRate === 0 || blockAlign === 0) return null;
+
+  // An unfinalized header claims no audio (or more than was written)
+  const available = bytes.length - dataOffset;
+  let dataLength = view.getUint32(dataOffset - 4, true);
+  if (dataLength === 0 || dataLength > available) {
+    dataLength = available;
+    view.setUint32(4, bytes.length - 8, true);
+    view.setUint32(dataOffset - 4, available, true);
+    await FileSystem.writeAsStringAsync(uri, bytesToBase64(bytes), {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  }
+
+  return Math.floor(dataLength / blockAlign) / sampleRate;
+};
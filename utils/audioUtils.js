@@ -1,4 +1,6 @@
-import { Audio } from 'expo-av';
+import { extractWaveform } from './audioAnalysis';
+import { detectSpeechMarkers } from './speechMarkers';
+import { transcribe } from '../services/transcriptionService';
 
 /**
  * Format seconds into MM:SS format
@@ -16,82 +18,30 @@ export const formatTime = (seconds) => {
 
 /**
  * Generate a waveform representation from an audio file
- * In a real app, this would analyze the audio file's amplitude data
- * This is a simplified mock implementation for demonstration
+ * Decodes the file and computes the amplitude of each bucket
  * @param {string} audioUri - URI of the audio file
+ * @param {Object} options - Resolution and metric (see DEFAULT_WAVEFORM_OPTIONS)
  * @returns {Array} Array of amplitude values between 0 and 1
  */
-export const generateWaveform = async (audioUri) => {
+export const generateWaveform = async (audioUri, options = {}) => {
   try {
-    // In a real app, you would load the audio file and analyze it
-    // For demonstration, we'll create a random waveform
-    
-    // For shorter audio, create fewer bars
-    const { sound } = await Audio.Sound.createAsync({ uri: audioUri });
-    const status = await sound.getStatusAsync();
-    await sound.unloadAsync();
-    
-    const duration = status.durationMillis / 1000;
-    
-    // Determine number of bars based on duration
-    const numberOfBars = Math.min(Math.floor(duration * 10), 150);
-    
-    const waveform = [];
-    
-    // Generate mock waveform data with some patterns to make it look natural
-    for (let i = 0; i < numberOfBars; i++) {
-      // Base amplitude varies between 0.2 and 0.8
-      let amplitude = 0.2 + (Math.random() * 0.6);
-      
-      // Add some patterns - higher amplitudes in the middle sections
-      const position = i / numberOfBars;
-      if (position > 0.3 && position < 0.7) {
-        amplitude += 0.1;
-      }
-      
-      // Add occasional peaks
-      if (Math.random() > 0.9) {
-        amplitude = Math.min(amplitude + 0.3, 1);
-      }
-      
-      // Add occasional dips
-      if (Math.random() > 0.85) {
-        amplitude = Math.max(amplitude - 0.2, 0.1);
-      }
-      
-      // Keep amplitudes within bounds
-      amplitude = Math.min(Math.max(amplitude, 0.1), 1);
-      
-      waveform.push(amplitude);
-    }
-    
-    return waveform;
+    return await extractWaveform(audioUri, options);
   } catch (error) {
     console.error('Error generating waveform:', error);
-    // Return a default waveform if there's an error
-    return Array(50).fill(0).map(() => 0.1 + (Math.random() * 0.8));
+    return [];
   }
 };
 
 /**
- * Detect speech segments in audio for automatic tagging
- * In a real app, this would use speech recognition or audio analysis
- * This is a simplified mock implementation for demonstration
+ * Detect speech segments in audio for automatic markers
+ * Splits the audio at pauses and runs keyword rules over the transcript
  * @param {string} audioUri - URI of the audio file
- * @returns {Array} Array of suggested tags with timestamps
+ * @param {Object} transcript - Transcript with timestamped segments, if available
+ * @returns {Array} Markers as { kind, label, timestamp, endTime }
  */
-export const detectSpeechSegments = async (audioUri) => {
+export const detectSpeechSegments = async (audioUri, transcript = null) => {
   try {
-    // In a real app, this would analyze the audio and detect different speakers,
-    // topics, or important segments using machine learning
-    
-    // For this demo, we'll return mock data
-    return [
-      { label: 'Introduction', timestamp: 2.5 },
-      { label: 'Key Point', timestamp: 15.2 },
-      { label: 'Question', timestamp: 28.7 },
-      { label: 'Action Item', timestamp: 42.1 },
-    ];
+    return await detectSpeechMarkers(audioUri, transcript);
   } catch (error) {
     console.error('Error detecting speech segments:', error);
     return [];
@@ -100,28 +50,22 @@ export const detectSpeechSegments = async (audioUri) => {
 
 /**
  * Transcribe audio to text
- * In a real app, this would use a speech-to-text service
- * This is a simplified mock implementation for demonstration
+ * Uses the provider configured in services/transcriptionService
  * @param {string} audioUri - URI of the audio file
- * @returns {Object} Transcription result with text and timestamps
+ * @param {Object} options - Provider options (language, prompt, model)
+ * @returns {Object} Transcription result with text, timestamped segments, language and confidence
  */
-export const transcribeAudio = async (audioUri) => {
+export const transcribeAudio = async (audioUri, options = {}) => {
   try {
-    // In a real app, you would call a speech-to-text API
+    const result = await transcribe(audioUri, options);
     
-    // For this demo, we'll return mock data
-    return {
-      text: "This is a sample transcription of the audio message. In a real app, this would be the actual transcribed content from a speech-to-text service.",
-      segments: [
-        { text: "This is a sample transcription", start: 0, end: 3.2 },
-        { text: "of the audio message.", start: 3.3, end: 5.1 },
-        { text: "In a real app, this would be", start: 5.2, end: 7.8 },
-        { text: "the actual transcribed content", start: 7.9, end: 10.5 },
-        { text: "from a speech-to-text service.", start: 10.6, end: 13.2 },
-      ]
-    };
+    // No transcription provider configured
+    if (!result) {
+      return { text: "", segments: [], language: null, confidence: null };
+    }
+    return result;
   } catch (error) {
     console.error('Error transcribing audio:', error);
-    return { text: "", segments: [] };
+    return { text: "", segments: [], language: null, confidence: null };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,46 @@
+/**
+ * Speeds offered in the player, in the order the speed button cycles through them
+ */
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+
+export const DEFAULT_PLAYBACK_RATE = 1;
+export const MIN_PLAYBACK_RATE = PLAYBACK_RATES[0];
+export const MAX_PLAYBACK_RATE = PLAYBACK_RATES[PLAYBACK_RATES.length - 1];
+
+/**
+ * Clamp a stored or requested speed to the supported range
+ * @param {number} rate - Speed multiplier
+ * @returns {number} Supported speed (the default when rate isn't a number)
+ */
+export const normalizePlaybackRate = (rate) => {
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_PLAYBACK_RATE;
+  return Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, value));
+};
+
+/**
+ * Speed after the given one when cycling, wrapping back to the slowest
+ * @param {number} rate - Current speed
+ * @returns {number} Next speed
+ */
+export const nextPlaybackRate = (rate) => {
+  const next = PLAYBACK_RATES.find(option => option > rate + 0.001);
+  return next === undefined ? PLAYBACK_RATES[0] : next;
+};
+
+/**
+ * Format a speed for display, e.g. "1.5×"
+ * @param {number} rate - Speed multiplier
+ * @returns {string} Formatted speed
+ */
+export const formatPlaybackRate = (rate) => `${Number(rate.toFixed(2))}×`;
+
+/**
+ * Convert a stretch of the recording into listening time at a speed
+ * @param {number} seconds - Duration in the recording
+ * @param {number} rate - Speed multiplier
+ * @returns {number} Seconds it takes to listen to
+ */
+export const toListeningTime = (seconds, rate = DEFAULT_PLAYBACK_RATE) => {
+  return rate > 0 ? seconds / rate : seconds;
+};
@@ -0,0 +1,116 @@
+/**
+ * Length of the stretches of audio reactions are grouped into, in seconds
+ * A user can react with an emoji once per stretch; reacting again removes it
+ */
+export const REACTION_BUCKET_SECONDS = 1;
+
+/**
+ * Bucket stored for reactions to the whole message rather than a moment of it
+ */
+export const WHOLE_MESSAGE_BUCKET = -1;
+
+/**
+ * Emoji offered for quick reactions
+ */
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '🔥', '👏', '💡'];
+
+/**
+ * Work out which stretch of the audio a reaction belongs to
+ * @param {number|null} timestamp - Second of the message reacted to, or null for the whole message
+ * @returns {number} Bucket index, or WHOLE_MESSAGE_BUCKET
+ */
+export const reactionBucket = (timestamp) => (
+  timestamp === null || timestamp === undefined
+    ? WHOLE_MESSAGE_BUCKET
+    : Math.floor(Math.max(0, timestamp) / REACTION_BUCKET_SECONDS)
+);
+
+/**
+ * Group reactions with the same emoji at the same moment
+ * @param {Array} reactions - Reactions ({ emoji, timestamp, userId, username })
+ * @param {string} currentUserId - ID of the current user
+ * @returns {Array} Groups as { key, emoji, timestamp, count, users, reactedByMe },
+ *   whole-message reactions first, then in the order of the audio
+ */
+export const aggregateReactions = (reactions, currentUserId) => {
+  const groups = {};
+  const order = [];
+
+  reactions.forEach(reaction => {
+    const bucket = reactionBucket(reaction.timestamp);
+    const key = `${bucket}:${reaction.emoji}`;
+
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        bucket,
+        emoji: reaction.emoji,
+        // The earliest reaction in the stretch stands for the group
+        timestamp: bucket === WHOLE_MESSAGE_BUCKET ? null : reaction.timestamp,
+        count: 0,
+        users: [],
+        reactedByMe: false,
+      };
+      order.push(key);
+    }
+
+    const group = groups[key];
+    if (group.timestamp !== null && reaction.timestamp < group.timestamp) {
+      group.timestamp = reaction.timestamp;
+    }
+    group.count += 1;
+    group.users.push({ userId: reaction.userId, username: reaction.username });
+    if (reaction.userId === currentUserId) {
+      group.reactedByMe = true;
+    }
+  });
+
+  return order
+    .map(key => groups[key])
+    .sort((a, b) => a.bucket - b.bucket)
+    .map(({ bucket, ...group }) => group);
+};
+
+/**
+ * Most bins an engagement heatmap is split into
+ */
+export const HEATMAP_BINS = 40;
+
+/**
+ * Share of a moment's weight spread to the bins on either side, so nearby reactions add up
+ */
+const HEATMAP_SPREAD = 0.5;
+
+/**
+ * Measure how much attention each stretch of a voice message got
+ * @param {Array} timestamps - Seconds reacted or replied to
+ * @param {number} duration - Length of the message in seconds
+ * @param {number} maxBins - Most bins to split the message into (at least a second each)
+ * @returns {Object} { bins, hottest } with bin intensities between 0 and 1,
+ *   and the start (seconds) of the busiest stretch, or null when nothing was reacted to
+ */
+export const buildEngagementHeatmap = (timestamps, duration, maxBins = HEATMAP_BINS) => {
+  if (!duration || duration <= 0) return { bins: [], hottest: null };
+
+  const binCount = Math.max(1, Math.min(maxBins, Math.ceil(duration)));
+  const binSeconds = duration / binCount;
+  const weights = new Array(binCount).fill(0);
+
+  timestamps.forEach(timestamp => {
+    if (timestamp === null || timestamp === undefined || timestamp < 0 || timestamp > duration) return;
+
+    const index = Math.min(binCount - 1, Math.floor(timestamp / binSeconds));
+    weights[index] += 1;
+    if (index > 0) weights[index - 1] += HEATMAP_SPREAD;
+    if (index < binCount - 1) weights[index + 1] += HEATMAP_SPREAD;
+  });
+
+  // The earliest of equally busy stretches counts as the hottest
+  const hottestIndex = weights.reduce((best, weight, index) => (weight > weights[best] ? index : best), 0);
+  const maxWeight = weights[hottestIndex];
+
+  return {
+    bins: weights.map(weight => (maxWeight > 0 ? weight / maxWeight : 0)),
+    hottest: maxWeight > 0 ? hottestIndex * binSeconds : null,
+  };
+};
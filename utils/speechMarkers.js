@@ -0,0 +1,168 @@
+import { DEFAULT_SEGMENTATION_OPTIONS, detectSpeechSections } from './audioAnalysis';
+import { FIXTURE_PROVIDER } from '../services/transcriptionService';
+
+/**
+ * Kinds of automatically detected markers
+ */
+export const MARKER_KINDS = {
+  SECTION: 'section', // Start of a stretch of speech after a pause
+  KEYWORD: 'keyword', // Transcript segment matching one of KEYWORD_RULES
+};
+
+/**
+ * Rules run over each transcript segment; a segment can match several
+ */
+export const KEYWORD_RULES = [
+  {
+    label: 'Question',
+    pattern: /\?\s*$|^\s*(who|what|when|where|why|how)\b/i,
+  },
+  {
+    label: 'Action Item',
+    pattern: /\b(need to|needs to|have to|has to|remember to|don't forget|make sure|follow up|to-?do|can you|could you)\b/i,
+  },
+  {
+    label: 'Key Point',
+    pattern: /\b(important|key point|main thing|the point is|bottom line|crucial|to sum up|in short)\b/i,
+  },
+  {
+    label: 'Decision',
+    pattern: /\b(we decided|decided to|let's go with|we'll go with|agreed|going with)\b/i,
+  },
+  {
+    label: 'Deadline',
+    pattern: /\b(deadline|due|by (today|tonight|tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday|the end of the (day|week|month)))\b/i,
+  },
+];
+
+// Keyword markers with the same label closer than this are collapsed into one
+const KEYWORD_MERGE_WINDOW = 1;
+
+// Words of the transcript used to label a section
+const SECTION_LABEL_WORDS = 4;
+
+/**
+ * Derive speech sections from the gaps between transcript segments
+ * Used when the audio file itself can't be analyzed
+ * @param {Array} segments - Transcript segments with start and end
+ * @param {number} minSilenceDuration - Shortest gap that splits a section
+ * @returns {Array} Sections as { start, end }
+ */
+export const sectionsFromTranscript = (
+  segments,
+  minSilenceDuration = DEFAULT_SEGMENTATION_OPTIONS.minSilenceDuration
+) => {
+  const sections = [];
+
+  segments.forEach(segment => {
+    const previous = sections[sections.length - 1];
+    if (previous && segment.start - previous.end < minSilenceDuration) {
+      previous.end = Math.max(previous.end, segment.end);
+    } else {
+      sections.push({ start: segment.start, end: segment.end });
+    }
+  });
+
+  return sections;
+};
+
+/**
+ * Whether a transcript came from a speech-to-text provider
+ * Sample transcripts and ones of unknown origin (stored without a provider) don't count
+ * @param {Object} transcript - Transcript object
+ * @returns {boolean}
+ */
+export const isRecognizedTranscript = (transcript) => (
+  !!transcript && !!transcript.provider && transcript.provider !== FIXTURE_PROVIDER
+);
+
+/**
+ * Find transcript segments matching the keyword rules
+ * Only recognized transcripts are searched, so sample text never turns into markers
+ * @param {Object} transcript - Transcript with timestamped segments
+ * @param {Array} rules - Rules as { label, pattern }
+ * @returns {Array} Keyword markers, in time order
+ */
+export const findKeywordMarkers = (transcript, rules = KEYWORD_RULES) => {
+  if (!isRecognizedTranscript(transcript) || !transcript.segments) return [];
+
+  const markers = [];
+  transcript.segments.forEach(segment => {
+    rules.forEach(rule => {
+      if (!rule.pattern.test(segment.text)) return;
+
+      const previous = markers.find(marker => (
+        marker.label === rule.label && segment.start - marker.endTime < KEYWORD_MERGE_WINDOW
+      ));
+      if (previous) {
+        previous.endTime = segment.end;
+        return;
+      }
+
+      markers.push({
+        kind: MARKER_KINDS.KEYWORD,
+        label: rule.label,
+        timestamp: segment.start,
+        endTime: segment.end,
+      });
+    });
+  });
+
+  return markers;
+};
+
+// Label a section with its first few transcribed words
+const labelSection = (section, index, transcript) => {
+  const segment = transcript && transcript.segments
+    ? transcript.segments.find(item => item.end > section.start && item.start < section.end)
+    : null;
+  if (!segment) return `Part ${index + 1}`;
+
+  const words = segment.text.trim().split(/\s+/);
+  const label = words.slice(0, SECTION_LABEL_WORDS).join(' ').replace(/[.,;:!?]+$/, '');
+  return words.length > SECTION_LABEL_WORDS ? `${label}…` : label;
+};
+
+/**
+ * Combine speech sections and transcript keywords into timestamped markers
+ * @param {Array} sections - Speech sections as { start, end }
+ * @param {Object} transcript - Transcript with timestamped segments, if available
+ * @returns {Array} Markers as { kind, label, timestamp, endTime }, in time order
+ */
+export const buildSpeechMarkers = (sections, transcript = null) => {
+  // A single stretch of speech has no breaks worth marking
+  const sectionMarkers = sections.length > 1
+    ? sections.map((section, index) => ({
+      kind: MARKER_KINDS.SECTION,
+      label: labelSection(section, index, transcript),
+      timestamp: section.start,
+      endTime: section.end,
+    }))
+    : [];
+
+  return [...sectionMarkers, ...findKeywordMarkers(transcript)]
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Detect timestamped markers for a voice message
+ * Splits the audio at pauses, falling back to transcript timing when the file can't be decoded
+ * @param {string} audioUri - URI of the audio file
+ * @param {Object} transcript - Transcript with timestamped segments, if available
+ * @param {Object} options - Segmentation settings (see DEFAULT_SEGMENTATION_OPTIONS)
+ * @returns {Promise<Array>} Markers as { kind, label, timestamp, endTime }
+ */
+export const detectSpeechMarkers = async (audioUri, transcript = null, options = {}) => {
+  let sections;
+  try {
+    ({ sections } = await detectSpeechSections(audioUri, options));
+  } catch (error) {
+    console.error('Error analyzing audio for speech sections:', error);
+    sections = sectionsFromTranscript(
+      transcript ? transcript.segments : [],
+      options.minSilenceDuration
+    );
+  }
+
+  return buildSpeechMarkers(sections, transcript);
+};
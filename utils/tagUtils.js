@@ -0,0 +1,107 @@
+/**
+ * How multiple tags in a filter are combined
+ */
+export const TAG_FILTER_MODES = {
+  ALL: 'all', // Message must have every selected tag (AND)
+  ANY: 'any', // Message must have at least one selected tag (OR)
+};
+
+/**
+ * Filter messages down to those matching the selected tags
+ * @param {Array} messages - Messages to filter
+ * @param {Array} tags - Selected tags
+ * @param {string} mode - One of TAG_FILTER_MODES
+ * @returns {Array} Matching messages, in their original order
+ */
+export const filterMessagesByTags = (messages, tags, mode = TAG_FILTER_MODES.ANY) => {
+  if (!tags || tags.length === 0) return messages;
+
+  return messages.filter(message => {
+    const messageTags = message.tags || [];
+    return mode === TAG_FILTER_MODES.ALL
+      ? tags.every(tag => messageTags.includes(tag))
+      : tags.some(tag => messageTags.includes(tag));
+  });
+};
+
+/**
+ * Count how many messages carry each tag
+ * @param {Array} messages - Messages to count tags in
+ * @returns {Array} Entries as { tag, count }, most used first
+ */
+export const countTags = (messages) => {
+  const counts = {};
+
+  messages.forEach(message => {
+    (message.tags || []).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+
+  return Object.keys(counts)
+    .map(tag => ({ tag, count: counts[tag] }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Colors offered for tags; tags without a chosen color get one of these by hash
+ */
+export const TAG_COLORS = [
+  '#FF9500', // Orange
+  '#34C759', // Green
+  '#AF52DE', // Purple
+  '#FF2D55', // Pink
+  '#5856D6', // Indigo
+  '#007AFF', // Blue
+  '#00C7BE', // Teal
+  '#FF3B30', // Red
+];
+
+/**
+ * Ionicons names offered as tag icons
+ */
+export const TAG_ICONS = [
+  'pricetag',
+  'star',
+  'flag',
+  'bookmark',
+  'help-circle',
+  'alert-circle',
+  'bulb',
+  'heart',
+  'checkmark-circle',
+  'time',
+  'musical-notes',
+  'chatbubble-ellipses',
+];
+
+/**
+ * Tidy a tag name typed by the user
+ * @param {string} name - Raw tag name
+ * @returns {string} Trimmed name with internal whitespace collapsed
+ */
+export const normalizeTagName = (name) => (name || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Key used to compare tag names, so "Question" and "question" are the same tag
+ * @param {string} name - Tag name
+ * @returns {string} Case-insensitive key
+ */
+export const tagKey = (name) => normalizeTagName(name).toLowerCase();
+
+/**
+ * Generate a consistent but semi-random color based on the tag name
+ * @param {string} name - Tag name
+ * @returns {string} One of TAG_COLORS
+ */
+export const getDefaultTagColor = (name) => {
+  const key = tagKey(name);
+
+  // Simple hash function to generate consistent index
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = key.charCodeAt(i) + ((hash << 5) - hash);
+  }
+
+  return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length];
+};